@@ -0,0 +1,315 @@
+import { run, runChecked, output, formatCommand } from './command.js';
+import { formatRepo, remoteRepo, targetRemote } from './remote.js';
+import { detectHostType, createRestHost, configuredToken } from './hosts.js';
+
+// git rooted at one working directory; every method takes the arguments after `git`
+export function createGitBackend({ cwd, env } = {}) {
+  const scoped = options => ({ cwd, env, ...options });
+  return {
+    cwd,
+    env,
+    run: (args, options = {}) => run('git', args, scoped(options)),
+    runChecked: (args, options = {}) => runChecked('git', args, scoped(options)),
+    output: (args, options = {}) => output('git', args, scoped(options))
+  };
+}
+
+// Forks address the upstream repository explicitly; otherwise gh picks the current one.
+// hostname replaces the remote's host when that is an SSH alias
+function ghRepoArgs(repo, hostname = null) {
+  if (!repo) return [];
+  const host = hostname || repo.host;
+  return ['--repo', host === 'github.com' ? formatRepo(repo) : `${host}/${formatRepo(repo)}`];
+}
+
+function ghCreateArgs({ repo, base, head, title, body, draft, fill, reviewers = [], assignees = [] }, hostname) {
+  const args = ['pr', 'create', ...ghRepoArgs(repo, hostname), '--base', base, '--head', head];
+  if (draft) args.push('--draft');
+  if (title) args.push('--title', title);
+  for (const reviewer of reviewers) args.push('--reviewer', reviewer);
+  for (const assignee of assignees) args.push('--assignee', assignee);
+  // The body goes through stdin so no temp file or shell quoting is involved
+  if (body) args.push('--body-file', '-');
+  else if (fill) args.push('--fill');
+  return args;
+}
+
+function ghEditArgs(number, { title, body, base, addLabels = [], removeLabels = [] }, target = {}, hostname) {
+  const args = ['pr', 'edit', String(number), ...ghRepoArgs(target.repo, hostname)];
+  if (base) args.push('--base', base);
+  if (title) args.push('--title', title);
+  for (const label of addLabels) args.push('--add-label', label);
+  for (const label of removeLabels) args.push('--remove-label', label);
+  if (body !== undefined) args.push('--body-file', '-');
+  return args;
+}
+
+function prNumberFromUrl(url) {
+  const match = (url || '').match(/\/pull\/(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+function enterprise(hostname) {
+  return Boolean(hostname) && hostname !== 'github.com';
+}
+
+// Pull requests on GitHub through the gh CLI. GH_HOST points gh api and gh search at the
+// remote's instance, and a per-host token reaches gh through the variable it reads for that host.
+export function createGhHost({ cwd, env, hostname = null, token = null } = {}) {
+  const ghEnv = hostname || token
+    ? {
+      ...(env || process.env),
+      ...(hostname ? { GH_HOST: hostname } : {}),
+      ...(token ? { [enterprise(hostname) ? 'GH_ENTERPRISE_TOKEN' : 'GH_TOKEN']: token } : {})
+    }
+    : env;
+  const gh = (args, options = {}) => runChecked('gh', args, { cwd, env: ghEnv, ...options });
+  const hostArgs = hostname ? ['--hostname', hostname] : [];
+
+  return {
+    name: 'github',
+    label: 'GitHub CLI',
+    hostname,
+    cli: 'gh',
+    setup: ['brew install gh  # Mac', `gh auth login${enterprise(hostname) ? ` --hostname ${hostname}` : ''}`],
+    authHint: `gh auth login${enterprise(hostname) ? ` --hostname ${hostname}` : ''}`,
+
+    // Who gh is signed in as on this host, or its own explanation
+    authStatus() {
+      const result = run('gh', ['auth', 'status', ...hostArgs], { cwd, env: ghEnv });
+      if (result.code !== 0) {
+        const reason = (result.stderr || result.stdout).split('\n').map(line => line.trim()).find(Boolean);
+        return { user: null, error: reason || `not logged in to ${hostname || 'GitHub'}` };
+      }
+      return { user: output('gh', ['api', 'user', '--jq', '.login'], { cwd, env: ghEnv }), error: null };
+    },
+
+    // target.headOwner narrows the match to the fork the branch was pushed to
+    findOpenPR(head, target = {}) {
+      const args = ['pr', 'list', ...ghRepoArgs(target.repo, hostname), '--head', head, '--state', 'open', '--json', 'number,url,title,body,baseRefName,headRepositoryOwner,labels', '--limit', '20'];
+      const list = output('gh', args, { cwd, env: ghEnv });
+      if (!list) return null;
+      try {
+        const prs = JSON.parse(list);
+        const pr = target.headOwner
+          ? prs.find(candidate => candidate.headRepositoryOwner?.login?.toLowerCase() === target.headOwner.toLowerCase())
+          : prs[0];
+        return pr || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Most recently merged PR for the branch, used to skip finished layers of a stack
+    findMergedPR(head, target = {}) {
+      const args = ['pr', 'list', ...ghRepoArgs(target.repo, hostname), '--head', head, '--state', 'merged', '--json', 'number,url,title,baseRefName,headRepositoryOwner', '--limit', '20'];
+      const list = output('gh', args, { cwd, env: ghEnv });
+      if (!list) return null;
+      try {
+        const prs = JSON.parse(list);
+        const pr = target.headOwner
+          ? prs.find(candidate => candidate.headRepositoryOwner?.login?.toLowerCase() === target.headOwner.toLowerCase())
+          : prs[0];
+        return pr || null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    createPR(request) {
+      const result = gh(ghCreateArgs(request, hostname), { input: request.body || undefined });
+      const url = result.stdout.trim().split('\n').at(-1) || null;
+      return { url, number: prNumberFromUrl(url) };
+    },
+
+    updatePR(number, changes, target) {
+      const result = gh(ghEditArgs(number, changes, target, hostname), { input: changes.body });
+      return { url: result.stdout.trim() || null };
+    },
+
+    listLabels(target = {}) {
+      const list = output('gh', ['label', 'list', ...ghRepoArgs(target.repo, hostname), '--json', 'name', '--limit', '1000'], { cwd, env: ghEnv });
+      try {
+        return list ? JSON.parse(list).map(label => label.name) : [];
+      } catch (error) {
+        return [];
+      }
+    },
+
+    createLabel({ name, color, description }, target = {}) {
+      const args = ['label', 'create', name, ...ghRepoArgs(target.repo, hostname)];
+      if (color) args.push('--color', color);
+      if (description) args.push('--description', description);
+      gh(args);
+    },
+
+    // Title and state of an issue; ref.repo ("owner/name") points at another repository
+    getIssue({ repo, number }, target = {}) {
+      const repoArgs = repo ? ['--repo', repo] : ghRepoArgs(target.repo, hostname);
+      const issue = output('gh', ['issue', 'view', String(number), ...repoArgs, '--json', 'number,title,state,url'], { cwd, env: ghEnv });
+      try {
+        return issue ? JSON.parse(issue) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Login of the authenticated user, who is never asked to review their own PR
+    currentUser() {
+      return output('gh', ['api', 'user', '--jq', '.login'], { cwd, env: ghEnv });
+    },
+
+    // Open PRs anywhere on the host that wait for this user's review
+    countReviewRequests(login) {
+      const list = output('gh', ['search', 'prs', '--review-requested', login, '--state', 'open', '--json', 'number', '--limit', '100'], { cwd, env: ghEnv });
+      try {
+        return list ? JSON.parse(list).length : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // The exact command a dry run would have executed
+    describeCreate: request => formatCommand(['gh', ...ghCreateArgs(request, hostname)]),
+    describeUpdate: (number, changes, target) => formatCommand(['gh', ...ghEditArgs(number, changes, target, hostname)])
+  };
+}
+
+// In-memory PR host that records what would have been opened or edited
+export function createMemoryHost({ prs = [], issues = [], baseUrl = 'https://example.test/pulls', user = null } = {}) {
+  const host = {
+    name: 'memory',
+    label: 'in-memory host',
+    hostname: null,
+    user,
+    issues: issues.map(issue => ({ state: 'open', repo: null, ...issue })),
+    prs: prs.map(pr => ({ state: 'open', labels: [], reviewers: [], assignees: [], ...pr })),
+    labels: [],
+    created: [],
+    updated: [],
+
+    findOpenPR(head, target = {}) {
+      return host.findPR('open', head, target);
+    },
+
+    findMergedPR(head, target = {}) {
+      return host.findPR('merged', head, target);
+    },
+
+    findPR(state, head, target = {}) {
+      const pr = host.prs.findLast(candidate => candidate.state === state &&
+        candidate.headRefName === head &&
+        (!target.headOwner || candidate.headOwner === target.headOwner));
+      return pr ? { ...pr, labels: [...(pr.labels || [])] } : null;
+    },
+
+    createPR(request) {
+      const [headOwner, headRefName] = request.head.includes(':') ? request.head.split(':') : [null, request.head];
+      if (host.findOpenPR(headRefName, { headOwner })) {
+        throw new Error(`a pull request for branch "${request.head}" already exists`);
+      }
+      const number = host.prs.reduce((max, pr) => Math.max(max, pr.number), 0) + 1;
+      const pr = {
+        number,
+        url: `${baseUrl}/${number}`,
+        state: 'open',
+        title: request.title || '',
+        body: request.body || '',
+        baseRefName: request.base,
+        headRefName,
+        headOwner,
+        draft: Boolean(request.draft),
+        labels: [],
+        reviewers: [...(request.reviewers || [])],
+        assignees: [...(request.assignees || [])]
+      };
+      host.prs.push(pr);
+      host.created.push({ ...request });
+      return { url: pr.url, number };
+    },
+
+    updatePR(number, changes) {
+      const pr = host.prs.find(candidate => candidate.number === number);
+      if (!pr) throw new Error(`no pull request #${number}`);
+      if (changes.base) pr.baseRefName = changes.base;
+      if (changes.title) pr.title = changes.title;
+      if (changes.body !== undefined) pr.body = changes.body;
+      for (const name of changes.addLabels || []) {
+        if (!host.labels.some(label => label.name === name)) throw new Error(`label "${name}" not found`);
+        pr.labels = pr.labels || [];
+        if (!pr.labels.some(label => label.name === name)) pr.labels.push({ name });
+      }
+      pr.labels = (pr.labels || []).filter(label => !(changes.removeLabels || []).includes(label.name));
+      host.updated.push({ number, ...changes });
+      return { url: pr.url };
+    },
+
+    listLabels() {
+      return host.labels.map(label => label.name);
+    },
+
+    createLabel(label) {
+      host.labels.push({ ...label });
+    },
+
+    getIssue({ repo = null, number }) {
+      const issue = host.issues.find(candidate => candidate.number === number && candidate.repo === repo);
+      return issue ? { ...issue } : null;
+    },
+
+    currentUser() {
+      return host.user;
+    },
+
+    authStatus() {
+      return { user: host.user, error: host.user ? null : 'not signed in' };
+    },
+
+    countReviewRequests(login) {
+      return host.prs.filter(pr => pr.state === 'open' && (pr.reviewers || []).includes(login)).length;
+    },
+
+    describeCreate: request => `create PR ${request.head} → ${request.repo ? `${formatRepo(request.repo)}:` : ''}${request.base}${request.title ? `: ${request.title}` : ''}`,
+    describeUpdate: (number, changes = {}) => `update PR #${number}${changes.base ? ` → ${changes.base}` : ''}`
+  };
+  return host;
+}
+
+// The instance PRs go to: --hostname, then the config, then GH_HOST for GitHub, then the remote URL
+export function resolveHostname({ repo, settings = {}, env = process.env, hostname = null }) {
+  const explicit = hostname || settings.hostname || null;
+  const type = detectHostType(explicit || repo?.host, settings);
+  return { type, hostname: explicit || (type === 'github' && env.GH_HOST) || repo?.host || null };
+}
+
+// The PR host of the target remote: gh for GitHub unless it is missing or settings.api is on,
+// the REST API for everything else
+export function createHost({ git, cwd, env, settings = {}, remote, hostname } = {}) {
+  const vars = env || process.env;
+  const repo = remoteRepo(git, targetRemote({ remote }, git));
+  const resolved = resolveHostname({ repo, settings, env: vars, hostname });
+  if (resolved.type === 'github' && !settings.api && run('gh', ['--version'], { cwd, env }).code !== 127) {
+    return createGhHost({ cwd, env, hostname: resolved.hostname, token: configuredToken(resolved.hostname, settings, vars) });
+  }
+  return createRestHost(resolved.type, { repo: repo && { ...repo, host: resolved.hostname }, settings, env: vars });
+}
+
+// The git repository and PR host lib.js works against; pieces can be swapped for fakes.
+// The host is picked on first use, so commands that never open a PR never look at the remote.
+export function createBackend({ cwd, env, git, host, hostSettings, remote, hostname } = {}) {
+  const backend = {
+    git: git || createGitBackend({ cwd, env }),
+    get host() {
+      host = host || createHost({ git: backend.git, cwd, env, settings: hostSettings, remote, hostname });
+      return host;
+    }
+  };
+  return backend;
+}
+
+// Callers inject a backend to run against another repository or a fake PR host;
+// --api asks for the GitHub REST API even when gh is installed, --hostname names the instance
+export function backendFrom(options = {}) {
+  const hostSettings = options.api ? { ...options.host, api: true } : options.host;
+  return options.backend || createBackend({ hostSettings, remote: options.remote, hostname: options.hostname });
+}
@@ -0,0 +1,611 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBackend, createGitBackend, createGhHost, createMemoryHost } from './backend.js';
+import {
+  getCurrentBranch,
+  getDefaultBranch,
+  pushBranch,
+  createPR,
+  updatePR,
+  commitAndPush,
+  forceCommitAndPush,
+  planBranch,
+  executePlan,
+  pickFilesToCommit,
+  scanStagedChanges,
+  acceptSecretFindings,
+  listBackups,
+  restoreBackup,
+  analyzeRange,
+  planCommit
+} from './lib.js';
+import { SecretScanError } from './secrets.js';
+
+// Isolate the tests from the machine's git configuration
+const env = { ...process.env, GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1' };
+
+describe('createMemoryHost', () => {
+  it('should record created PRs and find them by head branch', () => {
+    const host = createMemoryHost();
+
+    const { url } = host.createPR({ base: 'main', head: 'feat/x', title: 'feat: x', body: 'Body' });
+
+    expect(url).toBe('https://example.test/pulls/1');
+    expect(host.findOpenPR('feat/x')).toMatchObject({ number: 1, baseRefName: 'main', title: 'feat: x', body: 'Body' });
+    expect(host.findOpenPR('feat/y')).toBeNull();
+    expect(() => host.createPR({ base: 'main', head: 'feat/x' })).toThrow(/already exists/);
+  });
+
+  it('should apply and record updates', () => {
+    const host = createMemoryHost({ prs: [{ number: 7, headRefName: 'feat/x', baseRefName: 'main', title: 'old', body: 'old' }] });
+
+    host.updatePR(7, { body: 'new' });
+
+    expect(host.findOpenPR('feat/x')).toMatchObject({ title: 'old', body: 'new' });
+    expect(host.updated).toEqual([{ number: 7, body: 'new' }]);
+  });
+});
+
+describe('createGhHost', () => {
+  it('should address the upstream repository and fork head for forks', () => {
+    const host = createGhHost();
+    const repo = { host: 'github.com', owner: 'octo', name: 'app' };
+
+    expect(host.describeCreate({ repo, base: 'main', head: 'me:feat/x', title: 'feat: x', body: 'Body' }))
+      .toBe("gh pr create --repo octo/app --base main --head me:feat/x --title 'feat: x' --body-file -");
+    expect(host.describeUpdate(4, { body: 'Body' }, { repo: { ...repo, host: 'ghe.example.com' } }))
+      .toBe('gh pr edit 4 --repo ghe.example.com/octo/app --body-file -');
+    expect(host.describeCreate({ base: 'main', head: 'feat/x', fill: true }))
+      .toBe('gh pr create --base main --head feat/x --fill');
+  });
+
+  it('should point gh at the Enterprise host and hand it the per-host token', () => {
+    const host = createGhHost({ hostname: 'ghe.example.com' });
+    const repo = { host: 'github-work', owner: 'octo', name: 'app' };
+
+    expect(host.describeCreate({ repo, base: 'main', head: 'me:feat/x', fill: true }))
+      .toBe('gh pr create --repo ghe.example.com/octo/app --base main --head me:feat/x --fill');
+    expect(host.setup.at(-1)).toBe('gh auth login --hostname ghe.example.com');
+    expect(createGhHost({ hostname: 'github.com' }).authHint).toBe('gh auth login');
+
+    // A stand-in gh on PATH records what the lookups ask for
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-gh-'));
+    const log = path.join(bin, 'calls.log');
+    fs.writeFileSync(path.join(bin, 'gh'), '#!/bin/sh\necho "$*" >> "$QPR_GH_LOG"\necho "[]"\n', { mode: 0o755 });
+    try {
+      const ghHost = createGhHost({ hostname: 'ghe.example.com', env: { ...process.env, PATH: `${bin}${path.delimiter}${process.env.PATH}`, QPR_GH_LOG: log } });
+      const target = { repo };
+      ghHost.findOpenPR('feat/x', target);
+      ghHost.findMergedPR('feat/x', target);
+      ghHost.listLabels(target);
+      ghHost.createLabel({ name: 'bug' }, target);
+      ghHost.getIssue({ number: 7 }, target);
+
+      const calls = fs.readFileSync(log, 'utf8').trim().split('\n');
+      expect(calls).toHaveLength(5);
+      for (const call of calls) expect(call).toContain('--repo ghe.example.com/octo/app');
+    } finally {
+      fs.rmSync(bin, { recursive: true, force: true });
+    }
+  });
+
+  it('should pass reviewers and assignees to gh pr create', () => {
+    expect(createGhHost().describeCreate({ base: 'main', head: 'feat/x', fill: true, reviewers: ['alice', 'octo/api'], assignees: ['@me'] }))
+      .toBe("gh pr create --base main --head feat/x --reviewer alice --reviewer octo/api --assignee @me --fill");
+  });
+});
+
+describe('lib.js against a local repository', () => {
+  let root;
+  let repo;
+  let origin;
+  let host;
+  let backend;
+  const git = (...args) => backend.git.runChecked(args).stdout.trim();
+  const originGit = (...args) => createGitBackend({ cwd: origin, env }).runChecked(args).stdout.trim();
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-backend-'));
+    origin = path.join(root, 'origin.git');
+    repo = path.join(root, 'work');
+    fs.mkdirSync(repo);
+    createGitBackend({ cwd: root, env }).runChecked(['init', '-q', '--bare', '-b', 'main', origin]);
+
+    host = createMemoryHost();
+    backend = createBackend({ cwd: repo, env, host });
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    fs.writeFileSync(path.join(repo, 'app.js'), 'export const a = 1;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+    git('remote', 'add', 'origin', origin);
+    git('push', '-q', '-u', 'origin', 'main');
+    git('remote', 'set-head', 'origin', 'main');
+    git('checkout', '-q', '-b', 'feature/login');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should pick the PR host from the target remote or the config', () => {
+    const hostFor = options => createBackend({ cwd: repo, env, ...options }).host;
+
+    git('remote', 'set-url', 'origin', 'git@gitlab.example.com:group/app.git');
+    expect(hostFor().name).toBe('gitlab');
+    git('remote', 'add', 'upstream', 'https://codeberg.org/octo/app.git');
+    expect(hostFor().name).toBe('gitea');
+    expect(hostFor({ remote: 'origin' }).name).toBe('gitlab');
+    expect(hostFor({ hostSettings: { type: 'bitbucket' } }).name).toBe('bitbucket');
+    git('remote', 'set-url', 'upstream', 'https://github.com/octo/app.git');
+    expect(hostFor().name).toBe('github');
+    expect(hostFor({ hostSettings: { api: true } }).label).toBe('GitHub API');
+    // Without gh on the PATH the REST API takes over
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    const gitBin = process.env.PATH.split(path.delimiter).map(dir => path.join(dir, 'git')).find(file => fs.existsSync(file));
+    fs.symlinkSync(gitBin, path.join(bin, 'git'));
+    expect(hostFor({ env: { ...env, PATH: bin } }).label).toBe('GitHub API');
+
+    // An SSH alias in the remote gives way to GH_HOST, the config and --hostname, in that order
+    git('remote', 'set-url', 'upstream', 'git@github-work:octo/app.git');
+    const api = { hostSettings: { api: true } };
+    expect(hostFor(api).hostname).toBe('github-work');
+    expect(hostFor({ ...api, env: { ...env, GH_HOST: 'ghe.example.com' } }).hostname).toBe('ghe.example.com');
+    expect(hostFor({ hostSettings: { api: true, hostname: 'ghe.corp.com' }, env: { ...env, GH_HOST: 'ghe.example.com' } }).hostname).toBe('ghe.corp.com');
+    expect(hostFor({ ...api, hostname: 'gitlab.corp.com' }).name).toBe('gitlab');
+  });
+
+  it('should report a failed PR instead of crashing without gh and with a local-path remote', async () => {
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    const gitBin = process.env.PATH.split(path.delimiter).map(dir => path.join(dir, 'git')).find(file => fs.existsSync(file));
+    fs.symlinkSync(gitBin, path.join(bin, 'git'));
+    const noGh = createBackend({ cwd: repo, env: { ...env, PATH: bin } });
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    commitAndPush('feat: login', 'feature/login', { backend: noGh });
+
+    const result = await createPR('main', 'feature/login', { backend: noGh, provider: 'none', title: 'feat: login' });
+
+    expect(result).toBe(false);
+    expect(originGit('rev-parse', 'feature/login')).toBe(git('rev-parse', 'HEAD'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to create PR: Could not tell the github repository from the remote URL'));
+  });
+
+  it('should detect the current and default branches', () => {
+    expect(getCurrentBranch(backend)).toBe('feature/login');
+    expect(getDefaultBranch('origin', backend)).toBe('main');
+
+    // Without origin/HEAD the default branch comes from the remote itself
+    git('remote', 'set-head', 'origin', '-d');
+    expect(getDefaultBranch('origin', backend)).toBe('main');
+    expect(getDefaultBranch('missing', backend)).toBeNull();
+  });
+
+  it('should push the branch with upstream tracking', () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'feat: login');
+
+    expect(pushBranch('feature/login', 'origin', backend)).toBe(true);
+
+    expect(originGit('rev-parse', 'feature/login')).toBe(git('rev-parse', 'HEAD'));
+    expect(git('rev-parse', '--abbrev-ref', '@{upstream}')).toBe('origin/feature/login');
+  });
+
+  it('should commit the message verbatim and push', () => {
+    const message = 'feat: "quoted" $(whoami) `id`\n\nBody line';
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+
+    expect(commitAndPush(message, 'feature/login', { backend })).toBe(true);
+
+    expect(git('log', '-1', '--pretty=format:%B')).toBe(message);
+    expect(originGit('rev-parse', 'feature/login')).toBe(git('rev-parse', 'HEAD'));
+  });
+
+  it('should commit only staged changes when asked', () => {
+    fs.writeFileSync(path.join(repo, 'staged.js'), 'staged\n');
+    fs.writeFileSync(path.join(repo, 'unstaged.js'), 'unstaged\n');
+    git('add', 'staged.js');
+
+    expect(commitAndPush('feat: staged only', 'feature/login', { backend, stage: 'staged' })).toBe(true);
+
+    expect(git('show', '--name-only', '--pretty=format:', 'HEAD')).toBe('staged.js');
+    expect(git('status', '--porcelain')).toBe('?? unstaged.js');
+  });
+
+  it('should move uncommitted work to a new branch named after the message', () => {
+    git('checkout', '-q', 'main');
+    git('branch', 'feat/add-login');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+
+    const plan = planBranch('feat: add login', { backend });
+    executePlan(plan, backend);
+
+    expect(plan.branch).toBe('feat/add-login-2');
+    expect(getCurrentBranch(backend)).toBe('feat/add-login-2');
+    expect(git('status', '--porcelain')).toBe('?? login.js');
+    expect(git('rev-parse', 'main')).toBe(originGit('rev-parse', 'main'));
+  });
+
+  it('should leave excluded files out of the commit', () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    fs.writeFileSync(path.join(repo, 'debug.log'), 'trace\n');
+
+    expect(commitAndPush('feat: login', 'feature/login', { backend, staging: { exclude: ['*.log'] } })).toBe(true);
+
+    expect(git('show', '--name-only', '--pretty=format:', 'HEAD')).toBe('login.js');
+    expect(git('status', '--porcelain')).toBe('?? debug.log');
+  });
+
+  it('should commit only the given paths even with other changes staged', () => {
+    fs.mkdirSync(path.join(repo, 'src'));
+    fs.writeFileSync(path.join(repo, 'src', 'login.js'), 'export const login = true;\n');
+    fs.writeFileSync(path.join(repo, 'wip.js'), 'wip\n');
+    git('add', 'wip.js');
+
+    expect(commitAndPush('feat: login', 'feature/login', { backend, only: ['src'] })).toBe(true);
+
+    expect(git('show', '--name-only', '--pretty=format:', 'HEAD')).toBe('src/login.js');
+    expect(git('status', '--porcelain')).toBe('A  wip.js');
+  });
+
+  it('should commit the picked files, including both sides of a rename', async () => {
+    git('mv', 'app.js', 'main.js');
+    fs.writeFileSync(path.join(repo, 'scratch.txt'), 'notes\n');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+
+    // Listed as 1. app.js -> main.js, 2. login.js, 3. scratch.txt
+    const only = await pickFilesToCommit({ backend, ask: async () => '1 2' });
+    expect(commitAndPush('refactor: rename app', 'feature/login', { backend, only })).toBe(true);
+
+    expect(git('show', '--name-status', '--pretty=format:', 'HEAD')).toBe('A\tlogin.js\nR100\tapp.js\tmain.js');
+    expect(git('status', '--porcelain')).toBe('?? scratch.txt');
+  });
+
+  it('should refuse to pick files without a terminal to ask in', async () => {
+    const isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+    try {
+      expect(await pickFilesToCommit({ backend })).toBe(false);
+    } finally {
+      process.stdin.isTTY = isTTY;
+    }
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('--pick needs an interactive terminal'));
+  });
+
+  it('should block a commit that stages a secret until it is allowed', () => {
+    const head = git('rev-parse', 'HEAD');
+    const keyLine = `export const id = '${'AKIA' + 'IOSFODNN7EXAMPLE'}';`;
+    fs.writeFileSync(path.join(repo, 'aws.js'), `${keyLine}\n`);
+
+    expect(commitAndPush('feat: aws', 'feature/login', { backend })).toBe(false);
+    expect(git('rev-parse', 'HEAD')).toBe(head);
+    expect(() => originGit('rev-parse', '--verify', '-q', 'feature/login')).toThrow();
+
+    // Accepted in the baseline, the same key no longer blocks
+    const findings = scanStagedChanges({ backend });
+    expect(findings.map(finding => finding.rule)).toEqual(['aws-access-key']);
+    acceptSecretFindings(findings, { backend });
+    expect(commitAndPush('feat: aws', 'feature/login', { backend })).toBe(true);
+
+    fs.writeFileSync(path.join(repo, 'aws.js'), `${keyLine}\n${keyLine.replace('id', 'other')} // qpr-allow-secret\n`);
+    expect(commitAndPush('feat: allowed key', 'feature/login', { backend })).toBe(true);
+
+    fs.writeFileSync(path.join(repo, '.env'), 'DEBUG=1\n');
+    expect(commitAndPush('chore: env', 'feature/login', { backend })).toBe(false);
+    expect(commitAndPush('chore: env', 'feature/login', { backend, allowSecrets: true })).toBe(true);
+    expect(git('show', '--name-only', '--pretty=format:', 'HEAD')).toBe('.env');
+  });
+
+  it('should stop before committing when the secret scan cannot run', () => {
+    const head = git('rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(repo, '.qpr-secrets-baseline.json'), '{ not json');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+
+    expect(() => executePlan(planCommit('feat: login', { backend }), backend)).toThrow(SecretScanError);
+    expect(() => executePlan(planCommit('feat: login', { backend }), backend)).toThrow(/^Secret scan failed: Invalid secrets baseline/);
+    expect(git('rev-parse', 'HEAD')).toBe(head);
+    expect(commitAndPush('feat: login', 'feature/login', { backend })).toBe(false);
+    expect(() => originGit('rev-parse', '--verify', '-q', 'feature/login')).toThrow();
+  });
+
+  it('should amend the last commit and force push it after confirming', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v1\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+    const pushed = git('rev-parse', 'HEAD');
+
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v2\n');
+    const ask = vi.fn(async () => 'y');
+    expect(await forceCommitAndPush('feature/login', { backend, ask })).toBe(true);
+
+    const amended = git('rev-parse', 'HEAD');
+    expect(ask).toHaveBeenCalledTimes(1);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`${pushed.slice(0, 7)} feat: login`));
+    expect(amended).not.toBe(pushed);
+    expect(git('rev-list', '--count', 'main..HEAD')).toBe('1');
+    expect(git('log', '-1', '--pretty=format:%s')).toBe('feat: login');
+    expect(originGit('rev-parse', 'feature/login')).toBe(amended);
+    expect(listBackups('feature/login', { backend }).map(backup => backup.sha)).toEqual([pushed]);
+  });
+
+  it('should change nothing when the overwrite is declined or the branch is protected', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v1\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+    const pushed = git('rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v2\n');
+
+    expect(await forceCommitAndPush('feature/login', { backend, ask: async () => 'n' })).toBe(false);
+    expect(await forceCommitAndPush('feature/login', { backend, yes: true, forcePush: { protected: ['feature/*'] } })).toBe(false);
+
+    expect(git('rev-parse', 'HEAD')).toBe(pushed);
+    expect(originGit('rev-parse', 'feature/login')).toBe(pushed);
+    expect(git('status', '--porcelain')).toBe('M login.js');
+    expect(listBackups('feature/login', { backend })).toEqual([]);
+    expect(listBackups('feature/login', { backend: createBackend({ cwd: root, env, host }) })).toEqual([]);
+  });
+
+  it('should not overwrite commits pushed since the last fetch', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v1\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+
+    // A teammate pushes to the same branch
+    const clone = path.join(root, 'clone');
+    createGitBackend({ cwd: root, env }).runChecked(['clone', '-q', '-b', 'feature/login', origin, clone]);
+    const teammate = createGitBackend({ cwd: clone, env });
+    fs.writeFileSync(path.join(clone, 'teammate.js'), 'theirs\n');
+    teammate.runChecked(['add', '-A']);
+    teammate.runChecked(['-c', 'user.email=t@example.com', '-c', 'user.name=T', 'commit', '-q', '-m', 'feat: theirs']);
+    teammate.runChecked(['push', '-q']);
+    const theirs = teammate.output(['rev-parse', 'HEAD']);
+
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v2\n');
+    expect(await forceCommitAndPush('feature/login', { backend, yes: true })).toBe(false);
+
+    expect(originGit('rev-parse', 'feature/login')).toBe(theirs);
+  });
+
+  it('should restore the version a force push replaced', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v1\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+    const pushed = git('rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v2\n');
+    await forceCommitAndPush('feature/login', { backend, yes: true });
+    const amended = git('rev-parse', 'HEAD');
+
+    expect(await restoreBackup('feature/login', { backend, yes: true })).toBe(true);
+
+    expect(git('rev-parse', 'HEAD')).toBe(pushed);
+    expect(originGit('rev-parse', 'feature/login')).toBe(pushed);
+    expect(git('status', '--porcelain')).toBe('');
+    // The restore is undoable too: the amended commit is now the newest backup
+    expect(listBackups('feature/login', { backend }).map(backup => backup.sha)).toEqual([amended, pushed]);
+    expect(await restoreBackup('feature/login', { backend, backup: 'missing', yes: true })).toBe(false);
+  });
+
+  it('should open a PR on the host with the analysis of the branch range', async () => {
+    fs.writeFileSync(path.join(repo, 'auth.js'), 'export function authenticate() {}\n');
+    commitAndPush('feat: add authentication', 'feature/login', { backend });
+    // Commits on main after the branch point must not leak into the three-dot range
+    git('checkout', '-q', 'main');
+    fs.writeFileSync(path.join(repo, 'unrelated.js'), 'later\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'chore: unrelated');
+    git('checkout', '-q', 'feature/login');
+
+    const result = await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login', draft: true });
+
+    expect(result).toBe(true);
+    expect(host.created).toHaveLength(1);
+    const [request] = host.created;
+    expect(request).toMatchObject({ base: 'main', head: 'feature/login', title: 'feat: login', draft: true });
+    expect(request.body).toContain('<!-- AI_ANALYSIS_START -->');
+    expect(request.body).toContain('auth.js');
+    expect(request.body).not.toContain('unrelated.js');
+    expect(request.body).toContain('## Severity: Critical');
+  });
+
+  it('should push to the fork and open the PR upstream against the fresh base', async () => {
+    // origin plays the fork, upstream the original repository that main moved ahead in
+    const upstream = path.join(root, 'upstream.git');
+    git('clone', '-q', '--bare', origin, upstream);
+    git('remote', 'add', 'upstream', upstream);
+    const other = path.join(root, 'other');
+    createGitBackend({ cwd: root, env }).runChecked(['clone', '-q', upstream, other]);
+    const otherGit = createGitBackend({ cwd: other, env });
+    fs.writeFileSync(path.join(other, 'merged.js'), 'merged upstream\n');
+    otherGit.runChecked(['add', '-A']);
+    otherGit.runChecked(['-c', 'user.email=o@example.com', '-c', 'user.name=O', 'commit', '-q', '-m', 'feat: merged upstream']);
+    otherGit.runChecked(['push', '-q', 'origin', 'main']);
+
+    // The feature branch is based on the merged work, but local main is stale
+    git('fetch', '-q', 'upstream');
+    git('checkout', '-q', '-B', 'feature/login', 'upstream/main');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    const target = { remote: 'upstream', pushRemote: 'origin', fork: true, repo: { host: 'github.com', owner: 'octo', name: 'app' }, headOwner: 'me' };
+
+    expect(commitAndPush('feat: login', 'feature/login', { backend, target })).toBe(true);
+    const result = await createPR('main', 'feature/login', { backend, target, provider: 'none', title: 'feat: login' });
+
+    expect(result).toBe(true);
+    expect(originGit('rev-parse', 'feature/login')).toBe(git('rev-parse', 'HEAD'));
+    expect(createGitBackend({ cwd: upstream, env }).run(['rev-parse', '--verify', '--quiet', 'feature/login']).code).not.toBe(0);
+    const [request] = host.created;
+    expect(request).toMatchObject({ repo: target.repo, base: 'main', head: 'me:feature/login' });
+    expect(request.body).toContain('login.js');
+    expect(request.body).not.toContain('merged.js');
+  });
+
+  it('should label the PR from the analysis and create missing labels', async () => {
+    host.labels.push({ name: 'area:security' });
+    fs.writeFileSync(path.join(repo, 'auth.js'), 'export function authenticate() {}\n');
+    commitAndPush('feat: add authentication', 'feature/login', { backend });
+
+    await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login', label: ['needs-qa'] });
+
+    expect(host.findOpenPR('feature/login').labels.map(label => label.name)).toEqual(['severity:critical', 'area:security', 'needs-qa']);
+    expect(host.labels).toContainEqual({ name: 'severity:critical', color: 'b60205', description: 'Severity: Critical' });
+    expect(host.labels.filter(label => label.name === 'area:security')).toHaveLength(1);
+  });
+
+  it('should skip labels on a host without them', async () => {
+    host.supportsLabels = false;
+    fs.writeFileSync(path.join(repo, 'auth.js'), 'export function authenticate() {}\n');
+    commitAndPush('feat: add authentication', 'feature/login', { backend });
+
+    expect(await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login', label: ['needs-qa'] })).toBe(true);
+
+    expect(host.findOpenPR('feature/login').labels || []).toEqual([]);
+    expect(host.labels).toEqual([]);
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Labels'));
+  });
+
+  it('should replace outdated analysis labels on update', async () => {
+    fs.writeFileSync(path.join(repo, 'README.md'), '# Docs\n');
+    commitAndPush('docs: readme', 'feature/login', { backend });
+    host.labels.push({ name: 'severity:critical' }, { name: 'area:security' }, { name: 'bug' });
+    host.prs.push({
+      number: 5, state: 'open', headRefName: 'feature/login', baseRefName: 'main', title: 'docs', body: '', url: 'https://example.test/pulls/5',
+      labels: [{ name: 'severity:critical' }, { name: 'area:security' }, { name: 'bug' }]
+    });
+
+    await updatePR('feature/login', { backend, provider: 'none' });
+
+    expect(host.findOpenPR('feature/login').labels.map(label => label.name)).toEqual(['bug', 'severity:low', 'area:docs']);
+  });
+
+  it('should request reviews from the code owners of the changed files', async () => {
+    fs.mkdirSync(path.join(repo, '.github'));
+    fs.writeFileSync(path.join(repo, '.github', 'CODEOWNERS'), '* @me @lead\napi/ @octo/api\n');
+    fs.mkdirSync(path.join(repo, 'api'));
+    fs.writeFileSync(path.join(repo, 'api', 'users.js'), 'export const users = [];\n');
+    commitAndPush('feat: users api', 'feature/login', { backend });
+    host = createMemoryHost({ user: 'me' });
+    backend = createBackend({ cwd: repo, env, host });
+
+    await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: users', reviewer: ['@qa'], assignee: ['@me'] });
+
+    const [request] = host.created;
+    expect(request.reviewers).toEqual(['lead', 'octo/api', 'qa']);
+    expect(request.assignees).toEqual(['@me']);
+    expect(request.body).toContain('## Suggested Reviewers\nFrom `.github/CODEOWNERS`');
+    expect(request.body).toContain('- @octo/api: `api/users.js`');
+    expect(request.body).toContain('- @me (author): `.github/CODEOWNERS`');
+  });
+
+  it('should link the issues named by the branch and commits', async () => {
+    git('checkout', '-q', '-b', 'feature/42-session-timeout');
+    fs.writeFileSync(path.join(repo, 'session.js'), 'export const timeout = 30;\n');
+    commitAndPush('fix: extend the session timeout\n\nRefs: #7, PROJ-88', 'feature/42-session-timeout', { backend });
+    host = createMemoryHost({ issues: [{ number: 42, title: 'Sessions expire too early' }] });
+    backend = createBackend({ cwd: repo, env, host });
+
+    await createPR('main', 'feature/42-session-timeout', { backend, provider: 'none', title: 'fix: session timeout', issues: { keys: ['PROJ'] } });
+
+    expect(host.created[0].body).toContain('## Linked Issues\n- Closes #42: Sessions expire too early\n- Related to #7\n- PROJ-88');
+  });
+
+  it('should leave lockfiles, generated, ignored and binary files out of the analysis', async () => {
+    fs.mkdirSync(path.join(repo, 'gen'));
+    fs.writeFileSync(path.join(repo, '.gitattributes'), 'gen/** linguist-generated\n');
+    fs.writeFileSync(path.join(repo, '.qprignore'), 'fixtures/\n');
+    fs.writeFileSync(path.join(repo, 'package-lock.json'), `${'"lock": "secure auth token",\n'.repeat(800)}`);
+    fs.writeFileSync(path.join(repo, 'gen', 'client.js'), 'export const password = 1;\n'.repeat(600));
+    fs.mkdirSync(path.join(repo, 'fixtures'));
+    fs.writeFileSync(path.join(repo, 'fixtures', 'big.json'), '{}\n'.repeat(700));
+    fs.writeFileSync(path.join(repo, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]));
+    fs.writeFileSync(path.join(repo, 'login.js'), 'const login = true;\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+
+    await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login' });
+
+    const { body } = host.created[0];
+    expect(body).toContain('## Severity: Low');
+    expect(body).toContain('This PR introduces changes across 3 file(s)');
+    expect(body).toContain('## Omitted from Analysis');
+    expect(body).toContain('- `package-lock.json` (lockfile, +800 -0)');
+    expect(body).toContain('- `gen/client.js` (linguist-generated, +600 -0)');
+    expect(body).toContain('- `fixtures/big.json` (.qprignore, +700 -0)');
+    expect(body).toContain('- `logo.png` (binary)');
+  });
+
+  it('should analyze a branch without checking it out, pushing or opening a PR', async () => {
+    fs.writeFileSync(path.join(repo, 'auth.js'), 'export function login(user) {}\n');
+    fs.writeFileSync(path.join(repo, 'yarn.lock'), 'lock\n'.repeat(50));
+    commitAndPush('feat: login', 'feature/login', { backend });
+    git('checkout', '-q', 'main');
+    const pushed = host.created.length;
+    console.log.mockClear();
+
+    const report = await analyzeRange('main', 'feature/login', { backend, provider: 'none' });
+
+    expect(git('branch', '--show-current')).toBe('main');
+    expect(host.created).toHaveLength(pushed);
+    expect(report.base).toBe('origin/main');
+    expect(report.severity.level).toBe('Critical');
+    expect(report.severity.rules.map(rule => rule.id)).toContain('auth-files');
+    expect(report.metrics).toMatchObject({ filesChanged: 1, insertions: 1 });
+    expect(report.files.map(file => [file.path, file.omitted])).toEqual([['auth.js', null], ['yarn.lock', 'lockfile']]);
+    expect(report.impactAreas.map(area => area.id)).toContain('security');
+    expect(report.description).toContain('## Severity: Critical');
+    expect(console.log).not.toHaveBeenCalled();
+    expect(await analyzeRange('main', 'main', { backend, provider: 'none' })).toBeNull();
+  });
+
+  it('should still analyze when the host cannot answer lookups', async () => {
+    fs.mkdirSync(path.join(repo, '.github'));
+    fs.writeFileSync(path.join(repo, '.github', 'CODEOWNERS'), '* @alice\n');
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'fix: login\n\nFixes #12');
+    const broken = { git: backend.git, get host() { throw new Error('Could not tell the github repository from the remote URL'); } };
+
+    const report = await analyzeRange('main', 'feature/login', { backend: broken, provider: 'none', reviewers: { maxOpenReviews: 3 } });
+
+    expect(report.description).toContain('- Closes #12');
+    expect(report.description).toContain('@alice');
+  });
+
+  it('should report an unreadable secrets baseline as a risk instead of failing the analysis', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'feat: login');
+    fs.writeFileSync(path.join(repo, '.qpr-secrets-baseline.json'), '{ not json');
+
+    const report = await analyzeRange('main', 'feature/login', { backend, provider: 'none' });
+
+    expect(report.description).toContain('- 🔐 **Secret Scan:** Could not scan for secrets: Invalid secrets baseline .qpr-secrets-baseline.json');
+    expect(report.description).toContain('## Severity:');
+  });
+
+  it('should warn when the repository requires an issue and none is referenced', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+
+    await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login', issues: { required: true } });
+
+    expect(host.created).toHaveLength(1);
+    expect(host.created[0].body).not.toContain('Linked Issues');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('feature/login references no issue'));
+  });
+
+  it('should update the existing PR instead of opening a second one', async () => {
+    fs.writeFileSync(path.join(repo, 'login.js'), 'export const login = true;\n');
+    commitAndPush('feat: login', 'feature/login', { backend });
+    host.prs.push({ number: 3, state: 'open', headRefName: 'feature/login', baseRefName: 'main', title: 'feat: login', body: 'Notes', url: 'https://example.test/pulls/3' });
+
+    const result = await createPR('main', 'feature/login', { backend, provider: 'none', title: 'feat: login' });
+
+    expect(result).toBe(true);
+    expect(host.created).toHaveLength(0);
+    expect(host.updated[0].body).toContain('<!-- AI_ANALYSIS_START -->');
+    expect(host.findOpenPR('feature/login').body).toMatch(/^Notes\n\n---\n\n<!-- AI_ANALYSIS_START -->/);
+  });
+});
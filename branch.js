@@ -0,0 +1,72 @@
+import { extractIssues } from './issues.js';
+
+export const DEFAULT_BRANCH_SETTINGS = {
+  // Placeholders: {type}, {scope}, {issue} and {slug}; an empty one drops out with its separator
+  pattern: '{type}/{issue}-{slug}',
+  // Create the branch on its own when committing on the default branch or a detached HEAD
+  auto: true,
+  // Longest slug in characters, cut at a word boundary
+  slugLength: 40
+};
+
+const CONVENTIONAL_SUBJECT = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+// "feat(api)!: add users" -> { type: 'feat', scope: 'api', breaking: true, description: 'add users' }
+export function parseConventionalMessage(message) {
+  const subject = String(message || '').split('\n')[0].trim();
+  const match = subject.match(CONVENTIONAL_SUBJECT);
+  if (!match) {
+    return { type: null, scope: null, breaking: false, description: subject };
+  }
+  return { type: match[1].toLowerCase(), scope: match[2] || null, breaking: Boolean(match[3]), description: match[4].trim() };
+}
+
+export function slugify(text, maxLength = DEFAULT_BRANCH_SETTINGS.slugLength) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= maxLength) return slug;
+
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf('-');
+  return (boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+}
+
+// The issue for {issue}: an explicit one, else the first the message references
+function branchIssue(message, options) {
+  if (options.issue) return String(options.issue).replace(/^#/, '');
+  const [issue] = extractIssues({ messages: [message] }, { keys: options.keys });
+  if (!issue || issue.repo) return null;
+  return issue.type === 'tracker' ? issue.key : String(issue.number);
+}
+
+// Branch name for a commit message, e.g. "fix: cache expiry (#12)" -> "fix/12-cache-expiry".
+// options: pattern, slugLength, issue, and keys (tracker project keys, as in the issues config)
+export function branchNameFromMessage(message, options = {}) {
+  const { pattern, slugLength } = { ...DEFAULT_BRANCH_SETTINGS, ...options };
+  const parsed = parseConventionalMessage(message);
+  const issue = branchIssue(message, options);
+
+  // The issue has its own placeholder, so it doesn't repeat in the slug
+  let description = parsed.description.replace(/\(?#\d+\)?/g, ' ');
+  if (issue) description = description.replace(new RegExp(issue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), ' ');
+
+  const values = {
+    type: parsed.type,
+    scope: parsed.scope && slugify(parsed.scope),
+    issue,
+    slug: slugify(description, slugLength)
+  };
+  const filled = pattern.replace(/\{(\w+)\}/g, (match, name) => values[name] || '');
+
+  // Drop separators left around empty placeholders, then empty path segments
+  const name = filled
+    .split('/')
+    .map(segment => segment.replace(/([-_.])[-_.]+/g, '$1').replace(/^[-_.]+|[-_.]+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+  return name || null;
+}
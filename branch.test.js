@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { parseConventionalMessage, slugify, branchNameFromMessage } from './branch.js';
+
+describe('parseConventionalMessage', () => {
+  it('should split type, scope, breaking marker and description', () => {
+    expect(parseConventionalMessage('feat(api)!: add users\n\nbody')).toEqual({ type: 'feat', scope: 'api', breaking: true, description: 'add users' });
+    expect(parseConventionalMessage('Update readme')).toEqual({ type: null, scope: null, breaking: false, description: 'Update readme' });
+  });
+});
+
+describe('slugify', () => {
+  it('should lowercase, strip accents and cut at a word boundary', () => {
+    expect(slugify('Fix Café  login, again!')).toBe('fix-cafe-login-again');
+    expect(slugify('add a very long description of the change', 20)).toBe('add-a-very-long');
+  });
+});
+
+describe('branchNameFromMessage', () => {
+  it('should fill the default pattern from a conventional message', () => {
+    expect(branchNameFromMessage('fix: cache expiry (#12)')).toBe('fix/12-cache-expiry');
+    expect(branchNameFromMessage('feat: add login')).toBe('feat/add-login');
+    expect(branchNameFromMessage('PROJ-88 fix the cache', { keys: ['PROJ'] })).toBe('PROJ-88-fix-the-cache');
+  });
+
+  it('should apply a configured pattern and an explicit issue', () => {
+    expect(branchNameFromMessage('feat(Web UI): dark mode', { pattern: '{scope}/{type}-{slug}' })).toBe('web-ui/feat-dark-mode');
+    expect(branchNameFromMessage('feat: dark mode', { pattern: 'me/{issue}/{slug}', issue: '#45' })).toBe('me/45/dark-mode');
+  });
+
+  it('should give up when nothing usable is left', () => {
+    expect(branchNameFromMessage('!!!')).toBeNull();
+  });
+});
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import { matchGlob } from './glob.js';
+
+export const IGNORE_FILE = '.qprignore';
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  // Size of the diff excerpt given to the model, in estimated tokens (about 4 characters each)
+  tokens: 12000,
+  // Budget in bytes instead, when set
+  bytes: null,
+  // A file taking more than this share of the budget is cut down to its signatures
+  maxFileShare: 0.25,
+  // Leave lockfiles, minified bundles, snapshots and generated code out of the analysis
+  defaults: true,
+  // More globs to leave out, like lines of .qprignore
+  ignore: [],
+  // GitHub rejects PR bodies longer than this many characters
+  maxBodyLength: 65536,
+  // Sections longer than this many lines are collapsed into <details> blocks
+  collapseLines: 25
+};
+
+const DEFAULT_IGNORES = [
+  { reason: 'lockfile', patterns: ['*.lock', 'package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'go.sum'] },
+  { reason: 'minified', patterns: ['*.min.js', '*.min.css', '*.map'] },
+  { reason: 'snapshot', patterns: ['*.snap', '__snapshots__/'] },
+  { reason: 'generated', patterns: ['*.pb.go', '*_pb2.py', '*.generated.*'] }
+];
+
+// Declarations worth keeping when a file is cut down: functions, classes, types and exports
+const SIGNATURE = /^\s*(?:export\s|public\s|private\s|protected\s|internal\s|static\s|abstract\s|async\s+function|function\s|def\s|func\s|fn\s|pub\s|class\s|interface\s|type\s|struct\s|enum\s|trait\s|impl\s|module\s|(?:const|let|var)\s+\w+\s*=\s*(?:async\s*)?(?:\([^)]*\)|\w+)\s*=>)/;
+
+const TEST_FILE = ['*.test.*', '*.spec.*', '*_test.*', 'test/', 'tests/', '__tests__/', 'spec/'];
+const DOC_FILE = ['*.md', '*.mdx', '*.rst', '*.txt', 'docs/'];
+const DATA_FILE = ['*.json', '*.yml', '*.yaml', '*.toml', '*.xml', '*.csv', '*.ini'];
+
+export function budgetSettings(settings = {}) {
+  return { ...DEFAULT_BUDGET_SETTINGS, ...settings };
+}
+
+// Tokens are estimated at 4 characters each, which is close enough for code and English
+export function measure(text, settings = {}) {
+  const { bytes } = budgetSettings(settings);
+  return bytes ? Buffer.byteLength(text, 'utf8') : Math.ceil(text.length / 4);
+}
+
+export function budgetLimit(settings = {}) {
+  const { bytes, tokens } = budgetSettings(settings);
+  return bytes || tokens;
+}
+
+export function formatBudget(settings = {}) {
+  const { bytes } = budgetSettings(settings);
+  return bytes ? `${budgetLimit(settings)} bytes` : `about ${budgetLimit(settings)} tokens`;
+}
+
+export function readIgnoreFile(root) {
+  const file = path.join(root, IGNORE_FILE);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+}
+
+// gitignore-style lines; "!pattern" brings back a file an earlier line or a default left out
+export function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => (line.startsWith('!') ? { pattern: line.slice(1), negated: true } : { pattern: line, negated: false }));
+}
+
+// `git check-attr -z` output: path, attribute and value, each NUL-terminated
+export function parseCheckAttr(output) {
+  const attributes = new Map();
+  const tokens = (output || '').split('\0');
+  for (let i = 0; i + 2 < tokens.length; i += 3) {
+    const [file, name, value] = tokens.slice(i, i + 3);
+    if (!attributes.has(file)) attributes.set(file, {});
+    attributes.get(file)[name] = value;
+  }
+  return attributes;
+}
+
+function attributeSet(value) {
+  return value === 'set' || value === 'true';
+}
+
+// Files the analysis leaves out, as Map(path -> reason). files: numstat entries ({ path, binary });
+// ignoreFile: .qprignore content; attributes: parseCheckAttr() of linguist-generated/vendored
+export function omittedFiles(files, { settings = {}, ignoreFile = '', attributes = new Map() } = {}) {
+  const { defaults, ignore } = budgetSettings(settings);
+  // Later rules win, so .qprignore can bring back what a default left out
+  const rules = [
+    ...(defaults ? DEFAULT_IGNORES.flatMap(group => group.patterns.map(pattern => ({ pattern, negated: false, reason: group.reason }))) : []),
+    ...[ignore].flat().filter(Boolean).map(pattern => ({ pattern, negated: false, reason: 'budget.ignore' })),
+    ...parseIgnoreFile(ignoreFile).map(rule => ({ ...rule, reason: IGNORE_FILE }))
+  ];
+
+  const omitted = new Map();
+  for (const file of files) {
+    const attrs = attributes.get(file.path) || {};
+    const rule = rules.findLast(candidate => matchGlob(file.path, candidate.pattern));
+    let reason = rule && !rule.negated ? rule.reason : null;
+    if (attributeSet(attrs['linguist-generated'])) reason = 'linguist-generated';
+    if (attributeSet(attrs['linguist-vendored'])) reason = 'linguist-vendored';
+    if (file.binary) reason = 'binary';
+    if (reason) omitted.set(file.path, reason);
+  }
+  return omitted;
+}
+
+function fileWeight(file) {
+  if (TEST_FILE.some(pattern => matchGlob(file.path, pattern))) return 0.6;
+  if (DOC_FILE.some(pattern => matchGlob(file.path, pattern))) return 0.5;
+  if (DATA_FILE.some(pattern => matchGlob(file.path, pattern))) return 0.7;
+  return 1;
+}
+
+function hunkSignatures(hunk) {
+  return [...hunk.removed, ...hunk.added].filter(line => SIGNATURE.test(line.text)).length;
+}
+
+// Small hunks in source files that touch declarations come first; big ones and tests, docs and data last
+export function hunkScore(file, hunk) {
+  const changed = hunk.added.length + hunk.removed.length;
+  const emphasis = 1 + 2 * hunkSignatures(hunk) + (hunk.heading ? 0.5 : 0);
+  return (fileWeight(file) * emphasis) / Math.log2(changed + 2);
+}
+
+export function renderHunk(hunk) {
+  const header = `@@ -${hunk.oldStart} +${hunk.newStart} @@${hunk.heading ? ` ${hunk.heading}` : ''}`;
+  return [header, ...hunk.removed.map(line => `-${line.text}`), ...hunk.added.map(line => `+${line.text}`)].join('\n');
+}
+
+function fileHeader(file) {
+  return `### ${file.path} (${file.change}, +${file.insertions} -${file.deletions})`;
+}
+
+// The declarations a large file adds or removes, plus git's function context of each hunk
+export function signatureSummary(file, max = 20) {
+  const lines = [];
+  for (const hunk of file.hunks) {
+    if (hunk.heading) lines.push(`  @@ ${hunk.heading.trim()}`);
+    for (const line of hunk.removed) if (SIGNATURE.test(line.text)) lines.push(`- ${line.text.trim()}`);
+    for (const line of hunk.added) if (SIGNATURE.test(line.text)) lines.push(`+ ${line.text.trim()}`);
+  }
+  const unique = [...new Set(lines)];
+  const shown = unique.slice(0, max);
+  if (unique.length > max) shown.push(`  … ${unique.length - max} more`);
+  return [`(${file.hunks.length} hunk${file.hunks.length === 1 ? '' : 's'} cut down to signatures)`, ...shown].join('\n');
+}
+
+// Fit the hunks of the analyzed files into the budget: every file is named, files over their share
+// are cut to signatures, and the remaining hunks go in by relevance until the budget is spent
+export function budgetDiff(files, settings = {}) {
+  const { maxFileShare } = budgetSettings(settings);
+  const limit = budgetLimit(settings);
+  const size = text => measure(`${text}\n`, settings);
+
+  let used = 0;
+  const entries = [];
+  let unlisted = 0;
+  for (const file of files) {
+    const header = fileHeader(file);
+    if (used + size(header) > limit) {
+      unlisted++;
+      continue;
+    }
+    used += size(header);
+    entries.push({ file, header, hunks: [], dropped: 0, summary: null });
+  }
+
+  const candidates = [];
+  for (const entry of entries) {
+    const rendered = entry.file.hunks.map(hunk => renderHunk(hunk));
+    if (rendered.reduce((sum, text) => sum + size(text), 0) > limit * maxFileShare) {
+      const summary = signatureSummary(entry.file);
+      if (used + size(summary) <= limit) {
+        entry.summary = summary;
+        used += size(summary);
+      } else {
+        entry.dropped = entry.file.hunks.length;
+      }
+      continue;
+    }
+    entry.file.hunks.forEach((hunk, index) => {
+      candidates.push({ entry, index, text: rendered[index], score: hunkScore(entry.file, hunk) });
+    });
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  for (const candidate of candidates) {
+    if (used + size(candidate.text) <= limit) {
+      candidate.entry.hunks.push(candidate);
+      used += size(candidate.text);
+    } else {
+      candidate.entry.dropped++;
+    }
+  }
+
+  const blocks = entries.map(entry => {
+    const body = entry.summary || entry.hunks.sort((a, b) => a.index - b.index).map(hunk => hunk.text).join('\n');
+    const dropped = entry.dropped > 0 ? `… ${entry.dropped} hunk${entry.dropped === 1 ? '' : 's'} left out` : '';
+    return [entry.header, body, dropped].filter(Boolean).join('\n');
+  });
+  if (unlisted > 0) blocks.push(`… ${unlisted} more file${unlisted === 1 ? '' : 's'} not shown`);
+
+  return {
+    text: blocks.join('\n\n'),
+    used,
+    limit,
+    summarized: entries.filter(entry => entry.summary).map(entry => entry.file.path),
+    truncated: entries.filter(entry => entry.dropped > 0 && !entry.summary).map(entry => entry.file.path),
+    unlisted
+  };
+}
+
+function fileList(paths) {
+  return paths.map(file => `\`${file}\``).join(', ');
+}
+
+// What the analysis did not look at in full, so reviewers know where it is blind
+export function formatOmittedSection(omitted, diff, excerpt) {
+  const lines = [];
+  for (const file of diff.files.filter(candidate => omitted.has(candidate.path))) {
+    const counts = file.binary ? '' : `, +${file.insertions} -${file.deletions}`;
+    lines.push(`- \`${file.path}\` (${omitted.get(file.path)}${counts})`);
+  }
+  if (excerpt?.summarized.length > 0) lines.push(`- Cut down to signatures: ${fileList(excerpt.summarized)}`);
+  if (excerpt?.truncated.length > 0) lines.push(`- Partly shown to the model: ${fileList(excerpt.truncated)}`);
+  if (excerpt?.unlisted > 0) lines.push(`- ${excerpt.unlisted} more file(s) over the budget`);
+  if (lines.length === 0) return null;
+  return ['## Omitted from Analysis', ...lines].join('\n');
+}
+
+// The blank line after </details> lets the next heading render
+const DETAILS_END = '\n\n</details>\n';
+const CUT_NOTE = /^… (\d+) more lines? cut to fit the PR body limit$/;
+
+function collapse(section, collapseLines) {
+  const [heading, ...body] = section.split('\n');
+  const lines = body.join('\n').trim().split('\n');
+  if (lines.length <= collapseLines || lines[0].startsWith('<details>')) return section;
+  return `${heading}\n<details><summary>${lines.length} lines</summary>\n\n${lines.join('\n')}${DETAILS_END}`;
+}
+
+// A section as its lines without the closing </details> and the note of an earlier cut
+function sectionLines(section) {
+  const closed = section.endsWith(DETAILS_END);
+  const lines = (closed ? section.slice(0, -DETAILS_END.length) : section).split('\n');
+  const note = lines.at(-1).match(CUT_NOTE);
+  return { lines: note ? lines.slice(0, -1) : lines, cut: note ? Number(note[1]) : 0, closed };
+}
+
+// Cut the longest section that can still lose lines in half, keeping its heading; false when none can
+function shortenLongest(sections) {
+  let longest = -1;
+  sections.forEach((section, index) => {
+    if (!section.startsWith('## ') || sectionLines(section).lines.length <= 2) return;
+    if (longest === -1 || section.length > sections[longest].length) longest = index;
+  });
+  if (longest === -1) return false;
+
+  const { lines, cut, closed } = sectionLines(sections[longest]);
+  const keep = Math.max(2, Math.floor(lines.length / 2));
+  const total = cut + lines.length - keep;
+  const note = `… ${total} more line${total === 1 ? '' : 's'} cut to fit the PR body limit`;
+  sections[longest] = `${lines.slice(0, keep).join('\n')}\n${note}${closed ? DETAILS_END : ''}`;
+  return true;
+}
+
+// Collapse long "## " sections into <details> and shorten the longest ones until the markdown fits
+export function fitDescription(markdown, settings = {}) {
+  const { maxBodyLength, collapseLines } = budgetSettings(settings);
+  const footer = markdown.match(/\n+---\n\*Generated with [^\n]*\*\s*$/);
+  const content = footer ? markdown.slice(0, footer.index) : markdown;
+  const ending = footer ? footer[0] : '';
+
+  const sections = content.split(/\n(?=## )/).map(section => (section.startsWith('## ') ? collapse(section, collapseLines) : section));
+  const joined = () => `${sections.join('\n')}${ending}`;
+  while (maxBodyLength && joined().length > maxBodyLength && shortenLongest(sections));
+
+  const result = joined();
+  return maxBodyLength && result.length > maxBodyLength ? result.slice(0, maxBodyLength) : result;
+}
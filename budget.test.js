@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { omittedFiles, parseCheckAttr, budgetDiff, measure, hunkScore, signatureSummary, formatOmittedSection, fitDescription } from './budget.js';
+
+const line = (number, text) => ({ number, text });
+const hunk = (start, removed, added, heading = '') => ({
+  oldStart: start,
+  newStart: start,
+  heading,
+  removed: removed.map((text, i) => line(start + i, text)),
+  added: added.map((text, i) => line(start + i, text))
+});
+const file = (path, hunks) => ({
+  path,
+  change: 'modified',
+  insertions: hunks.reduce((sum, h) => sum + h.added.length, 0),
+  deletions: hunks.reduce((sum, h) => sum + h.removed.length, 0),
+  binary: false,
+  hunks
+});
+
+describe('omittedFiles', () => {
+  const files = ['yarn.lock', 'dist/app.min.js', 'src/__snapshots__/a.snap', 'api/user.pb.go', 'src/app.js', 'vendor/lib.js', 'gen/types.ts', 'img.png']
+    .map(path => ({ path, binary: path.endsWith('.png') }));
+
+  it('should leave out lockfiles, bundles, snapshots, generated and binary files by default', () => {
+    expect(Object.fromEntries(omittedFiles(files))).toEqual({
+      'yarn.lock': 'lockfile',
+      'dist/app.min.js': 'minified',
+      'src/__snapshots__/a.snap': 'snapshot',
+      'api/user.pb.go': 'generated',
+      'img.png': 'binary'
+    });
+  });
+
+  it('should honor .qprignore, its negations and linguist attributes', () => {
+    const attributes = parseCheckAttr('vendor/lib.js\0linguist-vendored\0set\0vendor/lib.js\0linguist-generated\0unspecified\0gen/types.ts\0linguist-generated\0true\0');
+    const omitted = omittedFiles(files, { ignoreFile: '# comment\nsrc/\n!yarn.lock\n', attributes, settings: { defaults: true } });
+
+    expect(omitted.get('src/app.js')).toBe('.qprignore');
+    expect(omitted.has('yarn.lock')).toBe(false);
+    expect(omitted.get('vendor/lib.js')).toBe('linguist-vendored');
+    expect(omitted.get('gen/types.ts')).toBe('linguist-generated');
+    expect(omittedFiles(files, { settings: { defaults: false } }).size).toBe(1);
+  });
+});
+
+describe('budgetDiff', () => {
+  it('should include everything that fits', () => {
+    const excerpt = budgetDiff([file('src/a.js', [hunk(3, ['const a = 1;'], ['const a = 2;'], 'function run()')])]);
+
+    expect(excerpt.text).toBe('### src/a.js (modified, +1 -1)\n@@ -3 +3 @@ function run()\n-const a = 1;\n+const a = 2;');
+    expect(excerpt.summarized).toEqual([]);
+    expect(excerpt.truncated).toEqual([]);
+  });
+
+  it('should stay within the budget, preferring hunks that touch declarations', () => {
+    const noise = n => Array.from({ length: 5 }, (_, i) => hunk(100 + i * 10, [], [`value${n}${i} = ${i};`]));
+    const files = Array.from({ length: 6 }, (_, n) => file(`src/f${n}.js`, noise(n)));
+    files[5].hunks.push(hunk(1, [], ['export function login(user) {']));
+    const excerpt = budgetDiff(files, { tokens: 200, maxFileShare: 0.5 });
+
+    expect(excerpt.used).toBeLessThanOrEqual(200);
+    expect(measure(excerpt.text)).toBeLessThanOrEqual(200 + 20);
+    expect(excerpt.text).toContain('+export function login(user) {');
+    expect(excerpt.text).toMatch(/… \d+ hunks? left out/);
+    expect(excerpt.summarized).toEqual([]);
+    expect(excerpt.truncated.length).toBeGreaterThan(0);
+  });
+
+  it('should cut a file over its share down to signatures', () => {
+    const big = file('src/big.py', [
+      hunk(1, [], ['def parse(text):', ...Array(60).fill('    x = 1')], 'class Parser:'),
+      hunk(90, [], ['class Lexer:', ...Array(60).fill('    y = 2')])
+    ]);
+    const excerpt = budgetDiff([big, file('src/small.py', [hunk(1, ['a = 1'], ['a = 2'])])], { tokens: 400 });
+
+    expect(excerpt.summarized).toEqual(['src/big.py']);
+    expect(excerpt.text).toContain('(2 hunks cut down to signatures)\n  @@ class Parser:\n+ def parse(text):\n+ class Lexer:');
+    expect(excerpt.text).toContain('+a = 2');
+    expect(signatureSummary(big, 1)).toContain('… 2 more');
+  });
+
+  it('should count bytes when a byte budget is set, and name files it has no room for', () => {
+    const files = Array.from({ length: 10 }, (_, i) => file(`src/file${i}.js`, [hunk(1, [], ['x'])]));
+    const excerpt = budgetDiff(files, { bytes: 100 });
+
+    expect(Buffer.byteLength(excerpt.text)).toBeLessThanOrEqual(100 + excerpt.unlisted * 40);
+    expect(excerpt.unlisted).toBeGreaterThan(0);
+    expect(excerpt.text).toMatch(/… \d+ more files not shown$/);
+  });
+
+  it('should rank source above tests and docs', () => {
+    const change = hunk(1, ['a'], ['b']);
+
+    expect(hunkScore({ path: 'src/a.js' }, change)).toBeGreaterThan(hunkScore({ path: 'src/a.test.js' }, change));
+    expect(hunkScore({ path: 'src/a.test.js' }, change)).toBeGreaterThan(hunkScore({ path: 'README.md' }, change));
+  });
+});
+
+describe('formatOmittedSection', () => {
+  it('should list omitted and shortened files', () => {
+    const diff = { files: [{ ...file('yarn.lock', []), insertions: 900 }, { ...file('logo.png', []), binary: true }, file('src/a.js', [])] };
+    const omitted = new Map([['yarn.lock', 'lockfile'], ['logo.png', 'binary']]);
+
+    expect(formatOmittedSection(omitted, diff, { summarized: ['src/a.js'], truncated: [], unlisted: 0 })).toBe([
+      '## Omitted from Analysis',
+      '- `yarn.lock` (lockfile, +900 -0)',
+      '- `logo.png` (binary)',
+      '- Cut down to signatures: `src/a.js`'
+    ].join('\n'));
+    expect(formatOmittedSection(new Map(), { files: [] }, { summarized: [], truncated: [], unlisted: 0 })).toBeNull();
+  });
+});
+
+describe('fitDescription', () => {
+  const description = [
+    '## Summary', 'Short.', '',
+    '## Files Modified', ...Array.from({ length: 400 }, (_, i) => `- src/file${i}.js (+1 -1)`), '',
+    '## Risks & Considerations', '- Low risk', '',
+    '---', '*Generated with GitHub Copilot analysis*'
+  ].join('\n');
+
+  it('should collapse long sections into details blocks', () => {
+    const fitted = fitDescription(description);
+
+    expect(fitted).toContain('## Files Modified\n<details><summary>400 lines</summary>\n\n- src/file0.js (+1 -1)');
+    expect(fitted).toContain('</details>\n\n## Risks & Considerations\n- Low risk');
+    expect(fitted.endsWith('---\n*Generated with GitHub Copilot analysis*')).toBe(true);
+    expect(fitDescription(fitted)).toBe(fitted);
+  });
+
+  it('should shorten the longest sections to fit the body limit', () => {
+    const fitted = fitDescription(description, { maxBodyLength: 2000 });
+
+    expect(fitted.length).toBeLessThanOrEqual(2000);
+    expect(fitted).toMatch(/… \d+ more lines cut to fit the PR body limit\n\n<\/details>/);
+    expect(fitted).toContain('## Risks & Considerations\n- Low risk');
+    expect(fitted).toContain('*Generated with GitHub Copilot analysis*');
+  });
+});
@@ -0,0 +1,187 @@
+import { extractIssues } from './issues.js';
+
+export const CHANGELOG_FORMATS = ['markdown', 'json'];
+
+export const DEFAULT_CHANGELOG_SETTINGS = {
+  // Where --write prepends the release, relative to the repository root
+  file: 'CHANGELOG.md',
+  // Commit type -> Keep a Changelog section; other types (docs, test, chore, ...) are left out
+  // unless they break something. Set a type to null to drop it.
+  sections: {
+    feat: 'Added',
+    fix: 'Fixed',
+    perf: 'Changed',
+    refactor: 'Changed',
+    revert: 'Changed',
+    deprecate: 'Deprecated',
+    remove: 'Removed',
+    security: 'Security'
+  }
+};
+
+// The order Keep a Changelog lists its sections in
+const SECTION_ORDER = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project are documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/), and commits follow [Conventional Commits](https://www.conventionalcommits.org/en/v1.0.0/).`;
+
+// type(scope)!: description
+const HEADER_PATTERN = /^(\w+)(?:\(([^()]*)\))?(!)?:\s*(.+)$/;
+// A footer starts with "Token: " or "Token #", tokens having no spaces except BREAKING CHANGE
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[\w-]+)(?::\s|\s#)/;
+// Squash merges on GitHub end the subject with (#123)
+const PR_SUFFIX = /\s*\((?:#|!)(\d+)\)$/;
+// GitLab merge commits say "See merge request group/project!12"
+const MERGE_REQUEST = /merge request [\w./-]*!(\d+)/i;
+
+// Paths of pull requests, issues and commits on each host's website
+const WEB_PATHS = {
+  github: { pull: 'pull', issue: 'issues', commit: 'commit' },
+  gitlab: { pull: '-/merge_requests', issue: '-/issues', commit: '-/commit' },
+  gitea: { pull: 'pulls', issue: 'issues', commit: 'commit' },
+  bitbucket: { pull: 'pull-requests', issue: 'issues', commit: 'commits' }
+};
+
+// "BREAKING CHANGE:" footers, each running on until the next footer or blank line
+function breakingNotes(body) {
+  const notes = [];
+  let current = null;
+  for (const line of body.split('\n')) {
+    const footer = line.match(FOOTER_PATTERN);
+    if (footer) {
+      current = /^BREAKING[ -]CHANGE$/.test(footer[1]) ? [line.slice(footer[0].length).trim()] : null;
+      if (current) notes.push(current);
+    } else if (!line.trim()) {
+      current = null;
+    } else if (current) {
+      current.push(line.trim());
+    }
+  }
+  return notes.map(note => note.join(' ').trim()).filter(Boolean);
+}
+
+// A commit message as conventional parts, or null when the subject is not conventional
+export function parseConventionalCommit(message, hash = null) {
+  const [subject = '', ...rest] = (message || '').trim().split('\n');
+  const header = subject.trim().match(HEADER_PATTERN);
+  if (!header) return null;
+
+  const body = rest.join('\n').trim();
+  const notes = breakingNotes(body);
+  const pr = header[4].match(PR_SUFFIX)?.[1] ?? body.match(MERGE_REQUEST)?.[1] ?? null;
+  const description = header[4].replace(PR_SUFFIX, '').trim();
+  const issues = extractIssues({ messages: [description, body] })
+    .filter(issue => issue.type === 'github' && !issue.repo && String(issue.number) !== pr)
+    .map(issue => issue.number);
+
+  return {
+    hash,
+    type: header[1].toLowerCase(),
+    scope: header[2]?.trim() || null,
+    breaking: Boolean(header[3]) || notes.length > 0,
+    description,
+    notes,
+    pr: pr && Number(pr),
+    issues
+  };
+}
+
+// git log --format=%H%x1f%B%x1e output as { hash, message } records
+export function parseCommitLog(output) {
+  return (output || '').split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [hash, message = ''] = record.split('\x1f');
+      return { hash: hash.trim(), message };
+    });
+}
+
+// Conventional commits grouped into Keep a Changelog sections, oldest first within a section.
+// commits come newest first, as git log lists them.
+export function buildChangelog(commits, { version = 'Unreleased', date = null, settings = {} } = {}) {
+  const sections = { ...DEFAULT_CHANGELOG_SETTINGS.sections, ...settings.sections };
+  const grouped = new Map();
+  let skipped = 0;
+
+  for (const { hash, message } of [...commits].reverse()) {
+    const commit = parseConventionalCommit(message, hash);
+    // A breaking change is always listed, under Changed when its type has no section
+    const title = commit && (sections[commit.type] || (commit.breaking ? 'Changed' : null));
+    if (!title) {
+      skipped += 1;
+      continue;
+    }
+    if (!grouped.has(title)) grouped.set(title, []);
+    grouped.get(title).push(commit);
+  }
+
+  const rank = title => (SECTION_ORDER.includes(title) ? SECTION_ORDER.indexOf(title) : SECTION_ORDER.length);
+  return {
+    version,
+    date,
+    sections: [...grouped.keys()]
+      .sort((a, b) => rank(a) - rank(b))
+      .map(title => ({ title, entries: grouped.get(title) })),
+    skipped
+  };
+}
+
+// Links to pull requests, issues and commits of a repository, or null when the host is unknown
+export function webLinks(repo, type = 'github') {
+  const paths = WEB_PATHS[type];
+  if (!repo || !paths) return null;
+  const root = `https://${repo.host}/${repo.owner}/${repo.name}`;
+  return {
+    pull: number => `${root}/${paths.pull}/${number}`,
+    issue: number => `${root}/${paths.issue}/${number}`,
+    commit: hash => `${root}/${paths.commit}/${hash}`
+  };
+}
+
+function formatEntry(entry, links) {
+  const link = (text, url) => (links ? `[${text}](${url})` : text);
+  const refs = [
+    entry.pr && link(`#${entry.pr}`, links?.pull(entry.pr)),
+    ...entry.issues.map(number => link(`#${number}`, links?.issue(number))),
+    !entry.pr && entry.hash && link(entry.hash.slice(0, 7), links?.commit(entry.hash))
+  ].filter(Boolean);
+
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  const breaking = entry.breaking ? '**BREAKING:** ' : '';
+  const line = `- ${breaking}${scope}${entry.description}${refs.length > 0 ? ` (${refs.join(', ')})` : ''}`;
+  return [line, ...entry.notes.map(note => `  - ${note}`)].join('\n');
+}
+
+export function formatChangelog(changelog, links = null) {
+  const heading = `## [${changelog.version}]${changelog.date ? ` - ${changelog.date}` : ''}`;
+  if (changelog.sections.length === 0) return `${heading}\n\nNo notable changes.`;
+
+  const sections = changelog.sections.map(section =>
+    [`### ${section.title}`, '', ...section.entries.map(entry => formatEntry(entry, links))].join('\n'));
+  return [heading, ...sections].join('\n\n');
+}
+
+// The release goes above the newest one. An earlier write of the same version is replaced, and so is
+// the Unreleased section once its changes get a version.
+export function prependRelease(existing, release, version) {
+  if (!existing?.trim()) return `${CHANGELOG_HEADER}\n\n${release}\n`;
+
+  const lines = existing.replace(/\s+$/, '').split('\n');
+  const isRelease = line => /^## /.test(line);
+  for (const replaced of new Set([version, 'Unreleased'])) {
+    const start = lines.findIndex(line => line.startsWith(`## [${replaced}]`));
+    if (start === -1) continue;
+    const next = lines.findIndex((line, index) => index > start && isRelease(line));
+    lines.splice(start, (next === -1 ? lines.length : next) - start);
+  }
+
+  const first = lines.findIndex(isRelease);
+  if (first === -1) return `${lines.join('\n').replace(/\s+$/, '')}\n\n${release}\n`;
+  const before = lines.slice(0, first).join('\n').replace(/\s+$/, '');
+  const after = lines.slice(first).join('\n').replace(/\s+$/, '');
+  return `${before ? `${before}\n\n` : ''}${release}\n\n${after}\n`;
+}
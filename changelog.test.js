@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseConventionalCommit, parseCommitLog, buildChangelog, formatChangelog, webLinks, prependRelease } from './changelog.js';
+
+const commit = (hash, message) => ({ hash, message });
+
+describe('parseConventionalCommit', () => {
+  it('should read the type, scope, breaking marker, PR and issues', () => {
+    expect(parseConventionalCommit('feat(API)!: add cursor paging (#42)\n\nRefs #7, fixes #9', 'abc')).toEqual({
+      hash: 'abc', type: 'feat', scope: 'API', breaking: true, description: 'add cursor paging', notes: [], pr: 42, issues: [7, 9]
+    });
+    expect(parseConventionalCommit('Merge branch main')).toBeNull();
+    expect(parseConventionalCommit('fix: x\n\nSee merge request group/app!12').pr).toBe(12);
+  });
+
+  it('should collect BREAKING CHANGE footers up to the next footer', () => {
+    const message = 'refactor: rename options\n\nLonger text.\n\nBREAKING CHANGE: --out is now\n--output.\nReviewed-by: Z\nBREAKING-CHANGE: drop -x';
+
+    expect(parseConventionalCommit(message)).toMatchObject({ breaking: true, notes: ['--out is now --output.', 'drop -x'] });
+    expect(parseConventionalCommit('fix: mention BREAKING CHANGE: in the body').breaking).toBe(false);
+  });
+});
+
+describe('buildChangelog', () => {
+  // Newest first, as git log lists them
+  const log = parseCommitLog([
+    'f5\x1fchore(deps)!: require node 20\n\x1e',
+    'e4\x1fdocs: typo\n\x1e',
+    'd3\x1fperf: cache the diff\n\x1e',
+    'c2\x1ffix(cli): keep the exit code (#12)\n\x1e',
+    'b1\x1ffeat: add changelog\n\nCloses #3\n\x1e',
+    'a0\x1fwip\n\x1e'
+  ].join('\n'));
+
+  it('should group commits into Keep a Changelog sections in order', () => {
+    const changelog = buildChangelog(log, { version: '1.2.0', date: '2026-10-19' });
+
+    expect(changelog.sections.map(section => [section.title, section.entries.map(entry => entry.hash)])).toEqual([
+      ['Added', ['b1']], ['Changed', ['d3', 'f5']], ['Fixed', ['c2']]
+    ]);
+    expect(changelog.skipped).toBe(2);
+    expect(buildChangelog(log, { settings: { sections: { docs: 'Documentation', perf: null } } }).sections.map(section => section.title))
+      .toEqual(['Added', 'Changed', 'Fixed', 'Documentation']);
+  });
+
+  it('should render the release with links to PRs, issues and commits', () => {
+    const links = webLinks({ host: 'gitlab.example.com', owner: 'group/sub', name: 'app' }, 'gitlab');
+
+    expect(formatChangelog(buildChangelog(log, { version: '1.2.0', date: '2026-10-19' }), links)).toBe([
+      '## [1.2.0] - 2026-10-19',
+      '',
+      '### Added',
+      '',
+      '- add changelog ([#3](https://gitlab.example.com/group/sub/app/-/issues/3), [b1](https://gitlab.example.com/group/sub/app/-/commit/b1))',
+      '',
+      '### Changed',
+      '',
+      '- cache the diff ([d3](https://gitlab.example.com/group/sub/app/-/commit/d3))',
+      '- **BREAKING:** **deps:** require node 20 ([f5](https://gitlab.example.com/group/sub/app/-/commit/f5))',
+      '',
+      '### Fixed',
+      '',
+      '- **cli:** keep the exit code ([#12](https://gitlab.example.com/group/sub/app/-/merge_requests/12))'
+    ].join('\n'));
+    expect(formatChangelog(buildChangelog([]))).toBe('## [Unreleased]\n\nNo notable changes.');
+  });
+});
+
+describe('prependRelease', () => {
+  it('should start a changelog, then add releases above the newest and replace Unreleased', () => {
+    const first = prependRelease(null, '## [Unreleased]\n\n- a', 'Unreleased');
+    expect(first).toMatch(/^# Changelog\n\n[\s\S]*Keep a Changelog[\s\S]*\n\n## \[Unreleased\]\n\n- a\n$/);
+
+    const existing = '# Changelog\n\nNotes.\n\n## [Unreleased]\n\n- a\n\n## [1.0.0] - 2026-01-01\n\n- old\n';
+    expect(prependRelease(existing, '## [Unreleased]\n\n- a\n- b', 'Unreleased'))
+      .toBe('# Changelog\n\nNotes.\n\n## [Unreleased]\n\n- a\n- b\n\n## [1.0.0] - 2026-01-01\n\n- old\n');
+    expect(prependRelease(existing, '## [1.1.0] - 2026-10-19\n\n- a', '1.1.0'))
+      .toBe('# Changelog\n\nNotes.\n\n## [1.1.0] - 2026-10-19\n\n- a\n\n## [1.0.0] - 2026-01-01\n\n- old\n');
+    expect(prependRelease('# Changelog', '## [1.0.0]\n\n- a', '1.0.0')).toBe('# Changelog\n\n## [1.0.0]\n\n- a\n');
+  });
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { matchGlob } from './glob.js';
+
+// Where GitHub looks for the file, in the order it checks them
+export const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+export const DEFAULT_REVIEWER_SETTINGS = {
+  enabled: true,
+  // Most owners requested on one PR; the ones owning the most changed files go first
+  max: 3,
+  // Skip owners who already have this many open review requests; null disables the check
+  maxOpenReviews: null,
+  // Assigned to every PR, e.g. ['@me']
+  assignees: []
+};
+
+export function findCodeowners(root) {
+  for (const location of CODEOWNERS_LOCATIONS) {
+    const file = path.join(root, location);
+    if (fs.existsSync(file)) {
+      return { path: location, content: fs.readFileSync(file, 'utf8') };
+    }
+  }
+  return null;
+}
+
+// One rule per line: a pattern followed by zero or more @user, @org/team or email owners
+export function parseCodeowners(content) {
+  const rules = [];
+  content.split(/\r?\n/).forEach((raw, index) => {
+    // "\#" escapes a pattern that starts with '#'; anything after an unescaped '#' is a comment
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    // GitLab-style [Section] headers carry no ownership on their own
+    if (!line || /^\^?\[[^\]]*\]/.test(line)) return;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({ pattern: pattern.replace(/^\\#/, '#'), owners, line: index + 1 });
+  });
+  return rules;
+}
+
+// "docs/*" covers the files directly in docs/, not the ones in its subdirectories
+function ruleMatches(file, pattern) {
+  if (!matchGlob(file, pattern)) return false;
+  return !(pattern.endsWith('/*') && matchGlob(path.posix.dirname(file), pattern));
+}
+
+// The last matching rule wins, so a later rule without owners unassigns a file
+export function ownersForFile(rules, file) {
+  const rule = rules.findLast(candidate => ruleMatches(file, candidate.pattern));
+  return rule ? rule.owners : [];
+}
+
+function sameOwner(a, b) {
+  return a.replace(/^@/, '').toLowerCase() === b.replace(/^@/, '').toLowerCase();
+}
+
+// options.exclude: logins of the author; options.openReviews(login): their current review load
+export function suggestReviewers(rules, files, options = {}) {
+  const { exclude = [], max = DEFAULT_REVIEWER_SETTINGS.max, maxOpenReviews = null, openReviews } = options;
+
+  const byOwner = new Map();
+  for (const file of files) {
+    for (const owner of ownersForFile(rules, file)) {
+      const key = owner.toLowerCase();
+      if (!byOwner.has(key)) byOwner.set(key, { owner, files: [] });
+      byOwner.get(key).files.push(file);
+    }
+  }
+
+  const reviewers = [];
+  const skipped = [];
+  const candidates = [...byOwner.values()].sort((a, b) => b.files.length - a.files.length);
+  for (const candidate of candidates) {
+    const skip = reason => skipped.push({ ...candidate, reason });
+
+    if (!candidate.owner.startsWith('@')) {
+      skip('no GitHub login');
+    } else if (exclude.some(login => sameOwner(login, candidate.owner))) {
+      skip('author');
+    } else if (max !== null && max !== undefined && reviewers.length >= max) {
+      skip(`limit of ${max} reviewer${max === 1 ? '' : 's'}`);
+    } else {
+      // Teams spread the work themselves, so only people are checked against the cap
+      const isTeam = candidate.owner.includes('/');
+      const load = maxOpenReviews !== null && maxOpenReviews !== undefined && !isTeam && openReviews
+        ? openReviews(candidate.owner.slice(1))
+        : null;
+      if (load !== null && load >= maxOpenReviews) {
+        skip(`${load} open review requests`);
+      } else {
+        reviewers.push(candidate);
+      }
+    }
+  }
+
+  return { reviewers, skipped };
+}
+
+// Owner handle as gh expects it: "alice" or "org/team"
+export function reviewerLogin(owner) {
+  return owner.replace(/^@/, '');
+}
+
+function fileList(files) {
+  const shown = files.slice(0, 5).map(file => `\`${file}\``).join(', ');
+  return files.length > 5 ? `${shown} and ${files.length - 5} more` : shown;
+}
+
+export function formatReviewersSection(suggestion, source) {
+  if (suggestion.reviewers.length === 0 && suggestion.skipped.length === 0) return null;
+
+  const lines = [`## Suggested Reviewers`, `From \`${source}\`, by the changed files each owner covers:`, ''];
+  for (const reviewer of suggestion.reviewers) {
+    lines.push(`- ${reviewer.owner}: ${fileList(reviewer.files)}`);
+  }
+  if (suggestion.reviewers.length === 0) {
+    lines.push('- No owner could be requested');
+  }
+  if (suggestion.skipped.length > 0) {
+    lines.push('', '**Not requested:**');
+    for (const owner of suggestion.skipped) {
+      lines.push(`- ${owner.owner} (${owner.reason}): ${fileList(owner.files)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Repeated or comma-separated --reviewer/--assignee values as gh logins; "@me" stays as is
+export function splitLogins(values) {
+  const logins = [];
+  for (const value of [values].flat(Infinity).filter(Boolean).flatMap(entry => String(entry).split(','))) {
+    const login = value.trim() === '@me' ? '@me' : reviewerLogin(value.trim());
+    if (login && !logins.some(existing => existing.toLowerCase() === login.toLowerCase())) {
+      logins.push(login);
+    }
+  }
+  return logins;
+}
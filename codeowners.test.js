@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { parseCodeowners, ownersForFile, suggestReviewers, formatReviewersSection, splitLogins } from './codeowners.js';
+
+const CODEOWNERS = `# Default owners
+*       @octo/core
+
+/docs/*   @writer   # top-level docs only
+*.sql     @dba dba@example.com
+api/      @alice @bob
+api/generated/
+\\#notes   @carol
+`;
+
+describe('parseCodeowners', () => {
+  it('should read patterns and owners and skip comments', () => {
+    const rules = parseCodeowners(CODEOWNERS);
+
+    expect(rules.map(rule => rule.pattern)).toEqual(['*', '/docs/*', '*.sql', 'api/', 'api/generated/', '#notes']);
+    expect(rules[1]).toEqual({ pattern: '/docs/*', owners: ['@writer'], line: 4 });
+    expect(rules[4].owners).toEqual([]);
+  });
+});
+
+describe('ownersForFile', () => {
+  const rules = parseCodeowners(CODEOWNERS);
+
+  it('should let the last matching rule win', () => {
+    expect(ownersForFile(rules, 'src/index.js')).toEqual(['@octo/core']);
+    expect(ownersForFile(rules, 'db/schema.sql')).toEqual(['@dba', 'dba@example.com']);
+    expect(ownersForFile(rules, 'api/users.js')).toEqual(['@alice', '@bob']);
+    expect(ownersForFile(rules, 'api/generated/client.js')).toEqual([]);
+    expect(ownersForFile(rules, '#notes')).toEqual(['@carol']);
+  });
+
+  it('should match "dir/*" only one level deep', () => {
+    expect(ownersForFile(rules, 'docs/intro.md')).toEqual(['@writer']);
+    expect(ownersForFile(rules, 'docs/guides/setup.md')).toEqual(['@octo/core']);
+  });
+});
+
+describe('suggestReviewers', () => {
+  const rules = parseCodeowners(CODEOWNERS);
+  const files = ['api/users.js', 'api/auth.js', 'db/schema.sql', 'src/index.js'];
+
+  it('should rank owners by files and explain the ones left out', () => {
+    const { reviewers, skipped } = suggestReviewers(rules, files, { exclude: ['Bob'], max: 2 });
+
+    expect(reviewers.map(reviewer => [reviewer.owner, reviewer.files])).toEqual([
+      ['@alice', ['api/users.js', 'api/auth.js']],
+      ['@dba', ['db/schema.sql']]
+    ]);
+    expect(skipped.map(owner => [owner.owner, owner.reason])).toEqual([
+      ['@bob', 'author'],
+      ['dba@example.com', 'no GitHub login'],
+      ['@octo/core', 'limit of 2 reviewers']
+    ]);
+  });
+
+  it('should skip people at their review cap but not teams', () => {
+    const load = { alice: 5, bob: 1, dba: 4 };
+
+    const { reviewers, skipped } = suggestReviewers(rules, files, { max: null, maxOpenReviews: 4, openReviews: login => load[login] });
+
+    expect(reviewers.map(reviewer => reviewer.owner)).toEqual(['@bob', '@octo/core']);
+    expect(skipped.filter(owner => owner.reason.includes('open review')).map(owner => owner.owner)).toEqual(['@alice', '@dba']);
+  });
+});
+
+describe('formatReviewersSection', () => {
+  it('should list the files that pulled in each owner', () => {
+    const suggestion = suggestReviewers(parseCodeowners(CODEOWNERS), ['api/users.js', 'src/index.js'], { exclude: ['alice'] });
+
+    expect(formatReviewersSection(suggestion, 'CODEOWNERS')).toBe([
+      '## Suggested Reviewers',
+      'From `CODEOWNERS`, by the changed files each owner covers:',
+      '',
+      '- @bob: `api/users.js`',
+      '- @octo/core: `src/index.js`',
+      '',
+      '**Not requested:**',
+      '- @alice (author): `api/users.js`'
+    ].join('\n'));
+    expect(formatReviewersSection({ reviewers: [], skipped: [] }, 'CODEOWNERS')).toBeNull();
+  });
+});
+
+describe('splitLogins', () => {
+  it('should split, strip @ and dedupe logins', () => {
+    expect(splitLogins([['@alice', 'octo/api'], 'Alice,@me', undefined])).toEqual(['alice', 'octo/api', '@me']);
+  });
+});
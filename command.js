@@ -0,0 +1,72 @@
+import { spawnSync } from 'child_process';
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+export class CommandError extends Error {
+  constructor(argv, result) {
+    const detail = result.stderr.trim() || result.error?.message || `exit code ${result.code}`;
+    super(`${formatCommand(argv)} failed: ${detail}`);
+    this.name = 'CommandError';
+    this.argv = argv;
+    this.result = result;
+  }
+}
+
+// Run a binary with an argument array (no shell); never throws
+export function run(file, args = [], options = {}) {
+  const hasInput = options.input !== undefined;
+  const stdio = options.stdio === 'inherit'
+    ? [hasInput ? 'pipe' : 'inherit', 'inherit', 'inherit']
+    : 'pipe';
+
+  const result = spawnSync(file, args, {
+    cwd: options.cwd,
+    env: options.env,
+    input: options.input,
+    timeout: options.timeout,
+    encoding: 'utf8',
+    maxBuffer: MAX_BUFFER,
+    stdio
+  });
+
+  return {
+    stdout: result.stdout ?? '',
+    stderr: result.stderr ?? '',
+    code: result.status ?? (result.error?.code === 'ENOENT' ? 127 : 1),
+    signal: result.signal ?? null,
+    error: result.error ?? null
+  };
+}
+
+// Like run(), but throws a CommandError on a non-zero exit
+export function runChecked(file, args = [], options = {}) {
+  const result = run(file, args, options);
+  if (result.code !== 0) {
+    throw new CommandError([file, ...args], result);
+  }
+  return result;
+}
+
+// Trimmed stdout of a successful command, null otherwise
+export function output(file, args = [], options = {}) {
+  const result = run(file, args, options);
+  return result.code === 0 ? result.stdout.trim() : null;
+}
+
+// Render argv for display, quoting anything a shell would interpret
+export function formatCommand(argv) {
+  return argv
+    .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+}
+
+// Split a command string such as "code --wait" into argv, honoring simple quotes
+export function parseCommandLine(text) {
+  const argv = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    argv.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] ?? match[3]);
+  }
+  return argv;
+}
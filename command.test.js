@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { run, runChecked, output, formatCommand, parseCommandLine, CommandError } from './command.js';
+
+const node = process.execPath;
+
+describe('run', () => {
+  it('should pass arguments verbatim without a shell', () => {
+    const tricky = 'a "quoted" $(whoami) `id` ; rm -rf / && echo \'x\'';
+    const result = run(node, ['-e', 'process.stdout.write(process.argv[1])', tricky]);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe(tricky);
+  });
+
+  it('should feed input through stdin', () => {
+    const result = run(node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'line 1\nline "2"\n' });
+
+    expect(result.stdout).toBe('line 1\nline "2"\n');
+  });
+
+  it('should report failures instead of throwing', () => {
+    const result = run(node, ['-e', 'console.error("boom"); process.exit(3)']);
+
+    expect(result.code).toBe(3);
+    expect(result.stderr.trim()).toBe('boom');
+  });
+
+  it('should report a missing binary as exit code 127', () => {
+    const result = run('qpr-definitely-not-installed', []);
+
+    expect(result.code).toBe(127);
+    expect(result.error.code).toBe('ENOENT');
+  });
+});
+
+describe('runChecked', () => {
+  it('should throw a CommandError carrying stderr', () => {
+    expect(() => runChecked(node, ['-e', 'console.error("not a git repository"); process.exit(128)'])).toThrow(CommandError);
+    expect(() => runChecked(node, ['-e', 'console.error("not a git repository"); process.exit(128)'])).toThrow(/not a git repository/);
+  });
+});
+
+describe('output', () => {
+  it('should return trimmed stdout, or null on failure', () => {
+    expect(output(node, ['-e', 'console.log("  main  ")'])).toBe('main');
+    expect(output(node, ['-e', 'process.exit(1)'])).toBeNull();
+  });
+});
+
+describe('formatCommand', () => {
+  it('should quote only arguments a shell would interpret', () => {
+    expect(formatCommand(['git', 'push', '-u', 'origin', 'feat/x'])).toBe('git push -u origin feat/x');
+    expect(formatCommand(['gh', 'pr', 'create', '--title', "it's done"])).toBe("gh pr create --title 'it'\\''s done'");
+  });
+});
+
+describe('parseCommandLine', () => {
+  it('should split editor commands honoring quotes', () => {
+    expect(parseCommandLine('code --wait')).toEqual(['code', '--wait']);
+    expect(parseCommandLine('"/Applications/My Editor" -w \'two words\'')).toEqual(['/Applications/My Editor', '-w', 'two words']);
+  });
+});
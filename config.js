@@ -0,0 +1,221 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import { DEFAULT_SEVERITY_THRESHOLDS, DEFAULT_SEVERITY_SCORES } from './severity.js';
+import { DEFAULT_TIMEOUT_MS, PROVIDER_NAMES } from './providers.js';
+import { DEFAULT_LABEL_SETTINGS } from './labels.js';
+import { DEFAULT_REVIEWER_SETTINGS } from './codeowners.js';
+import { DEFAULT_ISSUE_SETTINGS } from './issues.js';
+import { DEFAULT_BRANCH_SETTINGS } from './branch.js';
+import { DEFAULT_STAGING_SETTINGS } from './staging.js';
+import { DEFAULT_SECRET_SETTINGS } from './secrets.js';
+import { DEFAULT_FORCE_PUSH_SETTINGS } from './forcepush.js';
+import { DEFAULT_BUDGET_SETTINGS } from './budget.js';
+import { DEFAULT_HOST_SETTINGS, HOST_TYPES } from './hosts.js';
+import { DEFAULT_CHANGELOG_SETTINGS } from './changelog.js';
+
+export const DEFAULT_CONFIG = {
+  // null: "upstream" when that remote exists, otherwise "origin"
+  remote: null,
+  pushRemote: null,
+  base: null,
+  stage: 'all',
+  draft: false,
+  edit: false,
+  editor: null,
+  copilot: true,
+  provider: 'copilot',
+  model: null,
+  llmUrl: null,
+  llmTimeout: DEFAULT_TIMEOUT_MS,
+  severity: {
+    ...DEFAULT_SEVERITY_THRESHOLDS,
+    scores: DEFAULT_SEVERITY_SCORES,
+    defaults: true,
+    rules: []
+  },
+  labels: DEFAULT_LABEL_SETTINGS,
+  reviewers: DEFAULT_REVIEWER_SETTINGS,
+  issues: DEFAULT_ISSUE_SETTINGS,
+  branch: DEFAULT_BRANCH_SETTINGS,
+  staging: DEFAULT_STAGING_SETTINGS,
+  secrets: DEFAULT_SECRET_SETTINGS,
+  forcePush: DEFAULT_FORCE_PUSH_SETTINGS,
+  budget: DEFAULT_BUDGET_SETTINGS,
+  host: DEFAULT_HOST_SETTINGS,
+  changelog: DEFAULT_CHANGELOG_SETTINGS
+};
+
+const REPO_CONFIG_FILES = ['.qprrc.json', '.qprrc.yaml', '.qprrc.yml', '.qprrc'];
+const USER_CONFIG_FILES = ['config', 'config.json', 'config.yaml', 'config.yml'];
+
+function parseBoolean(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+// Environment variables and the config key they map to
+const ENV_VARS = {
+  QPR_REMOTE: ['remote', String],
+  QPR_PUSH_REMOTE: ['pushRemote', String],
+  QPR_BASE: ['base', String],
+  QPR_STAGE: ['stage', String],
+  QPR_DRAFT: ['draft', parseBoolean],
+  QPR_EDIT: ['edit', parseBoolean],
+  QPR_COPILOT: ['copilot', parseBoolean],
+  QPR_PROVIDER: ['provider', String],
+  QPR_LLM_MODEL: ['model', String],
+  QPR_LLM_URL: ['llmUrl', String],
+  QPR_LLM_TIMEOUT: ['llmTimeout', Number]
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readConfigFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    if (parsed === null || parsed === undefined) return {};
+    if (!isPlainObject(parsed)) {
+      throw new Error('expected a mapping of options');
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+}
+
+export function findRepoRoot(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return path.resolve(cwd);
+    dir = parent;
+  }
+}
+
+function userConfigDir(env, homeDir) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(homeDir, '.config'), 'qpr');
+}
+
+function repoLayers(root) {
+  const layers = [];
+
+  const packageFile = path.join(root, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    const packageJson = readConfigFile(packageFile);
+    if (isPlainObject(packageJson.qpr)) {
+      layers.push({ source: 'package.json "qpr"', values: packageJson.qpr });
+    }
+  }
+
+  const rcFile = REPO_CONFIG_FILES.map(name => path.join(root, name)).find(file => fs.existsSync(file));
+  if (rcFile) {
+    layers.push({ source: path.basename(rcFile), values: readConfigFile(rcFile) });
+  }
+
+  return layers;
+}
+
+function userLayers(env, homeDir) {
+  const dir = userConfigDir(env, homeDir);
+  const file = USER_CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  return file ? [{ source: file.replace(homeDir, '~'), values: readConfigFile(file) }] : [];
+}
+
+function envLayer(env) {
+  const values = {};
+  for (const [name, [key, convert]] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[key] = convert(env[name]);
+    }
+  }
+  return { source: 'env', values };
+}
+
+function recordSources(sources, value, source, key) {
+  for (const existing of Object.keys(sources)) {
+    if (existing.startsWith(`${key}.`)) delete sources[existing];
+  }
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [child, childValue] of Object.entries(value)) {
+      recordSources(sources, childValue, source, `${key}.${child}`);
+    }
+  } else {
+    sources[key] = source;
+  }
+}
+
+function mergeLayer(target, sources, values, source, prefix = '') {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeLayer(target[key], sources, value, source, dotted);
+    } else {
+      target[key] = isPlainObject(value) ? structuredClone(value) : value;
+      delete sources[dotted];
+      recordSources(sources, value, source, dotted);
+    }
+  }
+}
+
+// Precedence (lowest first): built-in defaults, user config, package.json "qpr", .qprrc, env, CLI flags
+export function loadConfig({ cwd = process.cwd(), env = process.env, homeDir = os.homedir(), cli = {} } = {}) {
+  const config = {};
+  const sources = {};
+
+  const layers = [
+    { source: 'default', values: DEFAULT_CONFIG },
+    ...userLayers(env, homeDir),
+    ...repoLayers(findRepoRoot(cwd)),
+    envLayer(env),
+    { source: 'cli', values: cli }
+  ];
+
+  for (const layer of layers) {
+    mergeLayer(config, sources, layer.values, layer.source);
+  }
+
+  validateConfig(config, sources);
+  return { config, sources };
+}
+
+// Catch values that would otherwise only fail once qpr has committed and pushed
+function validateConfig(config, sources) {
+  const provider = String(config.provider).toLowerCase();
+  if (!PROVIDER_NAMES.includes(provider)) {
+    throw new Error(`Unknown provider "${config.provider}" from ${sources.provider} (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  const hostTypes = [
+    ['host.type', config.host?.type],
+    ...Object.entries(config.host?.hosts || {}).map(([hostname, type]) => [`host.hosts.${hostname}`, type])
+  ];
+  for (const [key, type] of hostTypes) {
+    if (type != null && !HOST_TYPES.includes(String(type).toLowerCase())) {
+      throw new Error(`Unknown PR host "${type}" for ${key} from ${sources[key]} (expected one of: ${HOST_TYPES.join(', ')})`);
+    }
+  }
+}
+
+// Options the user actually typed, so commander defaults don't mask config values
+export function pickCliOptions(command) {
+  const options = command.opts();
+  return Object.fromEntries(
+    Object.keys(options)
+      .filter(key => command.getOptionValueSource(key) === 'cli')
+      .map(key => [key, options[key]])
+  );
+}
+
+export function describeConfig(config, sources) {
+  return Object.keys(sources).sort().map(key => ({
+    key,
+    value: key.split('.').reduce((value, part) => value?.[part], config),
+    source: sources[key]
+  }));
+}
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, describeConfig, pickCliOptions, DEFAULT_CONFIG } from './config.js';
+import { Command } from 'commander';
+
+let tmp;
+let repo;
+let home;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-config-'));
+  repo = path.join(tmp, 'repo');
+  home = path.join(tmp, 'home');
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  fs.mkdirSync(path.join(repo, 'src'));
+  fs.mkdirSync(home);
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function writeUserConfig(name, content) {
+  const dir = path.join(home, '.config', 'qpr');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content);
+}
+
+describe('loadConfig', () => {
+  it('should return built-in defaults when nothing is configured', () => {
+    const { config, sources } = loadConfig({ cwd: repo, env: {}, homeDir: home });
+
+    expect(config).toEqual(DEFAULT_CONFIG);
+    expect(sources.remote).toBe('default');
+    expect(sources['severity.high.lines']).toBe('default');
+  });
+
+  it('should read .qprrc.json from the repo root when run in a subdirectory', () => {
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), JSON.stringify({ remote: 'upstream', draft: true }));
+
+    const { config, sources } = loadConfig({ cwd: path.join(repo, 'src'), env: {}, homeDir: home });
+
+    expect(config.remote).toBe('upstream');
+    expect(config.draft).toBe(true);
+    expect(sources.draft).toBe('.qprrc.json');
+  });
+
+  it('should read .qprrc.yaml and deep-merge severity thresholds', () => {
+    fs.writeFileSync(path.join(repo, '.qprrc.yaml'), 'severity:\n  high:\n    lines: 1000\n');
+
+    const { config, sources } = loadConfig({ cwd: repo, env: {}, homeDir: home });
+
+    expect(config.severity.high).toEqual({ lines: 1000, files: 10 });
+    expect(sources['severity.high.lines']).toBe('.qprrc.yaml');
+    expect(sources['severity.high.files']).toBe('default');
+  });
+
+  it('should let .qprrc override the package.json "qpr" block', () => {
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'x', qpr: { remote: 'fork', draft: true } }));
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), JSON.stringify({ remote: 'upstream' }));
+
+    const { config, sources } = loadConfig({ cwd: repo, env: {}, homeDir: home });
+
+    expect(config.remote).toBe('upstream');
+    expect(config.draft).toBe(true);
+    expect(sources.draft).toBe('package.json "qpr"');
+  });
+
+  it('should apply precedence cli > env > repo > user > default', () => {
+    writeUserConfig('config', 'provider: ollama\nmodel: llama3.1\ndraft: true\nremote: mine\n');
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), JSON.stringify({ model: 'qwen', remote: 'team' }));
+
+    const { config, sources } = loadConfig({
+      cwd: repo,
+      env: { QPR_REMOTE: 'env-remote', QPR_COPILOT: 'false' },
+      homeDir: home,
+      cli: { draft: false }
+    });
+
+    expect(config.provider).toBe('ollama');
+    expect(sources.provider).toBe('~/.config/qpr/config');
+    expect(config.model).toBe('qwen');
+    expect(config.remote).toBe('env-remote');
+    expect(config.copilot).toBe(false);
+    expect(config.draft).toBe(false);
+    expect(sources.draft).toBe('cli');
+  });
+
+  it('should honor XDG_CONFIG_HOME for the user config', () => {
+    const xdg = path.join(tmp, 'xdg');
+    fs.mkdirSync(path.join(xdg, 'qpr'), { recursive: true });
+    fs.writeFileSync(path.join(xdg, 'qpr', 'config.json'), JSON.stringify({ stage: 'staged' }));
+
+    const { config } = loadConfig({ cwd: repo, env: { XDG_CONFIG_HOME: xdg }, homeDir: home });
+
+    expect(config.stage).toBe('staged');
+  });
+
+  it('should throw a descriptive error for invalid config files', () => {
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), '{ remote: ');
+
+    expect(() => loadConfig({ cwd: repo, env: {}, homeDir: home })).toThrow(/Invalid config file .*\.qprrc\.json/);
+  });
+
+  it('should reject an unknown provider and name where it came from', () => {
+    expect(() => loadConfig({ cwd: repo, env: { QPR_PROVIDER: 'openia' }, homeDir: home }))
+      .toThrow('Unknown provider "openia" from env (expected one of: copilot, ');
+    expect(() => loadConfig({ cwd: repo, env: {}, homeDir: home, cli: { provider: 'bogus' } })).toThrow(/from cli/);
+    expect(loadConfig({ cwd: repo, env: {}, homeDir: home, cli: { provider: 'Ollama' } }).config.provider).toBe('Ollama');
+  });
+
+  it('should reject unknown PR host types before anything runs', () => {
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), JSON.stringify({ host: { type: 'gitbucket' } }));
+    expect(() => loadConfig({ cwd: repo, env: {}, homeDir: home }))
+      .toThrow('Unknown PR host "gitbucket" for host.type from .qprrc.json (expected one of: github, gitlab, gitea, bitbucket)');
+
+    fs.writeFileSync(path.join(repo, '.qprrc.json'), JSON.stringify({ host: { type: 'GitLab', hosts: { 'git.example.com': 'forgejo' } } }));
+    expect(() => loadConfig({ cwd: repo, env: {}, homeDir: home })).toThrow('Unknown PR host "forgejo" for host.hosts.git.example.com');
+  });
+});
+
+describe('describeConfig', () => {
+  it('should list every leaf value with its source', () => {
+    const entries = describeConfig({ remote: 'origin', severity: { high: { lines: 5 } } }, { remote: 'default', 'severity.high.lines': '.qprrc.json' });
+
+    expect(entries).toEqual([
+      { key: 'remote', value: 'origin', source: 'default' },
+      { key: 'severity.high.lines', value: 5, source: '.qprrc.json' }
+    ]);
+  });
+});
+
+describe('pickCliOptions', () => {
+  it('should only keep options given on the command line', () => {
+    const command = new Command()
+      .option('-d, --draft')
+      .option('--no-copilot')
+      .option('-r, --remote <remote>')
+      .action(() => {});
+    command.parse(['-r', 'upstream'], { from: 'user' });
+
+    expect(pickCliOptions(command)).toEqual({ remote: 'upstream' });
+  });
+});
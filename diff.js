@@ -0,0 +1,212 @@
+import path from 'path';
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+  '.ts': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.rb': 'Ruby', '.go': 'Go', '.rs': 'Rust', '.java': 'Java', '.kt': 'Kotlin',
+  '.swift': 'Swift', '.c': 'C', '.h': 'C', '.cc': 'C++', '.cpp': 'C++', '.hpp': 'C++', '.cs': 'C#',
+  '.php': 'PHP', '.scala': 'Scala', '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell',
+  '.sql': 'SQL', '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.less': 'Less',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML',
+  '.toml': 'TOML', '.xml': 'XML', '.md': 'Markdown', '.mdx': 'Markdown', '.rst': 'reStructuredText'
+};
+
+const FILENAME_LANGUAGES = {
+  Dockerfile: 'Dockerfile',
+  Makefile: 'Makefile',
+  Gemfile: 'Ruby',
+  Rakefile: 'Ruby'
+};
+
+export function detectLanguage(file) {
+  const base = path.posix.basename(file);
+  return FILENAME_LANGUAGES[base] || LANGUAGES[path.posix.extname(base).toLowerCase()] || null;
+}
+
+// git quotes paths with special characters as C strings with octal-escaped UTF-8 bytes
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) return value;
+  const bytes = [];
+  const body = value.slice(1, -1);
+  const escapes = { n: 10, t: 9, r: 13, b: 8, f: 12, v: 11, a: 7, '"': 34, '\\': 92 };
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i], 'utf8'));
+    } else if (/[0-7]/.test(body[i + 1])) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]] ?? body.charCodeAt(i + 1));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function stripPrefix(value) {
+  const unquoted = unquotePath(value.trim());
+  if (unquoted === '/dev/null') return null;
+  return unquoted.replace(/^[ab]\//, '');
+}
+
+// Parse `git diff --numstat -z`; renames are emitted as an empty path followed by old and new paths
+export function parseNumstat(output) {
+  const entries = [];
+  const tokens = (output || '').split('\0');
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = tokens[i].replace(/^\n/, '').match(/^(-|\d+)\t(-|\d+)\t(.*)$/);
+    if (!match) continue;
+
+    const binary = match[1] === '-' && match[2] === '-';
+    const entry = {
+      insertions: binary ? 0 : parseInt(match[1]),
+      deletions: binary ? 0 : parseInt(match[2]),
+      binary,
+      oldPath: match[3],
+      path: match[3]
+    };
+    if (match[3] === '') {
+      entry.oldPath = tokens[i + 1];
+      entry.path = tokens[i + 2];
+      i += 2;
+    }
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+// Parse a unified diff into files with hunks holding only added and removed lines
+export function parsePatch(output) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of (output || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const header = line.slice('diff --git '.length);
+      const plain = header.match(/^a\/(.+) b\/(.+)$/);
+      file = {
+        oldPath: plain ? plain[1] : null,
+        path: plain ? plain[2] : null,
+        status: 'modified',
+        binary: false,
+        hunks: []
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+
+    if (!hunk) {
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) { file.status = 'renamed'; file.oldPath = unquotePath(line.slice(12)); }
+      else if (line.startsWith('rename to ')) file.path = unquotePath(line.slice(10));
+      else if (line.startsWith('copy from ')) { file.status = 'copied'; file.oldPath = unquotePath(line.slice(10)); }
+      else if (line.startsWith('copy to ')) file.path = unquotePath(line.slice(8));
+      else if (line.startsWith('Binary files ') || line === 'GIT binary patch') file.binary = true;
+      else if (line.startsWith('--- ')) file.oldPath = stripPrefix(line.slice(4));
+      else if (line.startsWith('+++ ')) file.path = stripPrefix(line.slice(4));
+    }
+
+    const hunkHeader = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@ ?(.*)$/);
+    if (hunkHeader) {
+      oldLine = parseInt(hunkHeader[1]);
+      newLine = parseInt(hunkHeader[2]);
+      hunk = { oldStart: oldLine, newStart: newLine, heading: hunkHeader[3], added: [], removed: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue;
+
+    if (line.startsWith('+')) {
+      hunk.added.push({ number: newLine++, text: line.slice(1) });
+    } else if (line.startsWith('-')) {
+      hunk.removed.push({ number: oldLine++, text: line.slice(1) });
+    } else if (line.startsWith(' ') || line === '') {
+      oldLine++;
+      newLine++;
+    }
+  }
+
+  // Deleted files only carry the old path
+  for (const entry of files) {
+    if (entry.path === null) entry.path = entry.oldPath;
+  }
+
+  return files;
+}
+
+export function addedLines(file) {
+  return file.hunks.flatMap(hunk => hunk.added.map(line => line.text));
+}
+
+export function removedLines(file) {
+  return file.hunks.flatMap(hunk => hunk.removed.map(line => line.text));
+}
+
+// Combine numstat (exact counts, untruncated paths) with the patch (status and hunks)
+export function buildDiffModel(numstatOutput, patchOutput) {
+  const patchFiles = parsePatch(patchOutput);
+  const numstat = parseNumstat(numstatOutput);
+  const byPath = new Map(patchFiles.map(file => [file.path, file]));
+  const entries = numstat.length > 0 ? numstat : patchFiles;
+
+  const files = entries.map(entry => {
+    const patch = byPath.get(entry.path);
+    const hunks = patch?.hunks || [];
+    const binary = Boolean(entry.binary || patch?.binary);
+    const status = patch?.status || (entry.oldPath !== entry.path ? 'renamed' : 'modified');
+    const insertions = numstat.length > 0 ? entry.insertions : hunks.reduce((sum, hunk) => sum + hunk.added.length, 0);
+    const deletions = numstat.length > 0 ? entry.deletions : hunks.reduce((sum, hunk) => sum + hunk.removed.length, 0);
+
+    return {
+      path: entry.path,
+      oldPath: entry.oldPath || entry.path,
+      status: binary ? 'binary' : status,
+      change: status,
+      binary,
+      language: detectLanguage(entry.path),
+      insertions,
+      deletions,
+      hunks
+    };
+  });
+
+  return summarizeFiles(files);
+}
+
+function summarizeFiles(files) {
+  const insertions = files.reduce((sum, file) => sum + file.insertions, 0);
+  const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+  const languages = [...new Set(files.map(file => file.language).filter(Boolean))];
+
+  return {
+    files,
+    languages,
+    metrics: {
+      linesChanged: insertions + deletions,
+      filesChanged: files.length,
+      insertions,
+      deletions
+    }
+  };
+}
+
+// The same model over a subset of its files, with languages and metrics recounted
+export function filterDiffModel(diff, predicate) {
+  return summarizeFiles(diff.files.filter(predicate));
+}
+
+export function formatFileChange(file) {
+  if (file.binary) return `${file.path} (binary)`;
+  const counts = `+${file.insertions} -${file.deletions}`;
+  if (file.change === 'renamed') return `${file.oldPath} → ${file.path} (renamed, ${counts})`;
+  if (file.change === 'added' || file.change === 'deleted') return `${file.path} (${file.change}, ${counts})`;
+  return `${file.path} (${counts})`;
+}
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseNumstat,
+  parsePatch,
+  buildDiffModel,
+  addedLines,
+  removedLines,
+  detectLanguage,
+  formatFileChange
+} from './diff.js';
+
+const PATCH = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,4 +1,4 @@ function main() {
+ // TODO: context only
+-const a = 1;
++const a = 2;
+ const b = 3;
+--- not a header
+@@ -10,2 +10,3 @@
+ const c = 4;
++const d = 5;
+ const e = 6;
+diff --git a/old.txt b/new.txt
+similarity index 90%
+rename from old.txt
+rename to new.txt
+index 3333333..4444444 100644
+--- a/old.txt
++++ b/new.txt
+@@ -1 +1 @@
+-old
++new
+diff --git a/gone.md b/gone.md
+deleted file mode 100644
+index 5555555..0000000
+--- a/gone.md
++++ /dev/null
+@@ -1 +0,0 @@
+-bye
+diff --git a/logo.png b/logo.png
+new file mode 100644
+index 0000000..6666666
+Binary files /dev/null and b/logo.png differ
+`;
+
+describe('parsePatch', () => {
+  it('should collect only added and removed lines per hunk', () => {
+    const [app] = parsePatch(PATCH);
+
+    expect(app.path).toBe('src/app.js');
+    expect(app.status).toBe('modified');
+    expect(app.hunks).toHaveLength(2);
+    expect(app.hunks[0].heading).toBe('function main() {');
+    expect(app.hunks[0].removed).toEqual([
+      { number: 2, text: 'const a = 1;' },
+      { number: 4, text: '-- not a header' }
+    ]);
+    expect(app.hunks[0].added).toEqual([{ number: 2, text: 'const a = 2;' }]);
+    expect(app.hunks[1].added).toEqual([{ number: 11, text: 'const d = 5;' }]);
+    expect(addedLines(app)).not.toContain(' // TODO: context only');
+  });
+
+  it('should detect renames, deletions and binary files', () => {
+    const [, renamed, deleted, binary] = parsePatch(PATCH);
+
+    expect(renamed).toMatchObject({ status: 'renamed', oldPath: 'old.txt', path: 'new.txt' });
+    expect(removedLines(renamed)).toEqual(['old']);
+    expect(deleted).toMatchObject({ status: 'deleted', oldPath: 'gone.md', path: 'gone.md' });
+    expect(binary).toMatchObject({ status: 'added', binary: true, path: 'logo.png' });
+  });
+
+  it('should unquote paths with special characters', () => {
+    const [file] = parsePatch('diff --git "a/caf\\303\\251 x.js" "b/caf\\303\\251 x.js"\n--- "a/caf\\303\\251 x.js"\n+++ "b/caf\\303\\251 x.js"\n@@ -1 +1 @@\n-a\n+b\n');
+
+    expect(file.path).toBe('café x.js');
+  });
+});
+
+describe('parseNumstat', () => {
+  it('should parse -z output including renames and binary files', () => {
+    const output = '3\t1\tsrc/app.js\0' + '1\t1\t\0old.txt\0new.txt\0' + '-\t-\tlogo.png\0';
+
+    expect(parseNumstat(output)).toEqual([
+      { insertions: 3, deletions: 1, binary: false, oldPath: 'src/app.js', path: 'src/app.js' },
+      { insertions: 1, deletions: 1, binary: false, oldPath: 'old.txt', path: 'new.txt' },
+      { insertions: 0, deletions: 0, binary: true, oldPath: 'logo.png', path: 'logo.png' }
+    ]);
+  });
+});
+
+describe('buildDiffModel', () => {
+  it('should merge numstat counts with patch hunks', () => {
+    const numstat = '2\t2\tsrc/app.js\0' + '1\t1\t\0old.txt\0new.txt\0' + '0\t1\tgone.md\0' + '-\t-\tlogo.png\0';
+    const model = buildDiffModel(numstat, PATCH);
+
+    expect(model.metrics).toEqual({ linesChanged: 7, filesChanged: 4, insertions: 3, deletions: 4 });
+    expect(model.files.map(file => file.status)).toEqual(['modified', 'renamed', 'deleted', 'binary']);
+    expect(model.files[0].language).toBe('JavaScript');
+    expect(model.files[0].hunks).toHaveLength(2);
+    expect(model.languages).toEqual(['JavaScript', 'Markdown']);
+  });
+
+  it('should count lines from the patch when numstat is unavailable', () => {
+    const model = buildDiffModel(null, PATCH);
+
+    expect(model.files[0]).toMatchObject({ path: 'src/app.js', insertions: 2, deletions: 2 });
+    expect(model.metrics.filesChanged).toBe(4);
+  });
+});
+
+describe('detectLanguage and formatFileChange', () => {
+  it('should detect languages from extensions and file names', () => {
+    expect(detectLanguage('src/a.tsx')).toBe('TypeScript');
+    expect(detectLanguage('Dockerfile')).toBe('Dockerfile');
+    expect(detectLanguage('LICENSE')).toBeNull();
+  });
+
+  it('should describe each kind of change', () => {
+    const model = buildDiffModel('2\t2\tsrc/app.js\0' + '1\t1\t\0old.txt\0new.txt\0' + '-\t-\tlogo.png\0', PATCH);
+
+    expect(model.files.map(formatFileChange)).toEqual([
+      'src/app.js (+2 -2)',
+      'old.txt → new.txt (renamed, +1 -1)',
+      'logo.png (binary)'
+    ]);
+  });
+});
+
+describe('buildDiffModel with real git output', () => {
+  let repo;
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' });
+  const longPath = `${'very-long-directory-name/'.repeat(4)}file.js`;
+
+  beforeAll(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-diff-'));
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    fs.writeFileSync(path.join(repo, 'keep.js'), 'line 1\nline 2\nline 3\nline 4\nline 5\n');
+    fs.writeFileSync(path.join(repo, 'move-me.txt'), 'a\nb\nc\nd\ne\nf\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+    git('checkout', '-q', '-b', 'feature');
+    fs.writeFileSync(path.join(repo, 'keep.js'), 'line 1\nline two\nline 3\nline 4\nline 5\n');
+    git('mv', 'move-me.txt', 'moved.txt');
+    fs.mkdirSync(path.dirname(path.join(repo, longPath)), { recursive: true });
+    fs.writeFileSync(path.join(repo, longPath), 'export const x = 1;\n');
+    fs.writeFileSync(path.join(repo, 'blob.bin'), Buffer.from([0, 1, 2, 3, 0, 255]));
+    git('add', '-A');
+    git('commit', '-q', '-m', 'feature');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should model untruncated paths, renames and binary files', () => {
+    const model = buildDiffModel(
+      git('diff', '--numstat', '-z', '-M', 'main...feature'),
+      git('diff', 'main...feature')
+    );
+    const byPath = Object.fromEntries(model.files.map(file => [file.path, file]));
+
+    expect(byPath[longPath]).toMatchObject({ status: 'added', insertions: 1, language: 'JavaScript' });
+    expect(byPath['moved.txt']).toMatchObject({ status: 'renamed', oldPath: 'move-me.txt' });
+    expect(byPath['blob.bin'].status).toBe('binary');
+    expect(addedLines(byPath['keep.js'])).toEqual(['line two']);
+    expect(removedLines(byPath['keep.js'])).toEqual(['line 2']);
+  });
+});
@@ -0,0 +1,96 @@
+import { parseRemoteUrl, formatRepo } from './remote.js';
+
+const STATUS_ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+// How long `git ls-remote` may take before the host counts as unreachable
+export const REACH_TIMEOUT_MS = 20000;
+
+function firstLine(text) {
+  return (text || '').split('\n').map(line => line.trim()).find(Boolean) || null;
+}
+
+// Everything qpr needs, checked in order; each failure carries the command that fixes it.
+// run(file, args) runs gh; host is null when it could not be set up, with hostError saying why.
+export async function runDoctorChecks({ git, host, hostError = null, remote = 'origin', provider = 'copilot', run }) {
+  const checks = [];
+  const add = (name, status, detail, fix = null) => checks.push({ name, status, detail, fix });
+
+  const version = git.run(['--version']);
+  if (version.code !== 0) {
+    add('git', 'fail', 'git is not installed', 'Install git from https://git-scm.com/downloads');
+    return checks;
+  }
+  add('git', 'ok', firstLine(version.stdout));
+
+  const root = git.output(['rev-parse', '--show-toplevel']);
+  if (!root) {
+    add('repository', 'fail', 'not inside a git repository', 'Run qpr from a clone, or start one with git init');
+    return checks;
+  }
+  add('repository', 'ok', root);
+
+  const url = git.output(['remote', 'get-url', remote]);
+  if (!url) {
+    add('remote', 'fail', `no "${remote}" remote`, `git remote add ${remote} <repository URL>`);
+    return checks;
+  }
+  const repo = parseRemoteUrl(url);
+  if (!repo) {
+    add('remote', 'warn', `${remote} is ${url}, not a hosted repository`, `git remote set-url ${remote} <repository URL>`);
+  } else if (host) {
+    add('remote', 'ok', `${remote} is ${formatRepo(repo)} on ${host.hostname || repo.host} (${host.label})`);
+  }
+  if (!host) {
+    add('host', 'fail', hostError || 'no PR host', 'Name the host with --hostname, or set host.type and host.hostname in .qprrc');
+    return checks;
+  }
+
+  // Prompts would hang the check, so missing credentials fail instead
+  const reach = git.run(['ls-remote', '--exit-code', remote, 'HEAD'], {
+    timeout: REACH_TIMEOUT_MS,
+    env: { ...(git.env || process.env), GIT_TERMINAL_PROMPT: '0' }
+  });
+  // 2 means the host answered but has no HEAD yet, as in an empty repository
+  if (reach.code === 0 || reach.code === 2) {
+    add('reachability', 'ok', `${host.hostname || remote} answered git ls-remote`);
+  } else {
+    add('reachability', 'fail', firstLine(reach.stderr) || (reach.signal ? `timed out after ${REACH_TIMEOUT_MS}ms` : `git ls-remote exited with ${reach.code}`),
+      `Check the network, VPN or proxy for ${host.hostname || remote} and that your SSH key or credentials can read it: git ls-remote ${remote}`);
+  }
+
+  let ghInstalled = false;
+  if (host.name === 'github') {
+    const gh = run('gh', ['--version']);
+    ghInstalled = gh.code === 0;
+    if (ghInstalled) {
+      add('gh', 'ok', `${firstLine(gh.stdout)}${host.cli ? '' : ' (not used: the REST API was asked for)'}`);
+    } else {
+      add('gh', 'warn', 'gh is not installed, PRs go through the GitHub REST API', 'Install it from https://cli.github.com (brew install gh), or keep GITHUB_TOKEN set');
+    }
+  }
+
+  const auth = await host.authStatus();
+  if (auth.user) {
+    add('auth', 'ok', `signed in to ${host.hostname || host.label} as ${auth.user}`);
+  } else {
+    add('auth', 'fail', auth.error || 'not signed in', host.authHint ?? host.setup?.[0] ?? null);
+  }
+
+  // Copilot only matters to the default description provider
+  if (host.name === 'github' && (provider || 'copilot') === 'copilot') {
+    const extensions = ghInstalled ? run('gh', ['extension', 'list']) : null;
+    if (extensions?.code === 0 && /gh-copilot/.test(extensions.stdout)) {
+      add('copilot', 'ok', 'gh-copilot extension is installed');
+    } else {
+      add('copilot', 'warn', 'gh-copilot extension is not installed, descriptions come from the heuristic analysis',
+        ghInstalled ? 'gh extension install github/gh-copilot' : 'Install gh, then: gh extension install github/gh-copilot');
+    }
+  }
+
+  return checks;
+}
+
+export function formatCheck(check) {
+  const line = `${STATUS_ICONS[check.status]} ${check.name}: ${check.detail}`;
+  return check.fix && check.status !== 'ok' ? `${line}\n   💡 ${check.fix}` : line;
+}
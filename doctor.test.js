@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { runDoctorChecks, formatCheck } from './doctor.js';
+import { createMemoryHost } from './backend.js';
+
+const ok = stdout => ({ code: 0, stdout, stderr: '', signal: null });
+const failed = (code, stderr = '') => ({ code, stdout: '', stderr, signal: null });
+
+// A git backend answering from a table of joined arguments
+function fakeGit(answers) {
+  const calls = [];
+  const run = (args, options) => {
+    calls.push({ args, options });
+    return answers[args.join(' ')] ?? failed(1);
+  };
+  return {
+    calls,
+    env: { PATH: '/usr/bin' },
+    run,
+    output: args => {
+      const result = run(args);
+      return result.code === 0 ? result.stdout.trim() : null;
+    }
+  };
+}
+
+const healthyGit = () => fakeGit({
+  '--version': ok('git version 2.45.0\n'),
+  'rev-parse --show-toplevel': ok('/work/app\n'),
+  'remote get-url origin': ok('git@ghe.example.com:octo/app.git\n'),
+  'ls-remote --exit-code origin HEAD': ok('abc123\tHEAD\n')
+});
+
+const gh = answers => (file, args) => answers[args.join(' ')] ?? failed(127);
+
+describe('runDoctorChecks', () => {
+  it('should pass when everything is in place', async () => {
+    const git = healthyGit();
+    const host = { ...createMemoryHost({ user: 'octo' }), name: 'github', label: 'GitHub CLI', hostname: 'ghe.example.com', cli: 'gh' };
+    const run = gh({ '--version': ok('gh version 2.60.0 (2024-10-01)\n'), 'extension list': ok('gh copilot\tgithub/gh-copilot\tv1.0.5\n') });
+
+    const checks = await runDoctorChecks({ git, host, run });
+
+    expect(checks.map(check => [check.name, check.status])).toEqual([
+      ['git', 'ok'], ['repository', 'ok'], ['remote', 'ok'], ['reachability', 'ok'], ['gh', 'ok'], ['auth', 'ok'], ['copilot', 'ok']
+    ]);
+    expect(checks[2].detail).toBe('origin is octo/app on ghe.example.com (GitHub CLI)');
+    expect(checks[5].detail).toBe('signed in to ghe.example.com as octo');
+    // The reachability check must never wait on a credential prompt
+    expect(git.calls.find(call => call.args[0] === 'ls-remote').options.env).toEqual({ PATH: '/usr/bin', GIT_TERMINAL_PROMPT: '0' });
+  });
+
+  it('should give a fix for each failure', async () => {
+    const git = fakeGit({
+      '--version': ok('git version 2.45.0'),
+      'rev-parse --show-toplevel': ok('/work/app'),
+      'remote get-url origin': ok('git@ghe.example.com:octo/app.git'),
+      'ls-remote --exit-code origin HEAD': failed(128, 'ssh: Could not resolve hostname ghe.example.com\nfatal: Could not read from remote repository.')
+    });
+    const host = { ...createMemoryHost(), name: 'github', label: 'GitHub API', hostname: 'ghe.example.com', authHint: 'export GH_ENTERPRISE_TOKEN=...' };
+
+    const checks = await runDoctorChecks({ git, host, run: gh({}) });
+    const byName = Object.fromEntries(checks.map(check => [check.name, check]));
+
+    expect(byName.reachability).toMatchObject({ status: 'fail', detail: 'ssh: Could not resolve hostname ghe.example.com' });
+    expect(byName.reachability.fix).toContain('git ls-remote origin');
+    expect(byName.gh.status).toBe('warn');
+    expect(formatCheck(byName.auth)).toBe('❌ auth: not signed in\n   💡 export GH_ENTERPRISE_TOKEN=...');
+    expect(byName.copilot.fix).toBe('Install gh, then: gh extension install github/gh-copilot');
+  });
+
+  it('should stop at the first missing prerequisite', async () => {
+    expect((await runDoctorChecks({ git: fakeGit({}), host: null, run: gh({}) })).map(formatCheck))
+      .toEqual(['❌ git: git is not installed\n   💡 Install git from https://git-scm.com/downloads']);
+
+    const noRemote = fakeGit({ '--version': ok('git version 2.45.0'), 'rev-parse --show-toplevel': ok('/work/app') });
+    const checks = await runDoctorChecks({ git: noRemote, host: null, remote: 'upstream', run: gh({}) });
+    expect(checks.at(-1)).toEqual({ name: 'remote', status: 'fail', detail: 'no "upstream" remote', fix: 'git remote add upstream <repository URL>' });
+  });
+
+  it('should skip gh and Copilot for other hosts and providers', async () => {
+    const host = { ...createMemoryHost({ user: 'dev' }), name: 'gitlab', label: 'GitLab API', hostname: 'gitlab.example.com' };
+
+    const checks = await runDoctorChecks({ git: healthyGit(), host, provider: 'ollama', run: gh({}) });
+
+    expect(checks.map(check => check.name)).toEqual(['git', 'repository', 'remote', 'reachability', 'auth']);
+  });
+});
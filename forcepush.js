@@ -0,0 +1,80 @@
+import readline from 'readline/promises';
+import chalk from 'chalk';
+
+export const DEFAULT_FORCE_PUSH_SETTINGS = {
+  // Branch names qpr refuses to force push, besides the remote's default branch; "*" stays within
+  // one path segment and "**" spans several, e.g. release/*
+  protected: ['main', 'master', 'develop', 'release/*'],
+  // Keep a ref to what each force push replaces, for `qpr restore`
+  backup: true
+};
+
+export const BACKUP_NAMESPACE = 'refs/qpr/backup';
+
+export class ForcePushRefusedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForcePushRefusedError';
+  }
+}
+
+const TIMESTAMP = /^\d{8}T\d{6}Z(?:-\d+)?$/;
+
+// Unlike file globs, a branch pattern has to cover the whole name: "main" doesn't match "fix/main"
+function branchPattern(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*)/)
+    .map(part => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Why the branch must not be force pushed, or null when it may be
+export function protectedReason(branch, { defaultBranch, patterns = DEFAULT_FORCE_PUSH_SETTINGS.protected } = {}) {
+  if (defaultBranch && branch === defaultBranch) return `${branch} is the default branch`;
+  const pattern = [patterns].flat().filter(Boolean).find(candidate => branchPattern(candidate).test(branch));
+  return pattern ? `${branch} is protected by the forcePush.protected pattern "${pattern}"` : null;
+}
+
+// 2026-10-19T15:33:00.123Z -> 20261019T153300Z, sortable and valid in a ref name
+export function backupTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+export function backupRef(branch, timestamp = backupTimestamp()) {
+  return `${BACKUP_NAMESPACE}/${branch}/${timestamp}`;
+}
+
+// `git for-each-ref --format=%(refname)%00%(objectname)%00%(subject)` lines, newest first.
+// Refs of other branches under the same prefix (feat vs feat/x) are left out.
+export function parseBackupRefs(output, branch) {
+  const prefix = `${BACKUP_NAMESPACE}/${branch}/`;
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [ref, sha, subject = ''] = line.split('\0');
+      return { ref, sha, subject, branch, timestamp: ref.slice(prefix.length) };
+    })
+    .filter(backup => backup.ref.startsWith(prefix) && TIMESTAMP.test(backup.timestamp))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp, 'en', { numeric: true }));
+}
+
+async function askConfirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question(question);
+  } finally {
+    rl.close();
+  }
+}
+
+// commits: `git log --oneline` lines the force push removes from the remote branch
+export async function confirmOverwrite(target, commits, { ask = askConfirm } = {}) {
+  console.log(chalk.yellow(`\n⚠️  Force pushing replaces ${commits.length} commit${commits.length === 1 ? '' : 's'} on ${target}:`));
+  for (const commit of commits) {
+    console.log(chalk.gray(`   ${commit}`));
+  }
+  const answer = (await ask('Overwrite them? [y/N] ')).trim().toLowerCase();
+  return answer === 'y' || answer === 'yes';
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+import { protectedReason, backupTimestamp, backupRef, parseBackupRefs, confirmOverwrite } from './forcepush.js';
+
+describe('protectedReason', () => {
+  it('should protect the default branch and the configured patterns', () => {
+    expect(protectedReason('trunk', { defaultBranch: 'trunk', patterns: [] })).toBe('trunk is the default branch');
+    expect(protectedReason('main')).toMatch(/protected by the forcePush.protected pattern "main"/);
+    expect(protectedReason('release/1.2')).toMatch(/"release\/\*"/);
+    expect(protectedReason('feat/x', { patterns: ['feat/**'] })).not.toBeNull();
+  });
+
+  it('should match whole branch names only', () => {
+    expect(protectedReason('fix/main')).toBeNull();
+    expect(protectedReason('main-backup')).toBeNull();
+    expect(protectedReason('release/1.2/hotfix')).toBeNull();
+    expect(protectedReason('feature/login', { defaultBranch: 'main' })).toBeNull();
+  });
+});
+
+describe('backup refs', () => {
+  it('should name backups by branch and UTC timestamp', () => {
+    const timestamp = backupTimestamp(new Date('2026-10-19T15:33:07.123Z'));
+
+    expect(timestamp).toBe('20261019T153307Z');
+    expect(backupRef('feat/login', timestamp)).toBe('refs/qpr/backup/feat/login/20261019T153307Z');
+  });
+
+  it('should list the backups of one branch, newest first', () => {
+    const output = [
+      'refs/qpr/backup/feat/20261019T100000Z\0aaa\0feat: first',
+      'refs/qpr/backup/feat/20261019T120000Z\0bbb\0feat: second',
+      'refs/qpr/backup/feat/20261019T120000Z-2\0ccc\0feat: third',
+      'refs/qpr/backup/feat/login/20261019T130000Z\0ddd\0other branch'
+    ].join('\n');
+
+    expect(parseBackupRefs(output, 'feat').map(backup => [backup.sha, backup.timestamp])).toEqual([
+      ['ccc', '20261019T120000Z-2'],
+      ['bbb', '20261019T120000Z'],
+      ['aaa', '20261019T100000Z']
+    ]);
+    expect(parseBackupRefs('', 'feat')).toEqual([]);
+  });
+});
+
+describe('confirmOverwrite', () => {
+  it('should list the commits and accept only a yes', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await confirmOverwrite('origin/feat', ['abc1234 feat: x'], { ask: async () => ' Y ' })).toBe(true);
+    expect(await confirmOverwrite('origin/feat', ['abc1234 feat: x'], { ask: async () => '' })).toBe(false);
+
+    const output = log.mock.calls.map(call => call.join(' ')).join('\n');
+    log.mockRestore();
+    expect(output).toContain('replaces 1 commit on origin/feat');
+    expect(output).toContain('abc1234 feat: x');
+  });
+});
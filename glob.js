@@ -0,0 +1,61 @@
+// gitignore/CODEOWNERS-style glob matching for repo-relative paths
+
+const cache = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+export function globToRegExp(pattern) {
+  let glob = pattern.trim();
+
+  // A leading slash or a slash in the middle anchors the pattern to the repo root
+  let anchored = glob.startsWith('/');
+  if (anchored) glob = glob.slice(1);
+  const directory = glob.endsWith('/');
+  if (directory) glob = glob.slice(0, -1);
+  if (glob.includes('/')) anchored = true;
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const atSegmentStart = i === 0 || glob[i - 1] === '/';
+
+    if (char === '*' && glob[i + 1] === '*' && atSegmentStart && (glob[i + 2] === '/' || i + 2 === glob.length)) {
+      // '**/' matches zero or more directories, a trailing '**' matches everything below
+      source += i + 2 === glob.length ? '.*' : '(?:.*/)?';
+      i += 2;
+    } else if (char === '*') {
+      source += '[^/]*';
+      while (glob[i + 1] === '*') i++;
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // Matching a directory also matches everything inside it
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = directory ? '/.*$' : '(?:/.*)?$';
+  return new RegExp(prefix + source + suffix);
+}
+
+export function matchGlob(file, pattern) {
+  if (!cache.has(pattern)) {
+    cache.set(pattern, globToRegExp(pattern));
+  }
+  return cache.get(pattern).test(file.replace(/^\.?\//, ''));
+}
+
+export function matchAnyGlob(file, patterns = []) {
+  return patterns.some(pattern => matchGlob(file, pattern));
+}
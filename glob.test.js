@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { matchGlob, matchAnyGlob } from './glob.js';
+
+describe('matchGlob', () => {
+  it('should match patterns without a slash at any depth', () => {
+    expect(matchGlob('config.json', '*.json')).toBe(true);
+    expect(matchGlob('src/settings/app.json', '*.json')).toBe(true);
+    expect(matchGlob('src/app.js', '*.json')).toBe(false);
+  });
+
+  it('should anchor patterns containing a slash to the root', () => {
+    expect(matchGlob('docs/guide.md', 'docs/*.md')).toBe(true);
+    expect(matchGlob('src/docs/guide.md', 'docs/*.md')).toBe(false);
+    expect(matchGlob('docs/deep/guide.md', 'docs/*.md')).toBe(false);
+  });
+
+  it('should support ** for any number of directories', () => {
+    expect(matchGlob('db/migrations/001.sql', 'db/**/*.sql')).toBe(true);
+    expect(matchGlob('db/001.sql', 'db/**/*.sql')).toBe(true);
+    expect(matchGlob('src/a/b/c.ts', '**/c.ts')).toBe(true);
+    expect(matchGlob('src/a/b/c.ts', 'src/**')).toBe(true);
+  });
+
+  it('should treat a matched directory as covering its contents', () => {
+    expect(matchGlob('src/auth/session.js', '*auth*')).toBe(true);
+    expect(matchGlob('build/out/main.js', 'build/')).toBe(true);
+    expect(matchGlob('build', 'build/')).toBe(false);
+  });
+
+  it('should support ?, character classes and braces', () => {
+    expect(matchGlob('v1.txt', 'v?.txt')).toBe(true);
+    expect(matchGlob('v1.txt', 'v[0-9].txt')).toBe(true);
+    expect(matchGlob('vA.txt', 'v[!0-9].txt')).toBe(true);
+    expect(matchGlob('src/app.ts', '*.{js,ts}')).toBe(true);
+    expect(matchGlob('src/app.tsx', '*.{js,ts}')).toBe(false);
+  });
+
+  it('should treat regex characters in patterns literally', () => {
+    expect(matchGlob('a+b(1).js', 'a+b(1).js')).toBe(true);
+    expect(matchGlob('aab1.js', 'a+b(1).js')).toBe(false);
+  });
+});
+
+describe('matchAnyGlob', () => {
+  it('should match when any pattern matches', () => {
+    expect(matchAnyGlob('.env.local', ['*.json', '.env*'])).toBe(true);
+    expect(matchAnyGlob('src/app.js', ['*.json', '.env*'])).toBe(false);
+    expect(matchAnyGlob('src/app.js')).toBe(false);
+  });
+});
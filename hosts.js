@@ -0,0 +1,731 @@
+import { formatRepo } from './remote.js';
+
+export const HOST_TYPES = ['github', 'gitlab', 'gitea', 'bitbucket'];
+
+export const DEFAULT_HOST_SETTINGS = {
+  // null: detect from the remote URL
+  type: null,
+  // API root of a self-hosted instance that does not serve it at https://<host>/api/...
+  apiUrl: null,
+  // Self-hosted instances whose hostname does not give them away, e.g. { "git.example.com": "gitea" }
+  hosts: {},
+  // GitHub through its REST API instead of gh; also used whenever gh is not installed
+  api: false,
+  // The instance to talk to when the remote names an SSH alias instead of the real host
+  hostname: null,
+  // Tokens by hostname; "$NAME" reads the environment variable NAME instead
+  tokens: {},
+  timeout: 30000
+};
+
+export class HostApiError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.name = 'HostApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+function hostType(value) {
+  const type = String(value).toLowerCase();
+  if (!HOST_TYPES.includes(type)) {
+    throw new Error(`Unknown PR host "${value}" (expected one of: ${HOST_TYPES.join(', ')})`);
+  }
+  return type;
+}
+
+// Which kind of host a remote hostname belongs to; unknown hosts are taken for GitHub Enterprise
+export function detectHostType(hostname, settings = {}) {
+  if (settings.type) return hostType(settings.type);
+
+  const name = (hostname || '').toLowerCase();
+  const mapped = Object.entries(settings.hosts || {}).find(([host]) => host.toLowerCase() === name);
+  if (mapped) return hostType(mapped[1]);
+
+  if (name.includes('bitbucket')) return 'bitbucket';
+  if (name.includes('gitlab')) return 'gitlab';
+  if (name.includes('gitea') || name.includes('forgejo') || name === 'codeberg.org') return 'gitea';
+  return 'github';
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The message an API put in its error body, whatever field it chose; GitHub adds
+// the reason for a 422 under errors, e.g. "A pull request already exists for me:feat/x."
+function apiMessage(data, text) {
+  if (!data) return text.slice(0, 200);
+  let message = data.message ?? data.error?.message ?? data.error_description ?? data.error;
+  if (Array.isArray(message)) message = message.join('; ');
+  else if (message && typeof message === 'object') message = JSON.stringify(message);
+  const details = (Array.isArray(data.errors) ? data.errors : [])
+    .map(error => (typeof error === 'string' ? error : error.message || [error.resource, error.field, error.code].filter(Boolean).join(' ')))
+    .filter(Boolean);
+  return [message, ...details].filter(Boolean).join(': ') || text.slice(0, 200);
+}
+
+// 429, or a 403 with no requests left, means the rate limit and not a missing permission
+function rateLimitMessage(response) {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (response.status !== 429 && !(response.status === 403 && remaining === '0')) return null;
+
+  const reset = Number(response.headers.get('x-ratelimit-reset'));
+  const retryAfter = Number(response.headers.get('retry-after'));
+  let when = '';
+  if (reset) when = `, resets at ${new Date(reset * 1000).toISOString()}`;
+  else if (retryAfter) when = `, retry in ${retryAfter}s`;
+  return `rate limit exceeded${when}`;
+}
+
+// JSON over fetch; tokenVar names the variable to check when the host refuses the token
+export function createApiClient({ baseUrl, headers = {}, timeout = DEFAULT_HOST_SETTINGS.timeout, tokenVar }) {
+  const root = trimTrailingSlash(baseUrl);
+
+  async function request(method, path, body) {
+    const url = `${root}${path}`;
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          accept: 'application/json',
+          ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error(`${method} ${url} timed out after ${timeout}ms`);
+      }
+      throw new Error(`${method} ${url} failed: ${error.cause?.message || error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      const data = parseJSON(text);
+      const rateLimit = rateLimitMessage(response);
+      if (rateLimit) {
+        const hint = tokenVar ? ` (set ${tokenVar} for a higher limit)` : '';
+        throw new HostApiError(`${method} ${url} failed: ${rateLimit}${hint}`, response.status, data);
+      }
+      const hint = (response.status === 401 || response.status === 403) && tokenVar ? ` (check ${tokenVar})` : '';
+      throw new HostApiError(`${method} ${url} failed with status ${response.status}: ${apiMessage(data, text)}${hint}`, response.status, data);
+    }
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON response from ${url}`);
+    }
+  }
+
+  return {
+    url: path => `${root}${path}`,
+    get: path => request('GET', path),
+    post: (path, body) => request('POST', path, body),
+    put: (path, body) => request('PUT', path, body),
+    patch: (path, body) => request('PATCH', path, body),
+    delete: path => request('DELETE', path)
+  };
+}
+
+// Lookups answer null like their gh counterparts, so a host hiccup never stops the PR itself
+function quietly(promise, fallback = null) {
+  return promise.catch(() => fallback);
+}
+
+// Who the token signs in as, or why it does not, for qpr doctor
+function signedIn(api, field) {
+  return api.get('/user').then(
+    user => ({ user: user?.[field] || null, error: null }),
+    error => ({ user: null, error: error.message })
+  );
+}
+
+// "owner:branch" names a branch pushed to a fork
+function splitHead(head) {
+  const index = head.indexOf(':');
+  return index === -1 ? [null, head] : [head.slice(0, index), head.slice(index + 1)];
+}
+
+// Reviewer lists mix people and teams ("org/team"); hosts ask for them separately
+function splitReviewers(logins = []) {
+  return {
+    people: logins.filter(login => !login.includes('/')),
+    teams: logins.filter(login => login.includes('/')).map(login => login.split('/').at(-1))
+  };
+}
+
+function sameLogin(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function issueState(state) {
+  return ['open', 'opened'].includes(String(state).toLowerCase()) ? 'OPEN' : 'CLOSED';
+}
+
+// Merge requests through the GitLab REST API (gitlab.com or self-hosted)
+export function createGitLabHost({ repo, apiUrl, token, timeout } = {}) {
+  const api = createApiClient({
+    baseUrl: apiUrl || `https://${repo.host}/api/v4`,
+    headers: token ? { 'private-token': token } : {},
+    timeout,
+    tokenVar: 'GITLAB_TOKEN'
+  });
+  const project = (target = {}, owner = null) => {
+    const base = target.repo || repo;
+    return `/projects/${encodeURIComponent(formatRepo(owner ? { ...base, owner } : base))}`;
+  };
+  const toPR = mr => ({
+    number: mr.iid,
+    url: mr.web_url,
+    title: mr.title,
+    body: mr.description || '',
+    baseRefName: mr.target_branch,
+    headRefName: mr.source_branch,
+    labels: (mr.labels || []).map(name => ({ name }))
+  });
+
+  async function findPR(state, head, target = {}) {
+    const mrs = await api.get(`${project(target)}/merge_requests?state=${state}&source_branch=${encodeURIComponent(head)}&order_by=updated_at`);
+    if (!target.headOwner) return mrs[0] ? toPR(mrs[0]) : null;
+    // A fork's merge request comes from the fork's project
+    const fork = await api.get(project(target, target.headOwner));
+    const mr = mrs.find(candidate => candidate.source_project_id === fork.id);
+    return mr ? toPR(mr) : null;
+  }
+
+  // Merge requests take user ids; logins GitLab does not know are left out
+  async function userIds(logins = []) {
+    const ids = [];
+    for (const login of splitReviewers(logins).people) {
+      const [user] = await quietly(api.get(`/users?username=${encodeURIComponent(login)}`), []);
+      if (user) ids.push(user.id);
+    }
+    return ids;
+  }
+
+  function createPath(request) {
+    const [headOwner] = splitHead(request.head);
+    return `${project({ repo: request.repo }, headOwner)}/merge_requests`;
+  }
+
+  return {
+    name: 'gitlab',
+    label: 'GitLab API',
+    hostname: repo.host,
+    setup: ['export GITLAB_TOKEN=...  # personal access token with the api scope'],
+    authStatus: () => signedIn(api, 'username'),
+
+    findOpenPR: (head, target) => quietly(findPR('opened', head, target)),
+    findMergedPR: (head, target) => quietly(findPR('merged', head, target)),
+
+    async createPR(request) {
+      const [headOwner, branch] = splitHead(request.head);
+      const title = request.title || branch;
+      const payload = {
+        source_branch: branch,
+        target_branch: request.base,
+        title: request.draft ? `Draft: ${title}` : title,
+        description: request.body || '',
+        reviewer_ids: await userIds(request.reviewers),
+        assignee_ids: await userIds(request.assignees)
+      };
+      if (headOwner) {
+        payload.target_project_id = (await api.get(project({ repo: request.repo }))).id;
+      }
+      const mr = await api.post(createPath(request), payload);
+      return { url: mr.web_url, number: mr.iid };
+    },
+
+    async updatePR(number, { title, body, base, addLabels = [], removeLabels = [] }, target) {
+      const payload = { title, description: body, target_branch: base };
+      if (addLabels.length > 0) payload.add_labels = addLabels.join(',');
+      if (removeLabels.length > 0) payload.remove_labels = removeLabels.join(',');
+      const mr = await api.put(`${project(target)}/merge_requests/${number}`, payload);
+      return { url: mr?.web_url || null };
+    },
+
+    async listLabels(target) {
+      const labels = await quietly(api.get(`${project(target)}/labels?per_page=100`), []);
+      return labels.map(label => label.name);
+    },
+
+    async createLabel({ name, color, description }, target) {
+      await api.post(`${project(target)}/labels`, { name, color: `#${color || '428bca'}`, description });
+    },
+
+    async getIssue({ repo: other, number }, target = {}) {
+      const path = other ? `/projects/${encodeURIComponent(other)}` : project(target);
+      const issue = await quietly(api.get(`${path}/issues/${number}`));
+      return issue ? { number: issue.iid, title: issue.title, state: issueState(issue.state), url: issue.web_url } : null;
+    },
+
+    async currentUser() {
+      const user = await quietly(api.get('/user'));
+      return user?.username || null;
+    },
+
+    async countReviewRequests(login) {
+      const mrs = await quietly(api.get(`/merge_requests?scope=all&state=opened&reviewer_username=${encodeURIComponent(login)}&per_page=100`));
+      return mrs ? mrs.length : null;
+    },
+
+    describeCreate: request => `POST ${api.url(createPath(request))}`,
+    describeUpdate: (number, changes, target) => `PUT ${api.url(`${project(target)}/merge_requests/${number}`)}`
+  };
+}
+
+// Pull requests through the Gitea (and Forgejo) REST API
+export function createGiteaHost({ repo, apiUrl, token, timeout } = {}) {
+  const api = createApiClient({
+    baseUrl: apiUrl || `https://${repo.host}/api/v1`,
+    headers: token ? { authorization: `token ${token}` } : {},
+    timeout,
+    tokenVar: 'GITEA_TOKEN'
+  });
+  const repoPath = (target = {}) => {
+    const { owner, name } = target.repo || repo;
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+  };
+  const toPR = pr => ({
+    number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    body: pr.body || '',
+    baseRefName: pr.base?.ref,
+    headRefName: pr.head?.ref,
+    labels: (pr.labels || []).map(label => ({ name: label.name }))
+  });
+
+  async function findPR(state, head, target = {}) {
+    const prs = await api.get(`${repoPath(target)}/pulls?state=${state === 'merged' ? 'closed' : 'open'}&sort=recentupdate&limit=50`);
+    const pr = prs.find(candidate => candidate.head?.ref === head &&
+      (state !== 'merged' || candidate.merged) &&
+      (!target.headOwner || sameLogin(candidate.head?.repo?.owner?.login, target.headOwner)));
+    return pr ? toPR(pr) : null;
+  }
+
+  async function labelIds(names, target) {
+    const labels = await api.get(`${repoPath(target)}/labels?limit=100`);
+    return names.map(name => {
+      const label = labels.find(candidate => sameLogin(candidate.name, name));
+      if (!label) throw new Error(`label "${name}" not found`);
+      return label.id;
+    });
+  }
+
+  return {
+    name: 'gitea',
+    label: 'Gitea API',
+    hostname: repo.host,
+    setup: ['export GITEA_TOKEN=...  # access token with the repository and issue scopes'],
+    authStatus: () => signedIn(api, 'login'),
+
+    findOpenPR: (head, target) => quietly(findPR('open', head, target)),
+    findMergedPR: (head, target) => quietly(findPR('merged', head, target)),
+
+    async createPR(request) {
+      const target = { repo: request.repo };
+      const title = request.title || splitHead(request.head)[1];
+      // Gitea marks drafts by their title prefix
+      const pr = await api.post(`${repoPath(target)}/pulls`, {
+        base: request.base,
+        head: request.head,
+        title: request.draft ? `WIP: ${title}` : title,
+        body: request.body || '',
+        assignees: splitReviewers(request.assignees).people
+      });
+      const warnings = [];
+      const { people, teams } = splitReviewers(request.reviewers);
+      if (people.length > 0 || teams.length > 0) {
+        await api.post(`${repoPath(target)}/pulls/${pr.number}/requested_reviewers`, { reviewers: people, team_reviewers: teams })
+          .catch(error => warnings.push(`Could not request reviews from ${[...people, ...teams].join(', ')}: ${error.message}`));
+      }
+      return { url: pr.html_url, number: pr.number, warnings };
+    },
+
+    async updatePR(number, { title, body, base, addLabels = [], removeLabels = [] }, target) {
+      let url = null;
+      if (title || body !== undefined || base) {
+        url = (await api.patch(`${repoPath(target)}/pulls/${number}`, { title, body, base }))?.html_url || null;
+      }
+      if (addLabels.length > 0) {
+        await api.post(`${repoPath(target)}/issues/${number}/labels`, { labels: await labelIds(addLabels, target) });
+      }
+      if (removeLabels.length > 0) {
+        for (const id of await labelIds(removeLabels, target)) {
+          await api.delete(`${repoPath(target)}/issues/${number}/labels/${id}`);
+        }
+      }
+      return { url };
+    },
+
+    async listLabels(target) {
+      const labels = await quietly(api.get(`${repoPath(target)}/labels?limit=100`), []);
+      return labels.map(label => label.name);
+    },
+
+    async createLabel({ name, color, description }, target) {
+      await api.post(`${repoPath(target)}/labels`, { name, color: `#${color || '428bca'}`, description: description || '' });
+    },
+
+    async getIssue({ repo: other, number }, target = {}) {
+      const path = other ? `/repos/${other.split('/').map(encodeURIComponent).join('/')}` : repoPath(target);
+      const issue = await quietly(api.get(`${path}/issues/${number}`));
+      return issue ? { number: issue.number, title: issue.title, state: issueState(issue.state), url: issue.html_url } : null;
+    },
+
+    async currentUser() {
+      const user = await quietly(api.get('/user'));
+      return user?.login || null;
+    },
+
+    // Gitea only lists review requests for the signed-in user, so other loads are unknown
+    async countReviewRequests() {
+      return null;
+    },
+
+    describeCreate: request => `POST ${api.url(`${repoPath({ repo: request.repo })}/pulls`)}`,
+    describeUpdate: (number, changes, target) => `PATCH ${api.url(`${repoPath(target)}/pulls/${number}`)}`
+  };
+}
+
+// Pull requests through the Bitbucket Cloud REST API, which has no labels or assignees
+export function createBitbucketHost({ repo, apiUrl, token, username, timeout } = {}) {
+  let authorization = {};
+  if (token) {
+    // An app password goes with the username; an access token stands alone
+    authorization = { authorization: username ? `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}` : `Bearer ${token}` };
+  }
+  const api = createApiClient({
+    baseUrl: apiUrl || 'https://api.bitbucket.org/2.0',
+    headers: authorization,
+    timeout,
+    tokenVar: 'BITBUCKET_TOKEN'
+  });
+  const repoPath = (target = {}, owner = null) => {
+    const base = target.repo || repo;
+    return `/repositories/${encodeURIComponent(owner || base.owner)}/${encodeURIComponent(base.name)}`;
+  };
+  const toPR = pr => ({
+    number: pr.id,
+    url: pr.links?.html?.href,
+    title: pr.title,
+    body: pr.description || '',
+    baseRefName: pr.destination?.branch?.name,
+    headRefName: pr.source?.branch?.name,
+    labels: []
+  });
+
+  async function findPR(state, head, target = {}) {
+    const query = encodeURIComponent(`source.branch.name="${head}"`);
+    const page = await api.get(`${repoPath(target)}/pullrequests?state=${state}&q=${query}&sort=-updated_on`);
+    const pr = (page.values || []).find(candidate => !target.headOwner ||
+      sameLogin(candidate.source?.repository?.full_name?.split('/')[0], target.headOwner));
+    return pr ? toPR(pr) : null;
+  }
+
+  // Reviewers are workspace members named by their nickname
+  async function reviewerUuids(logins = [], target = {}) {
+    const { people } = splitReviewers(logins);
+    if (people.length === 0) return [];
+    const workspace = (target.repo || repo).owner;
+    const page = await quietly(api.get(`/workspaces/${encodeURIComponent(workspace)}/members?pagelen=100`), { values: [] });
+    return people
+      .map(login => page.values.find(member => sameLogin(member.user?.nickname, login))?.user)
+      .filter(Boolean)
+      .map(user => ({ uuid: user.uuid }));
+  }
+
+  return {
+    name: 'bitbucket',
+    label: 'Bitbucket API',
+    hostname: repo.host,
+    // qpr leaves labels out here rather than warning on every PR
+    supportsLabels: false,
+    setup: ['export BITBUCKET_TOKEN=...  # repository access token, or an app password with BITBUCKET_USERNAME'],
+    authStatus: () => signedIn(api, 'nickname'),
+
+    findOpenPR: (head, target) => quietly(findPR('OPEN', head, target)),
+    findMergedPR: (head, target) => quietly(findPR('MERGED', head, target)),
+
+    async createPR(request) {
+      const target = { repo: request.repo };
+      const [headOwner, branch] = splitHead(request.head);
+      const source = { branch: { name: branch } };
+      if (headOwner) {
+        source.repository = { full_name: `${headOwner}/${(request.repo || repo).name}` };
+      }
+      const pr = await api.post(`${repoPath(target)}/pullrequests`, {
+        title: request.title || branch,
+        description: request.body || '',
+        source,
+        destination: { branch: { name: request.base } },
+        draft: Boolean(request.draft),
+        reviewers: await reviewerUuids(request.reviewers, target)
+      });
+      return { url: pr.links?.html?.href || null, number: pr.id };
+    },
+
+    async updatePR(number, { title, body, base, addLabels = [], removeLabels = [] }, target) {
+      if (addLabels.length > 0 || removeLabels.length > 0) {
+        throw new Error('Bitbucket pull requests have no labels');
+      }
+      const payload = { title, description: body };
+      if (base) payload.destination = { branch: { name: base } };
+      const pr = await api.put(`${repoPath(target)}/pullrequests/${number}`, payload);
+      return { url: pr?.links?.html?.href || null };
+    },
+
+    async listLabels() {
+      return [];
+    },
+
+    async createLabel() {
+      throw new Error('Bitbucket pull requests have no labels');
+    },
+
+    async getIssue({ repo: other, number }, target = {}) {
+      const path = other ? `/repositories/${other.split('/').map(encodeURIComponent).join('/')}` : repoPath(target);
+      const issue = await quietly(api.get(`${path}/issues/${number}`));
+      return issue ? { number: issue.id, title: issue.title, state: issueState(issue.state === 'new' ? 'open' : issue.state), url: issue.links?.html?.href } : null;
+    },
+
+    async currentUser() {
+      const user = await quietly(api.get('/user'));
+      return user?.nickname || null;
+    },
+
+    async countReviewRequests() {
+      return null;
+    },
+
+    describeCreate: request => `POST ${api.url(`${repoPath({ repo: request.repo })}/pullrequests`)}`,
+    describeUpdate: (number, changes, target) => `PUT ${api.url(`${repoPath(target)}/pullrequests/${number}`)}`
+  };
+}
+
+// Pull requests through the GitHub REST API, for machines without gh (or with --api)
+export function createGitHubHost({ repo, apiUrl, token, timeout } = {}) {
+  const api = createApiClient({
+    baseUrl: apiUrl || (repo.host === 'github.com' ? 'https://api.github.com' : `https://${repo.host}/api/v3`),
+    headers: {
+      accept: 'application/vnd.github+json',
+      'x-github-api-version': '2022-11-28',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    timeout,
+    tokenVar: repo.host === 'github.com' ? 'GITHUB_TOKEN' : 'GH_ENTERPRISE_TOKEN'
+  });
+  const repoPath = (target = {}) => {
+    const { owner, name } = target.repo || repo;
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+  };
+  // The same fields gh pr list --json gives
+  const toPR = pr => ({
+    number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    body: pr.body || '',
+    baseRefName: pr.base?.ref,
+    headRefName: pr.head?.ref,
+    headRepositoryOwner: { login: pr.head?.repo?.owner?.login || pr.head?.user?.login },
+    labels: (pr.labels || []).map(label => ({ name: label.name }))
+  });
+
+  // The head filter takes "owner:branch", so forks are told apart by the API itself
+  async function findPR(state, head, target = {}) {
+    const owner = target.headOwner || (target.repo || repo).owner;
+    const prs = await api.get(`${repoPath(target)}/pulls?state=${state === 'merged' ? 'closed' : 'open'}&head=${encodeURIComponent(`${owner}:${head}`)}&sort=updated&direction=desc&per_page=20`);
+    const pr = prs.find(candidate => state !== 'merged' || candidate.merged_at);
+    return pr ? toPR(pr) : null;
+  }
+
+  async function currentUser() {
+    const user = await quietly(api.get('/user'));
+    return user?.login || null;
+  }
+
+  return {
+    name: 'github',
+    label: 'GitHub API',
+    hostname: repo.host,
+    setup: [
+      `export ${repo.host === 'github.com' ? 'GITHUB_TOKEN' : 'GH_ENTERPRISE_TOKEN'}=...  # token with the repo scope`,
+      `or install gh and run: gh auth login${repo.host === 'github.com' ? '' : ` --hostname ${repo.host}`}`
+    ],
+    authHint: `export ${repo.host === 'github.com' ? 'GITHUB_TOKEN' : 'GH_ENTERPRISE_TOKEN'}=...  # or ${hostTokenVar(repo.host)}`,
+    authStatus: () => signedIn(api, 'login'),
+
+    findOpenPR: (head, target) => quietly(findPR('open', head, target)),
+    findMergedPR: (head, target) => quietly(findPR('merged', head, target)),
+
+    async createPR(request) {
+      const target = { repo: request.repo };
+      const [, branch] = splitHead(request.head);
+      let pr;
+      try {
+        pr = await api.post(`${repoPath(target)}/pulls`, {
+          title: request.title || branch,
+          head: request.head,
+          base: request.base,
+          body: request.body || '',
+          draft: Boolean(request.draft)
+        });
+      } catch (error) {
+        if (error.status === 422 && /already exists/i.test(error.message)) {
+          throw new Error(`a pull request for ${request.head} into ${request.base} already exists; run qpr update to refresh it`);
+        }
+        throw error;
+      }
+
+      // The PR exists from here on, so a refused reviewer or assignee is only a warning, as with gh
+      const warnings = [];
+      const { people, teams } = splitReviewers(request.reviewers);
+      if (people.length > 0 || teams.length > 0) {
+        await api.post(`${repoPath(target)}/pulls/${pr.number}/requested_reviewers`, { reviewers: people, team_reviewers: teams })
+          .catch(error => warnings.push(`Could not request reviews from ${[...people, ...teams].join(', ')}: ${error.message}`));
+      }
+      // gh resolves @me to the signed-in user; the API needs the login
+      const assignees = [];
+      for (const login of request.assignees || []) {
+        assignees.push(login === '@me' ? await currentUser() : login.replace(/^@/, ''));
+      }
+      if (assignees.filter(Boolean).length > 0) {
+        await api.post(`${repoPath(target)}/issues/${pr.number}/assignees`, { assignees: assignees.filter(Boolean) })
+          .catch(error => warnings.push(`Could not assign ${assignees.filter(Boolean).join(', ')}: ${error.message}`));
+      }
+      return { url: pr.html_url, number: pr.number, warnings };
+    },
+
+    async updatePR(number, { title, body, base, addLabels = [], removeLabels = [] }, target) {
+      let url = null;
+      if (title || body !== undefined || base) {
+        url = (await api.patch(`${repoPath(target)}/pulls/${number}`, { title, body, base }))?.html_url || null;
+      }
+      if (addLabels.length > 0) {
+        await api.post(`${repoPath(target)}/issues/${number}/labels`, { labels: addLabels });
+      }
+      for (const name of removeLabels) {
+        await api.delete(`${repoPath(target)}/issues/${number}/labels/${encodeURIComponent(name)}`);
+      }
+      return { url };
+    },
+
+    async listLabels(target) {
+      const labels = await quietly(api.get(`${repoPath(target)}/labels?per_page=100`), []);
+      return labels.map(label => label.name);
+    },
+
+    // Another run may have created the label in the meantime, which is just as good
+    async createLabel({ name, color, description }, target) {
+      try {
+        await api.post(`${repoPath(target)}/labels`, { name, color, description });
+      } catch (error) {
+        if (error.status !== 422 || !error.data?.errors?.some(detail => detail.code === 'already_exists')) throw error;
+      }
+    },
+
+    async getIssue({ repo: other, number }, target = {}) {
+      const path = other ? `/repos/${other.split('/').map(encodeURIComponent).join('/')}` : repoPath(target);
+      const issue = await quietly(api.get(`${path}/issues/${number}`));
+      return issue ? { number: issue.number, title: issue.title, state: issueState(issue.state), url: issue.html_url } : null;
+    },
+
+    currentUser,
+
+    async countReviewRequests(login) {
+      const query = encodeURIComponent(`is:pr is:open review-requested:${login}`);
+      const result = await quietly(api.get(`/search/issues?q=${query}&per_page=1`));
+      return result ? result.total_count : null;
+    },
+
+    describeCreate: request => `POST ${api.url(`${repoPath({ repo: request.repo })}/pulls`)}`,
+    describeUpdate: (number, changes, target) => `PATCH ${api.url(`${repoPath(target)}/pulls/${number}`)}`
+  };
+}
+
+const REST_HOSTS = {
+  github: { create: createGitHubHost, tokens: ['GH_TOKEN', 'GITHUB_TOKEN'] },
+  gitlab: { create: createGitLabHost, tokens: ['GITLAB_TOKEN'] },
+  gitea: { create: createGiteaHost, tokens: ['GITEA_TOKEN', 'FORGEJO_TOKEN'] },
+  bitbucket: { create: createBitbucketHost, tokens: ['BITBUCKET_TOKEN'] }
+};
+
+// gh's own variables for GitHub Enterprise; GITHUB_TOKEN still works there in Actions
+const ENTERPRISE_TOKENS = ['GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN', 'GH_TOKEN', 'GITHUB_TOKEN'];
+
+// The per-host env variable for a hostname, e.g. QPR_TOKEN_GHE_EXAMPLE_COM
+export function hostTokenVar(hostname) {
+  return `QPR_TOKEN_${hostname.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+// A token set for this one host, from the config's tokens or QPR_TOKEN_<HOST>
+export function configuredToken(hostname, settings = {}, env = process.env) {
+  if (!hostname) return null;
+  const entry = Object.entries(settings.tokens || {}).find(([name]) => name.toLowerCase() === hostname.toLowerCase());
+  if (entry) {
+    const value = String(entry[1]);
+    return (value.startsWith('$') ? env[value.slice(1)] : value) || null;
+  }
+  return env[hostTokenVar(hostname)] || null;
+}
+
+// The per-host token, else the variables the host's own CLI reads
+export function hostToken(type, hostname, settings = {}, env = process.env) {
+  const vars = type === 'github' && hostname !== 'github.com' ? ENTERPRISE_TOKENS : REST_HOSTS[hostType(type)].tokens;
+  return configuredToken(hostname, settings, env) || vars.map(name => env[name]).find(Boolean) || null;
+}
+
+// Stands in when the remote names no repository, e.g. a local path: lookups find nothing, and
+// opening or changing a PR fails with the reason inside the caller's usual error handling
+function createUnknownHost(type) {
+  const reason = `Could not tell the ${type} repository from the remote URL`;
+  const fail = async () => {
+    throw new Error(reason);
+  };
+  return {
+    name: type,
+    label: 'the remote',
+    hostname: null,
+    setup: ['git remote set-url <remote> https://<host>/<owner>/<repo>.git'],
+    findOpenPR: async () => null,
+    findMergedPR: async () => null,
+    createPR: fail,
+    updatePR: fail,
+    listLabels: async () => [],
+    createLabel: fail,
+    getIssue: async () => null,
+    currentUser: async () => null,
+    countReviewRequests: async () => null,
+    authStatus: async () => ({ user: null, error: reason }),
+    describeCreate: () => reason,
+    describeUpdate: () => reason
+  };
+}
+
+// The REST host for a remote, with its token from the config or the environment
+export function createRestHost(type, { repo, settings = {}, env = process.env } = {}) {
+  const provider = REST_HOSTS[hostType(type)];
+  if (!repo) return createUnknownHost(type);
+  return provider.create({
+    repo,
+    apiUrl: settings.apiUrl || null,
+    token: hostToken(type, repo.host, settings, env),
+    username: env.BITBUCKET_USERNAME,
+    timeout: Number(settings.timeout) || DEFAULT_HOST_SETTINGS.timeout
+  });
+}
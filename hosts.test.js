@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import { detectHostType, createGitHubHost, createGitLabHost, createGiteaHost, createBitbucketHost, createRestHost, hostToken, hostTokenVar } from './hosts.js';
+
+// Local stand-in for the GitHub, GitLab, Gitea and Bitbucket APIs; each test sets the routes it answers
+let server;
+let baseUrl;
+let routes;
+const requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const route = routes[`${req.method} ${req.url}`];
+      const [status, data, headers = {}] = route ? (typeof route === 'function' ? route(request) : route) : [404, { message: '404 Not Found' }];
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes = {};
+  requests.length = 0;
+});
+
+const sent = (method, url) => requests.find(request => request.method === method && request.url === url);
+
+describe('detectHostType', () => {
+  it('should tell the host from the remote hostname or the config', () => {
+    expect(detectHostType('github.com')).toBe('github');
+    expect(detectHostType('ghe.example.com')).toBe('github');
+    expect(detectHostType('gitlab.com')).toBe('gitlab');
+    expect(detectHostType('gitlab.internal.example.com')).toBe('gitlab');
+    expect(detectHostType('codeberg.org')).toBe('gitea');
+    expect(detectHostType('bitbucket.org')).toBe('bitbucket');
+    expect(detectHostType('git.example.com', { hosts: { 'GIT.example.com': 'Gitea' } })).toBe('gitea');
+    expect(detectHostType('github.com', { type: 'gitlab' })).toBe('gitlab');
+    expect(() => detectHostType('git.example.com', { type: 'svn' })).toThrow(/Unknown PR host "svn"/);
+  });
+});
+
+describe('createGitHubHost', () => {
+  const repo = { host: 'github.com', owner: 'octo', name: 'app' };
+  const pulls = '/github/repos/octo/app/pulls';
+  const pr = { number: 5, html_url: 'https://github.com/octo/app/pull/5', title: 'feat: x', body: 'Body', base: { ref: 'main' }, head: { ref: 'feat/x', repo: { owner: { login: 'me' } } }, labels: [{ name: 'severity:low' }] };
+
+  it('should open a pull request, then request reviews and assign it', async () => {
+    routes[`POST ${pulls}`] = [201, pr];
+    routes[`POST ${pulls}/5/requested_reviewers`] = [201, {}];
+    routes['POST /github/repos/octo/app/issues/5/assignees'] = [201, {}];
+    routes['GET /github/user'] = [200, { login: 'me' }];
+    const host = createGitHubHost({ repo, apiUrl: `${baseUrl}/github`, token: 'ghp' });
+
+    const created = await host.createPR({ base: 'main', head: 'me:feat/x', title: 'feat: x', body: 'Body', draft: true, reviewers: ['alice', 'octo/core'], assignees: ['@me', 'bob'] });
+
+    expect(created).toEqual({ url: pr.html_url, number: 5, warnings: [] });
+    const request = sent('POST', pulls);
+    expect(request.headers.authorization).toBe('Bearer ghp');
+    expect(request.body).toEqual({ title: 'feat: x', head: 'me:feat/x', base: 'main', body: 'Body', draft: true });
+    expect(sent('POST', `${pulls}/5/requested_reviewers`).body).toEqual({ reviewers: ['alice'], team_reviewers: ['core'] });
+    expect(sent('POST', '/github/repos/octo/app/issues/5/assignees').body).toEqual({ assignees: ['me', 'bob'] });
+  });
+
+  it('should still return the created pull request when reviewers or assignees are refused', async () => {
+    routes[`POST ${pulls}`] = [201, pr];
+    routes[`POST ${pulls}/5/requested_reviewers`] = [422, { message: 'Reviews may only be requested from collaborators.' }];
+    routes['POST /github/repos/octo/app/issues/5/assignees'] = [403, { message: 'Resource not accessible by integration' }];
+    const host = createGitHubHost({ repo, apiUrl: `${baseUrl}/github`, token: 'ghp' });
+
+    const created = await host.createPR({ base: 'main', head: 'feat/x', title: 'feat: x', reviewers: ['ghost'], assignees: ['bob'] });
+
+    expect(created.url).toBe(pr.html_url);
+    expect(created.number).toBe(5);
+    expect(created.warnings).toEqual([
+      expect.stringMatching(/^Could not request reviews from ghost: .*Reviews may only be requested from collaborators/),
+      expect.stringMatching(/^Could not assign bob: .*Resource not accessible by integration/)
+    ]);
+  });
+
+  it('should find pull requests by owner:branch and keep their labels in sync', async () => {
+    routes[`GET ${pulls}?state=open&head=me%3Afeat%2Fx&sort=updated&direction=desc&per_page=20`] = [200, [pr]];
+    routes[`GET ${pulls}?state=closed&head=octo%3Afeat%2Fx&sort=updated&direction=desc&per_page=20`] = [200, [{ ...pr, merged_at: null }]];
+    routes[`PATCH ${pulls}/5`] = [200, pr];
+    routes['POST /github/repos/octo/app/issues/5/labels'] = [200, []];
+    routes['DELETE /github/repos/octo/app/issues/5/labels/severity%3Alow'] = [200, []];
+    routes['POST /github/repos/octo/app/labels'] = [422, { message: 'Validation Failed', errors: [{ resource: 'Label', code: 'already_exists', field: 'name' }] }];
+    routes[`GET /github/search/issues?q=${encodeURIComponent('is:pr is:open review-requested:alice')}&per_page=1`] = [200, { total_count: 4, items: [] }];
+    const host = createGitHubHost({ repo, apiUrl: `${baseUrl}/github` });
+
+    expect(await host.findOpenPR('feat/x', { headOwner: 'me' })).toEqual({
+      number: 5, url: pr.html_url, title: 'feat: x', body: 'Body', baseRefName: 'main', headRefName: 'feat/x',
+      headRepositoryOwner: { login: 'me' }, labels: [{ name: 'severity:low' }]
+    });
+    expect(await host.findMergedPR('feat/x')).toBeNull();
+    expect(await host.updatePR(5, { body: 'New', addLabels: ['severity:high'], removeLabels: ['severity:low'] })).toEqual({ url: pr.html_url });
+    expect(sent('PATCH', `${pulls}/5`).body).toEqual({ body: 'New' });
+    expect(sent('POST', '/github/repos/octo/app/issues/5/labels').body).toEqual({ labels: ['severity:high'] });
+    await expect(host.createLabel({ name: 'severity:high', color: 'd93f0b' })).resolves.toBeUndefined();
+    expect(await host.countReviewRequests('alice')).toBe(4);
+  });
+
+  it('should explain an existing pull request and the rate limit', async () => {
+    routes[`POST ${pulls}`] = [422, { message: 'Validation Failed', errors: [{ resource: 'PullRequest', code: 'custom', message: 'A pull request already exists for me:feat/x.' }] }];
+    routes['POST /github/repos/octo/app/labels'] = [403, { message: 'API rate limit exceeded for 203.0.113.7.' }, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1792400000' }];
+    const host = createGitHubHost({ repo, apiUrl: `${baseUrl}/github` });
+
+    await expect(host.createPR({ base: 'main', head: 'me:feat/x', title: 'x' }))
+      .rejects.toThrow('a pull request for me:feat/x into main already exists; run qpr update to refresh it');
+    await expect(host.createLabel({ name: 'area:api', color: '1d76db' }))
+      .rejects.toThrow(`POST ${baseUrl}/github/repos/octo/app/labels failed: rate limit exceeded, resets at 2026-10-19T08:53:20.000Z (set GITHUB_TOKEN for a higher limit)`);
+    expect(host.describeCreate({ base: 'main', head: 'feat/x' })).toBe(`POST ${baseUrl}${pulls}`);
+  });
+
+  it('should default to api.github.com and the Enterprise API path', () => {
+    expect(createGitHubHost({ repo }).describeUpdate(5, {}, {})).toBe('PATCH https://api.github.com/repos/octo/app/pulls/5');
+    expect(createGitHubHost({ repo: { ...repo, host: 'ghe.example.com' } }).describeCreate({ base: 'main', head: 'x' }))
+      .toBe('POST https://ghe.example.com/api/v3/repos/octo/app/pulls');
+  });
+});
+
+describe('createGitLabHost', () => {
+  const repo = { host: 'gitlab.example.com', owner: 'group/sub', name: 'app' };
+  const project = '/gitlab/projects/group%2Fsub%2Fapp';
+  const mr = { iid: 7, web_url: 'https://gitlab.example.com/group/sub/app/-/merge_requests/7', title: 'feat: x', description: 'Body', target_branch: 'main', source_branch: 'feat/x', labels: ['severity:low'], source_project_id: 1 };
+
+  it('should open a merge request with reviewers by user id', async () => {
+    routes['GET /gitlab/users?username=alice'] = [200, [{ id: 11, username: 'alice' }]];
+    routes['GET /gitlab/users?username=ghost'] = [200, []];
+    routes[`POST ${project}/merge_requests`] = [201, mr];
+    const host = createGitLabHost({ repo, apiUrl: `${baseUrl}/gitlab/`, token: 'glpat' });
+
+    const created = await host.createPR({ base: 'main', head: 'feat/x', title: 'feat: x', body: 'Body', draft: true, reviewers: ['alice', 'ghost', 'group/team'], assignees: [] });
+
+    expect(created).toEqual({ url: mr.web_url, number: 7 });
+    const request = sent('POST', `${project}/merge_requests`);
+    expect(request.headers['private-token']).toBe('glpat');
+    expect(request.body).toEqual({ source_branch: 'feat/x', target_branch: 'main', title: 'Draft: feat: x', description: 'Body', reviewer_ids: [11], assignee_ids: [] });
+    expect(host.describeCreate({ base: 'main', head: 'feat/x' })).toBe(`POST ${baseUrl}${project}/merge_requests`);
+  });
+
+  it('should find, update and label merge requests', async () => {
+    routes[`GET ${project}/merge_requests?state=opened&source_branch=feat%2Fx&order_by=updated_at`] = [200, [mr]];
+    routes[`PUT ${project}/merge_requests/7`] = [200, mr];
+    routes[`GET ${project}/labels?per_page=100`] = [200, [{ name: 'severity:low' }]];
+    routes[`POST ${project}/labels`] = [201, {}];
+    routes[`GET ${project}/issues/12`] = [200, { iid: 12, title: 'Login fails', state: 'opened', web_url: 'https://gitlab.example.com/i/12' }];
+    routes['GET /gitlab/merge_requests?scope=all&state=opened&reviewer_username=alice&per_page=100'] = [200, [{}, {}]];
+    const host = createGitLabHost({ repo, apiUrl: `${baseUrl}/gitlab` });
+
+    expect(await host.findOpenPR('feat/x')).toEqual({ number: 7, url: mr.web_url, title: 'feat: x', body: 'Body', baseRefName: 'main', headRefName: 'feat/x', labels: [{ name: 'severity:low' }] });
+    expect(await host.findMergedPR('feat/x')).toBeNull();
+    await host.updatePR(7, { body: 'New', addLabels: ['area:api', 'severity:high'], removeLabels: ['severity:low'] });
+    expect(sent('PUT', `${project}/merge_requests/7`).body).toEqual({ description: 'New', add_labels: 'area:api,severity:high', remove_labels: 'severity:low' });
+    expect(await host.listLabels()).toEqual(['severity:low']);
+    await host.createLabel({ name: 'area:api', color: '1d76db', description: 'API' });
+    expect(sent('POST', `${project}/labels`).body).toEqual({ name: 'area:api', color: '#1d76db', description: 'API' });
+    expect(await host.getIssue({ number: 12 })).toEqual({ number: 12, title: 'Login fails', state: 'OPEN', url: 'https://gitlab.example.com/i/12' });
+    expect(await host.countReviewRequests('alice')).toBe(2);
+  });
+
+  it('should explain a refused token', async () => {
+    routes[`POST ${project}/merge_requests`] = [401, { message: '401 Unauthorized' }];
+    const host = createGitLabHost({ repo, apiUrl: `${baseUrl}/gitlab` });
+
+    await expect(host.createPR({ base: 'main', head: 'feat/x', title: 'x' }))
+      .rejects.toThrow(/failed with status 401: 401 Unauthorized \(check GITLAB_TOKEN\)/);
+    expect(await host.currentUser()).toBeNull();
+  });
+});
+
+describe('createGiteaHost', () => {
+  const repo = { host: 'gitea.example.com', owner: 'octo', name: 'app' };
+  const pulls = '/gitea/repos/octo/app/pulls';
+  const pr = { number: 3, html_url: 'https://gitea.example.com/octo/app/pulls/3', title: 'feat: x', body: 'Body', base: { ref: 'main' }, head: { ref: 'feat/x', repo: { owner: { login: 'me' } } }, labels: [] };
+
+  it('should open a pull request and request reviews', async () => {
+    routes[`POST ${pulls}`] = [201, pr];
+    routes[`POST ${pulls}/3/requested_reviewers`] = [201, []];
+    const host = createGiteaHost({ repo, apiUrl: `${baseUrl}/gitea`, token: 'tea' });
+
+    const created = await host.createPR({ base: 'main', head: 'me:feat/x', title: 'feat: x', body: 'Body', draft: true, reviewers: ['alice', 'octo/core'], assignees: ['bob'] });
+
+    expect(created).toEqual({ url: pr.html_url, number: 3, warnings: [] });
+    const request = sent('POST', pulls);
+    expect(request.headers.authorization).toBe('token tea');
+    expect(request.body).toEqual({ base: 'main', head: 'me:feat/x', title: 'WIP: feat: x', body: 'Body', assignees: ['bob'] });
+    expect(sent('POST', `${pulls}/3/requested_reviewers`).body).toEqual({ reviewers: ['alice'], team_reviewers: ['core'] });
+  });
+
+  it('should match the head branch and its fork, and label by id', async () => {
+    routes[`GET ${pulls}?state=open&sort=recentupdate&limit=50`] = [200, [{ ...pr, head: { ref: 'feat/x', repo: { owner: { login: 'other' } } } }, pr]];
+    routes['GET /gitea/repos/octo/app/labels?limit=100'] = [200, [{ id: 4, name: 'severity:high' }, { id: 5, name: 'severity:low' }]];
+    routes['POST /gitea/repos/octo/app/issues/3/labels'] = [200, []];
+    routes['DELETE /gitea/repos/octo/app/issues/3/labels/5'] = [204, undefined];
+    const host = createGiteaHost({ repo, apiUrl: `${baseUrl}/gitea` });
+
+    expect((await host.findOpenPR('feat/x', { headOwner: 'ME' })).number).toBe(3);
+    expect(await host.findOpenPR('feat/y')).toBeNull();
+    await host.updatePR(3, { addLabels: ['severity:high'], removeLabels: ['severity:low'] });
+    expect(sent('POST', '/gitea/repos/octo/app/issues/3/labels').body).toEqual({ labels: [4] });
+    expect(sent('DELETE', '/gitea/repos/octo/app/issues/3/labels/5')).toBeDefined();
+    await expect(host.updatePR(3, { addLabels: ['area:ui'] })).rejects.toThrow(/label "area:ui" not found/);
+  });
+});
+
+describe('createBitbucketHost', () => {
+  const repo = { host: 'bitbucket.org', owner: 'team', name: 'app' };
+  const pulls = '/bitbucket/repositories/team/app/pullrequests';
+  const pr = { id: 9, title: 'feat: x', description: 'Body', links: { html: { href: 'https://bitbucket.org/team/app/pull-requests/9' } }, destination: { branch: { name: 'main' } }, source: { branch: { name: 'feat/x' }, repository: { full_name: 'me/app' } } };
+
+  it('should open a pull request from a fork with reviewers by uuid', async () => {
+    routes['GET /bitbucket/workspaces/team/members?pagelen=100'] = [200, { values: [{ user: { nickname: 'alice', uuid: '{a1}' } }] }];
+    routes[`POST ${pulls}`] = [201, pr];
+    const host = createBitbucketHost({ repo, apiUrl: `${baseUrl}/bitbucket`, token: 'secret', username: 'me' });
+
+    expect(await host.createPR({ base: 'main', head: 'me:feat/x', title: 'feat: x', body: 'Body', reviewers: ['alice', 'bob'] }))
+      .toEqual({ url: pr.links.html.href, number: 9 });
+    const request = sent('POST', pulls);
+    expect(request.headers.authorization).toBe(`Basic ${Buffer.from('me:secret').toString('base64')}`);
+    expect(request.body).toEqual({
+      title: 'feat: x',
+      description: 'Body',
+      source: { branch: { name: 'feat/x' }, repository: { full_name: 'me/app' } },
+      destination: { branch: { name: 'main' } },
+      draft: false,
+      reviewers: [{ uuid: '{a1}' }]
+    });
+  });
+
+  it('should find pull requests by source branch and refuse labels', async () => {
+    routes[`GET ${pulls}?state=OPEN&q=${encodeURIComponent('source.branch.name="feat/x"')}&sort=-updated_on`] = [200, { values: [pr] }];
+    routes[`PUT ${pulls}/9`] = [200, pr];
+    const host = createBitbucketHost({ repo, apiUrl: `${baseUrl}/bitbucket` });
+
+    expect(await host.findOpenPR('feat/x', { headOwner: 'me' })).toMatchObject({ number: 9, baseRefName: 'main', body: 'Body', labels: [] });
+    expect(await host.findOpenPR('feat/x', { headOwner: 'other' })).toBeNull();
+    await host.updatePR(9, { body: 'New', base: 'develop' });
+    expect(sent('PUT', `${pulls}/9`).body).toEqual({ description: 'New', destination: { branch: { name: 'develop' } } });
+    expect(host.supportsLabels).toBe(false);
+    await expect(host.updatePR(9, { addLabels: ['severity:low'] })).rejects.toThrow(/no labels/);
+    expect(await host.listLabels()).toEqual([]);
+  });
+});
+
+describe('createRestHost', () => {
+  it('should read the token from the environment and honor apiUrl', async () => {
+    routes['GET /api/user'] = [200, { login: 'octo' }];
+    const host = createRestHost('gitea', { repo: { host: 'codeberg.org', owner: 'o', name: 'r' }, settings: { apiUrl: `${baseUrl}/api` }, env: { FORGEJO_TOKEN: 'fj' } });
+
+    expect(host.name).toBe('gitea');
+    expect(await host.currentUser()).toBe('octo');
+    expect(sent('GET', '/api/user').headers.authorization).toBe('token fj');
+  });
+
+  it('should find nothing and refuse changes when the remote names no repository', async () => {
+    const host = createRestHost('gitlab', { repo: null });
+
+    expect(await host.findOpenPR('feat/x', {})).toBeNull();
+    expect(await host.getIssue({ number: 12 })).toBeNull();
+    expect(await host.currentUser()).toBeNull();
+    await expect(host.createPR({ base: 'main', head: 'feat/x' })).rejects.toThrow(/Could not tell the gitlab repository/);
+  });
+});
+
+describe('hostToken', () => {
+  it('should prefer the per-host token from the config or QPR_TOKEN_<HOST>', () => {
+    const env = { GITHUB_TOKEN: 'actions', GH_ENTERPRISE_TOKEN: 'ghe', QPR_TOKEN_GIT_EXAMPLE_COM: 'per-host', CORP_TOKEN: 'corp' };
+
+    expect(hostTokenVar('git.example.com')).toBe('QPR_TOKEN_GIT_EXAMPLE_COM');
+    expect(hostToken('gitea', 'git.example.com', {}, env)).toBe('per-host');
+    expect(hostToken('github', 'ghe.example.com', { tokens: { 'GHE.example.com': '$CORP_TOKEN' } }, env)).toBe('corp');
+    expect(hostToken('github', 'ghe.example.com', { tokens: { 'ghe.example.com': 'literal' } }, env)).toBe('literal');
+    // gh's variables: enterprise ones for GitHub Enterprise, GITHUB_TOKEN for github.com
+    expect(hostToken('github', 'ghe.example.com', {}, env)).toBe('ghe');
+    expect(hostToken('github', 'github.com', {}, env)).toBe('actions');
+    expect(hostToken('gitlab', 'gitlab.com', {}, env)).toBeNull();
+  });
+
+  it('should send the per-host token and report who it signs in as', async () => {
+    routes['GET /ghe/user'] = ({ headers }) => (headers.authorization === 'Bearer per-host' ? [200, { login: 'octo' }] : [401, { message: 'Bad credentials' }]);
+    const repo = { host: 'ghe.example.com', owner: 'octo', name: 'app' };
+    const settings = { apiUrl: `${baseUrl}/ghe` };
+
+    const host = createRestHost('github', { repo, settings, env: { QPR_TOKEN_GHE_EXAMPLE_COM: 'per-host' } });
+    expect(await host.authStatus()).toEqual({ user: 'octo', error: null });
+    expect(host.authHint).toBe('export GH_ENTERPRISE_TOKEN=...  # or QPR_TOKEN_GHE_EXAMPLE_COM');
+
+    const anonymous = createRestHost('github', { repo, settings, env: {} });
+    expect((await anonymous.authStatus()).error).toMatch(/status 401: Bad credentials \(check GH_ENTERPRISE_TOKEN\)/);
+  });
+});
@@ -1,6 +1,5 @@
 #!/usr/bin/env node
-import { execSync } from "child_process";
-import { program } from "commander";
+import { program, Option, InvalidArgumentError } from "commander";
 import chalk from "chalk";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
@@ -10,10 +9,41 @@ import {
   getDefaultBranch,
   pushBranch,
   createPR,
+  updatePR,
   createWorkflowSummary,
   commitAndPush,
   forceCommitAndPush,
+  restoreBackup,
+  listBackups,
+  planCommit,
+  planPush,
+  executePlan,
+  printCommitPlan,
+  printPushPlan,
+  planBranch,
+  printBranchPlan,
+  pickFilesToCommit,
+  scanStagedChanges,
+  acceptSecretFindings,
+  reportSecrets,
+  pendingDiffRange,
+  resolveTarget,
+  analyzeRange,
+  doctor,
+  changelog,
 } from "./lib.js";
+import { loadConfig, pickCliOptions, describeConfig } from "./config.js";
+import { syncStack } from "./stack.js";
+import { SecretsFoundError, SecretScanError } from "./secrets.js";
+import { SEVERITY_LEVELS, severityRank } from "./severity.js";
+import { REPORT_FORMATS, formatReport, meetsSeverity } from "./report.js";
+import { CHANGELOG_FORMATS } from "./changelog.js";
+import {
+  WORKFLOW_PLATFORMS,
+  WORKFLOW_JOBS,
+  DEFAULT_WORKFLOW_SETTINGS,
+  parseJobs,
+} from "./workflow.js";
 
 // Get version from package.json
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +52,33 @@ const packageJson = JSON.parse(
   readFileSync(join(__dirname, "package.json"), "utf8")
 );
 
+// Repeatable options such as --label collect into an array
+function collect(value, previous) {
+  return [...(previous || []), value];
+}
+
+// --fail-on takes a severity level in any case
+function parseSeverity(value) {
+  if (severityRank(value) === -1) {
+    throw new InvalidArgumentError(
+      `Expected one of: ${SEVERITY_LEVELS.join(", ").toLowerCase()}`
+    );
+  }
+  return value;
+}
+
+// Merge CLI flags over repo, user and built-in configuration
+function resolveOptions(cli) {
+  // --staged is shorthand for the "stage" setting
+  const { staged, ...rest } = cli;
+  try {
+    return loadConfig({ cli: staged ? { ...rest, stage: "staged" } : rest });
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
 program
   .name("qpr")
   .description(
@@ -29,6 +86,7 @@ program
   )
   .version(packageJson.version)
   .showHelpAfterError("(add --help for additional information)")
+  .enablePositionalOptions()
   .addHelpText(
     "after",
     `
@@ -37,143 +95,530 @@ Examples:
   $ qpr "fix: bug fix" main
   $ qpr --title "My PR" --draft
   $ qpr "update" --no-copilot
-  $ qpr create-workflow-summary
+  $ qpr "feat: x" --provider ollama --model llama3.1
+  $ qpr create-workflow-summary --platform gitlab --jobs body,labels,gate
   $ qpr push "fix: update logic"
+  $ qpr "feat: x" --dry-run
+  $ qpr start "fix: cache expiry (#12)"
+  $ qpr "feat: x" --edit
+  $ qpr doctor --hostname github.example.com
+  $ qpr "feat: x" --reviewer alice --assignee @me
   $ qpr fpush
+  $ qpr restore --list
+  $ qpr update
+  $ qpr analyze main --format json --fail-on high
+  $ qpr stack
+  $ qpr changelog --release 1.4.0 --write
+  $ qpr config
 `
   );
 
-program
-  .argument("[message]", "Commit message (used as PR title)")
-  .argument("[base-branch]", "Base branch to create PR against")
-  .option("-d, --draft", "Create as draft PR")
-  .option("-t, --title <title>", "PR title (defaults to commit message)")
-  .option("-b, --body <body>", "PR description (overrides Copilot summary)")
-  .option("--no-copilot", "Disable Copilot summary generation")
-  .option("-f, --fill", "Use git commits to fill (skip Copilot)")
-  .option("-h, --help", "Display help for command")
-  .action((message, baseBranchArg, options) => {
-    // If no message provided, show help
-    if (!message && !options.title) {
-      program.help();
-    }
+// How the commit is staged, for every command that commits
+function withStagingOptions(command) {
+  return command
+    .option("--staged", "Commit only what is already staged")
+    .option(
+      "--only <pathspec...>",
+      "Stage and commit only these paths, e.g. --only src/ README.md"
+    )
+    .option("-i, --pick", "Choose the files to commit from a list")
+    .option(
+      "--allow-secrets",
+      "Commit even if the secret scan finds something in the staged changes"
+    );
+}
 
-    // Get current branch
-    const currentBranch = getCurrentBranch();
-    if (!currentBranch) {
-      console.error(chalk.red("❌ Not on a git branch"));
+// Stage from a list of changed files when --pick is given; false when nothing was chosen
+async function applyPick(options) {
+  if (!options.pick) return true;
+  const only = await pickFilesToCommit(options);
+  if (only === false) return false;
+  if (!only) {
+    console.log(chalk.yellow("⚠️  No files selected, nothing to commit"));
+    return false;
+  }
+  options.only = only;
+  return true;
+}
+
+// Options shared by the default action and `qpr start`
+function withCreateOptions(command) {
+  return withStagingOptions(command)
+    .option("-d, --draft", "Create as draft PR")
+    .option("--no-draft", "Create as ready-for-review PR")
+    .option(
+      "-r, --remote <remote>",
+      "Remote of the repository to open the PR against (default: upstream, else origin)"
+    )
+    .option(
+      "--push-remote <remote>",
+      "Remote to push the branch to (default: origin for forks, else --remote)"
+    )
+    .option(
+      "--api",
+      "Use the GitHub REST API (GITHUB_TOKEN) instead of the gh CLI"
+    )
+    .option(
+      "--hostname <host>",
+      "GitHub Enterprise or other instance to use (default: GH_HOST, else the remote's host)"
+    )
+    .option("-t, --title <title>", "PR title (defaults to commit message)")
+    .option("-b, --body <body>", "PR description (overrides Copilot summary)")
+    .option(
+      "-l, --label <name>",
+      "Add a label besides the automatic ones (repeatable, or comma-separated)",
+      collect
+    )
+    .option(
+      "--reviewer <login>",
+      "Request a review besides the CODEOWNERS ones (repeatable, @org/team allowed)",
+      collect
+    )
+    .option(
+      "--assignee <login>",
+      "Assign the PR, e.g. @me (repeatable, or comma-separated)",
+      collect
+    )
+    .option("--copilot", "Enable Copilot summary generation")
+    .option("--no-copilot", "Disable Copilot summary generation")
+    .option("-f, --fill", "Use git commits to fill (skip Copilot)")
+    .option(
+      "-e, --edit",
+      "Review title and description in $VISUAL/$EDITOR first"
+    )
+    .option("--no-edit", "Submit without opening the editor")
+    .option(
+      "-p, --provider <name>",
+      "Description provider: copilot, openai, ollama, llamacpp, anthropic, none"
+    )
+    .option("-m, --model <model>", "Model name for the description provider")
+    .option("--llm-url <url>", "Base URL of the LLM endpoint")
+    .option("--llm-timeout <ms>", "Timeout for the LLM request in milliseconds")
+    .option(
+      "-n, --dry-run",
+      "Show what would be committed, pushed and opened without doing it"
+    );
+}
+
+// Commit, push and open the PR; on the default branch or a detached HEAD,
+// or always with `start`, the work first moves to a branch named after the message
+async function commitPushAndOpen(
+  message,
+  baseBranchArg,
+  options,
+  { start = false } = {}
+) {
+  if (options.dryRun) {
+    console.log(
+      chalk.yellow("🧪 Dry run: nothing will be committed, pushed or opened\n")
+    );
+  }
+
+  if (message && !(await applyPick(options))) {
+    process.exit(1);
+  }
+
+  // Work out where to push and which repository receives the PR
+  const target = resolveTarget(options);
+  options.target = target;
+  if (target.fork) {
+    console.log(
+      chalk.cyan(
+        `🍴 Fork: pushing to ${target.pushRemote}, opening the PR against ${target.remote}`
+      )
+    );
+  }
+
+  // Determine base branch
+  const base = baseBranchArg || options.base || getDefaultBranch(target.remote);
+  if (!base) {
+    console.error(chalk.red("❌ Could not find main or master branch"));
+    process.exit(1);
+  }
+
+  // Never commit onto the base branch itself
+  let currentBranch = getCurrentBranch();
+  if (start || !currentBranch || currentBranch === base) {
+    if (!start && options.branch?.auto === false) {
+      console.error(
+        chalk.red(
+          currentBranch
+            ? `❌ Cannot create PR from ${base} to itself`
+            : "❌ Not on a git branch"
+        )
+      );
+      console.log(
+        chalk.yellow('💡 Start a branch with: qpr start "feat: ..."')
+      );
       process.exit(1);
     }
 
-    // Commit changes if message provided
-    if (message) {
+    const branchPlan = planBranch(message || options.title, options);
+    if (!branchPlan) {
+      console.error(
+        chalk.red("❌ Could not derive a branch name from the message")
+      );
+      process.exit(1);
+    }
+    if (options.dryRun) {
+      printBranchPlan(branchPlan);
+    } else {
       try {
-        console.log(chalk.blue("📦 Adding all files..."));
-        execSync("git add -A", { stdio: "inherit" });
-        console.log(chalk.blue(`💾 Committing changes...`));
-        execSync(`git commit -m "${message.replace(/"/g, '\\"')}"`, {
-          stdio: "inherit",
-        });
+        executePlan(branchPlan);
       } catch (error) {
-        console.log(
-          chalk.yellow(
-            "⚠️  No changes to commit or commit failed. Continuing..."
+        console.error(
+          chalk.red(
+            `❌ Failed to create branch ${branchPlan.branch}: ${error.message}`
           )
         );
+        process.exit(1);
       }
     }
+    currentBranch = branchPlan.branch;
+  }
 
-    // Set title default
-    if (!options.title) {
-      options.title = message || "Update";
+  // Commit changes if message provided
+  const commitPlan = message ? planCommit(message, options) : null;
+  let untrackedFiles = [];
+  if (commitPlan && options.dryRun) {
+    untrackedFiles = printCommitPlan(commitPlan).filter(
+      (file) => file.index === "?"
+    );
+  } else if (commitPlan) {
+    try {
+      executePlan(commitPlan);
+    } catch (error) {
+      if (error instanceof SecretsFoundError) {
+        reportSecrets(error);
+        process.exit(1);
+      }
+      // Without a working scan the commit can't be trusted, so nothing is pushed
+      if (error instanceof SecretScanError) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.log(
+          chalk.yellow(
+            "💡 Nothing was committed. Fix the secrets settings or baseline, or skip the scan once with --allow-secrets"
+          )
+        );
+        process.exit(1);
+      }
+      console.log(
+        chalk.yellow("⚠️  No changes to commit or commit failed. Continuing...")
+      );
     }
+  }
 
-    console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+  // Set title default
+  if (!options.title) {
+    options.title = message || "Update";
+  }
 
-    // Determine base branch
-    const base = baseBranchArg || getDefaultBranch();
-    if (!base) {
-      console.error(chalk.red("❌ Could not find main or master branch"));
-      process.exit(1);
-    }
+  console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+  console.log(chalk.cyan(`🎯 Target branch: ${base}\n`));
 
-    // Check if same branch
-    if (currentBranch === base) {
-      console.error(chalk.red(`❌ Cannot create PR from ${base} to itself`));
-      process.exit(1);
+  // Push branch
+  if (options.dryRun) {
+    printPushPlan(
+      planPush(currentBranch, {
+        remote: target.pushRemote,
+        setUpstream: true,
+      })
+    );
+    if (commitPlan) {
+      // Preview the analysis against the work that would be committed
+      options.diffRange = pendingDiffRange(base, options);
+      options.pendingCommit = message;
+      if (untrackedFiles.length > 0) {
+        console.log(
+          chalk.gray("   Untracked files are not part of the preview analysis")
+        );
+      }
     }
+  } else if (!pushBranch(currentBranch, target.pushRemote)) {
+    process.exit(1);
+  }
 
-    console.log(chalk.cyan(`🎯 Target branch: ${base}\n`));
+  console.log("");
 
-    // Push branch
-    if (!pushBranch(currentBranch)) {
-      process.exit(1);
-    }
+  // Set copilot option
+  if (options.fill) {
+    options.copilot = false;
+  }
 
-    console.log("");
+  // Create PR
+  if (!(await createPR(base, currentBranch, options))) {
+    process.exit(1);
+  }
+}
 
-    // Set copilot option
-    if (options.fill) {
-      options.copilot = false;
+withCreateOptions(
+  program
+    .argument("[message]", "Commit message (used as PR title)")
+    .argument("[base-branch]", "Base branch to create PR against")
+)
+  .option("-h, --help", "Display help for command")
+  .action(async (message, baseBranchArg, cliOptions, command) => {
+    // If no message provided, show help
+    if (!message && !cliOptions.title) {
+      program.help();
     }
 
-    // Create PR
-    if (!createPR(base, currentBranch, options)) {
-      process.exit(1);
-    }
+    const { config: options } = resolveOptions(pickCliOptions(command));
+    await commitPushAndOpen(message, baseBranchArg, options);
   });
 
+// Subcommand: start - move the work to a new branch named after the message, then open the PR
+withCreateOptions(
+  program
+    .command("start")
+    .description(
+      "Create a branch named after the commit message, then commit, push and open the PR"
+    )
+    .argument(
+      "<message>",
+      'Conventional commit message, e.g. "feat: add login"'
+    )
+    .argument("[base-branch]", "Base branch to create PR against")
+    .option("--issue <ref>", "Issue for the {issue} part of the branch name")
+).action(async (message, baseBranchArg, cliOptions, command) => {
+  const { config: options } = resolveOptions(pickCliOptions(command));
+  await commitPushAndOpen(message, baseBranchArg, options, { start: true });
+});
+
 // Subcommand: create workflow summary
 program
   .command("create-workflow-summary")
   .description(
-    "Create a GitHub Actions workflow that updates PR with AI summary"
+    "Create or update the CI workflow that adds the analysis to every PR"
   )
-  .action(() => {
-    console.log(
-      chalk.blue("🔧 Creating GitHub Actions workflow for PR summaries...")
-    );
+  .addOption(
+    new Option(
+      "--platform <platform>",
+      "CI platform (default: the one generated before, else github)"
+    ).choices(Object.keys(WORKFLOW_PLATFORMS))
+  )
+  .option(
+    "--jobs <jobs>",
+    `Comma-separated jobs: ${Object.keys(WORKFLOW_JOBS).join(
+      ", "
+    )} (default: ${DEFAULT_WORKFLOW_SETTINGS.jobs.join(",")})`,
+    (value) => {
+      try {
+        return parseJobs(value);
+      } catch (error) {
+        throw new InvalidArgumentError(error.message);
+      }
+    }
+  )
+  .option(
+    "--fail-on <level>",
+    `Severity the gate job fails at (default: ${DEFAULT_WORKFLOW_SETTINGS.failOn})`,
+    parseSeverity
+  )
+  .option(
+    "--check",
+    "Only report whether the workflow matches the current template"
+  )
+  .option("--force", "Replace a workflow file qpr did not generate")
+  .action((cliOptions) => {
+    if (!cliOptions.check) {
+      console.log(chalk.blue("🔧 Generating the PR summary workflow..."));
+    }
 
-    if (!createWorkflowSummary()) {
+    const result = createWorkflowSummary(cliOptions);
+    if (!result) {
       process.exit(1);
     }
+    if (cliOptions.check) {
+      if (result.status !== "unchanged") {
+        console.log(
+          chalk.yellow(
+            "💡 Run qpr create-workflow-summary to bring it up to date"
+          )
+        );
+        process.exit(1);
+      }
+      return;
+    }
+    if (result.status === "unchanged") {
+      return;
+    }
 
-    console.log(chalk.green("\n✅ Workflow created successfully!"));
     console.log(chalk.cyan("\n📝 Next steps:"));
-    console.log(chalk.gray("   1. git add .github/workflows/pr-summary.yml"));
-    console.log(chalk.gray('   2. git commit -m "Add PR summary workflow"'));
-    console.log(chalk.gray("   3. git push"));
+    let step = 1;
+    if (result.platform === "gitlab") {
+      console.log(
+        chalk.gray(
+          `   ${step++}. Include ${
+            result.file
+          } from .gitlab-ci.yml and add a QPR_GITLAB_TOKEN CI/CD variable`
+        )
+      );
+    }
+    console.log(chalk.gray(`   ${step++}. git add ${result.file}`));
     console.log(
-      chalk.gray("   4. The workflow will run automatically on future PRs")
+      chalk.gray(`   ${step++}. git commit -m "Add PR summary workflow"`)
+    );
+    console.log(chalk.gray(`   ${step++}. git push`));
+    console.log(
+      chalk.gray(
+        `   ${step}. The workflow will run automatically on future PRs`
+      )
     );
   });
 
 // Subcommand: push - commit all changes and push
+withStagingOptions(
+  program
+    .command("push <message>")
+    .description(
+      "Add all files, commit with message, and push to current branch"
+    )
+    .option("-r, --remote <remote>", "Remote of the upstream repository")
+    .option(
+      "--push-remote <remote>",
+      "Remote to push to (default: origin for forks)"
+    )
+    .option("-n, --dry-run", "Show what would be committed and pushed")
+).action(async (message, cliOptions, command) => {
+  const { config: options } = resolveOptions(pickCliOptions(command));
+  if (!(await applyPick(options))) {
+    process.exit(1);
+  }
+  const currentBranch = getCurrentBranch();
+  if (!currentBranch) {
+    console.error(chalk.red("❌ Not on a git branch"));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+
+  if (!commitAndPush(message, currentBranch, options)) {
+    process.exit(1);
+  }
+});
+
+// Subcommand: force-push - amend commit and force push
+withStagingOptions(
+  program
+    .command("force-push")
+    .alias("fpush")
+    .description(
+      "Add all files, amend commit (no edit), and force push to current branch"
+    )
+    .option("-r, --remote <remote>", "Remote of the upstream repository")
+    .option(
+      "--push-remote <remote>",
+      "Remote to push to (default: origin for forks)"
+    )
+    .option("-n, --dry-run", "Show what would be amended and force pushed")
+    .option(
+      "-y, --yes",
+      "Don't ask before replacing the commits on the remote branch"
+    )
+).action(async (cliOptions, command) => {
+  const { config: options } = resolveOptions(pickCliOptions(command));
+  if (!(await applyPick(options))) {
+    process.exit(1);
+  }
+  const currentBranch = getCurrentBranch();
+  if (!currentBranch) {
+    console.error(chalk.red("❌ Not on a git branch"));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+  console.log(
+    chalk.yellow("⚠️  This will force push and overwrite remote history!")
+  );
+
+  if (!(await forceCommitAndPush(currentBranch, options))) {
+    process.exit(1);
+  }
+});
+
+// Subcommand: restore - roll the branch back to a backup made by force-push
 program
-  .command("push <message>")
-  .description("Add all files, commit with message, and push to current branch")
-  .action((message) => {
+  .command("restore")
+  .description(
+    "Reset the current branch to a backup made by force-push and force push it back"
+  )
+  .argument("[backup]", "Backup timestamp or ref (default: the newest)")
+  .option("-r, --remote <remote>", "Remote of the upstream repository")
+  .option(
+    "--push-remote <remote>",
+    "Remote to push to (default: origin for forks)"
+  )
+  .option("--list", "List the backups of the current branch")
+  .option("--no-push", "Only reset the local branch")
+  .option("-y, --yes", "Don't ask before replacing the commits on the remote")
+  .option("-n, --dry-run", "Show what would be reset and pushed")
+  .action(async (backup, cliOptions, command) => {
+    const { config: options } = resolveOptions(pickCliOptions(command));
     const currentBranch = getCurrentBranch();
     if (!currentBranch) {
       console.error(chalk.red("❌ Not on a git branch"));
       process.exit(1);
     }
 
-    console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+    if (cliOptions.list) {
+      const backups = listBackups(currentBranch);
+      if (backups.length === 0) {
+        console.log(chalk.yellow(`No backups for ${currentBranch}`));
+        return;
+      }
+      for (const entry of backups) {
+        console.log(
+          `${entry.timestamp}  ${entry.sha.slice(0, 7)} ${
+            entry.subject
+          } ${chalk.gray(entry.ref)}`
+        );
+      }
+      return;
+    }
 
-    if (!commitAndPush(message, currentBranch)) {
+    console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
+    if (!(await restoreBackup(currentBranch, { ...options, backup }))) {
       process.exit(1);
     }
   });
 
-// Subcommand: force-push - amend commit and force push
+// Subcommand: update - regenerate the analysis on the open PR
 program
-  .command("force-push")
-  .alias("fpush")
+  .command("update")
   .description(
-    "Add all files, amend commit (no edit), and force push to current branch"
+    "Regenerate the analysis section of the open PR for the current branch"
+  )
+  .option("-t, --title <title>", "Also replace the PR title")
+  .option(
+    "--api",
+    "Use the GitHub REST API (GITHUB_TOKEN) instead of the gh CLI"
+  )
+  .option(
+    "--hostname <host>",
+    "GitHub Enterprise or other instance to use (default: GH_HOST, else the remote's host)"
+  )
+  .option(
+    "-l, --label <name>",
+    "Add a label besides the automatic ones (repeatable)",
+    collect
+  )
+  .option("-e, --edit", "Review title and description in $VISUAL/$EDITOR first")
+  .option("--no-edit", "Submit without opening the editor")
+  .option(
+    "-n, --dry-run",
+    "Show the updated description without editing the PR"
+  )
+  .option(
+    "-p, --provider <name>",
+    "Description provider: copilot, openai, ollama, llamacpp, anthropic, none"
   )
-  .action(() => {
+  .option("-m, --model <model>", "Model name for the description provider")
+  .option("--llm-url <url>", "Base URL of the LLM endpoint")
+  .option("--llm-timeout <ms>", "Timeout for the LLM request in milliseconds")
+  .action(async (cliOptions, command) => {
+    const { config: options } = resolveOptions(pickCliOptions(command));
+
     const currentBranch = getCurrentBranch();
     if (!currentBranch) {
       console.error(chalk.red("❌ Not on a git branch"));
@@ -181,13 +626,240 @@ program
     }
 
     console.log(chalk.cyan(`📍 Current branch: ${currentBranch}`));
-    console.log(
-      chalk.yellow("⚠️  This will force push and overwrite remote history!")
-    );
 
-    if (!forceCommitAndPush(currentBranch)) {
+    if (!(await updatePR(currentBranch, options))) {
+      process.exit(1);
+    }
+  });
+
+// Subcommand: analyze - the analysis on its own, for CI
+program
+  .command("analyze")
+  .description(
+    "Analyze the changes between two refs without committing, pushing or opening a PR"
+  )
+  .argument("[base]", "Base ref (default: the remote's default branch)")
+  .argument("[head]", "Head ref (default: the current branch, else HEAD)")
+  .addOption(
+    new Option("--format <format>", "Output format")
+      .choices(REPORT_FORMATS)
+      .default("text")
+  )
+  .option(
+    "--fail-on <level>",
+    `Exit with code 2 when the severity is at least this level (${SEVERITY_LEVELS.join(
+      ", "
+    ).toLowerCase()})`,
+    parseSeverity
+  )
+  .option(
+    "--pr-body <file>",
+    "Current PR body (- for stdin); the report adds it with the analysis section replaced"
+  )
+  .option("-r, --remote <remote>", "Remote whose copy of the base is compared")
+  .option(
+    "-p, --provider <name>",
+    "Description provider: copilot, openai, ollama, llamacpp, anthropic, none"
+  )
+  .option("-m, --model <model>", "Model name for the description provider")
+  .option("--llm-url <url>", "Base URL of the LLM endpoint")
+  .option("--llm-timeout <ms>", "Timeout for the LLM request in milliseconds")
+  .action(async (base, head, cliOptions, command) => {
+    const { format, failOn, prBody, ...rest } = pickCliOptions(command);
+    const { config: options } = resolveOptions(rest);
+    if (prBody) {
+      try {
+        options.prBody = readFileSync(prBody === "-" ? 0 : prBody, "utf8");
+      } catch (error) {
+        console.error(
+          chalk.red(`❌ Could not read ${prBody}: ${error.message}`)
+        );
+        process.exit(1);
+      }
+    }
+
+    const report = await analyzeRange(base, head, options);
+    if (!report) {
       process.exit(1);
     }
+
+    console.log(formatReport(report, cliOptions.format));
+
+    if (failOn && meetsSeverity(report.severity.level, failOn)) {
+      console.error(
+        chalk.red(
+          `❌ Severity ${report.severity.level} is at or above --fail-on ${failOn}`
+        )
+      );
+      process.exit(2);
+    }
+  });
+
+// Subcommand: stack - one PR per branch in a chain of dependent branches
+program
+  .command("stack")
+  .description(
+    "Push every branch in the current stack and open or update one PR per layer"
+  )
+  .argument("[base-branch]", "Branch the bottom of the stack merges into")
+  .option("-d, --draft", "Create new PRs as drafts")
+  .option("--no-draft", "Create new PRs as ready for review")
+  .option("-r, --remote <remote>", "Remote of the repository the PRs target")
+  .option("--push-remote <remote>", "Remote to push the branches to")
+  .option(
+    "--api",
+    "Use the GitHub REST API (GITHUB_TOKEN) instead of the gh CLI"
+  )
+  .option(
+    "--hostname <host>",
+    "GitHub Enterprise or other instance to use (default: GH_HOST, else the remote's host)"
+  )
+  .option("--force", "Force push the branches, e.g. after rebasing the stack")
+  .option(
+    "-l, --label <name>",
+    "Add a label to every PR in the stack (repeatable)",
+    collect
+  )
+  .option(
+    "--reviewer <login>",
+    "Request a review on every new PR in the stack (repeatable)",
+    collect
+  )
+  .option(
+    "--assignee <login>",
+    "Assign every new PR in the stack (repeatable)",
+    collect
+  )
+  .option("--no-copilot", "Disable Copilot summary generation")
+  .option(
+    "-n, --dry-run",
+    "Show the stack and the PRs without changing anything"
+  )
+  .option(
+    "-p, --provider <name>",
+    "Description provider: copilot, openai, ollama, llamacpp, anthropic, none"
+  )
+  .option("-m, --model <model>", "Model name for the description provider")
+  .option("--llm-url <url>", "Base URL of the LLM endpoint")
+  .option("--llm-timeout <ms>", "Timeout for the LLM request in milliseconds")
+  .action(async (baseBranchArg, cliOptions, command) => {
+    const { config: options } = resolveOptions(pickCliOptions(command));
+
+    if (
+      !(await syncStack({ ...options, base: baseBranchArg || options.base }))
+    ) {
+      process.exit(1);
+    }
+  });
+
+// Subcommand: secrets - run the pre-commit secret scan on its own
+program
+  .command("secrets")
+  .description("Scan the staged changes for secrets and credential files")
+  .option(
+    "--baseline",
+    "Accept the current findings by adding them to the baseline file"
+  )
+  .action((cliOptions) => {
+    const { config: options } = resolveOptions({});
+    let findings;
+    try {
+      findings = scanStagedChanges(options);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    if (findings.length === 0) {
+      console.log(chalk.green("✅ No secrets found in the staged changes"));
+      return;
+    }
+    if (cliOptions.baseline) {
+      const file = acceptSecretFindings(findings, options);
+      console.log(
+        chalk.green(`✅ Added ${findings.length} finding(s) to ${file}`)
+      );
+      return;
+    }
+    reportSecrets(new SecretsFoundError(findings), { committing: false });
+    process.exit(1);
+  });
+
+// Subcommand: doctor - check everything qpr depends on
+program
+  .command("doctor")
+  .description(
+    "Check git, gh, authentication, the remote host and the Copilot extension"
+  )
+  .option("-r, --remote <remote>", "Remote of the repository PRs target")
+  .option("--api", "Check the GitHub REST API instead of the gh CLI")
+  .option("--hostname <host>", "GitHub Enterprise or other instance to check")
+  .option(
+    "-p, --provider <name>",
+    "Description provider; Copilot is only checked for copilot"
+  )
+  .action(async (cliOptions, command) => {
+    const { config: options } = resolveOptions(pickCliOptions(command));
+
+    if (!(await doctor(options))) {
+      process.exit(1);
+    }
+  });
+
+// Subcommand: changelog - release notes from conventional commits
+program
+  .command("changelog")
+  .description(
+    "Group the conventional commits between two refs into a Keep a Changelog release"
+  )
+  .argument("[from]", "Start of the range (default: the last tag before <to>)")
+  .argument("[to]", "End of the range (default: HEAD)")
+  .addOption(
+    new Option("--format <format>", "Output format")
+      .choices(CHANGELOG_FORMATS)
+      .default("markdown")
+  )
+  .option(
+    "--release <version>",
+    "Version to head the release with (default: the tag at <to>, else Unreleased)"
+  )
+  .option("-w, --write", "Prepend the release to the changelog file")
+  .option("--file <path>", "Changelog file to write (default: CHANGELOG.md)")
+  .option("-r, --remote <remote>", "Remote whose host the links point at")
+  .option("--hostname <host>", "Host the links point at")
+  .action(async (from, to, cliOptions, command) => {
+    const { format, release, write, file, ...rest } = pickCliOptions(command);
+    const { config: options } = resolveOptions(rest);
+
+    if (!changelog(from, to, { ...options, format, release, write, file })) {
+      process.exit(1);
+    }
+  });
+
+// Subcommand: config - show the effective configuration
+program
+  .command("config")
+  .description(
+    "Show the effective configuration and where each value comes from"
+  )
+  .option("--json", "Print as JSON")
+  .action((cliOptions) => {
+    const { config, sources } = resolveOptions({});
+
+    if (cliOptions.json) {
+      console.log(JSON.stringify({ config, sources }, null, 2));
+      return;
+    }
+
+    const entries = describeConfig(config, sources);
+    const width = Math.max(...entries.map((entry) => entry.key.length));
+    for (const { key, value, source } of entries) {
+      console.log(
+        `${chalk.cyan(key.padEnd(width))}  ${JSON.stringify(
+          value
+        )}  ${chalk.gray(`(${source})`)}`
+      );
+    }
   });
 
-program.parse();
+program.parseAsync();
@@ -0,0 +1,95 @@
+export const DEFAULT_ISSUE_SETTINGS = {
+  enabled: true,
+  // Tracker project keys such as "PROJ" for Jira; PROJ-88 is only recognized for listed keys
+  keys: [],
+  // Link for tracker keys, {key} is replaced with the issue key, e.g. https://example.atlassian.net/browse/{key}
+  trackerUrl: null,
+  // Warn when neither the branch nor its commits reference an issue
+  required: false
+};
+
+const CLOSING_KEYWORD = /^(close[sd]?|fix(e[sd])?|resolve[sd]?)$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function trackerPattern(keys) {
+  const names = [keys || []].flat().filter(Boolean).map(key => escapeRegExp(String(key)));
+  return names.length > 0 ? `(?:${names.join('|')})-\\d+` : null;
+}
+
+// "#12", "octo/api#7" and configured tracker keys, optionally preceded by a closing keyword
+function referencePattern(keys) {
+  const tracker = trackerPattern(keys);
+  const refs = [`((?:[\\w.-]+\\/[\\w.-]+)?#\\d+)`, tracker && `(${tracker})`].filter(Boolean).join('|');
+  return new RegExp(`(?:\\b(\\w+):?\\s+)?(?<![\\w/#-])(?:${refs})\\b`, 'gi');
+}
+
+function toIssue(match, keyword) {
+  const [, , github, tracker] = match;
+  const closes = Boolean(keyword && CLOSING_KEYWORD.test(keyword));
+  if (tracker) {
+    return { type: 'tracker', key: tracker.toUpperCase(), closes };
+  }
+  const [repo, number] = github.split('#');
+  return { type: 'github', repo: repo || null, number: Number(number), closes };
+}
+
+export function issueId(issue) {
+  return issue.type === 'tracker' ? issue.key : `${issue.repo || ''}#${issue.number}`;
+}
+
+function addIssue(issues, issue, source) {
+  const existing = issues.find(candidate => issueId(candidate) === issueId(issue));
+  if (!existing) {
+    issues.push({ ...issue, sources: [source] });
+    return;
+  }
+  existing.closes = existing.closes || issue.closes;
+  if (!existing.sources.includes(source)) existing.sources.push(source);
+}
+
+// Issues named by the branch (feat/1234-login-timeout, PROJ-88-fix-cache) and by commit messages
+// and trailers (Fixes #12, Refs: PROJ-88). A branch is named after what it resolves, so its issues close.
+export function extractIssues({ branch = '', messages = [] } = {}, settings = {}) {
+  const issues = [];
+  const tracker = trackerPattern(settings.keys);
+
+  const segments = branch.split('/');
+  for (const segment of segments) {
+    const number = segment.match(/^(\d+)(?:[-_]|$)/);
+    if (number) addIssue(issues, { type: 'github', repo: null, number: Number(number[1]), closes: true }, 'branch');
+  }
+  if (tracker) {
+    for (const match of branch.matchAll(new RegExp(`(?<![A-Za-z0-9])${tracker}(?!\\d)`, 'gi'))) {
+      addIssue(issues, { type: 'tracker', key: match[0].toUpperCase(), closes: true }, 'branch');
+    }
+  }
+
+  const pattern = referencePattern(settings.keys);
+  for (const message of [messages].flat().filter(Boolean)) {
+    for (const match of message.matchAll(pattern)) {
+      addIssue(issues, toIssue(match, match[1]), 'commit');
+    }
+  }
+
+  return issues;
+}
+
+function trackerLink(issue, settings) {
+  return settings.trackerUrl ? `[${issue.key}](${settings.trackerUrl.replace('{key}', issue.key)})` : issue.key;
+}
+
+// Closing keywords only work for GitHub issues; tracker keys are listed as links
+export function formatIssuesSection(issues, settings = {}) {
+  if (issues.length === 0) return null;
+
+  const ordered = [...issues.filter(issue => issue.closes), ...issues.filter(issue => !issue.closes)];
+  const lines = ordered.map(issue => {
+    const title = issue.title ? `: ${issue.title}` : '';
+    if (issue.type === 'tracker') return `- ${trackerLink(issue, settings)}${title}`;
+    return `- ${issue.closes ? 'Closes' : 'Related to'} ${issueId(issue)}${title}`;
+  });
+  return ['## Linked Issues', ...lines].join('\n');
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { extractIssues, formatIssuesSection, issueId } from './issues.js';
+
+describe('extractIssues', () => {
+  it('should read issue numbers and tracker keys from the branch name', () => {
+    expect(extractIssues({ branch: 'feat/1234-login-timeout' }).map(issueId)).toEqual(['#1234']);
+    expect(extractIssues({ branch: 'PROJ-88-fix-cache' }, { keys: ['PROJ'] })).toEqual([
+      { type: 'tracker', key: 'PROJ-88', closes: true, sources: ['branch'] }
+    ]);
+    expect(extractIssues({ branch: 'proj-88-fix-cache' }, { keys: ['PROJ'] }).map(issueId)).toEqual(['PROJ-88']);
+    expect(extractIssues({ branch: 'PROJ-88-fix-cache' })).toEqual([]);
+  });
+
+  it('should tell closing references from mentions in messages and trailers', () => {
+    const message = 'fix: cache eviction\n\nFixes #12, see #3 and octo/api#7.\n\nRefs: PROJ-88\nCloses: PROJ-9';
+
+    const issues = extractIssues({ branch: 'fix/cache', messages: [message] }, { keys: ['PROJ'] });
+
+    expect(issues.map(issue => [issueId(issue), issue.closes])).toEqual([
+      ['#12', true],
+      ['#3', false],
+      ['octo/api#7', false],
+      ['PROJ-88', false],
+      ['PROJ-9', true]
+    ]);
+  });
+
+  it('should ignore lookalikes and merge repeated references', () => {
+    const messages = ['chore: use SHA-256 and UTF-8, bump v1#2', 'feat: part 1 of #5', 'feat: part 2, resolves #5'];
+
+    const issues = extractIssues({ branch: 'feat/5-thing', messages }, { keys: ['SHA'] });
+
+    expect(issues).toEqual([
+      { type: 'github', repo: null, number: 5, closes: true, sources: ['branch', 'commit'] },
+      { type: 'tracker', key: 'SHA-256', closes: false, sources: ['commit'] }
+    ]);
+  });
+});
+
+describe('formatIssuesSection', () => {
+  it('should put closing keywords first and link tracker keys', () => {
+    const issues = [
+      { type: 'github', repo: null, number: 3, closes: false, title: 'Flaky login' },
+      { type: 'tracker', key: 'PROJ-88', closes: true },
+      { type: 'github', repo: null, number: 12, closes: true, title: 'Cache never expires' }
+    ];
+
+    expect(formatIssuesSection(issues, { trackerUrl: 'https://example.atlassian.net/browse/{key}' })).toBe([
+      '## Linked Issues',
+      '- [PROJ-88](https://example.atlassian.net/browse/PROJ-88)',
+      '- Closes #12: Cache never expires',
+      '- Related to #3: Flaky login'
+    ].join('\n'));
+    expect(formatIssuesSection([])).toBeNull();
+  });
+});
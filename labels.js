@@ -0,0 +1,95 @@
+// Label names for each severity level and impact area; false or null disables one
+export const DEFAULT_LABEL_SETTINGS = {
+  enabled: true,
+  severity: {
+    low: 'severity:low',
+    medium: 'severity:medium',
+    high: 'severity:high',
+    critical: 'severity:critical'
+  },
+  areas: {
+    testing: 'area:testing',
+    api: 'area:api',
+    ui: 'area:ui',
+    data: 'area:data',
+    config: 'area:config',
+    security: 'area:security',
+    performance: 'area:performance',
+    docs: 'area:docs'
+  },
+  // Colors for labels qpr has to create, keyed by severity level, "area" or "default"
+  colors: {
+    low: '0e8a16',
+    medium: 'fbca04',
+    high: 'd93f0b',
+    critical: 'b60205',
+    area: '1d76db',
+    default: 'ededed'
+  },
+  // Labels added to every PR
+  add: []
+};
+
+function settingsWithDefaults(settings = {}) {
+  return {
+    ...DEFAULT_LABEL_SETTINGS,
+    ...settings,
+    severity: { ...DEFAULT_LABEL_SETTINGS.severity, ...settings.severity },
+    areas: { ...DEFAULT_LABEL_SETTINGS.areas, ...settings.areas },
+    colors: { ...DEFAULT_LABEL_SETTINGS.colors, ...settings.colors }
+  };
+}
+
+function normalizeColor(color) {
+  return String(color).replace(/^#/, '').toLowerCase();
+}
+
+// "bug,urgent" and repeated --label flags both end up as separate names
+export function splitLabels(values) {
+  return [values || []].flat()
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+// Every label name qpr assigns on its own; only these are removed when the analysis changes
+export function managedLabelNames(settings) {
+  const resolved = settingsWithDefaults(settings);
+  return [...Object.values(resolved.severity), ...Object.values(resolved.areas)].filter(Boolean);
+}
+
+// analysis: { severity: 'High', areas: ['api', 'security'] }; explicit: extra label names
+export function resolveLabels(analysis, settings, explicit = []) {
+  const resolved = settingsWithDefaults(settings);
+  const labels = [];
+  const push = (name, color, description) => {
+    if (name && !labels.some(label => label.name.toLowerCase() === String(name).toLowerCase())) {
+      labels.push({ name: String(name), color: normalizeColor(color), description });
+    }
+  };
+
+  if (resolved.enabled !== false && analysis) {
+    const level = String(analysis.severity || '').toLowerCase();
+    push(resolved.severity[level], resolved.colors[level] || resolved.colors.default, `Severity: ${analysis.severity}`);
+    for (const area of analysis.areas || []) {
+      push(resolved.areas[area], resolved.colors.area, `Impact area: ${area}`);
+    }
+  }
+  for (const name of [...splitLabels(resolved.add), ...splitLabels(explicit)]) {
+    push(name, resolved.colors.default);
+  }
+
+  return labels;
+}
+
+// Labels to add and to remove so the PR carries exactly the desired managed labels
+export function planLabelChanges(current, desired, settings) {
+  const has = (names, name) => names.some(candidate => candidate.toLowerCase() === name.toLowerCase());
+  const managed = managedLabelNames(settings);
+  const desiredNames = desired.map(label => label.name);
+
+  return {
+    add: desired.filter(label => !has(current, label.name)),
+    remove: current.filter(name => has(managed, name) && !has(desiredNames, name))
+  };
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { resolveLabels, planLabelChanges, managedLabelNames, splitLabels } from './labels.js';
+
+describe('resolveLabels', () => {
+  it('should map severity and impact areas to colored labels', () => {
+    expect(resolveLabels({ severity: 'Critical', areas: ['security', 'api'] })).toEqual([
+      { name: 'severity:critical', color: 'b60205', description: 'Severity: Critical' },
+      { name: 'area:security', color: '1d76db', description: 'Impact area: security' },
+      { name: 'area:api', color: '1d76db', description: 'Impact area: api' }
+    ]);
+  });
+
+  it('should apply a configured mapping and skip disabled entries', () => {
+    const settings = {
+      severity: { critical: 'P0', low: false },
+      areas: { security: 'team:security', api: null },
+      colors: { critical: '#FF0000' }
+    };
+
+    expect(resolveLabels({ severity: 'Critical', areas: ['security', 'api'] }, settings)).toEqual([
+      { name: 'P0', color: 'ff0000', description: 'Severity: Critical' },
+      { name: 'team:security', color: '1d76db', description: 'Impact area: security' }
+    ]);
+    expect(resolveLabels({ severity: 'Low', areas: [] }, settings)).toEqual([]);
+  });
+
+  it('should merge configured and explicit labels without duplicates', () => {
+    const labels = resolveLabels({ severity: 'Low', areas: [] }, { add: ['team:web'] }, ['needs-qa,Severity:Low', 'team:web']);
+
+    expect(labels.map(label => label.name)).toEqual(['severity:low', 'team:web', 'needs-qa']);
+  });
+
+  it('should keep only explicit labels when automatic labels are disabled', () => {
+    expect(resolveLabels({ severity: 'High', areas: ['api'] }, { enabled: false }, ['bug']).map(label => label.name)).toEqual(['bug']);
+    expect(resolveLabels(null, {}, ['bug']).map(label => label.name)).toEqual(['bug']);
+  });
+});
+
+describe('planLabelChanges', () => {
+  it('should replace stale managed labels and leave the rest alone', () => {
+    const desired = resolveLabels({ severity: 'Low', areas: ['docs'] });
+
+    const changes = planLabelChanges(['severity:high', 'area:api', 'area:docs', 'bug'], desired);
+
+    expect(changes.add.map(label => label.name)).toEqual(['severity:low']);
+    expect(changes.remove).toEqual(['severity:high', 'area:api']);
+  });
+});
+
+describe('managedLabelNames and splitLabels', () => {
+  it('should list every mapped label and split comma-separated input', () => {
+    expect(managedLabelNames({ areas: { docs: false } })).not.toContain('area:docs');
+    expect(managedLabelNames()).toContain('severity:critical');
+    expect(splitLabels(['a, b', 'c'])).toEqual(['a', 'b', 'c']);
+    expect(splitLabels(undefined)).toEqual([]);
+  });
+});
@@ -1,36 +1,51 @@
-import { execSync } from 'child_process';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
+import { resolveProvider } from './providers.js';
+import { evaluateSeverity } from './severity.js';
+import { buildReport, formatStepOutputs } from './report.js';
+import { WORKFLOW_PLATFORMS, DEFAULT_WORKFLOW_SETTINGS, readWorkflowSettings, renderWorkflow, diffLines } from './workflow.js';
+import { buildDiffModel, filterDiffModel, parseNumstat, addedLines, removedLines, formatFileChange } from './diff.js';
+import { budgetSettings, omittedFiles, readIgnoreFile, parseCheckAttr, budgetDiff, formatBudget, formatOmittedSection, fitDescription } from './budget.js';
+import { matchAnyGlob } from './glob.js';
+import { reviewPRContent } from './review.js';
+import { formatCommand, run } from './command.js';
+import { createBackend, backendFrom, resolveHostname } from './backend.js';
+import { resolveRemotes, targetRemote, remoteRepo, headRef, resolveBaseRef } from './remote.js';
+import { runDoctorChecks, formatCheck } from './doctor.js';
+import { DEFAULT_CHANGELOG_SETTINGS, parseCommitLog, buildChangelog, formatChangelog, webLinks, prependRelease } from './changelog.js';
+import { resolveLabels, planLabelChanges } from './labels.js';
+import { branchNameFromMessage } from './branch.js';
+import { excludedFiles, stagingWarnings, literalPathspec, pickFiles } from './staging.js';
+import { DEFAULT_FORCE_PUSH_SETTINGS, ForcePushRefusedError, protectedReason, backupRef, backupTimestamp, parseBackupRefs, confirmOverwrite, BACKUP_NAMESPACE } from './forcepush.js';
+import { SecretsFoundError, SecretScanError, scanDiffFiles, loadBaseline, writeBaseline, formatFinding } from './secrets.js';
+import { DEFAULT_ISSUE_SETTINGS, extractIssues, formatIssuesSection } from './issues.js';
+import { DEFAULT_REVIEWER_SETTINGS, findCodeowners, parseCodeowners, ownersForFile, suggestReviewers, formatReviewersSection, reviewerLogin, splitLogins } from './codeowners.js';
 
-export function exec(command, silent = false) {
-  try {
-    const output = execSync(command, { 
-      encoding: 'utf8', 
-      stdio: silent ? 'pipe' : 'inherit' 
-    });
-    return silent ? output.trim() : output;
-  } catch (error) {
-    return null;
-  }
+function repoRoot(backend) {
+  return backend.git.output(['rev-parse', '--show-toplevel']) || backend.git.cwd || process.cwd();
 }
 
-export function getCurrentBranch() {
-  return exec('git branch --show-current', true);
+// Remote the PR targets, remote the branch is pushed to, and fork details
+export function resolveTarget(options = {}, backend = backendFrom(options)) {
+  return options.target || resolveRemotes(options, backend.git);
 }
 
-export function getDefaultBranch() {
+export function getCurrentBranch(backend = createBackend()) {
+  return backend.git.output(['branch', '--show-current']) || null;
+}
+
+export function getDefaultBranch(remote = 'origin', backend = createBackend()) {
   // Try to get the default branch from remote HEAD
-  const remoteHead = exec('git symbolic-ref refs/remotes/origin/HEAD', true);
+  const remoteHead = backend.git.output(['symbolic-ref', `refs/remotes/${remote}/HEAD`]);
   if (remoteHead) {
-    const match = remoteHead.match(/refs\/remotes\/origin\/(.+)/);
-    if (match) return match[1];
+    const prefix = `refs/remotes/${remote}/`;
+    if (remoteHead.startsWith(prefix)) return remoteHead.slice(prefix.length);
   }
   
-  // Try to get default branch from remote show origin
-  const remoteInfo = exec('git remote show origin', true);
+  // Try to get default branch from remote show
+  const remoteInfo = backend.git.output(['remote', 'show', remote]);
   if (remoteInfo) {
     const match = remoteInfo.match(/HEAD branch:\s*(.+)/);
     if (match) return match[1].trim();
@@ -40,10 +55,9 @@ export function getDefaultBranch() {
   return null;
 }
 
-export function pushBranch(branch) {
-  console.log(chalk.blue(`📤 Pushing ${branch} to remote...`));
+export function pushBranch(branch, remote = 'origin', backend = createBackend()) {
   try {
-    execSync(`git push -u origin ${branch}`, { stdio: 'inherit' });
+    executePlan(planPush(branch, { remote, setUpstream: true }), backend);
     return true;
   } catch (error) {
     console.error(chalk.red('❌ Failed to push branch'));
@@ -52,15 +66,15 @@ export function pushBranch(branch) {
   }
 }
 
-export function generateCopilotSummary(base, head) {
+export function generateCopilotSummary(base, head, backend = createBackend()) {
   const spinner = ora('🤖 Generating summary from file changes...').start();
   
   try {
     // Get commits
-    const commits = exec(`git log --pretty=format:"- %s" ${base}..${head}`, true);
+    const commits = backend.git.output(['log', '--pretty=format:- %s', `${base}..${head}`]);
 
     // Get file changes stat
-    const stats = exec(`git diff --stat ${base}...${head}`, true);
+    const stats = backend.git.output(['diff', '--stat', `${base}...${head}`]);
     
     if (commits || stats) {
       let summary = '';
@@ -85,23 +99,122 @@ export function generateCopilotSummary(base, head) {
   }
 }
 
-export function generateCopilotPRDescription(base, head) {
-  const spinner = ora('🤖 Analyzing changes with GitHub Copilot...').start();
+export async function generateCopilotPRDescription(base, head, options = {}) {
+  const analysis = await analyzeChanges(base, head, options);
+  return analysis ? analysis.description : null;
+}
+
+// `qpr analyze`: the analysis of base...head on its own, with no checkout, push or PR needed.
+// Nothing is fetched; the base resolves to the remote's copy when there is one.
+export async function analyzeRange(base, head, options = {}) {
+  const backend = backendFrom(options);
+  const target = resolveTarget(options, backend);
+  base = base || options.base || getDefaultBranch(target.remote, backend);
+  if (!base) {
+    console.error(chalk.red('❌ Could not find the base branch; pass it as the first argument'));
+    return null;
+  }
+  head = head || getCurrentBranch(backend) || 'HEAD';
+
+  const baseRef = options.baseRef || resolveBaseRef(backend.git, target.remote, base, { fetch: false });
+  // With the PR's current body the report also carries the body to write back, as `qpr update` would
+  const prBody = options.prBody?.trimEnd();
+  const bodyReserve = prBody ? replaceAnalysisSection(prBody, '').length : 0;
+  const analysis = await analyzeChanges(base, head, { ...options, backend, target, baseRef, bodyReserve, quiet: true });
+  if (!analysis) return null;
+  const report = prBody === undefined ? analysis.report : { ...analysis.report, body: replaceAnalysisSection(prBody, analysis.report.description) };
+  writeStepOutputs(report);
+  return report;
+}
+
+// The description plus the severity level, impact area ids, suggested reviewers and linked issues
+// it was built from, and the whole analysis as a report
+async function analyzeChanges(base, head, options = {}) {
+  const spinner = ora('🤖 Analyzing changes...').start();
+  const backend = backendFrom(options);
+  const { git } = backend;
+  // `qpr analyze` keeps stdout for the report
+  const log = options.quiet ? console.error : console.log;
   
   try {
-    // Get the diff between base and head
-    const diffOutput = exec(`git diff ${base}...${head}`, true);
-    
-    if (!diffOutput) {
+    const provider = resolveProvider(options);
+    spinner.text = `🤖 Analyzing changes (${provider.label})...`;
+
+    // Get the diff between base and head (or a preview range for uncommitted work)
+    const baseRef = options.baseRef || base;
+    const range = options.diffRange || [`${baseRef}...${head}`];
+    const budget = budgetSettings(options.budget);
+
+    // Exact per-file counts come first, so lockfiles, generated and binary files are never read
+    const numstat = git.output(['diff', '--numstat', '-z', '-M', ...range]);
+    const entries = parseNumstat(numstat);
+    const omitted = omittedFiles(entries, {
+      settings: budget,
+      ignoreFile: readIgnoreFile(repoRoot(backend)),
+      attributes: linguistAttributes(backend, entries.map(entry => entry.path))
+    });
+    const diffResult = git.run(['diff', ...excludePaths(range, [...omitted.keys()])]);
+    const diffOutput = diffResult.stdout.trim();
+
+    if (diffResult.code !== 0) {
+      spinner.fail(`⚠️  git diff failed: ${diffResult.stderr.trim() || `exit code ${diffResult.code}`}`);
+      return null;
+    }
+    if (!diffOutput && entries.length === 0) {
       spinner.fail('⚠️  No changes detected');
       return null;
     }
 
-    // Get commit messages
-    const commits = exec(`git log --pretty=format:"%s" ${base}..${head}`, true);
+    // Get commit messages, including one that is about to be made
+    const commits = [git.output(['log', '--pretty=format:%s', `${baseRef}..${head}`]), options.pendingCommit]
+      .filter(Boolean)
+      .join('\n');
     
-    // Get file changes summary
-    const fileStats = exec(`git diff --stat ${base}...${head}`, true);
+    // The structured diff of everything, and of the files the analysis looks at
+    const fullDiff = buildDiffModel(numstat, diffOutput);
+    const diff = filterDiffModel(fullDiff, file => !omitted.has(file.path));
+    const fileStats = diff.files.map(file => formatFileChange(file)).join('\n');
+    const excerpt = budgetDiff(diff.files, budget);
+
+    // Analyze severity based on file changes and diff size
+    const severity = analyzeSeverity(diff, commits, options.severity);
+    const impactAreas = matchImpactAreas(diff, commits);
+    const areas = impactAreas.map(area => area.id);
+    // In CI the PR's own changes are scanned as well, and findings are listed (redacted) as a risk
+    const secretRisk = process.env.CI ? secretRiskFor(fullDiff, backend, options) : null;
+
+    const messages = [git.output(['log', '--format=%B', `${baseRef}..${head}`]), options.pendingCommit];
+    const linked = await linkedIssues(head, messages, backend, options);
+    // Owners of a lockfile or generated file are still asked to review it
+    const owners = await codeownerReviewers(fullDiff, backend, options);
+    const sections = [linked.section, owners?.section, formatOmittedSection(omitted, fullDiff, excerpt)].filter(Boolean);
+    const risks = [secretRisk].filter(Boolean);
+    // Long sections fold into <details>, and the body stays under the host's size limit with room
+    // left for the markers, a stack section and text written around the analysis
+    const room = BODY_RESERVE + (options.bodyReserve || 0);
+    const fit = description => fitDescription(description, { ...budget, maxBodyLength: budget.maxBodyLength && budget.maxBodyLength - room });
+    const reviewers = owners ? owners.reviewers.map(reviewer => reviewerLogin(reviewer.owner)) : [];
+    const result = description => ({
+      description: fit(description),
+      severity: severity.level,
+      areas,
+      reviewers,
+      issues: linked.issues,
+      report: buildReport({
+        base: baseRef,
+        head,
+        severity,
+        diff,
+        fullDiff,
+        omitted,
+        impactAreas,
+        risks: [...generateRiskConsiderations(severity, diff), ...risks].map(risk => risk.replace(/^- /, '')),
+        labels: labelsFor({ severity: severity.level, areas }, options).map(label => label.name),
+        issues: linked.issues,
+        reviewers,
+        description: fit(description)
+      })
+    });
     
     // Create a prompt for GitHub Copilot
     const prompt = `Analyze these code changes and provide a comprehensive pull request description. Include:
@@ -115,6 +228,9 @@ ${commits || 'No commits'}
 
 Files changed:
 ${fileStats || 'No stats'}
+${omitted.size > 0 ? `\nLeft out of the analysis: ${[...omitted].map(([file, reason]) => `${file} (${reason})`).join(', ')}\n` : ''}
+Diff excerpt, fit to ${formatBudget(budget)}; large files are cut down to their signatures:
+${excerpt.text || 'No text changes'}
 
 Please provide the response in this format:
 ## Summary
@@ -132,116 +248,190 @@ Please provide the response in this format:
 ## Risks & Considerations
 [Any potential issues or things to watch]`;
 
-    // Use GitHub Copilot CLI to generate the description
-    spinner.text = '🤖 Asking GitHub Copilot for analysis...';
-    
-    // Try to use gh copilot suggest
-    const copilotCommand = `gh copilot suggest -t shell "Generate a PR description for these changes: ${commits?.substring(0, 200) || 'code changes'}"`;
-    const copilotResult = exec(copilotCommand, true);
-    
+    // Send the prompt to the configured provider
+    spinner.text = `🤖 Asking ${provider.label} for analysis...`;
+
+    let modelOutput = null;
+    let providerError = null;
+    try {
+      modelOutput = await provider.generate(prompt, { commits });
+    } catch (error) {
+      providerError = error;
+    }
+
+    if (modelOutput && provider.prose) {
+      const secretSection = secretRisk && `## Secret Scan\n${secretRisk}`;
+      const description = `${[modelOutput, secretSection, ...sections].filter(Boolean).join('\n\n')}\n\n---\n*Generated with ${provider.label}*`;
+      writeStepSummary(description, log);
+
+      spinner.succeed(`✅ PR description written by ${provider.label}`);
+      log('\n' + chalk.dim('─'.repeat(60)));
+      log(chalk.dim('─'.repeat(60)) + '\n');
+
+      return result(description);
+    }
+
     // If Copilot CLI is available, build a better description
-    if (copilotResult) {
+    if (modelOutput) {
       spinner.text = '🤖 Building comprehensive analysis...';
-      
-      // Analyze severity based on file changes and diff size
-      const severity = analyzeSeverity(diffOutput, fileStats, commits);
-      
+
       // Build structured description
-      const description = buildPRDescription(commits, fileStats, diffOutput, severity);
+      const description = buildPRDescription(commits, diff, severity, sections, risks, `${provider.label} analysis`);
+      writeStepSummary(description, log);
       
-      spinner.succeed('✅ PR description generated with Copilot analysis');
-      console.log('\n' + chalk.dim('─'.repeat(60)));
-      console.log(chalk.dim('─'.repeat(60)) + '\n');
+      spinner.succeed(`✅ PR description generated with ${provider.label} analysis`);
+      log('\n' + chalk.dim('─'.repeat(60)));
+      log(chalk.dim('─'.repeat(60)) + '\n');
       
-      return description;
+      return result(description);
     }
     
-    // Fallback: Generate without Copilot CLI
-    spinner.warn('⚠️  GitHub Copilot CLI not available, using fallback analysis');
-    const severity = analyzeSeverity(diffOutput, fileStats, commits);
-    const description = buildPRDescription(commits, fileStats, diffOutput, severity);
+    // Fallback: Generate heuristic description without the model
+    if (providerError) {
+      spinner.warn(`⚠️  ${provider.label} failed (${providerError.message}), using fallback analysis`);
+    } else if (provider.name === 'copilot') {
+      spinner.warn('⚠️  GitHub Copilot CLI not available, using fallback analysis');
+    } else if (provider.name === 'none') {
+      spinner.succeed('✅ PR description generated with heuristic analysis');
+    } else {
+      spinner.warn(`⚠️  No response from ${provider.label}, using fallback analysis`);
+    }
+    const description = buildPRDescription(commits, diff, severity, sections, risks);
+    writeStepSummary(description, log);
     
-    console.log('\n' + chalk.dim('─'.repeat(60)));
-    console.log(chalk.dim('─'.repeat(60)) + '\n');
+    log('\n' + chalk.dim('─'.repeat(60)));
+    log(chalk.dim('─'.repeat(60)) + '\n');
     
-    return description;
+    return result(description);
     
   } catch (error) {
-    spinner.fail('⚠️  Could not generate Copilot description');
-    console.log(chalk.yellow('💡 Falling back to basic summary'));
+    spinner.fail('⚠️  Could not generate the PR description');
+    log(chalk.yellow(`💡 ${error.message}`));
+    log(chalk.yellow('💡 Falling back to basic summary'));
     return null;
   }
 }
 
-function analyzeSeverity(diffOutput, fileStats, commits) {
-  let severity = 'Low';
-  let reasoning = [];
-  
-  // Count lines changed
-  const linesMatch = fileStats?.match(/(\d+) insertion/);
-  const deletionsMatch = fileStats?.match(/(\d+) deletion/);
-  const insertions = linesMatch ? parseInt(linesMatch[1]) : 0;
-  const deletions = deletionsMatch ? parseInt(deletionsMatch[1]) : 0;
-  const totalChanges = insertions + deletions;
-  
-  // Count files changed
-  const filesMatch = fileStats?.match(/(\d+) files? changed/);
-  const filesChanged = filesMatch ? parseInt(filesMatch[1]) : 0;
-  
-  // Check for critical patterns in commits
-  const commitLower = (commits || '').toLowerCase();
-  const criticalKeywords = ['breaking', 'security', 'critical', 'vulnerability', 'exploit'];
-  const hasCriticalKeyword = criticalKeywords.some(kw => commitLower.includes(kw));
-  
-  // Check for significant patterns in diff
-  const diffLower = (diffOutput || '').toLowerCase();
-  const hasAPIChange = diffLower.includes('export') || diffLower.includes('public');
-  const hasConfigChange = diffLower.includes('config') || diffLower.includes('.json') || diffLower.includes('.env');
-  const hasDatabaseChange = diffLower.includes('schema') || diffLower.includes('migration') || diffLower.includes('database');
-  const hasAuthChange = diffLower.includes('auth') || diffLower.includes('permission') || diffLower.includes('token');
-  
-  // Determine severity
-  if (hasCriticalKeyword || hasAuthChange || hasDatabaseChange) {
-    severity = 'Critical';
-    if (hasCriticalKeyword) reasoning.push('Critical keywords in commits');
-    if (hasAuthChange) reasoning.push('Authentication/authorization changes');
-    if (hasDatabaseChange) reasoning.push('Database schema changes');
-  } else if (totalChanges > 500 || filesChanged > 10 || hasAPIChange) {
-    severity = 'High';
-    if (totalChanges > 500) reasoning.push(`Large number of changes (${totalChanges} lines)`);
-    if (filesChanged > 10) reasoning.push(`Multiple files affected (${filesChanged} files)`);
-    if (hasAPIChange) reasoning.push('Public API modifications');
-  } else if (totalChanges > 100 || filesChanged > 3 || hasConfigChange) {
-    severity = 'Medium';
-    if (totalChanges > 100) reasoning.push(`Moderate changes (${totalChanges} lines)`);
-    if (filesChanged > 3) reasoning.push(`Several files modified (${filesChanged} files)`);
-    if (hasConfigChange) reasoning.push('Configuration changes');
-  } else {
-    reasoning.push(`Minimal changes (${totalChanges} lines, ${filesChanged} files)`);
-    reasoning.push('No critical areas affected');
+const BODY_RESERVE = 1000;
+
+// linguist-generated and linguist-vendored from .gitattributes, keyed by repository-relative path
+function linguistAttributes(backend, paths) {
+  if (paths.length === 0) return new Map();
+  const result = backend.git.run(['check-attr', '-z', '--stdin', 'linguist-generated', 'linguist-vendored'], {
+    cwd: repoRoot(backend),
+    input: paths.map(file => `${file}\0`).join('')
+  });
+  return result.code === 0 ? parseCheckAttr(result.stdout) : new Map();
+}
+
+// Range plus exclude pathspecs; past a few hundred files the command line gets too long,
+// and the full diff is read and filtered instead
+function excludePaths(range, paths) {
+  if (paths.length === 0 || paths.length > 300) return range;
+  const excludes = paths.map(file => literalPathspec(file, ['exclude']));
+  return range.includes('--') ? [...range, ...excludes] : [...range, '--', ':/', ...excludes];
+}
+
+function secretRiskFor(diff, backend, options) {
+  if (options.secrets?.enabled === false) return null;
+  let findings;
+  try {
+    findings = scanDiffFiles(diff.files, options.secrets, loadBaseline(repoRoot(backend), options.secrets));
+  } catch (error) {
+    // A broken baseline costs the scan, not the rest of the analysis
+    return `- 🔐 **Secret Scan:** Could not scan for secrets: ${error.message}`;
   }
-  
-  return {
-    level: severity,
-    reasoning: reasoning.join('; '),
-    metrics: {
-      linesChanged: totalChanges,
-      filesChanged: filesChanged,
-      insertions: insertions,
-      deletions: deletions
+  if (findings.length === 0) return null;
+  const shown = findings.slice(0, 5).map(formatFinding).join('; ');
+  const more = findings.length > 5 ? ` and ${findings.length - 5} more` : '';
+  return `- 🔐 **Possible Secrets:** Check before merging: ${shown}${more}`;
+}
+
+// Issue titles, the author and review loads only enrich the analysis, so a host that cannot
+// answer leaves them out instead of failing it
+async function hostLookup(backend, lookup) {
+  try {
+    return await lookup(backend.host);
+  } catch {
+    return null;
+  }
+}
+
+// Issues the branch and its commits reference, titled from the PR host when it knows them
+async function linkedIssues(head, messages, backend, options) {
+  const settings = { ...DEFAULT_ISSUE_SETTINGS, ...options.issues };
+  if (settings.enabled === false) return { issues: [], section: null };
+
+  const issues = [];
+  for (const issue of extractIssues({ branch: head, messages }, settings)) {
+    const found = issue.type === 'github' ? await hostLookup(backend, host => host.getIssue(issue, options.target)) : null;
+    // A number in the branch name may be a date or a version, so it needs an issue behind it
+    if (!found && issue.type === 'github' && issue.sources.every(source => source === 'branch')) continue;
+    issues.push(found ? { ...issue, title: found.title } : issue);
+  }
+  return { issues, section: formatIssuesSection(issues, settings) };
+}
+
+function warnIfNoIssue(head, analysis, options) {
+  const settings = { ...DEFAULT_ISSUE_SETTINGS, ...options.issues };
+  if (!analysis || !settings.required || settings.enabled === false || analysis.issues.length > 0) return;
+  console.log(chalk.yellow(`⚠️  ${head} references no issue; name the branch after one (feat/123-...) or add "Fixes #123" to a commit`));
+}
+
+// CODEOWNERS owners of the changed files, minus the author and anyone over their review cap
+async function codeownerReviewers(diff, backend, options) {
+  const settings = { ...DEFAULT_REVIEWER_SETTINGS, ...options.reviewers };
+  if (settings.enabled === false) return null;
+
+  const codeowners = findCodeowners(repoRoot(backend));
+  if (!codeowners) return null;
+
+  const rules = parseCodeowners(codeowners.content);
+  const files = diff.files.map(file => file.path);
+  const author = await hostLookup(backend, host => host.currentUser());
+
+  // Review loads come from the host up front, for the people who own a changed file
+  const loads = new Map();
+  if (settings.maxOpenReviews !== null && settings.maxOpenReviews !== undefined) {
+    const people = new Set(files.flatMap(file => ownersForFile(rules, file))
+      .filter(owner => owner.startsWith('@') && !owner.includes('/'))
+      .map(owner => owner.slice(1)));
+    for (const login of people) {
+      loads.set(login, await hostLookup(backend, host => host.countReviewRequests(login)));
     }
-  };
+  }
+
+  const suggestion = suggestReviewers(rules, files, {
+    exclude: author ? [author] : [],
+    max: settings.max,
+    maxOpenReviews: settings.maxOpenReviews,
+    openReviews: login => loads.get(login) ?? null
+  });
+  return { ...suggestion, section: formatReviewersSection(suggestion, codeowners.path) };
+}
+
+function analyzeSeverity(diff, commits, settings) {
+  const files = diff.files.map(file => ({
+    path: file.path,
+    added: addedLines(file),
+    removed: removedLines(file)
+  }));
+
+  return evaluateSeverity({ files, commits, metrics: diff.metrics }, settings);
 }
 
-function buildPRDescription(commits, fileStats, diffOutput, severity) {
+// generator names what wrote the analysis in the footer
+function buildPRDescription(commits, diff, severity, sections = [], extraRisks = [], generator = 'heuristic analysis') {
   const commitList = commits ? commits.split('\n').filter(c => c.trim()).map(c => `- ${c}`).join('\n') : '- No commits';
   
-  // Extract file names from stats
-  const files = fileStats ? fileStats.split('\n').filter(f => f.trim() && !f.includes('file changed')).slice(0, 10) : [];
-  const fileList = files.length > 0 ? files.map(f => `- ${f.trim()}`).join('\n') : '- No files';
+  // List the first files with their exact counts
+  const files = diff.files.slice(0, 10).map(file => `- ${formatFileChange(file)}`);
+  if (diff.files.length > 10) files.push(`- ...and ${diff.files.length - 10} more`);
+  const fileList = files.length > 0 ? files.join('\n') : '- No files';
+  const languages = diff.languages.length > 0 ? `\n- Languages: ${diff.languages.join(', ')}` : '';
   
   // Determine impact areas
-  const impactAreas = determineImpactAreas(diffOutput, commits);
+  const impactAreas = determineImpactAreas(diff, commits);
   
   // Build description
   const description = `## Summary
@@ -254,7 +444,7 @@ This PR introduces changes across ${severity.metrics.filesChanged} file(s) with
 - Lines Changed: ${severity.metrics.linesChanged}
 - Files Modified: ${severity.metrics.filesChanged}
 - Insertions: +${severity.metrics.insertions}
-- Deletions: -${severity.metrics.deletions}
+- Deletions: -${severity.metrics.deletions}${languages}
 
 ## Changes Made
 ${commitList}
@@ -266,57 +456,109 @@ ${fileList}
 ${impactAreas}
 
 ## Risks & Considerations
-${generateRiskConsiderations(severity, diffOutput)}
-
+${[...generateRiskConsiderations(severity, diff), ...extraRisks].join('\n')}
+${sections.map(section => `\n${section}\n`).join('')}
 ---
-*Generated with GitHub Copilot analysis*`;
+*Generated with ${generator}*`;
 
+  return description;
+}
+
+function writeStepSummary(description, log = console.log) {
   // Write to GitHub Step Summary if running in GitHub Actions
   if (process.env.GITHUB_STEP_SUMMARY) {
     try {
       fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `\n# PR Analysis\n\n${description}\n`, 'utf8');
-      console.log(chalk.green('✅ Summary written to GitHub Actions step summary'));
+      log(chalk.green('✅ Summary written to GitHub Actions step summary'));
     } catch (error) {
-      console.log(chalk.yellow('⚠️  Could not write to GitHub step summary'));
+      log(chalk.yellow('⚠️  Could not write to GitHub step summary'));
     }
   }
-
-  return description;
 }
 
-function determineImpactAreas(diffOutput, commits) {
-  const areas = [];
-  const content = ((diffOutput || '') + ' ' + (commits || '')).toLowerCase();
-  
-  if (content.includes('test') || content.includes('spec')) {
-    areas.push('- **Testing:** Test files have been modified or added');
-  }
-  if (content.includes('api') || content.includes('endpoint') || content.includes('route')) {
-    areas.push('- **API:** API endpoints or routes affected');
-  }
-  if (content.includes('ui') || content.includes('component') || content.includes('view')) {
-    areas.push('- **UI/UX:** User interface components modified');
-  }
-  if (content.includes('database') || content.includes('model') || content.includes('schema')) {
-    areas.push('- **Data Layer:** Database or data models changed');
-  }
-  if (content.includes('config') || content.includes('setting') || content.includes('env')) {
-    areas.push('- **Configuration:** Configuration or environment settings updated');
-  }
-  if (content.includes('security') || content.includes('auth') || content.includes('permission')) {
-    areas.push('- **Security:** Security-related changes detected');
-  }
-  if (content.includes('performance') || content.includes('optimize') || content.includes('cache')) {
-    areas.push('- **Performance:** Performance optimizations included');
+// severity=High, areas=api,testing, ... for the steps after `qpr analyze` in GitHub Actions
+function writeStepOutputs(report) {
+  if (!process.env.GITHUB_OUTPUT) return;
+  try {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, formatStepOutputs(report), 'utf8');
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️  Could not write to GITHUB_OUTPUT: ${error.message}`));
   }
-  if (content.includes('doc') || content.includes('readme') || content.includes('comment')) {
-    areas.push('- **Documentation:** Documentation updated');
+}
+
+// Impact areas matched against changed file paths and commit messages
+const IMPACT_AREAS = [
+  {
+    id: 'testing',
+    name: 'Testing',
+    description: 'Test files have been modified or added',
+    paths: ['*.test.*', '*.spec.*', '*_test.*', 'test/', 'tests/', '__tests__/', 'spec/'],
+    commits: /\b(tests?|specs?)\b/
+  },
+  {
+    id: 'api',
+    name: 'API',
+    description: 'API endpoints or routes affected',
+    paths: ['*api*', '*route*', '*endpoint*', '*controller*', '*.proto', '*openapi*', '*swagger*'],
+    commits: /\b(api|endpoints?|routes?)\b/
+  },
+  {
+    id: 'ui',
+    name: 'UI/UX',
+    description: 'User interface components modified',
+    paths: ['*.jsx', '*.tsx', '*.vue', '*.svelte', '*.css', '*.scss', '*.less', '*.html', '*component*', '*view*'],
+    commits: /\b(ui|ux|components?|views?)\b/
+  },
+  {
+    id: 'data',
+    name: 'Data Layer',
+    description: 'Database or data models changed',
+    paths: ['*model*', '*schema*', '*migration*', '*.sql', '*database*', '*repositor*'],
+    commits: /\b(database|db|models?|schema|migrations?)\b/
+  },
+  {
+    id: 'config',
+    name: 'Configuration',
+    description: 'Configuration or environment settings updated',
+    paths: ['*config*', '*setting*', '.env*', '*.env', '*.yml', '*.yaml', '*.toml', '*.ini'],
+    commits: /\b(config\w*|settings?|env)\b/
+  },
+  {
+    id: 'security',
+    name: 'Security',
+    description: 'Security-related changes detected',
+    paths: ['*auth*', '*security*', '*permission*', '*crypto*', '*credential*'],
+    commits: /\b(security|auth\w*|permissions?)\b/
+  },
+  {
+    id: 'performance',
+    name: 'Performance',
+    description: 'Performance optimizations included',
+    paths: ['*cache*', '*perf*', '*benchmark*'],
+    commits: /\b(perf|performance|optimi[sz]\w*|cach\w*)\b/
+  },
+  {
+    id: 'docs',
+    name: 'Documentation',
+    description: 'Documentation updated',
+    paths: ['*.md', '*.mdx', '*.rst', 'docs/', 'doc/'],
+    commits: /\b(docs?|readme|documentation)\b/
   }
+];
+
+function matchImpactAreas(diff, commits) {
+  const commitLower = (commits || '').toLowerCase();
+  return IMPACT_AREAS
+    .filter(area => area.commits.test(commitLower) || diff.files.some(file => matchAnyGlob(file.path, area.paths)));
+}
+
+function determineImpactAreas(diff, commits) {
+  const areas = matchImpactAreas(diff, commits).map(area => `- **${area.name}:** ${area.description}`);
   
   return areas.length > 0 ? areas.join('\n') : '- General code improvements and maintenance';
 }
 
-function generateRiskConsiderations(severity, diffOutput) {
+function generateRiskConsiderations(severity, diff) {
   const risks = [];
   
   if (severity.level === 'Critical') {
@@ -334,229 +576,655 @@ function generateRiskConsiderations(severity, diffOutput) {
     risks.push('- 🧪 **Basic Testing:** Standard validation should be adequate');
   }
   
-  // Check for specific risk patterns
-  const content = (diffOutput || '').toLowerCase();
-  if (content.includes('todo') || content.includes('fixme')) {
-    risks.push('- 📝 **TODOs Present:** Code contains TODO/FIXME comments to address');
+  // Check for specific risk patterns in the added lines only
+  const filesAdding = pattern => diff.files
+    .filter(file => addedLines(file).some(line => pattern.test(line)))
+    .map(file => file.path);
+
+  const todoFiles = filesAdding(/\b(todo|fixme)\b/i);
+  if (todoFiles.length > 0) {
+    risks.push(`- 📝 **TODOs Present:** New TODO/FIXME comments to address (${todoFiles.join(', ')})`);
   }
-  if (content.includes('deprecated')) {
-    risks.push('- ⏰ **Deprecation Notice:** Some functionality marked as deprecated');
+  const deprecatedFiles = filesAdding(/\bdeprecated\b/i);
+  if (deprecatedFiles.length > 0) {
+    risks.push(`- ⏰ **Deprecation Notice:** Some functionality marked as deprecated (${deprecatedFiles.join(', ')})`);
   }
   
-  return risks.join('\n');
+  return risks;
 }
 
-export function createPR(base, head, options) {
-  console.log(chalk.blue(`🚀 Creating PR from ${head} to ${base}...`));
-  
-  let command = `gh pr create --base ${base} --head ${head}`;
-  
-  // Add draft flag
-  if (options.draft) {
-    command += ' --draft';
+export const ANALYSIS_START = '<!-- AI_ANALYSIS_START -->';
+export const ANALYSIS_END = '<!-- AI_ANALYSIS_END -->';
+
+export function wrapAnalysis(analysis) {
+  return `${ANALYSIS_START}\n${analysis}\n${ANALYSIS_END}`;
+}
+
+// Swap the generated section and keep anything a human wrote around it
+export function replaceAnalysisSection(body, analysis) {
+  const section = wrapAnalysis(analysis);
+  const start = body.indexOf(ANALYSIS_START);
+  const end = body.indexOf(ANALYSIS_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return body.slice(0, start) + section + body.slice(end + ANALYSIS_END.length);
   }
-  
-  // Add title
-  if (options.title) {
-    command += ` --title "${options.title.replace(/"/g, '\\"')}"`;
+  return body.trim() ? `${body.trimEnd()}\n\n---\n\n${section}` : section;
+}
+
+// Severity and impact area labels from the analysis, plus configured and --label ones
+function labelsFor(analysis, options) {
+  return resolveLabels(analysis && { severity: analysis.severity, areas: analysis.areas }, options.labels, options.label);
+}
+
+// Add the desired labels, creating missing ones, and drop managed labels that no longer apply
+async function syncLabels(backend, target, pr, labels, options) {
+  if (backend.host.supportsLabels === false) return;
+  const current = (pr.labels || []).map(label => label.name);
+  const { add, remove } = planLabelChanges(current, labels, options.labels);
+  if (add.length === 0 && remove.length === 0) return;
+
+  const summary = [...add.map(label => `+${label.name}`), ...remove.map(name => `-${name}`)].join(' ');
+  if (options.dryRun) {
+    console.log(chalk.cyan(`🏷️  Labels: ${summary}`));
+    return;
+  }
+
+  // Labels are a nicety: a missing permission must not fail the PR itself
+  try {
+    const existing = (await backend.host.listLabels(target)).map(name => name.toLowerCase());
+    for (const label of add.filter(candidate => !existing.includes(candidate.name.toLowerCase()))) {
+      await backend.host.createLabel(label, target);
+    }
+    await backend.host.updatePR(pr.number, { addLabels: add.map(label => label.name), removeLabels: remove }, target);
+    console.log(chalk.green(`🏷️  Labels: ${summary}`));
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not update labels: ${error.message}`));
+  }
+}
+
+// Open title and body in the editor when --edit is on; null means the user aborted
+async function reviewBeforeSubmit(content, sources, options) {
+  if (!options.edit || options.dryRun) {
+    return content;
+  }
+  if (!process.stdin.isTTY && !options.ask) {
+    console.log(chalk.yellow('⚠️  --edit needs an interactive terminal, submitting without review'));
+    return content;
+  }
+  return reviewPRContent({ ...content, ...sources }, options);
+}
+
+function printHostSetup(host, message) {
+  console.log(chalk.yellow(message));
+  for (const line of host.setup || []) {
+    console.log(chalk.gray(`   ${line}`));
   }
+}
+
+function printPRPreview(description, body) {
+  console.log(chalk.cyan('\n🧪 Dry run: the PR would be submitted with'));
+  console.log(chalk.gray(`   $ ${description}`));
+  if (body) {
+    console.log(chalk.dim('─'.repeat(60)));
+    console.log(body);
+    console.log(chalk.dim('─'.repeat(60)));
+  }
+}
+
+export async function findOpenPR(head, backend = createBackend(), target = {}) {
+  return backend.host.findOpenPR(head, target);
+}
+
+export async function updatePR(head, options = {}) {
+  const backend = backendFrom(options);
+  const target = resolveTarget(options, backend);
+  const pr = options.pr || await findOpenPR(head, backend, target);
+  if (!pr) {
+    console.error(chalk.red(`❌ No open PR found for ${head}`));
+    console.log(chalk.yellow(`💡 Create one first with: qpr --title "..."`));
+    return false;
+  }
+
+  const base = pr.baseRefName;
+  console.log(chalk.blue(`🔄 Updating analysis on PR #${pr.number} (${head} → ${base})...`));
+
+  const baseRef = options.baseRef || resolveBaseRef(backend.git, target.remote, base, { fetch: !options.dryRun });
+  // What a human wrote around the analysis counts against the body limit too
+  const bodyReserve = replaceAnalysisSection(pr.body || '', '').length;
+  options = { ...options, baseRef, target, bodyReserve };
+  const analysis = await analyzeChanges(base, head, options);
+  if (!analysis) {
+    console.error(chalk.red('❌ Could not regenerate the analysis'));
+    return false;
+  }
+  warnIfNoIssue(head, analysis, options);
+
+  const reviewed = await reviewBeforeSubmit({ title: options.title || pr.title, body: replaceAnalysisSection(pr.body || '', analysis.description) }, {
+    regenerate: async () => {
+      const description = await generateCopilotPRDescription(base, head, options);
+      return description ? replaceAnalysisSection(pr.body || '', description) : null;
+    },
+    fill: () => generateCopilotSummary(baseRef, head, backend)
+  }, options);
+  if (!reviewed) {
+    console.log(chalk.yellow(`⚠️  Aborted, PR #${pr.number} left unchanged`));
+    return false;
+  }
+
+  const changes = { body: reviewed.body };
+  if (options.title || reviewed.title !== pr.title) {
+    changes.title = reviewed.title;
+  }
+
+  if (options.dryRun) {
+    printPRPreview(backend.host.describeUpdate(pr.number, changes, target), changes.body);
+    await syncLabels(backend, target, pr, labelsFor(analysis, options), options);
+    return true;
+  }
+
+  try {
+    await backend.host.updatePR(pr.number, changes, target);
+    console.log(chalk.green(`\n✅ PR #${pr.number} updated: ${pr.url}`));
+    await syncLabels(backend, target, pr, labelsFor(analysis, options), options);
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Failed to update PR #${pr.number}: ${error.message}`));
+    printHostSetup(backend.host, `💡 Check that ${backend.host.label} is authenticated:`);
+    return false;
+  }
+}
+
+export async function createPR(base, head, options) {
+  const backend = backendFrom(options);
+  const target = resolveTarget(options, backend);
+
+  // Hosts refuse to open a second PR for the same head branch
+  const existing = await findOpenPR(head, backend, target);
+  if (existing) {
+    console.log(chalk.yellow(`⚠️  PR #${existing.number} already exists for ${head}: ${existing.url}`));
+    if (options.body || options.copilot === false) {
+      return true;
+    }
+    return updatePR(head, { ...options, target, pr: existing });
+  }
+
+  const prHead = headRef(head, target);
+  console.log(chalk.blue(`🚀 Creating PR from ${prHead} to ${target.fork ? `${target.remote}/` : ''}${base}...`));
+
+  // Analyze against the remote's base branch, which a fork's local copy may lag behind
+  const baseRef = options.baseRef || resolveBaseRef(backend.git, target.remote, base, { fetch: !options.dryRun });
+  options = { ...options, baseRef, target };
   
-  // Add body (Copilot summary or custom)
-  if (options.body) {
-    command += ` --body "${options.body.replace(/"/g, '\\"')}"`;
-  } else if (options.copilot !== false) {
+  // Generate body unless a custom one was given
+  let bodyContent = null;
+  let analysis = null;
+  if (!options.body && options.copilot !== false) {
     // Generate Copilot PR description with severity analysis
-    const copilotDescription = generateCopilotPRDescription(base, head);
-    if (copilotDescription) {
-      // Use --body-file for better markdown formatting
-      const tempFile = path.join(os.tmpdir(), `pr-body-${Date.now()}.md`);
-      fs.writeFileSync(tempFile, copilotDescription, 'utf8');
-      command += ` --body-file "${tempFile}"`;
+    analysis = await analyzeChanges(base, head, options);
+    warnIfNoIssue(head, analysis, options);
+    if (analysis) {
+      // Markers let `qpr update` find the generated section later
+      bodyContent = wrapAnalysis(analysis.description);
     } else {
       // Fallback to basic summary if Copilot fails
-      const summary = generateCopilotSummary(base, head);
-      if (summary) {
-        const tempFile = path.join(os.tmpdir(), `pr-body-${Date.now()}.md`);
-        fs.writeFileSync(tempFile, summary, 'utf8');
-        command += ` --body-file "${tempFile}"`;
-      } else {
-        command += ' --fill';
-      }
+      bodyContent = generateCopilotSummary(baseRef, head, backend);
     }
-  } else {
-    command += ' --fill';
   }
 
+  let title = options.title;
+  if (!options.body) {
+    const reviewed = await reviewBeforeSubmit({ title, body: bodyContent }, {
+      regenerate: async () => {
+        const description = await generateCopilotPRDescription(base, head, options);
+        return description ? wrapAnalysis(description) : null;
+      },
+      fill: () => generateCopilotSummary(baseRef, head, backend)
+    }, options);
+    if (!reviewed) {
+      console.log(chalk.yellow('⚠️  Aborted, no PR created'));
+      return false;
+    }
+    title = reviewed.title;
+    bodyContent = reviewed.body;
+  }
+
+  // Without a body the host fills the description from the commits
+  const request = {
+    repo: target.repo,
+    base,
+    head: prHead,
+    title,
+    body: options.body || bodyContent || null,
+    draft: Boolean(options.draft),
+    fill: !options.body && !bodyContent,
+    // CODEOWNERS suggestions first, then anyone named with --reviewer or --assignee
+    reviewers: splitLogins([analysis?.reviewers, options.reviewer]),
+    assignees: splitLogins([options.reviewers?.assignees, options.assignee])
+  };
+
+  const labels = labelsFor(analysis, options);
+  if (options.dryRun) {
+    printPRPreview(backend.host.describeCreate(request), bodyContent);
+    await syncLabels(backend, target, {}, labels, options);
+    return true;
+  }
   
   try {
-    execSync(command, { stdio: 'inherit' });
-    console.log(chalk.green('\n✅ PR created successfully!'));
+    const created = await backend.host.createPR(request);
+    console.log(chalk.green(`\n✅ PR created successfully!${created?.url ? ` ${created.url}` : ''}`));
+    if (request.reviewers.length > 0) {
+      console.log(chalk.green(`👀 Review requested from ${request.reviewers.join(', ')}`));
+    }
+    for (const warning of created?.warnings || []) {
+      console.log(chalk.yellow(`⚠️  ${warning}`));
+    }
+    if (labels.length > 0) {
+      const pr = created?.number ? { number: created.number, labels: [] } : await findOpenPR(head, backend, target);
+      if (pr) await syncLabels(backend, target, pr, labels, options);
+    }
     return true;
   } catch (error) {
-    console.error(chalk.red('\n❌ Failed to create PR'));
-    console.log(chalk.yellow('\n💡 Make sure GitHub CLI is installed:'));
-    console.log(chalk.gray('   brew install gh  # Mac'));
-    console.log(chalk.gray('   gh auth login'));
+    console.error(chalk.red(`\n❌ Failed to create PR: ${error.message}`));
+    printHostSetup(backend.host, `\n💡 Make sure ${backend.host.label} is set up:`);
     console.log(chalk.yellow('\n💡 For AI summaries, install GitHub Copilot CLI:'));
     console.log(chalk.gray('   gh extension install github/gh-copilot'));
     return false;
   }
 }
 
-export function createWorkflowSummary() {
-  const workflowDir = '.github/workflows';
-  const workflowFile = path.join(workflowDir, 'pr-summary.yml');
-  
-  const workflowContent = `name: PR Summary with AI Analysis
-
-on:
-  pull_request:
-    types: [opened, synchronize, reopened]
-
-permissions:
-  contents: read
-  pull-requests: write
-
-jobs:
-  update-pr-summary:
-    runs-on: ubuntu-latest
-    steps:
-      - name: Checkout code
-        uses: actions/checkout@v4
-        with:
-          fetch-depth: 0
-          ref: \${{ github.event.pull_request.head.sha }}
-
-      - name: Setup Node.js
-        uses: actions/setup-node@v4
-        with:
-          node-version: '20'
-
-      - name: Install semantic-create-pr
-        run: npm install -g semantic-create-pr
-
-      - name: Generate PR Analysis
-        id: analysis
-        run: |
-          # Get PR details
-          PR_NUMBER=\${{ github.event.pull_request.number }}
-          BASE_BRANCH=\${{ github.event.pull_request.base.ref }}
-          HEAD_BRANCH=\${{ github.event.pull_request.head.ref }}
-          
-          echo "Analyzing PR #$PR_NUMBER: $HEAD_BRANCH -> $BASE_BRANCH"
-          
-          # Generate analysis using the tool's function
-          node -e "
-          import { generateCopilotPRDescription } from 'semantic-create-pr/lib.js';
-          const description = generateCopilotPRDescription('$BASE_BRANCH', '$HEAD_BRANCH');
-          if (description) {
-            console.log('ANALYSIS_GENERATED=true');
-          }
-          "
-
-      - name: Update PR Description
-        if: steps.analysis.outputs.ANALYSIS_GENERATED == 'true'
-        env:
-          GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
-        run: |
-          PR_NUMBER=\${{ github.event.pull_request.number }}
-          
-          # The analysis is already in GITHUB_STEP_SUMMARY
-          # Now we'll also update the PR body
-          
-          # Get existing PR body
-          EXISTING_BODY=\$(gh pr view $PR_NUMBER --json body -q .body)
-          
-          # Check if we already added analysis
-          if echo "$EXISTING_BODY" | grep -q "<!-- AI_ANALYSIS_START -->"; then
-            echo "PR already has AI analysis, updating..."
-            # Remove old analysis section
-            NEW_BODY=\$(echo "$EXISTING_BODY" | sed '/<!-- AI_ANALYSIS_START -->/,/<!-- AI_ANALYSIS_END -->/d')
-          else
-            NEW_BODY="$EXISTING_BODY"
-          fi
-          
-          # Read the analysis from step summary
-          if [ -f "$GITHUB_STEP_SUMMARY" ]; then
-            ANALYSIS=\$(cat "$GITHUB_STEP_SUMMARY")
-            
-            # Create PR body with analysis
-            echo "\$NEW_BODY" > /tmp/pr-body.md
-            echo "" >> /tmp/pr-body.md
-            echo "---" >> /tmp/pr-body.md
-            echo "" >> /tmp/pr-body.md
-            echo "<!-- AI_ANALYSIS_START -->" >> /tmp/pr-body.md
-            echo "\$ANALYSIS" >> /tmp/pr-body.md
-            echo "<!-- AI_ANALYSIS_END -->" >> /tmp/pr-body.md
-            
-            # Update PR
-            gh pr edit $PR_NUMBER --body-file /tmp/pr-body.md
-            echo "✅ PR description updated with AI analysis"
-          fi
-
-      - name: Comment on PR
-        if: steps.analysis.outputs.ANALYSIS_GENERATED == 'true'
-        env:
-          GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
-        run: |
-          PR_NUMBER=\${{ github.event.pull_request.number }}
-          
-          gh pr comment $PR_NUMBER --body "🤖 **AI Analysis Complete**
-          
-          The PR description has been updated with comprehensive analysis including:
-          - 📊 Severity level and reasoning
-          - 📈 Change metrics
-          - 🎯 Impact analysis
-          - ⚠️ Risk considerations
-          
-          Check the updated PR description for full details!"
-`;
+function readIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
 
+// Write or refresh the CI workflow that adds the analysis to PRs. Without --platform, a workflow qpr
+// generated before is found and regenerated with the platform, jobs and threshold recorded in it.
+// check: only report how the file differs from the current template.
+// Returns { file, platform, status } (created, updated, unchanged, outdated or missing), or null on failure.
+export function createWorkflowSummary(options = {}) {
   try {
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(workflowDir)) {
-      fs.mkdirSync(workflowDir, { recursive: true });
-      console.log(chalk.green(`✅ Created directory: ${workflowDir}`));
-    }
+    const root = repoRoot(backendFrom(options));
+    const pathOf = name => path.join(root, WORKFLOW_PLATFORMS[name].file);
+    const platform = options.platform ||
+      Object.keys(WORKFLOW_PLATFORMS).find(name => readWorkflowSettings(readIfExists(pathOf(name)))) ||
+      DEFAULT_WORKFLOW_SETTINGS.platform;
+    const relative = WORKFLOW_PLATFORMS[platform].file;
+    const existing = readIfExists(pathOf(platform));
+    const recorded = readWorkflowSettings(existing);
 
-    // Check if file already exists
-    if (fs.existsSync(workflowFile)) {
-      console.log(chalk.yellow(`⚠️  Workflow file already exists: ${workflowFile}`));
-      console.log(chalk.yellow('   Backing up existing file...'));
-      fs.copyFileSync(workflowFile, `${workflowFile}.backup`);
-      console.log(chalk.green(`   ✅ Backup created: ${workflowFile}.backup`));
-    }
+    const settings = { ...recorded, platform };
+    if (options.jobs) settings.jobs = options.jobs;
+    if (options.failOn) settings.failOn = options.failOn;
+    const content = renderWorkflow(settings, options.tool);
+    const result = status => ({ file: relative, platform, status });
 
-    // Write workflow file
-    fs.writeFileSync(workflowFile, workflowContent, 'utf8');
-    console.log(chalk.green(`✅ Created workflow: ${workflowFile}`));
+    if (existing === content) {
+      console.log(chalk.green(`✅ ${relative} is up to date`));
+      return result('unchanged');
+    }
+    if (options.check) {
+      if (existing === null) {
+        console.log(chalk.yellow(`⚠️  ${relative} does not exist`));
+        return result('missing');
+      }
+      console.log(chalk.yellow(`⚠️  ${relative} differs from the current template:`));
+      for (const line of diffLines(existing, content).split('\n')) {
+        const color = line.startsWith('+') ? chalk.green : line.startsWith('-') ? chalk.red : line.startsWith('@@') ? chalk.cyan : chalk.gray;
+        console.log(color(line));
+      }
+      return result('outdated');
+    }
+    if (existing !== null && !recorded && !options.force) {
+      console.error(chalk.red(`❌ ${relative} was not generated by qpr`));
+      console.log(chalk.yellow('💡 Run again with --force to replace it'));
+      return null;
+    }
 
-    return true;
+    fs.mkdirSync(path.dirname(pathOf(platform)), { recursive: true });
+    fs.writeFileSync(pathOf(platform), content, 'utf8');
+    console.log(chalk.green(`✅ ${existing === null ? 'Created' : 'Updated'} ${relative}`));
+    return result(existing === null ? 'created' : 'updated');
   } catch (error) {
     console.error(chalk.red('❌ Failed to create workflow file'));
     console.error(chalk.red(error.message));
+    return null;
+  }
+}
+
+// Staging and commit steps shared by the main action, push and fpush
+// stage: 'all' (git add -A), 'staged' (the index as is), or 'only' when options.only lists pathspecs.
+// Files matching staging.exclude are left out of what qpr stages.
+export function planCommit(message, options = {}) {
+  const backend = backendFrom(options);
+  const only = [options.only || []].flat().filter(Boolean);
+  const stage = only.length > 0 ? 'only' : options.stage || 'all';
+  const steps = [];
+
+  const files = stage === 'staged' ? [] : listChangedFiles('all', backend, only);
+  const excluded = excludedFiles(files, options.staging);
+  const staged = files.filter(file => !excluded.includes(file.path));
+  const excludeSpecs = excluded.map(file => literalPathspec(file, ['exclude']));
+  // With pathspecs the commit takes only those paths, whatever else is staged
+  const commitPaths = stage === 'only' ? ['--', ...only, ...excludeSpecs] : [];
+
+  if (stage === 'staged') {
+    steps.push({ label: '📦 Using already staged changes...', argv: null });
+  } else if (stage === 'only') {
+    // Add the matched files by name: a pathspec that only matches HEAD, like the old side of a rename, fails in git add
+    steps.push(staged.length > 0
+      ? { label: `📦 Adding ${staged.length} selected file(s)...`, argv: ['git', 'add', '-A', '--', ...staged.map(file => literalPathspec(file.path))] }
+      : { label: `📦 No changes to add in ${only.join(' ')}...`, argv: null });
+  } else if (excluded.length > 0) {
+    steps.push({ label: `📦 Adding all files except ${excluded.length} excluded...`, argv: ['git', 'add', '-A', '--', ':/', ...excludeSpecs] });
+  } else {
+    steps.push({ label: '📦 Adding all files...', argv: ['git', 'add', '-A'] });
+  }
+
+  // Secrets are caught between staging and committing, so nothing leaves the machine
+  if (!options.allowSecrets && options.secrets?.enabled !== false) {
+    steps.push({ label: '🔐 Scanning staged changes for secrets...', argv: null, scan: options.secrets || {} });
+  }
+
+  if (options.amend) {
+    steps.push({ label: '💾 Amending commit (no edit)...', argv: ['git', 'commit', '--amend', '--no-edit', ...commitPaths] });
+  } else {
+    // The message is read from stdin, so quotes, newlines and `$(...)` reach git verbatim
+    steps.push({ label: `💾 Committing: "${message}"`, argv: ['git', 'commit', '-F', '-', ...commitPaths], input: message });
+  }
+
+  return {
+    message,
+    amend: Boolean(options.amend),
+    stage,
+    only,
+    excluded,
+    warnings: stagingWarnings(staged, options.staging, files.length > 0 ? repoRoot(backend) : null),
+    steps
+  };
+}
+
+export function planPush(branch, options = {}) {
+  const remote = options.remote || 'origin';
+  const argv = ['git', 'push', ...(options.setUpstream ? ['-u'] : []), remote, branch];
+  let lease = null;
+  if (options.force) {
+    // Pinned to the last fetched SHA: the push fails if someone pushed since; empty means "must not exist yet"
+    lease = options.lease !== undefined ? options.lease : remoteTrackingSha(backendFrom(options).git, remote, branch);
+    argv.push(`--force-with-lease=${branch}:${lease || ''}`);
+  }
+
+  const label = options.force
+    ? `🚀 Force pushing to ${remote}/${branch}...`
+    : `📤 Pushing to ${remote}/${branch}...`;
+  return { remote, branch, force: Boolean(options.force), lease, steps: [{ label, argv }] };
+}
+
+function remoteTrackingSha(git, remote, branch) {
+  return git.output(['rev-parse', '--verify', '--quiet', `refs/remotes/${remote}/${branch}^{commit}`]) || null;
+}
+
+// Checks and prompts before a force push replaces `branch` on the push remote with a commit built on
+// `keep` (revisions that stay, e.g. the parents of the commit being amended). Throws when the branch is
+// protected or no one can confirm; returns null when the user declines, else { lease, overwritten, backup } for the push.
+async function prepareForcePush(branch, keep, options) {
+  const backend = backendFrom(options);
+  const { git } = backend;
+  const settings = { ...DEFAULT_FORCE_PUSH_SETTINGS, ...options.forcePush };
+  const target = resolveTarget(options, backend);
+  const remote = target.pushRemote;
+
+  for (const candidate of new Set([target.remote, remote])) {
+    const reason = protectedReason(branch, { defaultBranch: getDefaultBranch(candidate, backend), patterns: settings.protected });
+    if (reason) throw new ForcePushRefusedError(`Refusing to force push: ${reason}`);
+  }
+
+  const lease = remoteTrackingSha(git, remote, branch);
+  const overwritten = lease ? git.output(['log', '--oneline', '--no-decorate', lease, '--not', ...keep]).split('\n').filter(Boolean) : [];
+  if (overwritten.length > 0 && !options.yes && !options.dryRun) {
+    if (!options.ask && !process.stdin.isTTY) {
+      throw new ForcePushRefusedError(`Force pushing would replace ${overwritten.length} commit(s) on ${remote}/${branch}; run again with --yes to confirm`);
+    }
+    if (!(await confirmOverwrite(`${remote}/${branch}`, overwritten, { ask: options.ask }))) return null;
+  }
+
+  // What the push replaces: the remote tip, or the local commit when the branch was never pushed
+  const replaced = lease || git.output(['rev-parse', '--verify', '--quiet', 'HEAD']);
+  const backup = settings.backup && replaced ? { ref: nextBackupRef(git, branch), sha: replaced } : null;
+  return { remote, lease, overwritten, backup };
+}
+
+// A fresh backup ref for the branch; taken lists refs planned but not created yet
+function nextBackupRef(git, branch, taken = []) {
+  const timestamp = backupTimestamp();
+  let ref = backupRef(branch, timestamp);
+  for (let n = 2; taken.includes(ref) || git.output(['rev-parse', '--verify', '--quiet', ref]); n++) {
+    ref = backupRef(branch, `${timestamp}-${n}`);
+  }
+  return ref;
+}
+
+function backupStep(backup) {
+  // The empty old value makes update-ref fail rather than replace an existing backup
+  return { label: `🗄️  Saving ${backup.sha.slice(0, 7)} as ${backup.ref}...`, argv: ['git', 'update-ref', backup.ref, backup.sha, ''] };
+}
+
+// Push plan for a prepared force push, saving the backup ref first
+function planForcePush(branch, prepared, options) {
+  const plan = planPush(branch, { ...options, remote: prepared.remote, force: true, lease: prepared.lease });
+  plan.overwritten = prepared.overwritten;
+  if (prepared.backup) plan.steps.unshift(backupStep(prepared.backup));
+  return plan;
+}
+
+// Backup refs of a branch, newest first
+export function listBackups(branch, options = {}) {
+  const { git } = backendFrom(options);
+  const output = git.output(['for-each-ref', '--format=%(refname)%00%(objectname)%00%(subject)', `${BACKUP_NAMESPACE}/${branch}/`]);
+  // Refs git cannot list (outside a repository, say) leave nothing to restore
+  return parseBackupRefs(output ?? '', branch);
+}
+
+// A new branch named after the commit message; `git switch -c` takes uncommitted work along
+export function planBranch(message, options = {}) {
+  const { git } = backendFrom(options);
+  const name = branchNameFromMessage(message, { ...options.branch, issue: options.issue, keys: options.issues?.keys });
+  if (!name) return null;
+
+  let branch = name;
+  for (let n = 2; git.run(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).code === 0; n++) {
+    branch = `${name}-${n}`;
+  }
+  return { branch, steps: [{ label: `🌿 Creating branch ${branch}...`, argv: ['git', 'switch', '-c', branch] }] };
+}
+
+// Plan steps are git commands; argv keeps the leading "git" for display.
+// A scan step throws SecretsFoundError instead of letting the commit run, or SecretScanError
+// when the scan could not run.
+export function executePlan(plan, backend = createBackend()) {
+  for (const step of plan.steps) {
+    console.log(chalk.blue(step.label));
+    if (step.scan) {
+      let findings;
+      try {
+        findings = scanStagedChanges({ backend, secrets: step.scan });
+      } catch (error) {
+        throw new SecretScanError(error);
+      }
+      if (findings.length > 0) throw new SecretsFoundError(findings);
+    }
+    if (step.argv) {
+      backend.git.runChecked(step.argv.slice(1), { stdio: 'inherit', input: step.input });
+    }
+  }
+}
+
+// Findings in what is staged right now, minus the accepted ones in the baseline
+export function scanStagedChanges(options = {}) {
+  const backend = backendFrom(options);
+  const patch = backend.git.run(['diff', '--cached', '--no-color', '--no-ext-diff', '-M']);
+  const numstat = backend.git.output(['diff', '--cached', '--numstat', '-z', '-M']);
+  const diff = buildDiffModel(numstat, patch.stdout);
+  return scanDiffFiles(diff.files, options.secrets, loadBaseline(repoRoot(backend), options.secrets));
+}
+
+// Record findings as accepted so later scans skip them; returns the baseline file name
+export function acceptSecretFindings(findings, options = {}) {
+  return writeBaseline(repoRoot(backendFrom(options)), findings, options.secrets);
+}
+
+export function reportSecrets(error, { committing = true } = {}) {
+  console.error(chalk.red(`\n🔐 ${error.message}`));
+  console.log(chalk.yellow(`\n💡 ${committing ? 'Nothing was committed. ' : ''}Remove the secret and run again, or:`));
+  console.log(chalk.gray('   - mark a line that is meant to be there with a "qpr-allow-secret" comment'));
+  console.log(chalk.gray('   - accept the current findings with: qpr secrets --baseline'));
+  console.log(chalk.gray('   - skip the scan once with --allow-secrets'));
+}
+
+// Files a commit would include, from `git status --porcelain -z`; paths are relative to the repository root
+export function listChangedFiles(stage = 'all', backend = createBackend(), pathspecs = []) {
+  // Not output(): trimming would eat the leading status column
+  const args = ['status', '--porcelain=v1', '-z', '--untracked-files=all'];
+  const result = backend.git.run(pathspecs.length > 0 ? [...args, '--', ...pathspecs] : args);
+  if (result.code !== 0) return [];
+  const tokens = result.stdout.split('\0').filter(Boolean);
+  const files = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const entry = { index: tokens[i][0], worktree: tokens[i][1], path: tokens[i].slice(3) };
+    if (entry.index === 'R' || entry.index === 'C') {
+      entry.origPath = tokens[++i];
+    }
+    files.push(entry);
+  }
+
+  if (stage === 'staged') {
+    return files.filter(file => file.index !== ' ' && file.index !== '?');
+  }
+  return files;
+}
+
+export function printCommitPlan(plan, backend = createBackend()) {
+  const files = listChangedFiles(plan.stage === 'staged' ? 'staged' : 'all', backend, plan.only || [])
+    .filter(file => !(plan.excluded || []).includes(file.path));
+
+  console.log(chalk.cyan(`📝 Files that would be ${plan.amend ? 'amended into the last commit' : 'committed'}:`));
+  if (files.length === 0) {
+    console.log(chalk.gray('   (no changes)'));
+  }
+  for (const file of files) {
+    const name = file.origPath ? `${file.origPath} -> ${file.path}` : file.path;
+    console.log(chalk.gray(`   ${file.index}${file.worktree} ${name}`));
+  }
+  if (plan.excluded?.length > 0) {
+    console.log(chalk.gray(`   Left out by staging.exclude: ${plan.excluded.join(', ')}`));
+  }
+  printStagingWarnings(plan);
+  if (plan.steps.some(step => step.scan)) {
+    console.log(chalk.gray('   Staged changes are scanned for secrets before committing'));
+  }
+
+  if (!plan.amend) {
+    console.log(chalk.cyan(`💬 Commit message: ${plan.message}`));
+  }
+  printPlanCommands(plan);
+  return files;
+}
+
+// Untracked files that are large or look like build output, before they get staged
+export function printStagingWarnings(plan) {
+  if (!plan.warnings?.length) return;
+  console.log(chalk.yellow('⚠️  About to stage untracked files that may not belong in the commit:'));
+  for (const warning of plan.warnings) {
+    console.log(chalk.yellow(`   ${warning.path} (${warning.reason})`));
+  }
+  console.log(chalk.gray('   Add them to staging.exclude or .gitignore, or choose files with --only, --pick or --staged'));
+}
+
+// Ask which changed files to commit; the answer comes back as pathspecs for options.only.
+// false means nobody can answer, as in CI or with piped input.
+export async function pickFilesToCommit(options = {}) {
+  if (!process.stdin.isTTY && !options.ask) {
+    console.error(chalk.red('❌ --pick needs an interactive terminal; choose the files with --only or --staged instead'));
     return false;
   }
+  const backend = backendFrom(options);
+  const files = listChangedFiles('all', backend);
+  const stats = Object.fromEntries(
+    parseNumstat(backend.git.output(['diff', 'HEAD', '--numstat', '-z', '-M'])).map(entry => [entry.path, entry])
+  );
+
+  const picked = await pickFiles(files, { stats, root: repoRoot(backend), ask: options.ask });
+  if (!picked) return null;
+  // A rename needs both sides so the old path is removed in the same commit
+  return picked.flatMap(file => [file.origPath, file.path].filter(Boolean)).map(file => literalPathspec(file));
 }
 
-export function commitAndPush(message, branch) {
+export function printBranchPlan(plan) {
+  console.log(chalk.cyan(`🌿 New branch: ${plan.branch}`));
+  printPlanCommands(plan);
+}
+
+export function printPushPlan(plan) {
+  console.log(chalk.cyan(`📤 Push target: ${plan.remote}/${plan.branch}${plan.force ? ' (force)' : ''}`));
+  if (plan.overwritten?.length > 0) {
+    console.log(chalk.yellow(`   Replaces on the remote: ${plan.overwritten.join(', ')}`));
+  }
+  printPlanCommands(plan);
+}
+
+function printPlanCommands(plan) {
+  for (const step of plan.steps.filter(candidate => candidate.argv)) {
+    console.log(chalk.gray(`   $ ${formatCommand(step.argv)}`));
+  }
+}
+
+// Diff range covering work that is not committed yet, for previews
+export function pendingDiffRange(base, options = {}) {
+  const backend = backendFrom(options);
+  const baseRef = options.baseRef || resolveBaseRef(backend.git, resolveTarget(options, backend).remote, base, { fetch: !options.dryRun });
+  const mergeBase = backend.git.output(['merge-base', baseRef, 'HEAD']);
+  if (!mergeBase) return null;
+  const only = [options.only || []].flat().filter(Boolean);
+  if (only.length === 0 && options.stage === 'staged') return ['--cached', mergeBase];
+  if (only.length === 0 && !options.staging?.exclude?.length) return [mergeBase];
+
+  // Limit the preview to what the commit would take
+  const files = listChangedFiles('all', backend, only);
+  const excludes = excludedFiles(files, options.staging).map(file => literalPathspec(file, ['exclude']));
+  return [mergeBase, '--', ...(only.length > 0 ? only : [':/']), ...excludes];
+}
+
+function runCommitAndPush(message, branch, options, pushPlan = null) {
+  const backend = backendFrom(options);
+  const commitPlan = planCommit(message, options);
+  pushPlan = pushPlan || planPush(branch, { ...options, remote: resolveTarget(options, backend).pushRemote });
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('🧪 Dry run: nothing will be committed or pushed\n'));
+    printCommitPlan(commitPlan, backend);
+    printPushPlan(pushPlan);
+    return true;
+  }
+
+  printStagingWarnings(commitPlan);
+  executePlan(commitPlan, backend);
+  executePlan(pushPlan, backend);
+  return true;
+}
+
+export function commitAndPush(message, branch, options = {}) {
   try {
-    // Add all files
-    console.log(chalk.blue('📦 Adding all files...'));
-    execSync('git add -A', { stdio: 'inherit' });
-    
-    // Commit with message
-    console.log(chalk.blue(`💾 Committing: "${message}"`));
-    execSync(`git commit -m "${message.replace(/"/g, '\\"')}"`, { stdio: 'inherit' });
-    
-    // Push to remote
-    console.log(chalk.blue(`📤 Pushing to ${branch}...`));
-    execSync(`git push origin ${branch}`, { stdio: 'inherit' });
-    
-    console.log(chalk.green('\n✅ Successfully committed and pushed!'));
+    runCommitAndPush(message, branch, { ...options, amend: false, force: false });
+    if (!options.dryRun) {
+      console.log(chalk.green('\n✅ Successfully committed and pushed!'));
+    }
     return true;
   } catch (error) {
-    console.error(chalk.red('\n❌ Failed to commit and push'));
+    if (error instanceof SecretsFoundError) {
+      reportSecrets(error);
+      return false;
+    }
+    console.error(chalk.red(`\n❌ Failed to commit and push: ${error.message}`));
     console.log(chalk.yellow('\n💡 Tips:'));
     console.log(chalk.gray('   - Make sure you have changes to commit'));
     console.log(chalk.gray('   - Check if remote branch exists'));
@@ -565,29 +1233,173 @@ export function commitAndPush(message, branch) {
   }
 }
 
-export function forceCommitAndPush(branch) {
+export async function forceCommitAndPush(branch, options = {}) {
   try {
-    // Add all files
-    console.log(chalk.blue('📦 Adding all files...'));
-    execSync('git add -A', { stdio: 'inherit' });
-    
-    // Amend commit without editing
-    console.log(chalk.blue('💾 Amending commit (no edit)...'));
-    execSync('git commit --amend --no-edit', { stdio: 'inherit' });
-    
-    // Force push to remote
-    console.log(chalk.blue(`🚀 Force pushing to ${branch}...`));
-    execSync(`git push origin ${branch} --force`, { stdio: 'inherit' });
-    
-    console.log(chalk.green('\n✅ Successfully amended and force pushed!'));
-    console.log(chalk.yellow('⚠️  Remote history has been rewritten'));
+    // The amended commit keeps the parents of HEAD, so everything above them is replaced
+    const prepared = await prepareForcePush(branch, ['HEAD^@'], options);
+    if (!prepared) {
+      console.log(chalk.yellow('⚠️  Force push cancelled, nothing was changed'));
+      return false;
+    }
+    runCommitAndPush(null, branch, { ...options, amend: true, force: true }, planForcePush(branch, prepared, options));
+    if (!options.dryRun) {
+      console.log(chalk.green('\n✅ Successfully amended and force pushed!'));
+      console.log(chalk.yellow('⚠️  Remote history has been rewritten'));
+      if (prepared.backup) {
+        console.log(chalk.gray(`🗄️  Previous version kept as ${prepared.backup.ref}; run "qpr restore" to roll back`));
+      }
+    }
     return true;
   } catch (error) {
-    console.error(chalk.red('\n❌ Failed to amend and force push'));
+    if (error instanceof SecretsFoundError) {
+      reportSecrets(error);
+      return false;
+    }
+    if (error instanceof ForcePushRefusedError) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      return false;
+    }
+    console.error(chalk.red(`\n❌ Failed to amend and force push: ${error.message}`));
     console.log(chalk.yellow('\n💡 Tips:'));
     console.log(chalk.gray('   - Make sure you have a previous commit to amend'));
+    console.log(chalk.gray('   - If the push was rejected as stale, someone pushed since your last fetch: git fetch and review their commits'));
     console.log(chalk.gray('   - Check if you have force push permissions'));
     console.log(chalk.gray('   - Verify remote branch exists'));
     return false;
   }
 }
+
+// Reset the branch to a backup ref and force push it back; options.backup picks one by
+// timestamp or ref name, the newest by default. What it replaces is backed up in turn.
+export async function restoreBackup(branch, options = {}) {
+  const backend = backendFrom(options);
+  const { git } = backend;
+  try {
+    const backups = listBackups(branch, { backend });
+    const backup = options.backup
+      ? backups.find(candidate => candidate.ref === options.backup || candidate.timestamp === options.backup)
+      : backups[0];
+    if (!backup) {
+      throw new Error(options.backup ? `No backup ${options.backup} for ${branch}` : `No backups for ${branch}`);
+    }
+
+    const push = options.push !== false;
+    const prepared = push ? await prepareForcePush(branch, [backup.sha], { ...options, forcePush: { ...options.forcePush, backup: false } }) : null;
+    if (push && !prepared) {
+      console.log(chalk.yellow('⚠️  Restore cancelled, nothing was changed'));
+      return false;
+    }
+
+    // The local commit and the remote tip being left behind
+    const head = git.output(['rev-parse', '--verify', '--quiet', 'HEAD']);
+    const steps = [];
+    for (const sha of new Set([head, prepared?.lease].filter(candidate => candidate && candidate !== backup.sha))) {
+      steps.push(backupStep({ ref: nextBackupRef(git, branch, steps.map(step => step.argv[2])), sha }));
+    }
+    // --keep refuses to run rather than lose uncommitted changes
+    steps.push({ label: `⏪ Resetting ${branch} to ${backup.sha.slice(0, 7)} ${backup.subject}...`, argv: ['git', 'reset', '--keep', backup.sha] });
+    if (push) {
+      steps.push(...planPush(branch, { ...options, backend, remote: prepared.remote, force: true, lease: prepared.lease }).steps);
+    }
+    const plan = { steps };
+
+    if (options.dryRun) {
+      console.log(chalk.yellow('🧪 Dry run: nothing will be reset or pushed\n'));
+      console.log(chalk.cyan(`🗄️  Restoring ${backup.ref}`));
+      printPlanCommands(plan);
+      return true;
+    }
+
+    executePlan(plan, backend);
+    console.log(chalk.green(`\n✅ Restored ${branch} to ${backup.ref}`));
+    return true;
+  } catch (error) {
+    if (error instanceof ForcePushRefusedError) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      return false;
+    }
+    console.error(chalk.red(`\n❌ Failed to restore ${branch}: ${error.message}`));
+    console.log(chalk.yellow('\n💡 Tips:'));
+    console.log(chalk.gray('   - Commit or stash uncommitted changes that touch the same files'));
+    console.log(chalk.gray('   - List the backups with: qpr restore --list'));
+    return false;
+  }
+}
+
+// Check git, gh, auth, the remote host and Copilot, printing a fix for whatever fails
+export async function doctor(options = {}) {
+  const backend = backendFrom(options);
+  const { git } = backend;
+  let host = null;
+  let hostError = null;
+  try {
+    host = backend.host;
+  } catch (error) {
+    hostError = error.message;
+  }
+
+  const checks = await runDoctorChecks({
+    git,
+    host,
+    hostError,
+    remote: targetRemote(options, git),
+    provider: options.provider,
+    run: (file, args) => run(file, args, { cwd: git.cwd, env: git.env })
+  });
+
+  const colors = { ok: chalk.green, warn: chalk.yellow, fail: chalk.red };
+  for (const check of checks) {
+    const [line, fix] = formatCheck(check).split('\n');
+    console.log(colors[check.status](line));
+    if (fix) console.log(chalk.gray(fix));
+  }
+
+  const failed = checks.filter(check => check.status === 'fail').length;
+  if (failed > 0) {
+    console.log(chalk.red(`\n❌ ${failed} check${failed === 1 ? '' : 's'} failed`));
+    return false;
+  }
+  console.log(chalk.green('\n✅ Ready to open PRs'));
+  return true;
+}
+
+// Release notes from the conventional commits between two refs: by default from the last tag
+// before head (or the start of history) to head. Printed, or prepended to the changelog file with write.
+export function changelog(from, to, options = {}) {
+  const backend = backendFrom(options);
+  const { git } = backend;
+  to = to || 'HEAD';
+  if (!git.output(['rev-parse', '--verify', '--quiet', `${to}^{commit}`])) {
+    console.error(chalk.red(`❌ Unknown ref ${to}`));
+    return null;
+  }
+
+  // A head that is itself tagged is that release, so the range starts at the tag before it
+  const headTag = git.output(['describe', '--tags', '--exact-match', to]);
+  from = from || git.output(['describe', '--tags', '--abbrev=0', headTag ? `${to}^` : to]);
+  const log = git.run(['log', '--no-merges', '--format=%H%x1f%B%x1e', from ? `${from}..${to}` : to]);
+  if (log.code !== 0) {
+    console.error(chalk.red(`❌ git log failed: ${log.stderr.trim() || `exit code ${log.code}`}`));
+    return null;
+  }
+
+  const version = options.release || headTag || 'Unreleased';
+  const date = options.release ? new Date().toISOString().slice(0, 10) : headTag ? git.output(['log', '-1', '--format=%cs', to]) : null;
+  const settings = { ...DEFAULT_CHANGELOG_SETTINGS, ...options.changelog };
+  const result = { from: from || null, to, ...buildChangelog(parseCommitLog(log.stdout), { version, date, settings }) };
+
+  const repo = remoteRepo(git, targetRemote(options, git));
+  const { type, hostname } = resolveHostname({ repo, settings: options.host, hostname: options.hostname });
+  const markdown = formatChangelog(result, webLinks(repo && { ...repo, host: hostname }, type));
+
+  if (!options.write) {
+    console.log(options.format === 'json' ? JSON.stringify(result, null, 2) : markdown);
+    return result;
+  }
+
+  const file = path.resolve(repoRoot(backend), options.file || settings.file);
+  fs.writeFileSync(file, prependRelease(readIfExists(file), markdown, version), 'utf8');
+  const count = result.sections.reduce((total, section) => total + section.entries.length, 0);
+  console.log(chalk.green(`✅ Added ${version} to ${path.relative(process.cwd(), file) || file} (${count} change${count === 1 ? '' : 's'})`));
+  return result;
+}
@@ -5,19 +5,37 @@ import {
   generateCopilotSummary,
   createWorkflowSummary,
   commitAndPush,
-  forceCommitAndPush
+  forceCommitAndPush,
+  updatePR,
+  replaceAnalysisSection,
+  planCommit,
+  planPush,
+  listChangedFiles
 } from './lib.js';
-import { execSync } from 'child_process';
+import { renderWorkflow } from './workflow.js';
+import { spawnSync } from 'child_process';
 import fs from 'fs';
 
 // Mock child_process and fs
 vi.mock('child_process', () => ({
-  execSync: vi.fn()
+  spawnSync: vi.fn()
 }));
 
+// Every git/gh call is a spawnSync(file, args); tests stub it by its joined command line,
+// returning stdout or throwing to simulate a non-zero exit
+const runCommand = vi.fn();
+vi.mocked(spawnSync).mockImplementation((file, args, options) => {
+  try {
+    return { status: 0, stdout: runCommand([file, ...args].join(' '), options) ?? '', stderr: '' };
+  } catch (error) {
+    return { status: 1, stdout: '', stderr: error.message };
+  }
+});
+
 vi.mock('fs', () => ({
   default: {
     existsSync: vi.fn(),
+    readFileSync: vi.fn(),
     mkdirSync: vi.fn(),
     writeFileSync: vi.fn(),
     copyFileSync: vi.fn(),
@@ -29,10 +47,10 @@ describe('createPR', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     // Default mock behavior to return empty string to avoid crashes on .trim()
-    vi.mocked(execSync).mockReturnValue('');
+    vi.mocked(runCommand).mockReturnValue('');
   });
 
-  it('should create a PR successfully with title and body', () => {
+  it('should create a PR successfully with title and body', async () => {
     const base = 'main';
     const head = 'feature/test';
     const options = {
@@ -41,24 +59,24 @@ describe('createPR', () => {
       draft: false
     };
 
-    const result = createPR(base, head, options);
+    const result = await createPR(base, head, options);
 
     expect(result).toBe(true);
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith(
       expect.stringContaining('gh pr create --base main --head feature/test'),
-      expect.objectContaining({ stdio: 'inherit' })
+      expect.objectContaining({ input: 'This is a test PR' })
     );
-    expect(execSync).toHaveBeenCalledWith(
-        expect.stringContaining('--title "Test PR"'),
+    expect(runCommand).toHaveBeenCalledWith(
+        expect.stringContaining('--title Test PR'),
         expect.anything()
     );
-    expect(execSync).toHaveBeenCalledWith(
-        expect.stringContaining('--body "This is a test PR"'),
+    expect(runCommand).toHaveBeenCalledWith(
+        expect.stringContaining('--body-file -'),
         expect.anything()
     );
   });
 
-  it('should create a draft PR if requested', () => {
+  it('should create a draft PR if requested', async () => {
      const base = 'main';
      const head = 'feature/test';
      const options = {
@@ -67,21 +85,21 @@ describe('createPR', () => {
        draft: true
      };
  
-     createPR(base, head, options);
+     await createPR(base, head, options);
  
-     expect(execSync).toHaveBeenCalledWith(
+     expect(runCommand).toHaveBeenCalledWith(
        expect.stringContaining('--draft'),
        expect.anything()
      );
-     expect(execSync).toHaveBeenCalledWith(
-        expect.stringContaining('--title "Test PR"'),
+     expect(runCommand).toHaveBeenCalledWith(
+        expect.stringContaining('--title Test PR'),
         expect.anything()
     );
   });
 
-  it('should use generated summary from file changes when body is not provided', () => {
-    // Mock execSync to return git outputs
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should use generated summary from file changes when body is not provided', async () => {
+    // Mock runCommand to return git outputs
+    vi.mocked(runCommand).mockImplementation((command) => {
         if (typeof command === 'string') {
            if (command.includes('git log')) {
                return '- feat: new thing\n- fix: bug';
@@ -100,36 +118,36 @@ describe('createPR', () => {
       // No body provided, should trigger summary generation
     };
 
-    const result = createPR(base, head, options);
+    const result = await createPR(base, head, options);
 
     expect(result).toBe(true);
     
     // Check that summary generation was triggered (git commands called)
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith(
         expect.stringContaining('git log'),
         expect.objectContaining({ encoding: 'utf8' })
     );
-     expect(execSync).toHaveBeenCalledWith(
+     expect(runCommand).toHaveBeenCalledWith(
         expect.stringContaining('git diff --stat'),
         expect.objectContaining({ encoding: 'utf8' })
     );
 
     // Verify that PR was created with --body-file instead of --body
-    const prCreateCall = vi.mocked(execSync).mock.calls.find(call => 
+    const prCreateCall = vi.mocked(runCommand).mock.calls.find(call => 
       typeof call[0] === 'string' && call[0].includes('gh pr create')
     );
     expect(prCreateCall).toBeTruthy();
     expect(prCreateCall[0]).toContain('--body-file');
     
     // Check that Title was included
-    expect(execSync).toHaveBeenCalledWith(
-        expect.stringContaining('--title "Copilot Feature"'),
+    expect(runCommand).toHaveBeenCalledWith(
+        expect.stringContaining('--title Copilot Feature'),
         expect.anything()
     );
   });
 
-  it('should handle errors gracefully', () => {
-      vi.mocked(execSync).mockImplementation(() => {
+  it('should handle errors gracefully', async () => {
+      vi.mocked(runCommand).mockImplementation(() => {
           throw new Error('Command failed');
       });
       
@@ -140,7 +158,7 @@ describe('createPR', () => {
         copilot: false
       };
       
-      const result = createPR(base, head, options);
+      const result = await createPR(base, head, options);
       expect(result).toBe(false);
   });
 });
@@ -148,17 +166,20 @@ describe('createPR', () => {
 describe('generateCopilotPRDescription', () => {
   beforeEach(() => {
     vi.clearAllMocks();
-    vi.mocked(execSync).mockReturnValue('');
+    vi.mocked(runCommand).mockReturnValue('');
   });
 
-  it('should generate comprehensive PR description with severity analysis', () => {
+  it('should generate comprehensive PR description with severity analysis', async () => {
     // Mock git commands
-    vi.mocked(execSync).mockImplementation((command) => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '50\t0\tfile.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/file.js b/file.js\n+export function test() {}';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: add new feature\nfix: resolve bug';
         }
         if (command.includes('git diff --stat')) {
@@ -168,7 +189,7 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/test');
+    const description = await generateCopilotPRDescription('main', 'feature/test');
 
     expect(description).toBeTruthy();
     expect(description).toContain('## Summary');
@@ -180,13 +201,16 @@ describe('generateCopilotPRDescription', () => {
     expect(description).toContain('fix: resolve bug');
   });
 
-  it('should detect Critical severity for security changes', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should detect Critical severity for security changes', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '100\t0\tauth.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/auth.js b/auth.js\n+const token = authenticateUser();';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'security: fix authentication vulnerability';
         }
         if (command.includes('git diff --stat')) {
@@ -196,20 +220,23 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/security');
+    const description = await generateCopilotPRDescription('main', 'feature/security');
 
     expect(description).toBeTruthy();
     expect(description).toContain('## Severity: Critical');
     expect(description).toContain('Critical keywords in commits');
   });
 
-  it('should detect High severity for large changes', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should detect High severity for large changes', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '600\t0\tapi.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/api.js b/api.js\n+export const newAPI = () => {};';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: major API update';
         }
         if (command.includes('git diff --stat')) {
@@ -219,20 +246,50 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/api');
+    const description = await generateCopilotPRDescription('main', 'feature/api');
 
     expect(description).toBeTruthy();
     expect(description).toContain('## Severity: High');
     expect(description).toContain('Large number of changes');
   });
 
-  it('should detect Medium severity for moderate changes', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should use configured severity thresholds', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '60\t0\tREADME.md\0';
+        }
+        if (command.includes('git diff ') && !command.includes('--stat')) {
+          return 'diff --git a/README.md b/README.md\n+Documentation update';
+        }
+        if (command.includes('git log --pretty=format:%s')) {
+          return 'docs: update README';
+        }
+        if (command.includes('git diff --stat')) {
+          return ' README.md | 60 +++++\n 1 file changed, 60 insertions(+)';
+        }
+      }
+      return '';
+    });
+
+    const description = await generateCopilotPRDescription('main', 'docs/readme', {
+      severity: { high: { lines: 50 } }
+    });
+
+    expect(description).toContain('## Severity: High');
+    expect(description).toContain('Large number of changes (60 lines)');
+  });
+
+  it('should detect Medium severity for moderate changes', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
+      if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '150\t0\tconfig.json\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/config.json b/config.json\n+{"key": "value"}';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'chore: update configuration';
         }
         if (command.includes('git diff --stat')) {
@@ -242,19 +299,22 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'chore/config');
+    const description = await generateCopilotPRDescription('main', 'chore/config');
 
     expect(description).toBeTruthy();
     expect(description).toContain('## Severity: Medium');
   });
 
-  it('should detect Low severity for minimal changes', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should detect Low severity for minimal changes', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '5\t0\tREADME.md\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/README.md b/README.md\n+Documentation update';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'docs: update README';
         }
         if (command.includes('git diff --stat')) {
@@ -264,20 +324,23 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'docs/readme');
+    const description = await generateCopilotPRDescription('main', 'docs/readme');
 
     expect(description).toBeTruthy();
     expect(description).toContain('## Severity: Low');
     expect(description).toContain('Minimal changes');
   });
 
-  it('should identify impact areas correctly', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should identify impact areas correctly', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '30\t0\ttest.spec.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/test.spec.js b/test.spec.js\n+describe("test")';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'test: add unit tests';
         }
         if (command.includes('git diff --stat')) {
@@ -287,30 +350,67 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'test/unit');
+    const description = await generateCopilotPRDescription('main', 'test/unit');
 
     expect(description).toBeTruthy();
     expect(description).toContain('**Testing:**');
   });
 
-  it('should handle no changes gracefully', () => {
-    vi.mocked(execSync).mockImplementation(() => '');
+  it('should only report TODOs from added lines', async () => {
+    const patch = (line) => [
+      'diff --git a/src/app.js b/src/app.js',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,2 +1,2 @@',
+      ' // TODO: already there',
+      line
+    ].join('\n');
+    const mockDiff = (diffOutput) => vi.mocked(runCommand).mockImplementation((command) => {
+      if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '1\t0\tsrc/app.js\0';
+        }
+        if (command.includes('git diff ')) {
+          return diffOutput;
+        }
+        if (command.includes('git log --pretty=format:%s')) {
+          return 'refactor: tidy app';
+        }
+      }
+      return '';
+    });
+
+    mockDiff(patch('+const value = 1;'));
+    const contextOnly = await generateCopilotPRDescription('main', 'feature/todo');
+    mockDiff(patch('+// FIXME: handle errors'));
+    const added = await generateCopilotPRDescription('main', 'feature/todo');
+
+    expect(contextOnly).not.toContain('TODOs Present');
+    expect(added).toContain('TODOs Present:** New TODO/FIXME comments to address (src/app.js)');
+    expect(added).toContain('- src/app.js (+1 -0)');
+  });
+
+  it('should handle no changes gracefully', async () => {
+    vi.mocked(runCommand).mockImplementation(() => '');
 
-    const description = generateCopilotPRDescription('main', 'feature/empty');
+    const description = await generateCopilotPRDescription('main', 'feature/empty');
 
     expect(description).toBeNull();
   });
 
-  it('should fallback when Copilot CLI is unavailable', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should fallback when Copilot CLI is unavailable', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '20\t0\tfile.js\0';
+        }
         if (command.includes('gh copilot suggest')) {
           throw new Error('Copilot CLI not installed');
         }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/file.js b/file.js\n+code';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: new feature';
         }
         if (command.includes('git diff --stat')) {
@@ -320,28 +420,129 @@ describe('generateCopilotPRDescription', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/test');
+    const description = await generateCopilotPRDescription('main', 'feature/test');
 
     // Should still generate description using fallback
     expect(description).toBeTruthy();
     expect(description).toContain('## Summary');
     expect(description).toContain('## Severity:');
+    expect(description).toContain('*Generated with heuristic analysis*');
+  });
+});
+
+describe('generateCopilotPRDescription with LLM providers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(runCommand).mockImplementation((command) => {
+      if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '20\t0\tfile.js\0';
+        }
+        if (command.includes('git diff ') && !command.includes('--stat')) {
+          return 'diff --git a/file.js b/file.js\n+code';
+        }
+        if (command.includes('git log --pretty=format:%s')) {
+          return 'feat: add feature';
+        }
+        if (command.includes('git diff --stat')) {
+          return ' file.js | 20 +++++\n 1 file changed, 20 insertions(+)';
+        }
+      }
+      return '';
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should send the prompt and use the model response as the description', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response(JSON.stringify({
+      choices: [{ message: { content: '## Summary\nAdds a feature in prose.' } }]
+    })));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const description = await generateCopilotPRDescription('main', 'feature/test', { provider: 'ollama' });
+
+    expect(fetchMock).toHaveBeenCalledWith(
+      'http://localhost:11434/v1/chat/completions',
+      expect.objectContaining({ method: 'POST' })
+    );
+    const payload = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(payload.messages[1].content).toContain('feat: add feature');
+    expect(payload.messages[1].content).toContain('### file.js (modified, +20 -0)');
+    expect(description).toContain('Adds a feature in prose.');
+    expect(description).toContain('*Generated with ollama (llama3.1)*');
+  });
+
+  it('should fit the diff excerpt to the budget and leave lockfiles out', async () => {
+    const hunks = Array.from({ length: 200 }, (_, i) => `@@ -${i * 10 + 1} +${i * 10 + 1} @@\n-const a${i} = 1;\n+const a${i} = 2;`);
+    vi.mocked(runCommand).mockImplementation((command) => {
+      if (command.includes('--numstat')) return '5000\t0\tpackage-lock.json\0' + '200\t200\tsrc/big.js\0';
+      if (command.startsWith('git diff ')) return `diff --git a/src/big.js b/src/big.js\n--- a/src/big.js\n+++ b/src/big.js\n${hunks.join('\n')}`;
+      return '';
+    });
+    const fetchMock = vi.fn().mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content: '## Summary\nProse.' } }] })));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const description = await generateCopilotPRDescription('main', 'feature/test', { provider: 'ollama', budget: { tokens: 500 } });
+
+    expect(runCommand).toHaveBeenCalledWith(
+      'git diff main...feature/test -- :/ :(exclude,top,literal)package-lock.json',
+      expect.anything()
+    );
+    const prompt = JSON.parse(fetchMock.mock.calls[0][1].body).messages[1].content;
+    expect(prompt).toContain('Left out of the analysis: package-lock.json (lockfile)');
+    expect(prompt).toContain('### src/big.js (modified, +200 -200)');
+    expect(prompt).toContain('(200 hunks cut down to signatures)');
+    expect(prompt).not.toContain('+const a0 = 2;');
+    expect(description).toContain('- `package-lock.json` (lockfile, +5000 -0)');
+    expect(description).toContain('- Cut down to signatures: `src/big.js`');
+  });
+
+  it('should fall back to heuristic analysis when the provider fails', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('connect ECONNREFUSED')));
+
+    const description = await generateCopilotPRDescription('main', 'feature/test', { provider: 'ollama' });
+
+    expect(description).toContain('## Severity:');
+    expect(description).toContain('## Risks & Considerations');
+  });
+
+  it('should skip model calls with the none provider', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    const description = await generateCopilotPRDescription('main', 'feature/test', { provider: 'none' });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(description).toContain('## Severity:');
+    expect(description).toContain('*Generated with heuristic analysis*');
+  });
+
+  it('should return null for an unknown provider', async () => {
+    const description = await generateCopilotPRDescription('main', 'feature/test', { provider: 'bogus' });
+
+    expect(description).toBeNull();
   });
 });
 
 describe('createPR with Copilot integration', () => {
   beforeEach(() => {
     vi.clearAllMocks();
-    vi.mocked(execSync).mockReturnValue('');
+    vi.mocked(runCommand).mockReturnValue('');
   });
 
-  it('should use Copilot PR description by default', () => {
-    vi.mocked(execSync).mockImplementation((command) => {
+  it('should use Copilot PR description by default', async () => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '30\t0\tfile.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/file.js b/file.js\n+code';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: add feature';
         }
         if (command.includes('git diff --stat')) {
@@ -357,27 +558,28 @@ describe('createPR with Copilot integration', () => {
       title: 'New Feature'
     };
 
-    const result = createPR(base, head, options);
+    const result = await createPR(base, head, options);
 
     expect(result).toBe(true);
     
     // Verify Copilot description was generated (git commands called)
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith(
       expect.stringContaining('git diff main...feature/copilot'),
       expect.anything()
     );
     
     // Verify PR was created with --body-file
-    const prCreateCall = vi.mocked(execSync).mock.calls.find(call => 
+    const prCreateCall = vi.mocked(runCommand).mock.calls.find(call => 
       typeof call[0] === 'string' && call[0].includes('gh pr create')
     );
     expect(prCreateCall).toBeTruthy();
-    expect(prCreateCall[0]).toContain('--body-file');
+    expect(prCreateCall[0]).toContain('--body-file -');
+    expect(prCreateCall[1].input).toMatch(/^<!-- AI_ANALYSIS_START -->\n## Summary[\s\S]*<!-- AI_ANALYSIS_END -->$/);
   });
 
-  it('should fallback to basic summary if Copilot fails', () => {
+  it('should fallback to basic summary if Copilot fails', async () => {
     let callCount = 0;
-    vi.mocked(execSync).mockImplementation((command) => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
         // First call: git diff (for Copilot) - return nothing to simulate failure
         if (command.includes('git diff ') && !command.includes('--stat') && callCount === 0) {
@@ -385,7 +587,7 @@ describe('createPR with Copilot integration', () => {
           return '';
         }
         // Fallback to basic summary
-        if (command.includes('git log --pretty=format:"- %s"')) {
+        if (command.includes('git log --pretty=format:- %s')) {
           return '- feat: new thing';
         }
         if (command.includes('git diff --stat')) {
@@ -401,12 +603,12 @@ describe('createPR with Copilot integration', () => {
       title: 'Test Feature'
     };
 
-    const result = createPR(base, head, options);
+    const result = await createPR(base, head, options);
 
     expect(result).toBe(true);
   });
 
-  it('should respect custom body and skip Copilot', () => {
+  it('should respect custom body and skip Copilot', async () => {
     const base = 'main';
     const head = 'feature/custom';
     const options = {
@@ -414,22 +616,22 @@ describe('createPR with Copilot integration', () => {
       body: 'This is a custom description'
     };
 
-    createPR(base, head, options);
+    await createPR(base, head, options);
 
     // Should NOT call git diff for Copilot analysis
-    const diffCalls = vi.mocked(execSync).mock.calls.filter(call =>
+    const diffCalls = vi.mocked(runCommand).mock.calls.filter(call =>
       typeof call[0] === 'string' && call[0].includes('git diff ') && !call[0].includes('--stat')
     );
     expect(diffCalls.length).toBe(0);
 
     // Should use custom body
-    expect(execSync).toHaveBeenCalledWith(
-      expect.stringContaining('--body "This is a custom description"'),
-      expect.anything()
+    expect(runCommand).toHaveBeenCalledWith(
+      expect.stringContaining('--body-file -'),
+      expect.objectContaining({ input: 'This is a custom description' })
     );
   });
 
-  it('should skip Copilot when copilot option is false', () => {
+  it('should skip Copilot when copilot option is false', async () => {
     const base = 'main';
     const head = 'feature/no-copilot';
     const options = {
@@ -437,42 +639,162 @@ describe('createPR with Copilot integration', () => {
       copilot: false
     };
 
-    createPR(base, head, options);
+    await createPR(base, head, options);
 
     // Should use --fill instead of generating description
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith(
       expect.stringContaining('--fill'),
       expect.anything()
     );
   });
 });
 
+describe('replaceAnalysisSection', () => {
+  it('should replace only the text between the markers', () => {
+    const body = 'Human intro\n\n<!-- AI_ANALYSIS_START -->\nold analysis\n<!-- AI_ANALYSIS_END -->\n\nHuman notes';
+
+    expect(replaceAnalysisSection(body, 'new analysis')).toBe(
+      'Human intro\n\n<!-- AI_ANALYSIS_START -->\nnew analysis\n<!-- AI_ANALYSIS_END -->\n\nHuman notes'
+    );
+  });
+
+  it('should append the section when the body has no markers', () => {
+    expect(replaceAnalysisSection('Written by hand\n', 'analysis')).toBe(
+      'Written by hand\n\n---\n\n<!-- AI_ANALYSIS_START -->\nanalysis\n<!-- AI_ANALYSIS_END -->'
+    );
+    expect(replaceAnalysisSection('', 'analysis')).toBe('<!-- AI_ANALYSIS_START -->\nanalysis\n<!-- AI_ANALYSIS_END -->');
+  });
+});
+
+describe('updatePR', () => {
+  const existingPR = {
+    number: 42,
+    url: 'https://github.com/o/r/pull/42',
+    title: 'feat: thing',
+    baseRefName: 'main',
+    body: 'Context from the author\n\n<!-- AI_ANALYSIS_START -->\n## Summary\nstale\n<!-- AI_ANALYSIS_END -->'
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(runCommand).mockImplementation((command) => {
+      if (typeof command === 'string') {
+        if (command.startsWith('gh pr list')) {
+          return JSON.stringify([existingPR]);
+        }
+        if (command.includes('--numstat')) {
+          return '20\t0\tfile.js\0';
+        }
+        if (command.includes('git diff ')) {
+          return 'diff --git a/file.js b/file.js\n--- a/file.js\n+++ b/file.js\n@@ -0,0 +1 @@\n+code';
+        }
+        if (command.includes('git log --pretty=format:%s')) {
+          return 'feat: add feature';
+        }
+      }
+      return '';
+    });
+  });
+
+  it('should regenerate the analysis and keep the human-written body', async () => {
+    const result = await updatePR('feature/test');
+
+    expect(result).toBe(true);
+    expect(runCommand).toHaveBeenCalledWith(
+      expect.stringContaining('gh pr list --head feature/test --state open'),
+      expect.anything()
+    );
+    expect(runCommand).toHaveBeenCalledWith(
+      expect.stringContaining('git diff main...feature/test'),
+      expect.anything()
+    );
+    const editCall = vi.mocked(runCommand).mock.calls.find(call => call[0].startsWith('gh pr edit 42'));
+    expect(editCall[0]).toContain('--body-file -');
+
+    const body = editCall[1].input;
+    expect(body.startsWith('Context from the author\n\n<!-- AI_ANALYSIS_START -->\n## Summary\nThis PR')).toBe(true);
+    expect(body).not.toContain('stale');
+    expect(body.endsWith('<!-- AI_ANALYSIS_END -->')).toBe(true);
+  });
+
+  it('should fail when there is no open PR', async () => {
+    vi.mocked(runCommand).mockReturnValue('[]');
+
+    expect(await updatePR('feature/none')).toBe(false);
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('gh pr edit'), expect.anything());
+  });
+
+  it('should be used by createPR when a PR already exists', async () => {
+    const result = await createPR('main', 'feature/test', { title: 'feat: thing' });
+
+    expect(result).toBe(true);
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('gh pr create'), expect.anything());
+    expect(runCommand).toHaveBeenCalledWith(expect.stringContaining('gh pr edit 42'), expect.anything());
+  });
+});
+
 describe('createWorkflowSummary', () => {
+  const tool = 'qpr-semantic-create-pr@1.0.2';
+
   beforeEach(() => {
     vi.clearAllMocks();
+    vi.mocked(runCommand).mockReturnValue('');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
   });
 
   it('should create workflow directory and file', () => {
     vi.mocked(fs.existsSync).mockReturnValue(false);
 
-    const result = createWorkflowSummary();
+    const result = createWorkflowSummary({ tool });
 
-    expect(result).toBe(true);
-    expect(fs.mkdirSync).toHaveBeenCalledWith('.github/workflows', { recursive: true });
+    expect(result).toEqual({ file: '.github/workflows/pr-summary.yml', platform: 'github', status: 'created' });
+    expect(fs.mkdirSync).toHaveBeenCalledWith(expect.stringMatching(/\.github[/\\]workflows$/), { recursive: true });
     expect(fs.writeFileSync).toHaveBeenCalledWith(
       expect.stringContaining('pr-summary.yml'),
-      expect.stringContaining('name: PR Summary with AI Analysis'),
+      expect.stringContaining('run: npm install -g qpr-semantic-create-pr@1.0.2'),
       'utf8'
     );
   });
 
-  it('should backup existing workflow file', () => {
+  it('should keep an up-to-date workflow and regenerate an old one with its recorded jobs', () => {
+    const current = renderWorkflow({ jobs: ['labels'], failOn: 'critical' }, tool);
+    vi.mocked(fs.existsSync).mockImplementation(file => String(file).endsWith('.github/workflows/pr-summary.yml'));
+    vi.mocked(fs.readFileSync).mockReturnValue(current);
+
+    expect(createWorkflowSummary({ tool }).status).toBe('unchanged');
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(fs.copyFileSync).not.toHaveBeenCalled();
+
+    vi.mocked(fs.readFileSync).mockReturnValue(current.replaceAll('@1.0.2', '@1.0.1'));
+
+    expect(createWorkflowSummary({ tool }).status).toBe('updated');
+    expect(fs.writeFileSync).toHaveBeenCalledWith(expect.any(String), current, 'utf8');
+  });
+
+  it('should report drift without writing in check mode', () => {
     vi.mocked(fs.existsSync).mockReturnValue(true);
+    vi.mocked(fs.readFileSync).mockImplementation(file =>
+      String(file).includes('.gitea') ? renderWorkflow({ platform: 'gitea' }, 'qpr-semantic-create-pr@1.0.1') : 'on: push\n');
 
-    const result = createWorkflowSummary();
+    const result = createWorkflowSummary({ tool, check: true });
 
-    expect(result).toBe(true);
-    expect(fs.copyFileSync).toHaveBeenCalled();
+    expect(result).toEqual({ file: '.gitea/workflows/pr-summary.yml', platform: 'gitea', status: 'outdated' });
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^\+ +run: npm install -g qpr-semantic-create-pr@1\.0\.2$/));
+  });
+
+  it('should not replace a workflow qpr did not generate unless forced', () => {
+    vi.mocked(fs.existsSync).mockReturnValue(true);
+    vi.mocked(fs.readFileSync).mockReturnValue('name: Mine\n');
+
+    expect(createWorkflowSummary({ tool, platform: 'github' })).toBeNull();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(createWorkflowSummary({ tool, platform: 'github', force: true }).status).toBe('updated');
   });
 
   it('should handle errors gracefully', () => {
@@ -481,16 +803,16 @@ describe('createWorkflowSummary', () => {
       throw new Error('Permission denied');
     });
 
-    const result = createWorkflowSummary();
+    const result = createWorkflowSummary({ tool });
 
-    expect(result).toBe(false);
+    expect(result).toBeNull();
   });
 });
 
 describe('commitAndPush', () => {
   beforeEach(() => {
     vi.clearAllMocks();
-    vi.mocked(execSync).mockReturnValue('');
+    vi.mocked(runCommand).mockReturnValue('');
   });
 
   it('should add, commit, and push successfully', () => {
@@ -500,31 +822,47 @@ describe('commitAndPush', () => {
     const result = commitAndPush(message, branch);
 
     expect(result).toBe(true);
-    expect(execSync).toHaveBeenCalledWith('git add -A', expect.anything());
-    expect(execSync).toHaveBeenCalledWith(
-      expect.stringContaining('git commit -m "fix: update logic"'),
-      expect.anything()
+    expect(runCommand).toHaveBeenCalledWith('git add -A', expect.anything());
+    expect(runCommand).toHaveBeenCalledWith(
+      'git commit -F -',
+      expect.objectContaining({ input: 'fix: update logic' })
     );
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith(
       'git push origin feature/test',
       expect.anything()
     );
   });
 
-  it('should escape quotes in commit message', () => {
-    const message = 'fix: update "validation" logic';
+  it('should push to the configured remote', () => {
+    commitAndPush('fix: thing', 'feature/test', { remote: 'upstream' });
+
+    expect(runCommand).toHaveBeenCalledWith(
+      'git push upstream feature/test',
+      expect.anything()
+    );
+  });
+
+  it('should skip git add when only staged changes are committed', () => {
+    commitAndPush('fix: thing', 'feature/test', { stage: 'staged' });
+
+    expect(runCommand).not.toHaveBeenCalledWith('git add -A', expect.anything());
+  });
+
+  it('should pass the commit message to git verbatim', () => {
+    const message = 'fix: update "validation" logic $(rm -rf /) `whoami`\n\nBody line';
     const branch = 'main';
 
     commitAndPush(message, branch);
 
-    expect(execSync).toHaveBeenCalledWith(
-      expect.stringContaining('git commit -m "fix: update \\"validation\\" logic"'),
-      expect.anything()
+    expect(runCommand).toHaveBeenCalledWith(
+      'git commit -F -',
+      expect.objectContaining({ input: message })
     );
+    expect(spawnSync).toHaveBeenCalledWith('git', ['commit', '-F', '-'], expect.anything());
   });
 
   it('should handle errors gracefully', () => {
-    vi.mocked(execSync).mockImplementation(() => {
+    vi.mocked(runCommand).mockImplementation(() => {
       throw new Error('No changes to commit');
     });
 
@@ -537,46 +875,136 @@ describe('commitAndPush', () => {
 describe('forceCommitAndPush', () => {
   beforeEach(() => {
     vi.clearAllMocks();
-    vi.mocked(execSync).mockReturnValue('');
+    vi.mocked(runCommand).mockReturnValue('');
   });
 
-  it('should add, amend, and force push successfully', () => {
+  it('should add, amend, and force push successfully', async () => {
     const branch = 'feature/test';
 
-    const result = forceCommitAndPush(branch);
+    const result = await forceCommitAndPush(branch);
 
     expect(result).toBe(true);
-    expect(execSync).toHaveBeenCalledWith('git add -A', expect.anything());
-    expect(execSync).toHaveBeenCalledWith(
+    expect(runCommand).toHaveBeenCalledWith('git add -A', expect.anything());
+    expect(runCommand).toHaveBeenCalledWith(
       'git commit --amend --no-edit',
       expect.anything()
     );
-    expect(execSync).toHaveBeenCalledWith(
-      'git push origin feature/test --force',
+    expect(runCommand).toHaveBeenCalledWith(
+      'git push origin feature/test --force-with-lease=feature/test:',
       expect.anything()
     );
   });
 
-  it('should handle errors gracefully', () => {
-    vi.mocked(execSync).mockImplementation(() => {
+  it('should handle errors gracefully', async () => {
+    vi.mocked(runCommand).mockImplementation(() => {
       throw new Error('No commit to amend');
     });
 
-    const result = forceCommitAndPush('main');
+    const result = await forceCommitAndPush('feature/test');
 
     expect(result).toBe(false);
   });
 
-  it('should force push to correct branch', () => {
-    const branch = 'feature/important-fix';
+  it('should force push to correct branch, leased on the last fetched SHA', async () => {
+    vi.mocked(runCommand).mockImplementation((command) =>
+      command === 'git rev-parse --verify --quiet refs/remotes/origin/feature/important-fix^{commit}' ? 'abc123' : ''
+    );
 
-    forceCommitAndPush(branch);
+    await forceCommitAndPush('feature/important-fix', { yes: true });
 
-    expect(execSync).toHaveBeenCalledWith(
-      'git push origin feature/important-fix --force',
+    expect(runCommand).toHaveBeenCalledWith(
+      'git push origin feature/important-fix --force-with-lease=feature/important-fix:abc123',
       expect.anything()
     );
   });
+
+  it('should refuse to force push the default branch or a protected one', async () => {
+    vi.mocked(runCommand).mockImplementation((command) =>
+      command === 'git symbolic-ref refs/remotes/origin/HEAD' ? 'refs/remotes/origin/trunk' : ''
+    );
+
+    expect(await forceCommitAndPush('trunk')).toBe(false);
+    expect(await forceCommitAndPush('release/1.2')).toBe(false);
+    expect(await forceCommitAndPush('hotfix/x', { forcePush: { protected: ['hotfix/*'] } })).toBe(false);
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git add'), expect.anything());
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git push'), expect.anything());
+  });
+});
+
+describe('dry run', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(runCommand).mockImplementation((command) => {
+      if (typeof command === 'string') {
+        if (command.startsWith('git status --porcelain')) {
+          return ' M src/app.js\0A  src/new.js\0R  new-name.js\0old-name.js\0?? scratch.log\0';
+        }
+        if (command.includes('--numstat')) {
+          return '5\t1\tsrc/app.js\0';
+        }
+        if (command.includes('git diff ')) {
+          return 'diff --git a/src/app.js b/src/app.js\n--- a/src/app.js\n+++ b/src/app.js\n@@ -1 +1 @@\n-a\n+b';
+        }
+      }
+      return '';
+    });
+  });
+
+  it('should plan staging, commit and push commands', () => {
+    const commit = planCommit('fix: "x"');
+    expect(commit.steps.map(step => step.argv)).toEqual([
+      ['git', 'add', '-A'],
+      null,
+      ['git', 'commit', '-F', '-']
+    ]);
+    expect(commit.steps[1].scan).toEqual({});
+    expect(commit.steps[2].input).toBe('fix: "x"');
+    expect(planCommit(null, { amend: true, stage: 'staged', allowSecrets: true }).steps.map(step => step.argv)).toEqual([
+      null,
+      ['git', 'commit', '--amend', '--no-edit']
+    ]);
+    expect(planPush('feat/x', { remote: 'fork', setUpstream: true }).steps[0].argv).toEqual(['git', 'push', '-u', 'fork', 'feat/x']);
+    expect(planPush('feat/x', { force: true, lease: 'abc123' }).steps[0].argv).toEqual(['git', 'push', 'origin', 'feat/x', '--force-with-lease=feat/x:abc123']);
+  });
+
+  it('should list the files that would be committed', () => {
+    expect(listChangedFiles().map(file => file.path)).toEqual(['src/app.js', 'src/new.js', 'new-name.js', 'scratch.log']);
+    expect(listChangedFiles('all')[2].origPath).toBe('old-name.js');
+    expect(listChangedFiles('staged').map(file => file.path)).toEqual(['src/new.js', 'new-name.js']);
+  });
+
+  it('should not commit or push in commitAndPush', () => {
+    const result = commitAndPush('fix: thing', 'feature/test', { dryRun: true });
+
+    expect(result).toBe(true);
+    expect(runCommand).not.toHaveBeenCalledWith('git add -A', expect.anything());
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git commit'), expect.anything());
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git push'), expect.anything());
+  });
+
+  it('should not amend or force push in forceCommitAndPush', async () => {
+    const result = await forceCommitAndPush('feature/test', { dryRun: true });
+
+    expect(result).toBe(true);
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git commit'), expect.anything());
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git push'), expect.anything());
+  });
+
+  it('should render the description without creating the PR', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await createPR('main', 'feature/test', { title: 'feat: preview', dryRun: true, diffRange: ['abc123'] });
+
+    const output = log.mock.calls.map(call => call.join(' ')).join('\n');
+    log.mockRestore();
+    expect(result).toBe(true);
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('gh pr create'), expect.anything());
+    expect(runCommand).toHaveBeenCalledWith('git diff abc123', expect.anything());
+    expect(runCommand).not.toHaveBeenCalledWith(expect.stringContaining('git fetch'), expect.anything());
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(output).toContain("gh pr create --base main --head feature/test --title 'feat: preview' --body-file -");
+    expect(output).toContain('## Severity:');
+  });
 });
 
 describe('GitHub Step Summary Integration', () => {
@@ -584,16 +1012,19 @@ describe('GitHub Step Summary Integration', () => {
     delete process.env.GITHUB_STEP_SUMMARY;
   });
 
-  it('should write to GITHUB_STEP_SUMMARY when environment variable is set', () => {
+  it('should write to GITHUB_STEP_SUMMARY when environment variable is set', async () => {
     const tempFile = '/tmp/github_step_summary.md';
     process.env.GITHUB_STEP_SUMMARY = tempFile;
 
-    vi.mocked(execSync).mockImplementation((command) => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '30\t0\tfile.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/file.js b/file.js\n+code';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: add feature';
         }
         if (command.includes('git diff --stat')) {
@@ -603,7 +1034,7 @@ describe('GitHub Step Summary Integration', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/test');
+    const description = await generateCopilotPRDescription('main', 'feature/test');
 
     expect(description).toBeTruthy();
     expect(fs.appendFileSync).toHaveBeenCalledWith(
@@ -613,15 +1044,18 @@ describe('GitHub Step Summary Integration', () => {
     );
   });
 
-  it('should not fail when GITHUB_STEP_SUMMARY is not set', () => {
+  it('should not fail when GITHUB_STEP_SUMMARY is not set', async () => {
     delete process.env.GITHUB_STEP_SUMMARY;
 
-    vi.mocked(execSync).mockImplementation((command) => {
+    vi.mocked(runCommand).mockImplementation((command) => {
       if (typeof command === 'string') {
+        if (command.includes('--numstat')) {
+          return '20\t0\tfile.js\0';
+        }
         if (command.includes('git diff ') && !command.includes('--stat')) {
           return 'diff --git a/file.js b/file.js\n+code';
         }
-        if (command.includes('git log --pretty=format:"%s"')) {
+        if (command.includes('git log --pretty=format:%s')) {
           return 'feat: add feature';
         }
         if (command.includes('git diff --stat')) {
@@ -631,7 +1065,7 @@ describe('GitHub Step Summary Integration', () => {
       return '';
     });
 
-    const description = generateCopilotPRDescription('main', 'feature/test');
+    const description = await generateCopilotPRDescription('main', 'feature/test');
 
     expect(description).toBeTruthy();
     // Should not throw error
@@ -0,0 +1,148 @@
+import { output } from './command.js';
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+
+const SYSTEM_PROMPT = 'You are a senior software engineer writing pull request descriptions. Respond with GitHub-flavored markdown only, without any preamble.';
+
+// Named presets for the OpenAI-compatible provider (local servers need no key)
+const OPENAI_PRESETS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  ollama: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+  llamacpp: { baseUrl: 'http://localhost:8080/v1', model: 'default' }
+};
+
+export const PROVIDER_NAMES = ['copilot', ...Object.keys(OPENAI_PRESETS), 'anthropic', 'none'];
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+async function postJSON(url, payload, headers, timeout) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`Request to ${url} timed out after ${timeout}ms`);
+    }
+    throw new Error(`Request to ${url} failed: ${error.cause?.message || error.message}`);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON response from ${url}`);
+  }
+}
+
+export function createOpenAIProvider({ name = 'openai', baseUrl, model, apiKey, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const preset = OPENAI_PRESETS[name] || OPENAI_PRESETS.openai;
+  const endpoint = `${trimTrailingSlash(baseUrl || preset.baseUrl)}/chat/completions`;
+  const modelName = model || preset.model;
+
+  return {
+    name,
+    label: `${name} (${modelName})`,
+    prose: true,
+    async generate(prompt) {
+      const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+      const data = await postJSON(endpoint, {
+        model: modelName,
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ]
+      }, headers, timeout);
+
+      const content = data?.choices?.[0]?.message?.content;
+      return typeof content === 'string' && content.trim() ? content.trim() : null;
+    }
+  };
+}
+
+export function createAnthropicProvider({ baseUrl = 'https://api.anthropic.com', model = 'claude-sonnet-4-5', apiKey, maxTokens = 2048, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const endpoint = `${trimTrailingSlash(baseUrl)}/v1/messages`;
+
+  return {
+    name: 'anthropic',
+    label: `anthropic (${model})`,
+    prose: true,
+    async generate(prompt) {
+      const headers = { 'anthropic-version': '2023-06-01' };
+      if (apiKey) headers['x-api-key'] = apiKey;
+      const data = await postJSON(endpoint, {
+        model,
+        max_tokens: maxTokens,
+        system: SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: prompt }]
+      }, headers, timeout);
+
+      const content = (data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+      return content || null;
+    }
+  };
+}
+
+// gh copilot only suggests shell commands, so it cannot write the description itself.
+// A successful call signals that Copilot is available and the heuristic analysis is used.
+export function createCopilotProvider({ timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  return {
+    name: 'copilot',
+    label: 'GitHub Copilot',
+    prose: false,
+    async generate(prompt, context = {}) {
+      const request = `Generate a PR description for these changes: ${context.commits?.substring(0, 200) || 'code changes'}`;
+      return output('gh', ['copilot', 'suggest', '-t', 'shell', request], { timeout }) || null;
+    }
+  };
+}
+
+export function createNoopProvider() {
+  return {
+    name: 'none',
+    label: 'heuristic analysis',
+    prose: false,
+    async generate() {
+      return null;
+    }
+  };
+}
+
+export function resolveProvider(options = {}, env = process.env) {
+  const name = (options.provider || env.QPR_PROVIDER || 'copilot').toLowerCase();
+  const timeout = Number(options.llmTimeout || env.QPR_LLM_TIMEOUT) || DEFAULT_TIMEOUT_MS;
+  const baseUrl = options.llmUrl || env.QPR_LLM_URL;
+  const model = options.model || env.QPR_LLM_MODEL;
+
+  if (name === 'copilot') {
+    return createCopilotProvider({ timeout });
+  }
+  if (name === 'none') {
+    return createNoopProvider();
+  }
+  if (OPENAI_PRESETS[name]) {
+    const apiKey = env.QPR_LLM_API_KEY || (name === 'openai' ? env.OPENAI_API_KEY : undefined);
+    return createOpenAIProvider({ name, baseUrl, model, apiKey, timeout });
+  }
+  if (name === 'anthropic') {
+    const apiKey = env.QPR_LLM_API_KEY || env.ANTHROPIC_API_KEY;
+    return createAnthropicProvider({ baseUrl, model, apiKey, timeout });
+  }
+
+  throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+}
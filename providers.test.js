@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import {
+  createOpenAIProvider,
+  createAnthropicProvider,
+  resolveProvider
+} from './providers.js';
+
+// Local stand-in for OpenAI-compatible and Anthropic-style endpoints
+let server;
+let baseUrl;
+const requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+      if (req.url === '/slow/chat/completions') {
+        setTimeout(() => res.end('{}'), 500);
+        return;
+      }
+      if (req.url === '/broken/chat/completions') {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end('{"error":"model not loaded"}');
+        return;
+      }
+      if (req.url === '/v1/chat/completions') {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '  ## Summary\nLocal model prose.  ' } }] }));
+        return;
+      }
+      if (req.url === '/v1/messages') {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ content: [{ type: 'text', text: '## Summary\nAnthropic prose.' }] }));
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('createOpenAIProvider', () => {
+  it('should post the prompt to /chat/completions and return the message', async () => {
+    const provider = createOpenAIProvider({ name: 'ollama', baseUrl: `${baseUrl}/v1/`, model: 'qwen', apiKey: 'secret' });
+
+    const text = await provider.generate('Describe these changes');
+
+    expect(text).toBe('## Summary\nLocal model prose.');
+    const request = requests.find(r => r.url === '/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer secret');
+    expect(request.body.model).toBe('qwen');
+    expect(request.body.messages[1]).toEqual({ role: 'user', content: 'Describe these changes' });
+  });
+
+  it('should reject with the status on HTTP errors', async () => {
+    const provider = createOpenAIProvider({ baseUrl: `${baseUrl}/broken` });
+
+    await expect(provider.generate('prompt')).rejects.toThrow('status 500');
+  });
+
+  it('should reject when the request times out', async () => {
+    const provider = createOpenAIProvider({ baseUrl: `${baseUrl}/slow`, timeout: 50 });
+
+    await expect(provider.generate('prompt')).rejects.toThrow('timed out after 50ms');
+  });
+});
+
+describe('createAnthropicProvider', () => {
+  it('should post to /v1/messages with the API key header', async () => {
+    const provider = createAnthropicProvider({ baseUrl, apiKey: 'key-123', model: 'test-model' });
+
+    const text = await provider.generate('Describe these changes');
+
+    expect(text).toBe('## Summary\nAnthropic prose.');
+    const request = requests.find(r => r.url === '/v1/messages');
+    expect(request.headers['x-api-key']).toBe('key-123');
+    expect(request.headers['anthropic-version']).toBe('2023-06-01');
+    expect(request.body.model).toBe('test-model');
+  });
+});
+
+describe('resolveProvider', () => {
+  it('should default to the Copilot provider', () => {
+    expect(resolveProvider({}, {}).name).toBe('copilot');
+  });
+
+  it('should read the provider and endpoint from the environment', () => {
+    const provider = resolveProvider({}, { QPR_PROVIDER: 'llamacpp', QPR_LLM_MODEL: 'mistral' });
+
+    expect(provider.name).toBe('llamacpp');
+    expect(provider.label).toBe('llamacpp (mistral)');
+    expect(provider.prose).toBe(true);
+  });
+
+  it('should prefer options over the environment', () => {
+    const provider = resolveProvider({ provider: 'anthropic' }, { QPR_PROVIDER: 'ollama' });
+
+    expect(provider.name).toBe('anthropic');
+  });
+
+  it('should throw for unknown providers', () => {
+    expect(() => resolveProvider({ provider: 'nope' }, {})).toThrow('Unknown LLM provider "nope"');
+  });
+});
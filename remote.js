@@ -0,0 +1,74 @@
+// Parse git remote URLs such as git@github.com:owner/repo.git or https://github.com/owner/repo
+export function parseRemoteUrl(url) {
+  if (!url) return null;
+  const value = url.trim();
+
+  const scp = value.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+  const standard = value.match(/^(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/);
+  const match = standard || scp;
+  if (!match) return null;
+
+  const parts = match[2].replace(/\/+$/, '').replace(/\.git$/, '').split('/');
+  if (parts.length < 2 || parts.some(part => !part)) return null;
+
+  return {
+    host: match[1].toLowerCase(),
+    // GitLab subgroups keep every segment but the last as the owner
+    owner: parts.slice(0, -1).join('/'),
+    name: parts.at(-1)
+  };
+}
+
+export function formatRepo(repo) {
+  return repo ? `${repo.owner}/${repo.name}` : null;
+}
+
+export function listRemotes(git) {
+  const names = git.output(['remote']);
+  return names ? names.split('\n').map(name => name.trim()).filter(Boolean) : [];
+}
+
+export function remoteRepo(git, remote) {
+  return parseRemoteUrl(git.output(['remote', 'get-url', remote]));
+}
+
+// The remote PRs are opened against: "upstream" in a fork checkout, otherwise "origin"
+export function targetRemote(options, git, remotes = listRemotes(git)) {
+  return options.remote || (remotes.includes('upstream') ? 'upstream' : 'origin');
+}
+
+// Which remote the PR targets and which one the branch is pushed to.
+// A fork checkout has an "upstream" remote: push to origin, open the PR against upstream.
+export function resolveRemotes(options, git) {
+  const remotes = listRemotes(git);
+  const remote = targetRemote(options, git, remotes);
+  const pushRemote = options.pushRemote ||
+    git.output(['config', '--get', 'remote.pushDefault']) ||
+    (remote === 'upstream' && remotes.includes('origin') ? 'origin' : remote);
+
+  const repo = remoteRepo(git, remote);
+  const pushRepo = pushRemote === remote ? repo : remoteRepo(git, pushRemote);
+  const fork = Boolean(repo && pushRepo && formatRepo(repo).toLowerCase() !== formatRepo(pushRepo).toLowerCase());
+
+  return {
+    remote,
+    pushRemote,
+    fork,
+    repo: fork ? repo : null,
+    headOwner: fork ? pushRepo.owner : null
+  };
+}
+
+// PR head as the host expects it: "owner:branch" when the branch lives in a fork
+export function headRef(branch, target) {
+  return target?.headOwner ? `${target.headOwner}:${branch}` : branch;
+}
+
+// Compare against the remote's copy of the base so a stale local branch can't skew the diff;
+// fetch: false uses whatever copy is already there
+export function resolveBaseRef(git, remote, base, { fetch = true } = {}) {
+  if (!remote || !base) return base;
+  if (fetch) git.run(['fetch', '--quiet', remote, base]);
+  const ref = `refs/remotes/${remote}/${base}`;
+  return git.output(['rev-parse', '--verify', '--quiet', ref]) ? `${remote}/${base}` : base;
+}
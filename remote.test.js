@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { parseRemoteUrl, resolveRemotes, headRef, resolveBaseRef } from './remote.js';
+
+// Answers `git` calls from a table keyed by the joined arguments
+function fakeGit(answers) {
+  const calls = [];
+  const lookup = args => {
+    calls.push(args.join(' '));
+    return answers[args.join(' ')];
+  };
+  return {
+    calls,
+    output: args => lookup(args) ?? null,
+    run: args => ({ code: 0, stdout: lookup(args) ?? '', stderr: '' })
+  };
+}
+
+describe('parseRemoteUrl', () => {
+  it('should parse scp-style, https and ssh URLs', () => {
+    expect(parseRemoteUrl('git@github.com:octo/app.git')).toEqual({ host: 'github.com', owner: 'octo', name: 'app' });
+    expect(parseRemoteUrl('https://github.com/octo/app')).toEqual({ host: 'github.com', owner: 'octo', name: 'app' });
+    expect(parseRemoteUrl('https://user@GitHub.example.com/octo/app.git/')).toEqual({ host: 'github.example.com', owner: 'octo', name: 'app' });
+    expect(parseRemoteUrl('ssh://git@github.com:22/octo/app.git')).toEqual({ host: 'github.com', owner: 'octo', name: 'app' });
+  });
+
+  it('should keep nested groups in the owner', () => {
+    expect(parseRemoteUrl('git@gitlab.com:group/sub/app.git')).toEqual({ host: 'gitlab.com', owner: 'group/sub', name: 'app' });
+  });
+
+  it('should return null for local paths and junk', () => {
+    expect(parseRemoteUrl('/tmp/origin.git')).toBeNull();
+    expect(parseRemoteUrl('')).toBeNull();
+    expect(parseRemoteUrl('https://github.com/only-owner')).toBeNull();
+  });
+});
+
+describe('resolveRemotes', () => {
+  const forkRemotes = {
+    'remote': 'origin\nupstream',
+    'remote get-url origin': 'git@github.com:me/app.git',
+    'remote get-url upstream': 'https://github.com/octo/app.git'
+  };
+
+  it('should push to origin and target upstream in a fork checkout', () => {
+    expect(resolveRemotes({}, fakeGit(forkRemotes))).toEqual({
+      remote: 'upstream',
+      pushRemote: 'origin',
+      fork: true,
+      repo: { host: 'github.com', owner: 'octo', name: 'app' },
+      headOwner: 'me'
+    });
+  });
+
+  it('should use origin for both without an upstream remote', () => {
+    const git = fakeGit({ 'remote': 'origin', 'remote get-url origin': 'git@github.com:octo/app.git' });
+
+    expect(resolveRemotes({}, git)).toEqual({ remote: 'origin', pushRemote: 'origin', fork: false, repo: null, headOwner: null });
+  });
+
+  it('should honor --remote, --push-remote and remote.pushDefault', () => {
+    const remotes = { ...forkRemotes, 'remote': 'origin\nupstream\nmine', 'remote get-url mine': 'git@github.com:mine/app.git' };
+
+    expect(resolveRemotes({ remote: 'origin' }, fakeGit(remotes))).toMatchObject({ remote: 'origin', pushRemote: 'origin', fork: false });
+    expect(resolveRemotes({ pushRemote: 'mine' }, fakeGit(remotes))).toMatchObject({ remote: 'upstream', pushRemote: 'mine', headOwner: 'mine' });
+    expect(resolveRemotes({}, fakeGit({ ...remotes, 'config --get remote.pushDefault': 'mine' }))).toMatchObject({ pushRemote: 'mine', headOwner: 'mine' });
+  });
+
+  it('should not treat two remotes of the same repository as a fork', () => {
+    const git = fakeGit({ ...forkRemotes, 'remote get-url origin': 'git@github.com:Octo/App.git' });
+
+    expect(resolveRemotes({}, git)).toMatchObject({ pushRemote: 'origin', fork: false, repo: null, headOwner: null });
+  });
+});
+
+describe('headRef', () => {
+  it('should prefix the fork owner', () => {
+    expect(headRef('feat/x', { headOwner: 'me' })).toBe('me:feat/x');
+    expect(headRef('feat/x', { headOwner: null })).toBe('feat/x');
+  });
+});
+
+describe('resolveBaseRef', () => {
+  it('should fetch and prefer the remote-tracking base branch', () => {
+    const git = fakeGit({ 'rev-parse --verify --quiet refs/remotes/upstream/main': 'abc123' });
+
+    expect(resolveBaseRef(git, 'upstream', 'main')).toBe('upstream/main');
+    expect(git.calls).toContain('fetch --quiet upstream main');
+  });
+
+  it('should fall back to the local branch', () => {
+    expect(resolveBaseRef(fakeGit({}), 'upstream', 'main')).toBe('main');
+  });
+});
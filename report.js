@@ -0,0 +1,91 @@
+import { SEVERITY_LEVELS, severityRank } from './severity.js';
+import { formatFileChange } from './diff.js';
+
+export const REPORT_FORMATS = ['json', 'markdown', 'text'];
+
+// The analysis as plain data, for `qpr analyze --format json`; files lists every changed file,
+// including the ones left out of the analysis, with the severity rules that matched it
+export function buildReport({ base, head, severity, diff, fullDiff = diff, omitted = new Map(), impactAreas = [], risks = [], labels = [], issues = [], reviewers = [], description = null }) {
+  return {
+    base,
+    head,
+    severity: {
+      level: severity.level,
+      score: severity.score,
+      reasoning: severity.reasoning,
+      rules: severity.rules
+    },
+    metrics: diff.metrics,
+    languages: diff.languages,
+    impactAreas: impactAreas.map(({ id, name, description: summary }) => ({ id, name, description: summary })),
+    risks,
+    labels,
+    files: fullDiff.files.map(file => ({
+      path: file.path,
+      oldPath: file.oldPath,
+      status: file.change,
+      binary: file.binary,
+      language: file.language,
+      insertions: file.insertions,
+      deletions: file.deletions,
+      omitted: omitted.get(file.path) || null,
+      rules: severity.rules.filter(rule => rule.files.includes(file.path)).map(rule => rule.id)
+    })),
+    issues,
+    reviewers,
+    description
+  };
+}
+
+function formatText(report) {
+  const { severity, metrics } = report;
+  const languages = report.languages.length > 0 ? ` (${report.languages.join(', ')})` : '';
+  const lines = [
+    `Severity: ${severity.level} (score ${severity.score})`,
+    `Reasoning: ${severity.reasoning}`,
+    `Changes: ${metrics.filesChanged} file(s), +${metrics.insertions} -${metrics.deletions}${languages}`,
+    `Impact: ${report.impactAreas.map(area => area.name).join(', ') || 'none'}`
+  ];
+  if (report.risks.length > 0) {
+    lines.push('Risks:', ...report.risks.map(risk => `  - ${risk.replace(/\*\*/g, '')}`));
+  }
+  lines.push('Files:', ...report.files.map(file => {
+    const change = formatFileChange({ ...file, change: file.status });
+    return `  ${change}${file.omitted ? ` [omitted: ${file.omitted}]` : ''}`;
+  }));
+  if (report.issues.length > 0) {
+    lines.push(`Issues: ${report.issues.map(issue => issue.key || `${issue.repo || ''}#${issue.number}`).join(', ')}`);
+  }
+  if (report.reviewers.length > 0) {
+    lines.push(`Reviewers: ${report.reviewers.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export function formatReport(report, format = 'text') {
+  if (format === 'json') return JSON.stringify(report, null, 2);
+  // Given the PR's current body, markdown is that body with the analysis section replaced
+  if (format === 'markdown') return report.body ?? report.description;
+  if (format === 'text') return formatText(report);
+  throw new Error(`Unknown report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+}
+
+// True when the level is at or above the threshold, for `--fail-on`
+export function meetsSeverity(level, threshold) {
+  const rank = severityRank(threshold);
+  if (rank === -1) {
+    throw new Error(`Unknown severity "${threshold}" (expected one of: ${SEVERITY_LEVELS.join(', ')})`);
+  }
+  return severityRank(level) >= rank;
+}
+
+// name=value lines for $GITHUB_OUTPUT, so later workflow steps can branch on the result
+export function formatStepOutputs(report) {
+  return [
+    `severity=${report.severity.level}`,
+    `score=${report.severity.score}`,
+    `areas=${report.impactAreas.map(area => area.id).join(',')}`,
+    `labels=${report.labels.join(',')}`,
+    `files=${report.metrics.filesChanged}`
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { buildReport, formatReport, meetsSeverity, formatStepOutputs } from './report.js';
+import { buildDiffModel, filterDiffModel } from './diff.js';
+
+const numstat = ['12\t0\tsrc/auth.js', '900\t0\tyarn.lock', ''].join('\0');
+const patch = [
+  'diff --git a/src/auth.js b/src/auth.js',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/src/auth.js',
+  '@@ -0,0 +1 @@',
+  '+export const login = () => {};'
+].join('\n');
+
+function sampleReport() {
+  const fullDiff = buildDiffModel(numstat, patch);
+  const diff = filterDiffModel(fullDiff, file => file.path !== 'yarn.lock');
+  const severity = {
+    level: 'High',
+    score: 6,
+    reasoning: 'Authentication changes [auth-files: src/auth.js]',
+    rules: [{ id: 'auth-files', severity: 'High', weight: 6, files: ['src/auth.js'], keywords: [] }],
+    metrics: diff.metrics
+  };
+  return buildReport({
+    base: 'origin/main',
+    head: 'feat/login',
+    severity,
+    diff,
+    fullDiff,
+    omitted: new Map([['yarn.lock', 'lockfile']]),
+    impactAreas: [{ id: 'security', name: 'Security', description: 'Security-related changes detected', paths: [] }],
+    risks: ['⚠️ **Careful Review Recommended:** Significant changes require detailed review'],
+    labels: ['severity:high', 'area:security'],
+    issues: [{ type: 'github', repo: null, number: 12, closes: true, sources: ['branch'] }],
+    reviewers: ['alice'],
+    description: '## Summary\nLogin'
+  });
+}
+
+describe('buildReport', () => {
+  it('should carry the severity, metrics and every changed file with its rules', () => {
+    const report = sampleReport();
+
+    expect(report.severity).toEqual({ level: 'High', score: 6, reasoning: expect.stringContaining('auth-files'), rules: expect.any(Array) });
+    expect(report.metrics).toEqual({ linesChanged: 12, filesChanged: 1, insertions: 12, deletions: 0 });
+    expect(report.impactAreas).toEqual([{ id: 'security', name: 'Security', description: 'Security-related changes detected' }]);
+    expect(report.files).toEqual([
+      { path: 'src/auth.js', oldPath: 'src/auth.js', status: 'added', binary: false, language: 'JavaScript', insertions: 12, deletions: 0, omitted: null, rules: ['auth-files'] },
+      { path: 'yarn.lock', oldPath: 'yarn.lock', status: 'modified', binary: false, language: null, insertions: 900, deletions: 0, omitted: 'lockfile', rules: [] }
+    ]);
+  });
+});
+
+describe('formatReport', () => {
+  it('should print JSON, the markdown description or a text summary', () => {
+    const report = sampleReport();
+
+    expect(JSON.parse(formatReport(report, 'json'))).toEqual(report);
+    expect(formatReport(report, 'markdown')).toBe('## Summary\nLogin');
+    expect(formatReport(report, 'text')).toBe([
+      'Severity: High (score 6)',
+      'Reasoning: Authentication changes [auth-files: src/auth.js]',
+      'Changes: 1 file(s), +12 -0 (JavaScript)',
+      'Impact: Security',
+      'Risks:',
+      '  - ⚠️ Careful Review Recommended: Significant changes require detailed review',
+      'Files:',
+      '  src/auth.js (added, +12 -0)',
+      '  yarn.lock (+900 -0) [omitted: lockfile]',
+      'Issues: #12',
+      'Reviewers: alice'
+    ].join('\n'));
+    expect(() => formatReport(report, 'html')).toThrow(/Unknown report format "html"/);
+  });
+
+  it('should list the outputs for later workflow steps', () => {
+    expect(formatStepOutputs(sampleReport())).toBe('severity=High\nscore=6\nareas=security\nlabels=severity:high,area:security\nfiles=1\n');
+  });
+});
+
+describe('meetsSeverity', () => {
+  it('should compare levels case-insensitively', () => {
+    expect(meetsSeverity('High', 'high')).toBe(true);
+    expect(meetsSeverity('Critical', 'Medium')).toBe(true);
+    expect(meetsSeverity('Medium', 'HIGH')).toBe(false);
+    expect(() => meetsSeverity('Low', 'severe')).toThrow(/Unknown severity "severe"/);
+  });
+});
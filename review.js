@@ -0,0 +1,95 @@
+import readline from 'readline/promises';
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runChecked, parseCommandLine, CommandError } from './command.js';
+
+const CHOICES = '[a]ccept, [e]dit again, [r]egenerate, [f]ill from commits, [q]uit';
+
+export function resolveEditor(options = {}, env = process.env) {
+  return options.editor || env.VISUAL || env.EDITOR || 'vi';
+}
+
+// The first line is the PR title, everything after it is the body
+export function formatEditableContent(title, body) {
+  return `${title || ''}\n\n${body || ''}\n`;
+}
+
+export function parseEditedContent(text) {
+  if (!text.trim()) return null;
+
+  const [firstLine, ...rest] = text.replace(/\r\n/g, '\n').split('\n');
+  return {
+    title: firstLine.trim(),
+    body: rest.join('\n').replace(/^\s*\n/, '').trimEnd()
+  };
+}
+
+export function openInEditor(file, editor) {
+  // The editor may carry its own arguments, e.g. "code --wait"
+  const [command, ...args] = parseCommandLine(editor);
+  runChecked(command, [...args, file], { stdio: 'inherit' });
+}
+
+async function askChoice(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(question)).trim().toLowerCase();
+  } finally {
+    rl.close();
+  }
+}
+
+// Let the user edit title and body until they accept; null means abort
+export async function reviewPRContent({ title, body, regenerate, fill }, options = {}) {
+  const editor = resolveEditor(options);
+  const edit = options.openEditor || openInEditor;
+  const ask = options.ask || askChoice;
+  const file = path.join(os.tmpdir(), `pr-edit-${Date.now()}.md`);
+
+  let content = formatEditableContent(title, body);
+  try {
+    while (true) {
+      fs.writeFileSync(file, content, 'utf8');
+      console.log(chalk.blue(`📝 Opening PR title and description in ${editor}...`));
+      // An editor that is missing or exits non-zero (vim's :cq) aborts like quitting
+      try {
+        edit(file, editor);
+      } catch (error) {
+        if (!(error instanceof CommandError)) throw error;
+        console.error(chalk.red(`❌ Editor failed: ${error.message}`));
+        return null;
+      }
+
+      const edited = parseEditedContent(fs.readFileSync(file, 'utf8'));
+      if (!edited || !edited.title) {
+        console.log(chalk.yellow('⚠️  Empty title or description, aborting'));
+        return null;
+      }
+
+      console.log(chalk.cyan(`\n📌 Title: ${edited.title}`));
+      const choice = await ask(`${CHOICES}: `);
+
+      if (choice === 'a' || choice === '' || choice === 'accept') {
+        return edited;
+      }
+      if (choice === 'q' || choice === 'quit') {
+        return null;
+      }
+      if (choice === 'r' || choice === 'regenerate') {
+        const regenerated = await regenerate();
+        if (!regenerated) console.log(chalk.yellow('⚠️  Could not regenerate, keeping your edits'));
+        content = formatEditableContent(edited.title, regenerated || edited.body);
+      } else if (choice === 'f' || choice === 'fill') {
+        const summary = await fill();
+        if (!summary) console.log(chalk.yellow('⚠️  No commit summary available, keeping your edits'));
+        content = formatEditableContent(edited.title, summary || edited.body);
+      } else {
+        content = formatEditableContent(edited.title, edited.body);
+      }
+    }
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
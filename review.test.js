@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import {
+  resolveEditor,
+  parseEditedContent,
+  formatEditableContent,
+  reviewPRContent
+} from './review.js';
+
+// Simulates the user's editor by rewriting the file
+function editorWriting(...versions) {
+  const calls = [];
+  const openEditor = vi.fn((file) => {
+    calls.push(fs.readFileSync(file, 'utf8'));
+    const next = versions.shift();
+    if (next !== undefined) fs.writeFileSync(file, typeof next === 'function' ? next(calls.at(-1)) : next);
+  });
+  return { openEditor, calls };
+}
+
+function answers(...choices) {
+  return vi.fn(async () => choices.shift());
+}
+
+describe('resolveEditor', () => {
+  it('should prefer the configured editor, then VISUAL, then EDITOR', () => {
+    expect(resolveEditor({ editor: 'nano' }, { VISUAL: 'code --wait', EDITOR: 'vim' })).toBe('nano');
+    expect(resolveEditor({}, { VISUAL: 'code --wait', EDITOR: 'vim' })).toBe('code --wait');
+    expect(resolveEditor({}, { EDITOR: 'vim' })).toBe('vim');
+    expect(resolveEditor({}, {})).toBe('vi');
+  });
+});
+
+describe('parseEditedContent', () => {
+  it('should split the title line from the body', () => {
+    expect(parseEditedContent('feat: x\n\n## Summary\nbody\n\n')).toEqual({ title: 'feat: x', body: '## Summary\nbody' });
+    expect(parseEditedContent(formatEditableContent('t', 'b'))).toEqual({ title: 't', body: 'b' });
+  });
+
+  it('should return null for an emptied file', () => {
+    expect(parseEditedContent('  \n\n')).toBeNull();
+  });
+});
+
+describe('reviewPRContent', () => {
+  const sources = {
+    regenerate: vi.fn(async () => 'regenerated body'),
+    fill: vi.fn(() => '## Changes\n\n- feat: x')
+  };
+
+  it('should return the edited title and body on accept', async () => {
+    const { openEditor, calls } = editorWriting((text) => text.replace('feat: x', 'feat: better title'));
+
+    const result = await reviewPRContent({ title: 'feat: x', body: 'generated', ...sources }, { openEditor, ask: answers('a'), editor: 'fake' });
+
+    expect(calls[0]).toBe('feat: x\n\ngenerated\n');
+    expect(result).toEqual({ title: 'feat: better title', body: 'generated' });
+  });
+
+  it('should abort when the file is emptied', async () => {
+    const { openEditor } = editorWriting('');
+    const ask = answers('a');
+
+    const result = await reviewPRContent({ title: 'feat: x', body: 'generated', ...sources }, { openEditor, ask });
+
+    expect(result).toBeNull();
+    expect(ask).not.toHaveBeenCalled();
+  });
+
+  it('should reopen the editor with a regenerated body and keep the edited title', async () => {
+    const { openEditor, calls } = editorWriting('feat: edited\n\nmine');
+
+    const result = await reviewPRContent({ title: 'feat: x', body: 'generated', ...sources }, { openEditor, ask: answers('r', 'a') });
+
+    expect(calls[1]).toBe('feat: edited\n\nregenerated body\n');
+    expect(result).toEqual({ title: 'feat: edited', body: 'regenerated body' });
+  });
+
+  it('should switch to the commit summary on fill', async () => {
+    const { openEditor, calls } = editorWriting();
+
+    const result = await reviewPRContent({ title: 'feat: x', body: 'generated', ...sources }, { openEditor, ask: answers('f', 'a') });
+
+    expect(calls[1]).toBe('feat: x\n\n## Changes\n\n- feat: x\n');
+    expect(result.body).toBe('## Changes\n\n- feat: x');
+  });
+
+  it('should return null when the user quits', async () => {
+    const { openEditor } = editorWriting();
+
+    expect(await reviewPRContent({ title: 'feat: x', body: 'b', ...sources }, { openEditor, ask: answers('q') })).toBeNull();
+  });
+
+  it('should abort without asking when the editor fails', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const ask = answers('a');
+
+    expect(await reviewPRContent({ title: 'feat: x', body: 'b', ...sources }, { editor: 'false', ask })).toBeNull();
+
+    expect(ask).not.toHaveBeenCalled();
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/^❌ Editor failed: false .* failed: exit code 1/));
+    vi.restoreAllMocks();
+  });
+});
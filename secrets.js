@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { matchAnyGlob } from './glob.js';
+
+export const DEFAULT_SECRET_SETTINGS = {
+  enabled: true,
+  // Accepted findings, written by `qpr secrets --baseline`
+  baseline: '.qpr-secrets-baseline.json',
+  // Files never scanned, such as lockfiles full of hashes
+  ignore: ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '*.min.js', '*.map', '*.svg'],
+  // Bits per character above which a long quoted or assigned string counts as a secret
+  entropy: 4.5
+};
+
+// A line carrying one of these markers is never reported
+const ALLOW_MARKER = /qpr-allow-secret|pragma: allowlist secret/;
+
+const RULES = [
+  { id: 'aws-access-key', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: 'aws-secret-key', label: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|key).{0,20}?[=:]\s*['"]?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/i },
+  { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+  { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { id: 'slack-webhook', label: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/ },
+  { id: 'private-key', label: 'private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/ }
+];
+
+// Files that hold credentials by their nature, whatever they contain
+const SENSITIVE_FILES = ['.env', '.env.*', '*.pem', '*.key', '*.p12', '*.pfx', '*.jks', '*.keystore', 'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519'];
+const SENSITIVE_FILE_TEMPLATES = ['*.example', '*.sample', '*.template', '*.dist'];
+
+// Quoted strings and bare values after "=" or ":" that are long enough to be a key
+const CANDIDATES = [/(['"`])([A-Za-z0-9+/=_.-]{20,})\1/g, /[=:]\s*([A-Za-z0-9+/=_.-]{20,})(?=\s|$|[,;])/g];
+
+export class SecretsFoundError extends Error {
+  constructor(findings) {
+    super(`Possible secrets in the staged changes:\n${findings.map(finding => `  ${formatFinding(finding)}`).join('\n')}`);
+    this.name = 'SecretsFoundError';
+    this.findings = findings;
+  }
+}
+
+// The scan itself could not run, e.g. on an unreadable baseline; nothing may be committed unchecked
+export class SecretScanError extends Error {
+  constructor(cause) {
+    super(`Secret scan failed: ${cause.message}`);
+    this.name = 'SecretScanError';
+    this.cause = cause;
+  }
+}
+
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+export function fingerprint(rule, secret) {
+  return crypto.createHash('sha256').update(`${rule}:${secret}`).digest('hex').slice(0, 16);
+}
+
+export function redact(secret) {
+  return secret.length <= 8 ? '****' : `${secret.slice(0, 4)}…(${secret.length} chars)`;
+}
+
+export function formatFinding(finding) {
+  const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  return `${location} ${finding.label}${finding.secret ? ` ${redact(finding.secret)}` : ''}`;
+}
+
+function finding(file, line, rule, label, secret) {
+  return { file, line, rule, label, secret, fingerprint: fingerprint(rule, secret || file) };
+}
+
+// URLs, relative paths, file names and alphabets ("0123456789abcdef...") are long and varied but not secret
+function looksHarmless(value) {
+  if (value.includes('//') || /^\.{1,2}\//.test(value) || /\.[a-z]{1,4}$/.test(value)) return true;
+  let run = 1;
+  for (let i = 1; i < value.length; i++) {
+    run = value.charCodeAt(i) === value.charCodeAt(i - 1) + 1 ? run + 1 : 1;
+    if (run >= 6) return true;
+  }
+  return false;
+}
+
+function highEntropyStrings(text, threshold) {
+  const found = [];
+  for (const pattern of CANDIDATES) {
+    for (const match of text.matchAll(pattern)) {
+      const value = match[2] || match[1];
+      // Real keys mix letters and digits; paths and identifiers rarely reach the threshold
+      if (/[A-Za-z]/.test(value) && /\d/.test(value) && !looksHarmless(value) && shannonEntropy(value) >= threshold) {
+        found.push(value);
+      }
+    }
+  }
+  return [...new Set(found)];
+}
+
+export function scanLine(file, line, text, settings = {}) {
+  if (ALLOW_MARKER.test(text)) return [];
+  const { entropy } = { ...DEFAULT_SECRET_SETTINGS, ...settings };
+
+  const findings = [];
+  for (const rule of RULES) {
+    const match = text.match(rule.pattern);
+    if (match) findings.push(finding(file, line, rule.id, rule.label, match[1] || match[0]));
+  }
+  if (findings.length === 0) {
+    for (const value of highEntropyStrings(text, entropy)) {
+      findings.push(finding(file, line, 'high-entropy', 'high-entropy string', value));
+    }
+  }
+  return findings;
+}
+
+// files: the diff model's files; only added lines are scanned, deleted files are skipped
+export function scanDiffFiles(files, settings = {}, baseline = new Set()) {
+  const { ignore } = { ...DEFAULT_SECRET_SETTINGS, ...settings };
+  const findings = [];
+
+  for (const file of files) {
+    if (file.change === 'deleted' || matchAnyGlob(file.path, ignore)) continue;
+    if (matchAnyGlob(file.path, SENSITIVE_FILES) && !matchAnyGlob(file.path, SENSITIVE_FILE_TEMPLATES)) {
+      findings.push(finding(file.path, null, 'sensitive-file', 'credentials file', null));
+    }
+    for (const hunk of file.hunks) {
+      for (const line of hunk.added) {
+        findings.push(...scanLine(file.path, line.number, line.text, settings));
+      }
+    }
+  }
+
+  return findings.filter(candidate => !baseline.has(candidate.fingerprint));
+}
+
+export function loadBaseline(root, settings = {}) {
+  const { baseline } = { ...DEFAULT_SECRET_SETTINGS, ...settings };
+  const file = baseline && path.join(root, baseline);
+  if (!file || !fs.existsSync(file)) return new Set();
+  try {
+    return new Set(JSON.parse(fs.readFileSync(file, 'utf8')).findings.map(entry => entry.fingerprint));
+  } catch (error) {
+    throw new Error(`Invalid secrets baseline ${baseline}: ${error.message}`);
+  }
+}
+
+// Keeps the accepted findings already in the file; never stores the secrets themselves
+export function writeBaseline(root, findings, settings = {}) {
+  const { baseline } = { ...DEFAULT_SECRET_SETTINGS, ...settings };
+  const file = path.join(root, baseline);
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).findings : [];
+  const entries = [...existing];
+  for (const { file: name, rule, fingerprint: id } of findings) {
+    if (!entries.some(entry => entry.fingerprint === id)) entries.push({ file: name, rule, fingerprint: id });
+  }
+  fs.writeFileSync(file, `${JSON.stringify({ findings: entries }, null, 2)}\n`);
+  return baseline;
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanLine, scanDiffFiles, shannonEntropy, redact, formatFinding, loadBaseline, writeBaseline, SecretsFoundError } from './secrets.js';
+
+// Built from parts so the scanner doesn't flag this file when it is committed
+const AWS_KEY_ID = 'AKIA' + 'IOSFODNN7EXAMPLE';
+const AWS_SECRET = 'wJalrXUtnFEMI/K7MDENG/' + 'bPxRfiCYEXAMPLEKEY';
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8'; // qpr-allow-secret
+
+const diffFile = (file, lines, change = 'modified') => ({
+  path: file,
+  change,
+  hunks: [{ added: lines.map((text, index) => ({ number: index + 1, text })) }]
+});
+
+describe('scanLine', () => {
+  it('should find known credential formats', () => {
+    expect(scanLine('a.js', 1, `const id = '${AWS_KEY_ID}';`).map(f => f.rule)).toEqual(['aws-access-key']);
+    expect(scanLine('a.js', 1, `aws_secret_access_key = ${AWS_SECRET}`).map(f => f.rule)).toEqual(['aws-secret-key']);
+    expect(scanLine('a.js', 1, `token: ${GITHUB_TOKEN}`).map(f => f.rule)).toEqual(['github-token']);
+    expect(scanLine('key.txt', 1, '-----BEGIN RSA ' + 'PRIVATE KEY-----').map(f => f.rule)).toEqual(['private-key']);
+  });
+
+  it('should flag long random strings but not paths, URLs or alphabets', () => {
+    expect(scanLine('a.js', 1, `const key = "Zx8Qk2Lp9Vb4Nm7Rt1Yw6Hc3Jd5Fg0Sa";`).map(f => f.rule)).toEqual(['high-entropy']); // qpr-allow-secret
+    expect(scanLine('a.js', 1, `import x from './chunks/startModuleRunner.Iz2V0ESw.js';`)).toEqual([]);
+    expect(scanLine('a.js', 1, `see: https://github.com/octo/api/blob/3f0e0d2a9b/readme.md`)).toEqual([]);
+    expect(scanLine('a.js', 1, `const digits = '0123456789abcdefghijklmnopqrstuvwxyz';`)).toEqual([]);
+    expect(scanLine('a.js', 1, `const name = 'some_long_identifier_name';`)).toEqual([]);
+  });
+
+  it('should skip lines carrying an allow marker', () => {
+    expect(scanLine('a.js', 1, `const id = '${AWS_KEY_ID}'; // qpr-allow-secret`)).toEqual([]);
+    expect(scanLine('a.py', 1, `ID = '${AWS_KEY_ID}'  # pragma: allowlist secret`)).toEqual([]);
+  });
+});
+
+describe('scanDiffFiles', () => {
+  it('should scan added lines and report credential files by name', () => {
+    const findings = scanDiffFiles([
+      diffFile('config.js', ['const region = "us-east-1";', `const id = "${AWS_KEY_ID}";`]),
+      diffFile('.env', ['DEBUG=1']),
+      diffFile('.env.example', ['API_KEY=']),
+      diffFile('package-lock.json', [`"integrity": "${AWS_KEY_ID}"`]),
+      diffFile('old.js', [`const id = "${AWS_KEY_ID}";`], 'deleted')
+    ]);
+
+    expect(findings.map(f => [f.file, f.line, f.rule])).toEqual([
+      ['config.js', 2, 'aws-access-key'],
+      ['.env', null, 'sensitive-file']
+    ]);
+  });
+
+  it('should leave out findings recorded in the baseline', () => {
+    const files = [diffFile('config.js', [`const id = "${AWS_KEY_ID}";`])];
+    const [finding] = scanDiffFiles(files);
+
+    expect(scanDiffFiles(files, {}, new Set([finding.fingerprint]))).toEqual([]);
+  });
+});
+
+describe('formatting', () => {
+  it('should never print a secret in full', () => {
+    const [finding] = scanLine('a.js', 3, `const id = '${AWS_KEY_ID}';`);
+
+    expect(redact(AWS_KEY_ID)).toBe('AKIA…(20 chars)');
+    expect(formatFinding(finding)).toBe('a.js:3 AWS access key ID AKIA…(20 chars)');
+    expect(new SecretsFoundError([finding]).message).not.toContain(AWS_KEY_ID);
+    expect(shannonEntropy('aaaa')).toBe(0);
+    expect(shannonEntropy('abcd')).toBe(2);
+  });
+});
+
+describe('baseline', () => {
+  let root;
+
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should write fingerprints without the secrets and merge with existing entries', () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-secrets-'));
+    const first = scanLine('a.js', 1, `const id = '${AWS_KEY_ID}';`);
+    const second = scanLine('b.js', 1, `token: ${GITHUB_TOKEN}`);
+
+    expect(loadBaseline(root).size).toBe(0);
+    expect(writeBaseline(root, first)).toBe('.qpr-secrets-baseline.json');
+    writeBaseline(root, [...first, ...second]);
+
+    const content = fs.readFileSync(path.join(root, '.qpr-secrets-baseline.json'), 'utf8');
+    expect(content).not.toContain(AWS_KEY_ID);
+    expect(JSON.parse(content).findings).toHaveLength(2);
+    expect(loadBaseline(root)).toEqual(new Set([first[0].fingerprint, second[0].fingerprint]));
+  });
+
+  it('should report an unreadable baseline', () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-secrets-'));
+    fs.writeFileSync(path.join(root, '.qpr-secrets-baseline.json'), '{');
+
+    expect(() => loadBaseline(root)).toThrow(/Invalid secrets baseline/);
+  });
+});
@@ -0,0 +1,254 @@
+import { matchAnyGlob } from './glob.js';
+
+export const SEVERITY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+export const DEFAULT_SEVERITY_THRESHOLDS = {
+  high: { lines: 500, files: 10 },
+  medium: { lines: 100, files: 3 }
+};
+
+// Minimum total rule weight needed to reach each level, regardless of rule floors.
+// Each sits above what the built-in rules of the levels below can add up to (3 for Medium,
+// 10 for High and Medium), so the built-in rules alone keep the levels of their floors.
+export const DEFAULT_SEVERITY_SCORES = {
+  medium: 3,
+  high: 6,
+  critical: 11
+};
+
+// Built-in rules reproducing the original keyword/size heuristics.
+// Conditions inside a rule must all match; patterns inside a condition are alternatives.
+export function defaultRules(thresholds = DEFAULT_SEVERITY_THRESHOLDS) {
+  const { high, medium } = thresholds;
+  return [
+    {
+      id: 'critical-keywords',
+      description: 'Critical keywords in commits',
+      commits: ['breaking', 'security', 'critical', 'vulnerability', 'exploit'],
+      weight: 5,
+      severity: 'Critical'
+    },
+    {
+      id: 'auth-files',
+      description: 'Authentication/authorization changes',
+      paths: ['*auth*', '*permission*', '*credential*'],
+      weight: 5,
+      severity: 'Critical'
+    },
+    {
+      id: 'auth-code',
+      description: 'Authentication/authorization changes',
+      changed: ['\\b(authenticat\\w*|authoriz\\w*|permissions?)\\b', '\\b(access|auth|refresh|bearer)[_-]?tokens?\\b'],
+      weight: 5,
+      severity: 'Critical'
+    },
+    {
+      id: 'database-schema',
+      description: 'Database schema changes',
+      paths: ['*migration*', '*schema*', '*.sql'],
+      weight: 5,
+      severity: 'Critical'
+    },
+    {
+      id: 'database-ddl',
+      description: 'Database schema changes',
+      changed: ['\\b(create|alter|drop)\\s+(table|index|column)\\b'],
+      weight: 5,
+      severity: 'Critical'
+    },
+    {
+      id: 'large-change',
+      description: 'Large number of changes ({lines} lines)',
+      linesChanged: { over: high.lines },
+      weight: 3,
+      severity: 'High'
+    },
+    {
+      id: 'many-files',
+      description: 'Multiple files affected ({files} files)',
+      filesChanged: { over: high.files },
+      weight: 3,
+      severity: 'High'
+    },
+    {
+      id: 'public-api',
+      description: 'Public API modifications',
+      changed: ['^\\s*export\\b', '^\\s*public\\b'],
+      weight: 3,
+      severity: 'High'
+    },
+    {
+      id: 'moderate-change',
+      description: 'Moderate changes ({lines} lines)',
+      linesChanged: { over: medium.lines, upTo: high.lines },
+      weight: 1,
+      severity: 'Medium'
+    },
+    {
+      id: 'several-files',
+      description: 'Several files modified ({files} files)',
+      filesChanged: { over: medium.files, upTo: high.files },
+      weight: 1,
+      severity: 'Medium'
+    },
+    {
+      id: 'config-change',
+      description: 'Configuration changes',
+      paths: ['*.json', '.env*', '*.env', '*config*', '*.yml', '*.yaml', '*.toml', '*.ini'],
+      weight: 1,
+      severity: 'Medium'
+    }
+  ];
+}
+
+// Built-in rules, replaced by configured rules with the same id and extended by new ones
+export function resolveRules(settings = {}) {
+  const thresholds = {
+    high: { ...DEFAULT_SEVERITY_THRESHOLDS.high, ...settings.high },
+    medium: { ...DEFAULT_SEVERITY_THRESHOLDS.medium, ...settings.medium }
+  };
+  const rules = settings.defaults === false ? [] : defaultRules(thresholds);
+
+  for (const [index, rule] of (settings.rules || []).entries()) {
+    if (!rule || !rule.id) {
+      throw new Error(`Severity rule #${index + 1} is missing an "id"`);
+    }
+    const existing = rules.findIndex(candidate => candidate.id === rule.id);
+    if (existing === -1) {
+      rules.push(rule);
+    } else {
+      rules[existing] = { ...rules[existing], ...rule };
+    }
+  }
+
+  return rules.filter(rule => rule.enabled !== false).map(compileRule);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function compilePatterns(rule, key) {
+  return toList(rule[key]).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Severity rule "${rule.id}" has an invalid ${key} pattern: ${error.message}`);
+    }
+  });
+}
+
+// Position in SEVERITY_LEVELS, case-insensitive; -1 for an unknown name
+export function severityRank(level) {
+  return SEVERITY_LEVELS.findIndex(name => name.toLowerCase() === String(level).toLowerCase());
+}
+
+function compileRule(rule) {
+  const severity = rule.severity || 'Low';
+  const level = severityRank(severity);
+  if (level === -1) {
+    throw new Error(`Severity rule "${rule.id}" has an unknown severity "${severity}" (expected one of: ${SEVERITY_LEVELS.join(', ')})`);
+  }
+
+  return {
+    id: rule.id,
+    description: rule.description || rule.id,
+    paths: toList(rule.paths),
+    added: compilePatterns(rule, 'added'),
+    removed: compilePatterns(rule, 'removed'),
+    changed: compilePatterns(rule, 'changed'),
+    commits: toList(rule.commits).map(keyword => String(keyword).toLowerCase()),
+    linesChanged: rule.linesChanged,
+    filesChanged: rule.filesChanged,
+    weight: Number(rule.weight) || 0,
+    level
+  };
+}
+
+function inRange(value, range) {
+  if (!range) return true;
+  if (range.over !== undefined && !(value > range.over)) return false;
+  if (range.upTo !== undefined && !(value <= range.upTo)) return false;
+  return true;
+}
+
+function matchRule(rule, { files, commits, metrics }) {
+  if (!inRange(metrics.linesChanged, rule.linesChanged)) return null;
+  if (!inRange(metrics.filesChanged, rule.filesChanged)) return null;
+
+  let keywords = [];
+  if (rule.commits.length > 0) {
+    const commitLower = (commits || '').toLowerCase();
+    keywords = rule.commits.filter(keyword => commitLower.includes(keyword));
+    if (keywords.length === 0) return null;
+  }
+
+  const inspectsFiles = rule.paths.length > 0 || rule.added.length > 0 || rule.removed.length > 0 || rule.changed.length > 0;
+  let matchedFiles = [];
+  if (inspectsFiles) {
+    const candidates = rule.paths.length > 0 ? files.filter(file => matchAnyGlob(file.path, rule.paths)) : files;
+    matchedFiles = candidates.filter(file => {
+      const lineMatch = (lines, patterns) => patterns.length === 0 || lines.some(line => patterns.some(pattern => pattern.test(line)));
+      return lineMatch(file.added, rule.added) &&
+        lineMatch(file.removed, rule.removed) &&
+        lineMatch([...file.added, ...file.removed], rule.changed);
+    });
+    if (matchedFiles.length === 0) return null;
+  }
+
+  return { files: matchedFiles.map(file => file.path), keywords };
+}
+
+function formatReason(rule, match, metrics) {
+  const description = rule.description
+    .replace('{lines}', metrics.linesChanged)
+    .replace('{files}', metrics.filesChanged);
+  const evidence = [...match.keywords.map(keyword => `"${keyword}"`), ...match.files.slice(0, 3)];
+  if (match.files.length > 3) evidence.push(`+${match.files.length - 3} more`);
+  return evidence.length > 0 ? `${description} [${rule.id}: ${evidence.join(', ')}]` : `${description} [${rule.id}]`;
+}
+
+function levelFromScore(score, scores) {
+  if (score >= scores.critical) return 3;
+  if (score >= scores.high) return 2;
+  if (score >= scores.medium) return 1;
+  return 0;
+}
+
+// files: [{ path, added: [lines], removed: [lines] }]
+export function evaluateSeverity({ files = [], commits = '', metrics }, settings = {}) {
+  const rules = resolveRules(settings);
+  const scores = { ...DEFAULT_SEVERITY_SCORES, ...settings.scores };
+
+  const fired = [];
+  for (const rule of rules) {
+    const match = matchRule(rule, { files, commits, metrics });
+    if (match) fired.push({ rule, match });
+  }
+
+  const score = fired.reduce((total, { rule }) => total + rule.weight, 0);
+  const floor = fired.reduce((max, { rule }) => Math.max(max, rule.level), 0);
+  const level = Math.max(floor, levelFromScore(score, scores));
+
+  // Strongest rules first so the reasoning leads with what set the level
+  fired.sort((a, b) => b.rule.level - a.rule.level || b.rule.weight - a.rule.weight);
+
+  const reasoning = fired.length > 0
+    ? fired.map(({ rule, match }) => formatReason(rule, match, metrics))
+    : [`Minimal changes (${metrics.linesChanged} lines, ${metrics.filesChanged} files)`, 'No critical areas affected'];
+
+  return {
+    level: SEVERITY_LEVELS[level],
+    reasoning: reasoning.join('; '),
+    score,
+    rules: fired.map(({ rule, match }) => ({
+      id: rule.id,
+      severity: SEVERITY_LEVELS[rule.level],
+      weight: rule.weight,
+      files: match.files,
+      keywords: match.keywords
+    })),
+    metrics
+  };
+}
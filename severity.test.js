@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateSeverity, resolveRules } from './severity.js';
+
+function metrics(linesChanged = 10, filesChanged = 1) {
+  return { linesChanged, filesChanged, insertions: linesChanged, deletions: 0 };
+}
+
+describe('evaluateSeverity', () => {
+  it('should report Low with minimal reasoning when no rule fires', () => {
+    const result = evaluateSeverity({
+      files: [{ path: 'README.md', added: ['Some docs'], removed: [] }],
+      commits: 'docs: update readme',
+      metrics: metrics(5, 1)
+    });
+
+    expect(result.level).toBe('Low');
+    expect(result.reasoning).toBe('Minimal changes (5 lines, 1 files); No critical areas affected');
+    expect(result.rules).toEqual([]);
+  });
+
+  it('should name the rules that fired and the files that triggered them', () => {
+    const result = evaluateSeverity({
+      files: [
+        { path: 'src/auth/session.js', added: ['const x = 1;'], removed: [] },
+        { path: 'config/app.json', added: ['{}'], removed: [] }
+      ],
+      commits: 'feat: session handling',
+      metrics: metrics(20, 2)
+    });
+
+    expect(result.level).toBe('Critical');
+    expect(result.reasoning).toContain('Authentication/authorization changes [auth-files: src/auth/session.js]');
+    expect(result.reasoning).toContain('Configuration changes [config-change: config/app.json]');
+    expect(result.rules.map(rule => rule.id)).toEqual(['auth-files', 'config-change']);
+  });
+
+  it('should keep High when every High and Medium rule fires at once', () => {
+    const result = evaluateSeverity({
+      files: [
+        { path: 'src/api.js', added: ['export function create() {}'], removed: [] },
+        { path: 'package.json', added: ['"version": "2.0.0"'], removed: [] }
+      ],
+      commits: 'feat: create',
+      metrics: metrics(600, 12)
+    });
+
+    expect(result.rules.map(rule => rule.id)).toEqual(['large-change', 'many-files', 'public-api', 'config-change']);
+    expect(result.score).toBe(10);
+    expect(result.level).toBe('High');
+  });
+
+  it('should not treat every mention of "token" as an auth change', () => {
+    const result = evaluateSeverity({
+      files: [{ path: 'src/lexer.js', added: ['const token = nextToken(input);'], removed: [] }],
+      commits: 'refactor: lexer',
+      metrics: metrics(10, 1)
+    });
+
+    expect(result.level).toBe('Low');
+  });
+
+  it('should only match export statements for public API changes', () => {
+    const changed = evaluateSeverity({
+      files: [{ path: 'src/api.js', added: ['export function create() {}'], removed: [] }],
+      commits: 'feat: create',
+      metrics: metrics()
+    });
+    const mentioned = evaluateSeverity({
+      files: [{ path: 'src/api.js', added: ['// we export this later'], removed: [] }],
+      commits: 'feat: create',
+      metrics: metrics()
+    });
+
+    expect(changed.level).toBe('High');
+    expect(mentioned.level).toBe('Low');
+  });
+
+  it('should report commit keywords that matched', () => {
+    const result = evaluateSeverity({ files: [], commits: 'fix: security hole', metrics: metrics() });
+
+    expect(result.level).toBe('Critical');
+    expect(result.reasoning).toBe('Critical keywords in commits [critical-keywords: "security"]');
+  });
+
+  it('should apply size thresholds from settings', () => {
+    const result = evaluateSeverity({ files: [], commits: '', metrics: metrics(120, 1) }, { high: { lines: 100 } });
+
+    expect(result.level).toBe('High');
+    expect(result.reasoning).toBe('Large number of changes (120 lines) [large-change]');
+  });
+
+  it('should escalate by total weight above the rule floors', () => {
+    const settings = {
+      defaults: false,
+      rules: [
+        { id: 'a', paths: ['*.js'], weight: 2, severity: 'Low' },
+        { id: 'b', added: ['TODO'], weight: 2, severity: 'Medium' }
+      ]
+    };
+
+    const result = evaluateSeverity({
+      files: [{ path: 'x.js', added: ['// TODO'], removed: [] }],
+      commits: '',
+      metrics: metrics()
+    }, { ...settings, scores: { medium: 3, high: 4, critical: 10 } });
+
+    expect(result.score).toBe(4);
+    expect(result.level).toBe('High');
+  });
+
+  it('should distinguish added from removed lines', () => {
+    const settings = {
+      defaults: false,
+      rules: [{ id: 'dropped-guard', removed: ['requireAdmin'], severity: 'High', weight: 1 }]
+    };
+
+    const added = evaluateSeverity({ files: [{ path: 'a.js', added: ['requireAdmin()'], removed: [] }], metrics: metrics() }, settings);
+    const removed = evaluateSeverity({ files: [{ path: 'a.js', added: [], removed: ['requireAdmin()'] }], metrics: metrics() }, settings);
+
+    expect(added.level).toBe('Low');
+    expect(removed.level).toBe('High');
+    expect(removed.reasoning).toBe('dropped-guard [dropped-guard: a.js]');
+  });
+});
+
+describe('resolveRules', () => {
+  it('should override built-in rules by id and append new ones', () => {
+    const rules = resolveRules({
+      rules: [
+        { id: 'public-api', severity: 'Medium' },
+        { id: 'config-change', enabled: false },
+        { id: 'lockfile', paths: ['package-lock.json'], severity: 'Low' }
+      ]
+    });
+
+    expect(rules.find(rule => rule.id === 'public-api').level).toBe(1);
+    expect(rules.find(rule => rule.id === 'config-change')).toBeUndefined();
+    expect(rules[rules.length - 1].id).toBe('lockfile');
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => resolveRules({ rules: [{ paths: ['*'] }] })).toThrow('missing an "id"');
+    expect(() => resolveRules({ rules: [{ id: 'x', severity: 'Huge' }] })).toThrow('unknown severity "Huge"');
+    expect(() => resolveRules({ rules: [{ id: 'x', added: ['('] }] })).toThrow('invalid added pattern');
+  });
+});
@@ -0,0 +1,185 @@
+import chalk from 'chalk';
+import { backendFrom } from './backend.js';
+import { resolveBaseRef } from './remote.js';
+import { getCurrentBranch, getDefaultBranch, resolveTarget, createPR, planPush, executePlan, printPushPlan } from './lib.js';
+
+export const STACK_START = '<!-- QPR_STACK_START -->';
+export const STACK_END = '<!-- QPR_STACK_END -->';
+
+function isAncestor(git, ancestor, descendant) {
+  return git.run(['merge-base', '--is-ancestor', ancestor, descendant]).code === 0;
+}
+
+function localBranches(git) {
+  const refs = git.output(['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+  return refs ? refs.split('\n').filter(Boolean) : [];
+}
+
+// Local branches on the same line of history as `current`, bottom (closest to trunk) first
+export function detectStack(git, { trunk, trunkRef = trunk, current }) {
+  const layers = [];
+  for (const branch of localBranches(git)) {
+    if (branch === trunk) continue;
+    const ahead = Number(git.output(['rev-list', '--count', `${trunkRef}..${branch}`]) || 0);
+    if (ahead === 0) continue;
+    if (branch === current || isAncestor(git, branch, current) || isAncestor(git, current, branch)) {
+      layers.push({ branch, ahead, tip: git.output(['rev-parse', branch]) });
+    }
+  }
+  layers.sort((a, b) => a.ahead - b.ahead);
+
+  const stack = [];
+  for (const layer of layers) {
+    const below = stack.at(-1);
+    if (below && layer.tip === below.tip) continue;
+    if (below && !isAncestor(git, below.branch, layer.branch)) {
+      throw new Error(`The stack splits: ${below.branch} and ${layer.branch} both build on ${stack.at(-2)?.branch || trunk}. Check out the top branch of the stack you want to sync.`);
+    }
+    stack.push(layer);
+  }
+  return stack;
+}
+
+// Entries are { branch, pr, merged }, bottom first
+export function formatStackSection(entries, current, trunk) {
+  const lines = entries.map((entry, index) => {
+    const label = entry.pr ? `#${entry.pr.number} ${entry.pr.title || entry.branch}` : `\`${entry.branch}\` (not opened yet)`;
+    if (entry.branch === current) return `${index + 1}. **${label}** 👈 this PR`;
+    return `${index + 1}. ${label}${entry.merged ? ' ✅ merged' : ''}`;
+  });
+  return `${STACK_START}\n### 📚 Stack\nMerges into \`${trunk}\` from the bottom up:\n\n${lines.join('\n')}\n${STACK_END}`;
+}
+
+export function replaceStackSection(body, section) {
+  const start = body.indexOf(STACK_START);
+  const end = body.indexOf(STACK_END, start);
+
+  if (start !== -1 && end !== -1) {
+    return body.slice(0, start) + section + body.slice(end + STACK_END.length);
+  }
+  return body.trim() ? `${body.trimEnd()}\n\n${section}` : section;
+}
+
+// Oldest commit subject of the layer, a sensible default title for its PR
+function layerTitle(git, parentRef, branch) {
+  const subjects = git.output(['log', '--reverse', '--pretty=format:%s', `${parentRef}..${branch}`]);
+  return subjects ? subjects.split('\n')[0] : branch;
+}
+
+function pushLayer(branch, target, backend, options) {
+  const plan = planPush(branch, { backend, remote: target.pushRemote, setUpstream: true, force: options.force });
+  if (options.dryRun) {
+    printPushPlan(plan);
+    return true;
+  }
+  try {
+    executePlan(plan, backend);
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to push ${branch}: ${error.message}`));
+    console.log(chalk.yellow('💡 After rebasing the stack, run again with --force'));
+    return false;
+  }
+}
+
+// Push every layer and open or update one PR per layer, each based on the layer below
+export async function syncStack(options = {}) {
+  const backend = backendFrom(options);
+  const { git } = backend;
+  const target = resolveTarget(options, backend);
+
+  const current = getCurrentBranch(backend);
+  if (!current) {
+    console.error(chalk.red('❌ Not on a git branch'));
+    return false;
+  }
+  const trunk = options.base || getDefaultBranch(target.remote, backend);
+  if (!trunk) {
+    console.error(chalk.red('❌ Could not find main or master branch'));
+    return false;
+  }
+
+  const trunkRef = resolveBaseRef(git, target.remote, trunk, { fetch: !options.dryRun });
+  let layers;
+  try {
+    layers = detectStack(git, { trunk, trunkRef, current });
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    return false;
+  }
+  if (layers.length === 0) {
+    console.log(chalk.yellow(`⚠️  No branches with commits ahead of ${trunk}`));
+    return false;
+  }
+
+  console.log(chalk.cyan(`📚 Stack on ${trunk}: ${layers.map(layer => layer.branch).join(' → ')}\n`));
+
+  const entries = [];
+  let base = trunk;
+  let parentRef = trunkRef;
+  for (const layer of layers) {
+    const open = await backend.host.findOpenPR(layer.branch, target);
+    const merged = open ? null : await backend.host.findMergedPR(layer.branch, target);
+
+    // A merged layer drops out; the layer above now targets what it merged into
+    if (merged) {
+      console.log(chalk.gray(`✔ ${layer.branch} was merged in #${merged.number}, skipping`));
+      entries.push({ branch: layer.branch, pr: merged, merged: true });
+      parentRef = layer.branch;
+      continue;
+    }
+
+    console.log(chalk.blue(`\n🧱 ${layer.branch} (${layer.ahead} commit${layer.ahead === 1 ? '' : 's'} on ${base})`));
+    if (!pushLayer(layer.branch, target, backend, options)) return false;
+
+    if (open && open.baseRefName !== base) {
+      console.log(chalk.yellow(`🔀 Retargeting #${open.number} from ${open.baseRefName} to ${base}`));
+      if (!options.dryRun) {
+        try {
+          await backend.host.updatePR(open.number, { base }, target);
+        } catch (error) {
+          console.error(chalk.red(`❌ Failed to retarget #${open.number}: ${error.message}`));
+          return false;
+        }
+      }
+    }
+
+    // Each layer is analyzed against the layer below, not the whole stack
+    const created = await createPR(base, layer.branch, {
+      ...options,
+      backend,
+      target,
+      baseRef: parentRef,
+      title: open ? undefined : layerTitle(git, parentRef, layer.branch)
+    });
+    if (!created) return false;
+
+    entries.push({ branch: layer.branch, pr: options.dryRun ? open : await backend.host.findOpenPR(layer.branch, target), merged: false });
+    base = layer.branch;
+    parentRef = layer.branch;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.cyan('\n🧪 Dry run: each PR would list the stack as'));
+    console.log(formatStackSection(entries, null, trunk));
+    return true;
+  }
+
+  // Every PR gets its section even when one of them can't be updated
+  let failed = 0;
+  for (const entry of entries.filter(candidate => !candidate.merged && candidate.pr)) {
+    const section = formatStackSection(entries, entry.branch, trunk);
+    const body = replaceStackSection(entry.pr.body || '', section);
+    if (body === entry.pr.body) continue;
+    try {
+      await backend.host.updatePR(entry.pr.number, { body }, target);
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to update the stack section of #${entry.pr.number}: ${error.message}`));
+      failed += 1;
+    }
+  }
+  if (failed > 0) return false;
+
+  console.log(chalk.green(`\n✅ Stack of ${entries.filter(entry => !entry.merged).length} PR(s) is up to date`));
+  return true;
+}
@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBackend, createGitBackend, createMemoryHost } from './backend.js';
+import { detectStack, formatStackSection, replaceStackSection, syncStack, STACK_START } from './stack.js';
+
+// Isolate the tests from the machine's git configuration
+const env = { ...process.env, GIT_CONFIG_GLOBAL: '/dev/null', GIT_CONFIG_NOSYSTEM: '1' };
+
+describe('formatStackSection', () => {
+  it('should list the layers bottom first and mark the current PR', () => {
+    const entries = [
+      { branch: 'feat/parser', pr: { number: 11, title: 'feat: parser' }, merged: true },
+      { branch: 'feat/api', pr: { number: 12, title: 'feat: api' }, merged: false },
+      { branch: 'feat/ui', pr: null, merged: false }
+    ];
+
+    const section = formatStackSection(entries, 'feat/api', 'main');
+
+    expect(section).toContain('Merges into `main`');
+    expect(section).toContain('1. #11 feat: parser ✅ merged');
+    expect(section).toContain('2. **#12 feat: api** 👈 this PR');
+    expect(section).toContain('3. `feat/ui` (not opened yet)');
+  });
+});
+
+describe('replaceStackSection', () => {
+  it('should replace an existing section and append a missing one', () => {
+    const section = `${STACK_START}\nnew\n<!-- QPR_STACK_END -->`;
+
+    expect(replaceStackSection(`Intro\n\n${STACK_START}\nold\n<!-- QPR_STACK_END -->\n\nOutro`, section)).toBe(`Intro\n\n${section}\n\nOutro`);
+    expect(replaceStackSection('Intro\n', section)).toBe(`Intro\n\n${section}`);
+  });
+});
+
+describe('stacks in a local repository', () => {
+  let root;
+  let repo;
+  let origin;
+  let host;
+  let backend;
+  const git = (...args) => backend.git.runChecked(args).stdout.trim();
+  const originGit = (...args) => createGitBackend({ cwd: origin, env }).runChecked(args).stdout.trim();
+
+  function commitFile(name) {
+    fs.writeFileSync(path.join(repo, name), `${name}\n`);
+    git('add', '-A');
+    git('commit', '-q', '-m', `feat: add ${name}`);
+  }
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-stack-'));
+    origin = path.join(root, 'origin.git');
+    repo = path.join(root, 'work');
+    fs.mkdirSync(repo);
+    createGitBackend({ cwd: root, env }).runChecked(['init', '-q', '--bare', '-b', 'main', origin]);
+
+    host = createMemoryHost();
+    backend = createBackend({ cwd: repo, env, host });
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    commitFile('base.txt');
+    git('remote', 'add', 'origin', origin);
+    git('push', '-q', '-u', 'origin', 'main');
+    git('remote', 'set-head', 'origin', 'main');
+
+    git('checkout', '-q', '-b', 'feat/parser');
+    commitFile('parser.js');
+    git('checkout', '-q', '-b', 'feat/api');
+    commitFile('api.js');
+    commitFile('routes.js');
+    git('checkout', '-q', '-b', 'feat/ui');
+    commitFile('ui.js');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should detect the chain from any layer', () => {
+    const expected = ['feat/parser', 'feat/api', 'feat/ui'];
+
+    expect(detectStack(backend.git, { trunk: 'main', current: 'feat/ui' }).map(layer => layer.branch)).toEqual(expected);
+    git('checkout', '-q', 'feat/parser');
+    expect(detectStack(backend.git, { trunk: 'main', current: 'feat/parser' }).map(layer => layer.branch)).toEqual(expected);
+  });
+
+  it('should refuse a stack that splits into two branches', () => {
+    git('checkout', '-q', '-b', 'feat/cli', 'feat/parser');
+    commitFile('cli.js');
+    git('checkout', '-q', 'feat/parser');
+
+    expect(() => detectStack(backend.git, { trunk: 'main', current: 'feat/parser' })).toThrow(/splits/);
+  });
+
+  it('should open one PR per layer based on the layer below', async () => {
+    expect(await syncStack({ backend, provider: 'none' })).toBe(true);
+
+    expect(host.created.map(request => [request.head, request.base, request.title])).toEqual([
+      ['feat/parser', 'main', 'feat: add parser.js'],
+      ['feat/api', 'feat/parser', 'feat: add api.js'],
+      ['feat/ui', 'feat/api', 'feat: add ui.js']
+    ]);
+    expect(originGit('rev-parse', 'feat/ui')).toBe(git('rev-parse', 'feat/ui'));
+
+    // Each analysis covers only its own layer
+    const [parser, api, ui] = host.prs;
+    expect(api.body).toContain('api.js');
+    expect(api.body).toContain('routes.js');
+    expect(api.body).not.toContain('parser.js (');
+    expect(api.body).not.toContain('ui.js (');
+
+    expect(parser.body).toContain('1. **#1 feat: add parser.js** 👈 this PR');
+    expect(api.body).toContain('2. **#2 feat: add api.js** 👈 this PR');
+    expect(ui.body).toContain('1. #1 feat: add parser.js\n2. #2 feat: add api.js\n3. **#3 feat: add ui.js** 👈 this PR');
+  });
+
+  it('should retarget the next layer once the one below is merged', async () => {
+    await syncStack({ backend, provider: 'none' });
+    host.prs[0].state = 'merged';
+    host.updated.length = 0;
+
+    expect(await syncStack({ backend, provider: 'none' })).toBe(true);
+
+    expect(host.created).toHaveLength(3);
+    expect(host.updated).toContainEqual({ number: 2, base: 'main' });
+    expect(host.findOpenPR('feat/api').baseRefName).toBe('main');
+    expect(host.findOpenPR('feat/ui').baseRefName).toBe('feat/api');
+    // The analysis still starts at the merged layer, so its commits don't reappear
+    expect(host.findOpenPR('feat/api').body).not.toContain('parser.js (');
+    expect(host.findOpenPR('feat/api').body).toContain('1. #1 feat: add parser.js ✅ merged');
+  });
+
+  it('should report host failures instead of throwing', async () => {
+    const failing = () => {
+      throw new Error('gh pr edit failed: HTTP 502');
+    };
+    vi.spyOn(host, 'updatePR').mockImplementation(failing);
+
+    // The stack sections of every PR are still attempted
+    expect(await syncStack({ backend, provider: 'none' })).toBe(false);
+    expect(host.created).toHaveLength(3);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to update the stack section of #1: gh pr edit failed: HTTP 502'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to update the stack section of #3'));
+
+    host.prs[0].state = 'merged';
+    expect(await syncStack({ backend, provider: 'none' })).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to retarget #2: gh pr edit failed: HTTP 502'));
+  });
+
+  it('should change nothing in a dry run', async () => {
+    const run = vi.spyOn(backend.git, 'run');
+
+    expect(await syncStack({ backend, provider: 'none', dryRun: true })).toBe(true);
+
+    expect(run.mock.calls.map(([args]) => args[0])).not.toContain('fetch');
+
+    expect(host.created).toHaveLength(0);
+    expect(createGitBackend({ cwd: origin, env }).run(['rev-parse', '--verify', '--quiet', 'feat/parser']).code).not.toBe(0);
+  });
+});
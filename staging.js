@@ -0,0 +1,116 @@
+import readline from 'readline/promises';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { matchAnyGlob } from './glob.js';
+
+export const DEFAULT_STAGING_SETTINGS = {
+  // Changed files matching these globs are never staged by qpr
+  exclude: [],
+  // Warn before staging an untracked file larger than this many bytes; null disables the check
+  maxUntrackedSize: 1024 * 1024,
+  // Warn before staging untracked files that look like build output or scratch files
+  buildOutput: ['dist/', 'build/', 'out/', 'coverage/', 'node_modules/', '*.log', '*.tmp', '*.min.js', '.DS_Store']
+};
+
+export function stagingSettings(settings = {}) {
+  return { ...DEFAULT_STAGING_SETTINGS, ...settings };
+}
+
+// Pathspec for a repository-relative path that git must not expand or resolve against the cwd
+export function literalPathspec(file, magic = []) {
+  return `:(${[...magic, 'top', 'literal'].join(',')})${file}`;
+}
+
+export function excludedFiles(files, settings) {
+  const { exclude } = stagingSettings(settings);
+  return files.filter(file => matchAnyGlob(file.path, exclude)).map(file => file.path);
+}
+
+function fileSize(root, file) {
+  try {
+    return fs.statSync(path.join(root, file)).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Untracked files about to be staged that are probably not meant for the commit
+export function stagingWarnings(files, settings, root) {
+  const { maxUntrackedSize, buildOutput } = stagingSettings(settings);
+  const warnings = [];
+
+  for (const file of files.filter(candidate => candidate.index === '?')) {
+    if (matchAnyGlob(file.path, buildOutput)) {
+      warnings.push({ path: file.path, reason: 'looks like build output' });
+      continue;
+    }
+    const size = maxUntrackedSize === null || maxUntrackedSize === undefined ? null : fileSize(root, file.path);
+    if (size !== null && size > maxUntrackedSize) {
+      warnings.push({ path: file.path, reason: `${formatSize(size)}, over ${formatSize(maxUntrackedSize)}` });
+    }
+  }
+  return warnings;
+}
+
+// "1 3-5", "2,4" or "a" for all; numbers are 1-based, anything out of range is ignored
+export function parseSelection(answer, count) {
+  const text = answer.trim().toLowerCase();
+  if (text === 'a' || text === 'all') {
+    return [...Array(count).keys()];
+  }
+
+  const selected = new Set();
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) continue;
+    const from = Number(range[1]);
+    const to = Number(range[2] || range[1]);
+    for (let n = Math.min(from, to); n <= Math.max(from, to); n++) {
+      if (n >= 1 && n <= count) selected.add(n - 1);
+    }
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+// stats: { [path]: { insertions, deletions, binary } } for tracked files; untracked ones show their size
+export function formatFileChoice(file, index, stats = {}, root) {
+  const stat = stats[file.path];
+  let detail;
+  if (file.index === '?') {
+    const size = fileSize(root, file.path);
+    detail = size === null ? 'untracked' : `untracked, ${formatSize(size)}`;
+  } else if (stat) {
+    detail = stat.binary ? 'binary' : `+${stat.insertions} -${stat.deletions}`;
+  } else {
+    detail = 'no content change';
+  }
+  const name = file.origPath ? `${file.origPath} -> ${file.path}` : file.path;
+  return `${String(index + 1).padStart(3)}. ${file.index}${file.worktree} ${name} ${chalk.gray(`(${detail})`)}`;
+}
+
+async function askSelection(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question(question);
+  } finally {
+    rl.close();
+  }
+}
+
+// Let the user choose which changed files to commit; null means nothing was chosen
+export async function pickFiles(files, { stats, root, ask = askSelection } = {}) {
+  if (files.length === 0) return null;
+
+  console.log(chalk.cyan('📝 Changed files:'));
+  files.forEach((file, index) => console.log(formatFileChoice(file, index, stats, root)));
+
+  const selected = parseSelection(await ask('Files to commit (e.g. 1 3-5, a for all, enter to cancel): '), files.length);
+  return selected.length > 0 ? selected.map(index => files[index]) : null;
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseSelection, excludedFiles, stagingWarnings, literalPathspec, pickFiles, formatSize } from './staging.js';
+
+describe('parseSelection', () => {
+  it('should read numbers, ranges and "a" for all', () => {
+    expect(parseSelection('1 3-4', 5)).toEqual([0, 2, 3]);
+    expect(parseSelection('4-2, 2', 5)).toEqual([1, 2, 3]);
+    expect(parseSelection('a', 3)).toEqual([0, 1, 2]);
+    expect(parseSelection('0 9 x', 3)).toEqual([]);
+    expect(parseSelection('', 3)).toEqual([]);
+  });
+});
+
+describe('excludedFiles and literalPathspec', () => {
+  it('should match the configured globs against changed paths', () => {
+    const files = [{ path: 'src/app.js' }, { path: 'debug.log' }, { path: 'tmp/notes.md' }];
+
+    expect(excludedFiles(files, { exclude: ['*.log', 'tmp/'] })).toEqual(['debug.log', 'tmp/notes.md']);
+    expect(excludedFiles(files, {})).toEqual([]);
+    expect(literalPathspec('a b.js', ['exclude'])).toBe(':(exclude,top,literal)a b.js');
+  });
+});
+
+describe('stagingWarnings', () => {
+  let root;
+
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should flag large and build-output untracked files only', () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qpr-staging-'));
+    fs.writeFileSync(path.join(root, 'dump.sql'), 'x'.repeat(2048));
+    fs.writeFileSync(path.join(root, 'small.js'), 'x');
+    const files = [
+      { index: '?', worktree: '?', path: 'dump.sql' },
+      { index: '?', worktree: '?', path: 'small.js' },
+      { index: '?', worktree: '?', path: 'dist/bundle.js' },
+      { index: ' ', worktree: 'M', path: 'build/kept.js' }
+    ];
+
+    expect(stagingWarnings(files, { maxUntrackedSize: 1024 }, root)).toEqual([
+      { path: 'dump.sql', reason: '2.0 KB, over 1.0 KB' },
+      { path: 'dist/bundle.js', reason: 'looks like build output' }
+    ]);
+    expect(stagingWarnings(files, { maxUntrackedSize: null, buildOutput: [] }, root)).toEqual([]);
+    expect(formatSize(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+describe('pickFiles', () => {
+  it('should return the chosen files, or null when the answer is empty', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const files = [
+      { index: ' ', worktree: 'M', path: 'src/app.js' },
+      { index: '?', worktree: '?', path: 'notes.txt' }
+    ];
+    const stats = { 'src/app.js': { insertions: 3, deletions: 1, binary: false } };
+
+    expect(await pickFiles(files, { stats, ask: async () => '2' })).toEqual([files[1]]);
+    expect(await pickFiles(files, { stats, ask: async () => '' })).toBeNull();
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('1.  M src/app.js'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('(+3 -1)'));
+    vi.restoreAllMocks();
+  });
+});
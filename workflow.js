@@ -0,0 +1,283 @@
+import fs from 'fs';
+import { SEVERITY_LEVELS, severityRank } from './severity.js';
+
+// Where each platform picks up the generated file; GitLab only runs it once .gitlab-ci.yml includes it
+export const WORKFLOW_PLATFORMS = {
+  github: { label: 'GitHub Actions', file: '.github/workflows/pr-summary.yml' },
+  gitea: { label: 'Gitea Actions', file: '.gitea/workflows/pr-summary.yml' },
+  gitlab: { label: 'GitLab CI', file: '.gitlab/ci/pr-summary.yml' }
+};
+
+export const WORKFLOW_JOBS = {
+  body: 'Write the analysis into the PR description',
+  comment: 'Comment on the PR once with the severity',
+  labels: 'Add the severity and impact area labels',
+  gate: 'Fail the check when the severity reaches --fail-on'
+};
+
+export const DEFAULT_WORKFLOW_SETTINGS = {
+  platform: 'github',
+  jobs: ['body', 'comment'],
+  failOn: 'high'
+};
+
+// The settings a file was generated with, so --check and regeneration reproduce them
+const SETTINGS_LINE = /^# qpr-workflow: platform=(\w+) jobs=([\w,]*) fail-on=(\w+)$/m;
+const ANALYSIS_FILE = '/tmp/qpr-analysis.json';
+const BODY_FILE = '/tmp/qpr-body.md';
+const COMMENT_MARKER = 'qpr-analysis-comment';
+
+// "body,labels" -> ['body', 'labels'], in WORKFLOW_JOBS order
+export function parseJobs(value) {
+  const jobs = [value].flat().flatMap(item => String(item).split(',')).map(job => job.trim().toLowerCase()).filter(Boolean);
+  const unknown = jobs.filter(job => !WORKFLOW_JOBS[job]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown workflow job "${unknown[0]}" (expected any of: ${Object.keys(WORKFLOW_JOBS).join(', ')})`);
+  }
+  return Object.keys(WORKFLOW_JOBS).filter(job => jobs.includes(job));
+}
+
+export function workflowSettings(settings = {}) {
+  const resolved = { ...DEFAULT_WORKFLOW_SETTINGS, ...settings };
+  if (!WORKFLOW_PLATFORMS[resolved.platform]) {
+    throw new Error(`Unknown workflow platform "${resolved.platform}" (expected one of: ${Object.keys(WORKFLOW_PLATFORMS).join(', ')})`);
+  }
+  if (severityRank(resolved.failOn) === -1) {
+    throw new Error(`Unknown severity "${resolved.failOn}" (expected one of: ${SEVERITY_LEVELS.join(', ')})`);
+  }
+  return { ...resolved, jobs: parseJobs(resolved.jobs), failOn: String(resolved.failOn).toLowerCase() };
+}
+
+// Settings recorded in a generated file, or null for a file qpr didn't write
+export function readWorkflowSettings(content) {
+  const match = (content || '').match(SETTINGS_LINE);
+  if (!match) return null;
+  return { platform: match[1], jobs: match[2] ? match[2].split(',') : [], failOn: match[3] };
+}
+
+function header({ platform, jobs, failOn }, tool) {
+  return [
+    `# Generated by \`qpr create-workflow-summary\` from ${tool}.`,
+    `# qpr-workflow: platform=${platform} jobs=${jobs.join(',')} fail-on=${failOn}`,
+    '# Run the command again to update it; `qpr create-workflow-summary --check` shows what changed.'
+  ].join('\n');
+}
+
+// Node prints fields of the analysis JSON, so the scripts need nothing besides qpr itself
+const readAnalysis = expression => `node -p "require(process.env.ANALYSIS).${expression}"`;
+const jsonOf = expression => `node -p "JSON.stringify(${expression})"`;
+const stdinText = "require('fs').readFileSync(0, 'utf8')";
+const stdinJson = field => `node -p "JSON.parse(${stdinText}).${field} || ''"`;
+
+// How each platform reads and edits the PR; every command runs in a POSIX shell
+const PLATFORM_API = {
+  github: {
+    readBody: `gh pr view "$PR_NUMBER" --json body -q .body > ${BODY_FILE}`,
+    writeBody: `${readAnalysis('body')} | gh pr edit "$PR_NUMBER" --body-file -`,
+    listComments: `gh pr view "$PR_NUMBER" --json comments -q '.comments[].body'`,
+    comment: 'gh pr comment "$PR_NUMBER" --body-file -',
+    // Unlike `gh pr edit --add-label`, the REST endpoint creates labels the repository lacks
+    addLabels: `${jsonOf('{ labels: require(process.env.ANALYSIS).labels }')} | gh api --method POST "repos/$GITHUB_REPOSITORY/issues/$PR_NUMBER/labels" --input - > /dev/null`
+  },
+  gitea: {
+    readBody: `curl -sSf -H "Authorization: token $GITEA_TOKEN" "$PR_API/pulls/$PR_NUMBER" | ${stdinJson('body')} > ${BODY_FILE}`,
+    writeBody: `${jsonOf('{ body: require(process.env.ANALYSIS).body }')} | curl -sSf -X PATCH -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" --data @- "$PR_API/pulls/$PR_NUMBER" > /dev/null`,
+    listComments: `curl -sSf -H "Authorization: token $GITEA_TOKEN" "$PR_API/issues/$PR_NUMBER/comments"`,
+    comment: `${jsonOf(`{ body: ${stdinText} }`)} | curl -sSf -X POST -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" --data @- "$PR_API/issues/$PR_NUMBER/comments" > /dev/null`,
+    addLabels: `${jsonOf('{ labels: require(process.env.ANALYSIS).labels }')} | curl -sSf -X POST -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" --data @- "$PR_API/issues/$PR_NUMBER/labels" > /dev/null`
+  },
+  gitlab: {
+    readBody: `curl -sSf -H "PRIVATE-TOKEN: $QPR_GITLAB_TOKEN" "$MR_API" | ${stdinJson('description')} > ${BODY_FILE}`,
+    writeBody: `${jsonOf('{ description: require(process.env.ANALYSIS).body }')} | curl -sSf -X PUT -H "PRIVATE-TOKEN: $QPR_GITLAB_TOKEN" -H "Content-Type: application/json" --data @- "$MR_API" > /dev/null`,
+    listComments: `curl -sSf -H "PRIVATE-TOKEN: $QPR_GITLAB_TOKEN" "$MR_API/notes?per_page=100"`,
+    comment: `${jsonOf(`{ body: ${stdinText} }`)} | curl -sSf -X POST -H "PRIVATE-TOKEN: $QPR_GITLAB_TOKEN" -H "Content-Type: application/json" --data @- "$MR_API/notes" > /dev/null`,
+    // GitLab creates missing labels on its own
+    addLabels: `${jsonOf("{ add_labels: require(process.env.ANALYSIS).labels.join(',') }")} | curl -sSf -X PUT -H "PRIVATE-TOKEN: $QPR_GITLAB_TOKEN" -H "Content-Type: application/json" --data @- "$MR_API" > /dev/null`
+  }
+};
+
+// Named shell scripts for the selected jobs, in the order they run
+export function workflowSteps({ platform, jobs, failOn }, baseRef) {
+  const api = PLATFORM_API[platform];
+  const has = job => jobs.includes(job);
+  const steps = [];
+
+  if (has('body')) {
+    steps.push({ name: 'Read the PR description', run: [api.readBody] });
+  }
+  steps.push({
+    name: 'Analyze changes',
+    run: [`qpr analyze "${baseRef}" HEAD --format json${has('body') ? ` --pr-body ${BODY_FILE}` : ''} > "$ANALYSIS"`]
+  });
+  if (has('body')) {
+    steps.push({ name: 'Update the PR description', run: [api.writeBody] });
+  }
+  if (has('labels')) {
+    steps.push({
+      name: 'Add labels',
+      run: [
+        `if [ -n "$(${readAnalysis("labels.join(',')")})" ]; then`,
+        `  ${api.addLabels}`,
+        'fi'
+      ]
+    });
+  }
+  if (has('comment')) {
+    const summary = "'🤖 **qpr analysis:** severity **' + a.severity.level + '** (' + a.metrics.filesChanged + ' files, +' + a.metrics.insertions + ' -' + a.metrics.deletions + ')'";
+    const details = has('body') ? "'The PR description holds the full analysis.'" : 'a.description';
+    steps.push({
+      name: 'Comment on the PR',
+      run: [
+        `if ! ${api.listComments} | grep -q '${COMMENT_MARKER}'; then`,
+        `  node -p "const a = require(process.env.ANALYSIS); ['<!-- ${COMMENT_MARKER} -->', ${summary}, '', ${details}].join('\\n')" | ${api.comment}`,
+        'fi'
+      ]
+    });
+  }
+  if (has('gate')) {
+    const levels = `[${SEVERITY_LEVELS.map(level => `'${level}'`).join(', ')}]`;
+    steps.push({
+      name: `Fail at ${failOn} severity`,
+      run: [
+        `node -e "const level = require(process.env.ANALYSIS).severity.level; if (${levels}.indexOf(level) >= ${severityRank(failOn)}) { console.error('Severity ' + level + ' is at or above ${failOn}'); process.exit(2); }"`
+      ]
+    });
+  }
+  return steps;
+}
+
+function indent(lines, spaces) {
+  return lines.map(line => (line ? ' '.repeat(spaces) + line : line)).join('\n');
+}
+
+// A one-line script stays inline unless YAML would read part of it as a mapping or comment
+function scalar(lines, spaces) {
+  return lines.length === 1 && !/: | #|^[-?:,[\]{}#&*!|>'"%@`]/.test(lines[0])
+    ? lines[0]
+    : `|\n${indent(lines, spaces)}`;
+}
+
+function actionsStep(step) {
+  return `      - name: ${step.name}\n        run: ${scalar(step.run, 10)}`;
+}
+
+// GitHub and Gitea Actions share the syntax; only the context name, token and API differ
+function renderActions(settings, tool) {
+  const gitea = settings.platform === 'gitea';
+  const context = gitea ? 'gitea' : 'github';
+  const permissions = ['contents: read', 'pull-requests: write', ...(settings.jobs.includes('labels') ? ['issues: write'] : [])];
+  const env = gitea
+    ? [`GITEA_TOKEN: \${{ secrets.GITEA_TOKEN }}`, `PR_API: \${{ gitea.server_url }}/api/v1/repos/\${{ gitea.repository }}`]
+    : [`GH_TOKEN: \${{ secrets.GITHUB_TOKEN }}`];
+
+  return `${header(settings, tool)}
+name: PR Summary with AI Analysis
+
+on:
+  pull_request:
+    types: [opened, synchronize, reopened]
+
+permissions:
+${indent(permissions, 2)}
+
+jobs:
+  pr-summary:
+    runs-on: ubuntu-latest
+    env:
+${indent([...env, `PR_NUMBER: \${{ ${context}.event.pull_request.number }}`, `BASE_REF: \${{ ${context}.event.pull_request.base.ref }}`, `ANALYSIS: ${ANALYSIS_FILE}`], 6)}
+    steps:
+      - name: Checkout code
+        uses: actions/checkout@v4
+        with:
+          fetch-depth: 0
+          ref: \${{ ${context}.event.pull_request.head.sha }}
+
+      - name: Setup Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '20'
+
+      - name: Install qpr
+        run: npm install -g ${tool}
+
+${workflowSteps(settings, '$BASE_REF').map(actionsStep).join('\n\n')}
+`;
+}
+
+function renderGitlab(settings, tool) {
+  const script = workflowSteps(settings, '$CI_MERGE_REQUEST_TARGET_BRANCH_NAME')
+    .map(step => `    # ${step.name}\n    - ${scalar(step.run, 6)}`);
+
+  return `${header(settings, tool)}
+# Include it from .gitlab-ci.yml:
+#   include:
+#     - local: ${WORKFLOW_PLATFORMS.gitlab.file}
+# and add a QPR_GITLAB_TOKEN CI/CD variable holding a token with the api scope.
+
+qpr-pr-summary:
+  image: node:20
+  rules:
+    - if: $CI_PIPELINE_SOURCE == "merge_request_event"
+  variables:
+    GIT_DEPTH: 0
+    ANALYSIS: ${ANALYSIS_FILE}
+    MR_API: $CI_API_V4_URL/projects/$CI_PROJECT_ID/merge_requests/$CI_MERGE_REQUEST_IID
+  script:
+    - npm install -g ${tool}
+    - git fetch --quiet origin "$CI_MERGE_REQUEST_TARGET_BRANCH_NAME"
+${script.join('\n')}
+`;
+}
+
+// The published package pinned to the running version, e.g. qpr-semantic-create-pr@1.0.2
+export function packageSpec() {
+  const { name, version } = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+  return `${name}@${version}`;
+}
+
+// tool: the npm package spec to install, packageSpec() by default
+export function renderWorkflow(settings, tool = packageSpec()) {
+  const resolved = workflowSettings(settings);
+  return resolved.platform === 'gitlab' ? renderGitlab(resolved, tool) : renderActions(resolved, tool);
+}
+
+// Line diff from the file on disk to the current template, with two lines of context
+export function diffLines(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i], line: i + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', text: a[i], line: i + 1 });
+      i++;
+    } else {
+      ops.push({ type: '+', text: b[j], line: i + 1 });
+      j++;
+    }
+  }
+
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+  const shown = new Set(changed.flatMap(index => Array.from({ length: context * 2 + 1 }, (_, k) => index - context + k)));
+  const lines = [];
+  ops.forEach((op, index) => {
+    if (!shown.has(index)) return;
+    if (index === 0 || !shown.has(index - 1)) lines.push(`@@ line ${op.line} @@`);
+    lines.push(`${op.type} ${op.text}`.trimEnd());
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import YAML from 'yaml';
+import { parseJobs, workflowSettings, readWorkflowSettings, renderWorkflow, workflowSteps, diffLines, packageSpec } from './workflow.js';
+
+const tool = 'qpr-semantic-create-pr@1.0.2';
+
+describe('workflow settings', () => {
+  it('should parse and order jobs, rejecting unknown ones', () => {
+    expect(parseJobs('gate, BODY')).toEqual(['body', 'gate']);
+    expect(parseJobs(['labels', 'comment'])).toEqual(['comment', 'labels']);
+    expect(() => parseJobs('body,deploy')).toThrow(/Unknown workflow job "deploy"/);
+    expect(() => workflowSettings({ platform: 'jenkins' })).toThrow(/Unknown workflow platform/);
+    expect(() => workflowSettings({ failOn: 'severe' })).toThrow(/Unknown severity/);
+  });
+
+  it('should record the settings in the generated file', () => {
+    const content = renderWorkflow({ platform: 'gitea', jobs: 'labels,body', failOn: 'Critical' }, tool);
+
+    expect(readWorkflowSettings(content)).toEqual({ platform: 'gitea', jobs: ['body', 'labels'], failOn: 'critical' });
+    expect(readWorkflowSettings('name: Mine\n')).toBeNull();
+  });
+
+  it('should pin the package from package.json', () => {
+    expect(packageSpec()).toMatch(/^qpr-semantic-create-pr@\d+\.\d+\.\d+/);
+  });
+});
+
+describe('renderWorkflow', () => {
+  it('should write a GitHub Actions workflow for the selected jobs', () => {
+    const workflow = YAML.parse(renderWorkflow({ jobs: ['body', 'labels', 'gate'] }, tool));
+    const job = workflow.jobs['pr-summary'];
+    const runs = job.steps.map(step => step.run).filter(Boolean);
+
+    expect(workflow.on.pull_request.types).toEqual(['opened', 'synchronize', 'reopened']);
+    expect(workflow.permissions).toEqual({ contents: 'read', 'pull-requests': 'write', issues: 'write' });
+    expect(job.env.BASE_REF).toBe('${{ github.event.pull_request.base.ref }}');
+    expect(runs[0]).toBe(`npm install -g ${tool}`);
+    expect(runs).toContain('qpr analyze "$BASE_REF" HEAD --format json --pr-body /tmp/qpr-body.md > "$ANALYSIS"');
+    expect(runs.join('\n')).toContain('gh pr edit "$PR_NUMBER" --body-file -');
+    expect(runs.at(-1)).toContain(".indexOf(level) >= 2) { console.error('Severity ' + level + ' is at or above high'); process.exit(2); }");
+    expect(runs.join('\n')).not.toContain('gh pr comment');
+  });
+
+  it('should use the Gitea context, token and API', () => {
+    const workflow = YAML.parse(renderWorkflow({ platform: 'gitea', jobs: ['comment'] }, tool));
+    const job = workflow.jobs['pr-summary'];
+
+    expect(job.env.PR_API).toBe('${{ gitea.server_url }}/api/v1/repos/${{ gitea.repository }}');
+    expect(job.steps[0].with.ref).toBe('${{ gitea.event.pull_request.head.sha }}');
+    expect(job.steps.at(-1).run).toContain('"$PR_API/issues/$PR_NUMBER/comments"');
+  });
+
+  it('should write a GitLab job for merge request pipelines', () => {
+    const content = renderWorkflow({ platform: 'gitlab', jobs: ['body', 'comment', 'labels'] }, tool);
+    const job = YAML.parse(content)['qpr-pr-summary'];
+
+    expect(content).toContain('#     - local: .gitlab/ci/pr-summary.yml');
+    expect(job.rules).toEqual([{ if: '$CI_PIPELINE_SOURCE == "merge_request_event"' }]);
+    expect(job.script[0]).toBe(`npm install -g ${tool}`);
+    expect(job.script).toContain('qpr analyze "$CI_MERGE_REQUEST_TARGET_BRANCH_NAME" HEAD --format json --pr-body /tmp/qpr-body.md > "$ANALYSIS"');
+    expect(job.script.join('\n')).toContain('{ add_labels: require(process.env.ANALYSIS).labels.join(\',\') }');
+  });
+
+  it('should render the same file for the same settings', () => {
+    expect(renderWorkflow({ jobs: 'comment,body' }, tool)).toBe(renderWorkflow({}, tool));
+  });
+
+  it('should only read the PR body when the body job runs', () => {
+    const steps = workflowSteps(workflowSettings({ jobs: ['gate'] }), '$BASE_REF');
+
+    expect(steps.map(step => step.name)).toEqual(['Analyze changes', 'Fail at high severity']);
+    expect(steps[0].run[0]).not.toContain('--pr-body');
+  });
+});
+
+describe('diffLines', () => {
+  it('should show changed lines with context and line numbers', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].join('\n');
+
+    expect(diffLines(before, after)).toBe([
+      '@@ line 1 @@', '  a', '- b', '+ B', '  c', '  d',
+      '@@ line 7 @@', '  g', '  h', '+ i'
+    ].join('\n'));
+    expect(diffLines(before, before)).toBe('');
+  });
+});